@@ -33,6 +33,12 @@ module.exports = {
         '.eslintrc.js',
     ],
     overrides: [
+        {
+            files: ['test/**/*.js', 'jest.config.js'],
+            env: {
+                jest: true,
+            },
+        },
         {
             files: ['*.ts'],
             extends: [
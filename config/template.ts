@@ -5,7 +5,7 @@
  */
 
 import {
-    ApiLimitProps, AuthOptionProps, ConfigProps, DnsOptionProps,
+    ApiLimitProps, AuthOptionProps, ConfigProps, DnsOptionProps, WebOptionProps,
 } from '../types';
 
 export const dnsOptions: DnsOptionProps = {
@@ -23,8 +23,42 @@ export const dnsOptions: DnsOptionProps = {
 export const authOptions: AuthOptionProps = {
     refreshTokenTime: 60,
     authTokenTime: 5,
-    loginPrefix: 'Login to My Demo by signing this one-time key: ',
+    loginStatement: 'Login to My Demo with your Ethereum wallet.',
+    loginMessageTime: 5,
+    actionMessageTime: 5,
+    chainId: 1,
+    chainIds: [],
+    rpcUrl: '',
+    rpcUrls: {},
+    tokenGates: [],
+    tokenGateCacheTime: 60,
+    authorizerCacheTime: 300,
+    logLevel: 'info',
+    auditRetentionDays: 365,
+    auditChains: 16,
+    throttleLimits: {
+        walletFailures: 5,
+        ipFailures: 20,
+        lockoutTime: 30,
+        maxLockoutTime: 900,
+        failureWindow: 3600,
+        ipUsers: 10,
+        userWindow: 3600,
+    },
+    deletionPolicy: {
+        audit: 'anonymize',
+    },
+    ens: {
+        rpcUrl: '',
+        cacheTime: 86400,
+        claim: false,
+    },
     signPrefix: 'Sign the one-time key to continue: ',
+    linkPrefix: 'Link this wallet to your account: ',
+    adminWallets: [],
+    signingKeys: [
+        { name: 'authKey', active: true },
+    ],
     expireUsers: 7,
 };
 
@@ -34,8 +68,13 @@ export const apiLimits: ApiLimitProps | undefined = {
     rateLimit: 10,
 };
 
+export const webOptions: WebOptionProps = {
+    walletChangePolicy: 'relogin',
+};
+
 export const config: ConfigProps = {
     dnsOptions,
     authOptions,
     apiLimits,
+    webOptions,
 };
@@ -0,0 +1,10 @@
+/**
+ * Tests for the utils module and Lambda functions.
+ * aws-sdk is replaced with in-memory tables and tokens are signed with a local key (see test/setup.js),
+ * so the tests run without an AWS account.
+ */
+module.exports = {
+    testEnvironment: 'node',
+    roots: ['<rootDir>/test'],
+    setupFiles: ['<rootDir>/test/setup.js'],
+};
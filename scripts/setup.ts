@@ -1,7 +1,7 @@
 /**
  * Run locally to create the local config file and the env file for parcel builds.
  * Will not overwrite the local config file if it already exists.
- * After modifying the DNS settings in local config, run again to set the hostnames in the
+ * After modifying the DNS settings or web options in local config, run again to set them in the
  * env file for the web build.
  */
 
@@ -18,11 +18,12 @@ const envPath = path.join(__dirname, '../.env');
         const localExists = existsSync(localPath);
 
         if (localExists) {
-            // Create the parcel .env file with DNS info from config
-            const { dnsOptions } = (await import('../config')).config;
+            // Create the parcel .env file with DNS info and web options from config
+            const { dnsOptions, webOptions = {} } = (await import('../config')).config;
             const envStr = `APP_ENV=prod
 API_DOMAIN=${dnsOptions.apiHostname}.${dnsOptions.zoneAttr.zoneName}
-WEB_DOMAIN=${dnsOptions.webHostname}.${dnsOptions.zoneAttr.zoneName}`;
+WEB_DOMAIN=${dnsOptions.webHostname}.${dnsOptions.zoneAttr.zoneName}
+WALLET_CHANGE_POLICY=${webOptions.walletChangePolicy || 'relogin'}`;
 
             writeFileSync(envPath, envStr);
         } else {
@@ -146,15 +146,48 @@ export class MetamaskAppStack extends Stack {
             },
         });
 
-        // KMS Auth Key =======================================================================
-        // This KMS Key is used in signing the JWT responses from the API
-        const authKey = new Key(this, 'authKey', {
-            description: 'Key for JWT signing in auth functions',
+        // KMS Auth Keys ======================================================================
+        /**
+         * The active KMS Key is used in signing the JWT responses from the API.
+         * Every token has a kid header (the key thumbprint), and tokens are verified with the matching key,
+         * so previous keys can still verify tokens issued before a key rotation.
+         *
+         * Key rotation procedure (signingKeys in the config):
+         * 1. Add a new key with a new name, not active, and deploy. The key is created and published in the JWKS.
+         * 2. Wait at least an hour for services to refresh their cached JWKS.
+         * 3. Set the new key active and the old key inactive, and deploy. New tokens are signed with the new key
+         *    and tokens signed by the old key are still accepted, so no one needs to login again.
+         * 4. Wait for the refresh token time to pass so all old tokens have expired.
+         * 5. Remove the old key and deploy. The KMS Key is deleted after the pending window.
+         *
+         * Each key has a signing algorithm (PS256, RS256 or ES256) and the KMS key spec is set to match.
+         * To change the algorithm rotate to a new key with the new algorithm - changing the algorithm
+         * of an existing key replaces the KMS Key and invalidates its tokens.
+         */
+        const signingKeyOptions = authOptions.signingKeys || [{ name: 'authKey', active: true }];
+        const activeKeyIndex = signingKeyOptions.findIndex((keyOptions) => keyOptions.active);
+        if (activeKeyIndex < 0 || signingKeyOptions.filter((keyOptions) => keyOptions.active).length > 1) {
+            throw new Error('Exactly one signing key must be active');
+        }
+        const signingKeys = signingKeyOptions.map((keyOptions) => new Key(this, keyOptions.name, {
+            description: `Key for JWT signing in auth functions (${keyOptions.name})`,
             pendingWindow: Duration.days(7),
-            keySpec: KeySpec.RSA_3072,
+            keySpec: (keyOptions.alg === 'ES256') ? KeySpec.ECC_NIST_P256 : KeySpec.RSA_3072,
             keyUsage: KeyUsage.SIGN_VERIFY,
             removalPolicy: RemovalPolicy.DESTROY,
-        });
+        }));
+        const authKey = signingKeys[activeKeyIndex];
+        const verifyKeys = signingKeys.filter((key) => key !== authKey);
+
+        // Key environment vars for functions that sign or verify tokens (SigningKeyConfig in the utils module)
+        const signingKeyEnv = {
+            SIGNING_KEYS: this.toJsonString(signingKeyOptions.map((keyOptions, i) => ({
+                type: 'kms',
+                keyId: signingKeys[i].keyId,
+                alg: keyOptions.alg || 'PS256',
+                active: Boolean(keyOptions.active),
+            }))),
+        };
 
         // User Table =========================================================================
         const userTable = new Table(this, 'authDemoUserTable', {
@@ -168,19 +201,108 @@ export class MetamaskAppStack extends Stack {
             partitionKey: { name: 'WalletId', type: AttributeType.STRING },
         });
 
+        // Wallet Table =======================================================================
+        /**
+         * Additional wallets linked to a user. The primary wallet is the WalletId on the user record.
+         * Link records expire with the user.
+         */
+        const walletTable = new Table(this, 'authDemoWalletTable', {
+            billingMode: BillingMode.PAY_PER_REQUEST,
+            partitionKey: { name: 'WalletId', type: AttributeType.STRING },
+            removalPolicy: RemovalPolicy.DESTROY,
+            timeToLiveAttribute: 'ExpiryTime',
+        });
+        walletTable.addGlobalSecondaryIndex({
+            indexName: 'userIdx',
+            partitionKey: { name: 'UserId', type: AttributeType.STRING },
+        });
+
+        // Session Table ======================================================================
+        /**
+         * Records every refresh token (by jti) so sessions can be revoked on logout.
+         * Refresh tokens are rotated on every use. Tokens issued since a login share a FamilyId,
+         * and the whole family is revoked if a rotated token is presented again.
+         */
+        const sessionTable = new Table(this, 'authDemoSessionTable', {
+            billingMode: BillingMode.PAY_PER_REQUEST,
+            partitionKey: { name: 'SessionId', type: AttributeType.STRING },
+            removalPolicy: RemovalPolicy.DESTROY,
+            timeToLiveAttribute: 'ExpiryTime',
+        });
+        sessionTable.addGlobalSecondaryIndex({
+            indexName: 'userIdx',
+            partitionKey: { name: 'UserId', type: AttributeType.STRING },
+        });
+        sessionTable.addGlobalSecondaryIndex({
+            indexName: 'familyIdx',
+            partitionKey: { name: 'FamilyId', type: AttributeType.STRING },
+        });
+
+        // Challenge Table ====================================================================
+        /**
+         * One-time login and verify challenges. A wallet can have several outstanding challenges,
+         * each expires after the login message time and can only be used once.
+         * Records are removed by the TTL a day after they expire.
+         */
+        const challengeTable = new Table(this, 'authDemoChallengeTable', {
+            billingMode: BillingMode.PAY_PER_REQUEST,
+            partitionKey: { name: 'ChallengeId', type: AttributeType.STRING },
+            removalPolicy: RemovalPolicy.DESTROY,
+            timeToLiveAttribute: 'ExpiryTime',
+        });
+
+        // Audit Table ========================================================================
+        /**
+         * Hash chained audit trail of authentication events. The HEAD record holds the latest
+         * sequence number and hash. Events are removed by the TTL after the audit retention period.
+         */
+        const auditTable = new Table(this, 'authDemoAuditTable', {
+            billingMode: BillingMode.PAY_PER_REQUEST,
+            partitionKey: { name: 'EventId', type: AttributeType.STRING },
+            removalPolicy: RemovalPolicy.DESTROY,
+            timeToLiveAttribute: 'ExpiryTime',
+        });
+        auditTable.addGlobalSecondaryIndex({
+            indexName: 'userIdx',
+            partitionKey: { name: 'UserId', type: AttributeType.STRING },
+            sortKey: { name: 'EventTime', type: AttributeType.STRING },
+        });
+        auditTable.addGlobalSecondaryIndex({
+            indexName: 'walletIdx',
+            partitionKey: { name: 'WalletId', type: AttributeType.STRING },
+            sortKey: { name: 'EventTime', type: AttributeType.STRING },
+        });
+        auditTable.addGlobalSecondaryIndex({
+            indexName: 'typeIdx',
+            partitionKey: { name: 'EventType', type: AttributeType.STRING },
+            sortKey: { name: 'EventTime', type: AttributeType.STRING },
+        });
+
+        // Throttle Table =====================================================================
+        /**
+         * Failed sign in counts by wallet and IP address, and new user counts by IP address.
+         * Counts are removed by the TTL when their window ends.
+         */
+        const throttleTable = new Table(this, 'authDemoThrottleTable', {
+            billingMode: BillingMode.PAY_PER_REQUEST,
+            partitionKey: { name: 'ThrottleKey', type: AttributeType.STRING },
+            removalPolicy: RemovalPolicy.DESTROY,
+            timeToLiveAttribute: 'ExpiryTime',
+        });
+
         // Lambda Application Functions =====================================================
 
         // Shared layer for common modules and util functions
         const sharedLayer = new LayerVersion(this, 'sharedLayer', {
-            compatibleRuntimes: [Runtime.NODEJS_14_X],
+            compatibleRuntimes: [Runtime.NODEJS_16_X],
             code: AssetCode.fromAsset(`${__dirname}/lambda/shared-layer`),
             description: 'Metamask Auth Shared Layer',
             layerVersionName: 'auth-shared',
         });
 
-        // Lambda default props
+        // Lambda default props. Node 16 is required to export the public key as a JWK.
         const lambdaDefaultProps = {
-            runtime: Runtime.NODEJS_14_X,
+            runtime: Runtime.NODEJS_16_X,
             handler: 'index.handler',
             timeout: Duration.seconds(5),
             layers: [sharedLayer],
@@ -192,14 +314,103 @@ export class MetamaskAppStack extends Stack {
             INFURA_SECRET_ARN: infuraSecret.secretArn,
             USER_TABLE: userTable.tableName,
             WALLET_ID_IDX: 'walletIdx',
+            WALLET_TABLE: walletTable.tableName,
+            USER_WALLET_IDX: 'userIdx',
+            SESSION_TABLE: sessionTable.tableName,
+            USER_SESSION_IDX: 'userIdx',
+            FAMILY_SESSION_IDX: 'familyIdx',
+            CHALLENGE_TABLE: challengeTable.tableName,
+            AUDIT_TABLE: auditTable.tableName,
+            AUDIT_USER_IDX: 'userIdx',
+            AUDIT_WALLET_IDX: 'walletIdx',
+            AUDIT_TYPE_IDX: 'typeIdx',
+            AUDIT_RETENTION_DAYS: String(authOptions.auditRetentionDays ?? 365),
+            AUDIT_CHAINS: String(authOptions.auditChains ?? 16),
+            THROTTLE_TABLE: throttleTable.tableName,
+            // Sign in lockout and new user limits, merged with the defaults in the utils module
+            THROTTLE_LIMITS: JSON.stringify(authOptions.throttleLimits || {}),
             ISSUER: zoneName,
+            // Minimum level for the structured logs
+            LOG_LEVEL: authOptions.logLevel || 'info',
         };
 
         // API Function params
         const {
-            loginPrefix, signPrefix, refreshTokenTime, authTokenTime, expireUsers,
+            loginStatement, loginMessageTime, actionMessageTime, chainId, chainIds = [], signPrefix, linkPrefix, adminWallets, refreshTokenTime, authTokenTime, expireUsers, rpcUrl = '',
+            rpcUrls = {}, tokenGates = [], tokenGateCacheTime = 60, authorizerCacheTime = 300, ens = {},
         } = authOptions;
 
+        // Users with these wallets always have the admin role
+        const adminEnv = {
+            ADMIN_WALLETS: adminWallets.map((wallet) => wallet.toLowerCase()).join(','),
+        };
+
+        /**
+         * Sign-In with Ethereum (EIP-4361) login messages are bound to the web site domain.
+         * The wallet warns the user if the message domain does not match the site requesting the signature.
+         */
+        const siweDomains = (allowLocalhost) ? [`${webHostname}.${zoneName}`, 'localhost:1234'] : [`${webHostname}.${zoneName}`];
+
+        /**
+         * Users can sign in on the default chainId or any of chainIds. The signing chain is recorded on the session
+         * and added to the auth token, and typed actions must be signed on the same chain.
+         */
+        chainIds.forEach((otherChainId) => {
+            if (!Number.isInteger(otherChainId) || otherChainId < 1) { throw new Error(`Invalid Chain ID ${otherChainId} in chainIds`); }
+        });
+        const chainEnv = {
+            CHAIN_ID: String(chainId),
+            CHAIN_IDS: chainIds.join(','),
+        };
+        const siweEnv = {
+            SIWE_DOMAINS: siweDomains.join(','),
+            LOGIN_STATEMENT: loginStatement,
+            LOGIN_MESSAGE_TIME: String(loginMessageTime),
+            ...chainEnv,
+        };
+
+        // EIP-712 typed data signatures for write requests use the session Chain ID in the domain
+        const typedActionEnv = {
+            ACTION_MESSAGE_TIME: String(actionMessageTime),
+            ...chainEnv,
+        };
+
+        /**
+         * Smart contract wallets (eg. Safe) sign with ERC-1271, or EIP-6492 if the wallet is not deployed yet.
+         * The signatures are checked with the JSON-RPC provider for the signing chain - rpcUrl for the default chainId,
+         * or rpcUrls for the others. Contract wallet signatures are rejected on a chain without an RPC URL.
+         */
+        const contractWalletEnv = {
+            RPC_URL: rpcUrl,
+            RPC_URLS: JSON.stringify(rpcUrls),
+            ...chainEnv,
+        };
+
+        /**
+         * Token gates restrict routes to holders of ERC-20, ERC-721 or ERC-1155 tokens.
+         * Holdings are checked with the JSON-RPC providers at login and refresh and added to the auth token,
+         * then the authorizer checks the gates claim for the requested route.
+         */
+        tokenGates.forEach((gate) => {
+            if (gate.standard === 'erc1155' && gate.tokenId === undefined) { throw new Error(`Token gate ${gate.name} requires a tokenId for ERC-1155`); }
+        });
+        const tokenGateEnv = {
+            TOKEN_GATES: JSON.stringify(tokenGates),
+            TOKEN_GATE_CACHE_TIME: String(tokenGateCacheTime),
+            ...contractWalletEnv,
+        };
+
+        /**
+         * ENS names are looked up with reverse resolution at login and cached on the user record.
+         * The name is only used if it resolves forward to the same wallet.
+         */
+        const ensEnv = {
+            ENS_RPC_URL: ens.rpcUrl || ((chainId === 1) ? rpcUrl : ''),
+            ENS_REGISTRY: ens.registry || '',
+            ENS_CACHE_TIME: String(ens.cacheTime || 86400),
+            ENS_CLAIM: String(Boolean(ens.claim)),
+        };
+
         // API ==============================================================================
 
         // API Logging - CloudWatch Log Group
@@ -295,26 +506,52 @@ export class MetamaskAppStack extends Stack {
 
         // Custom Authorizer =======================
 
+        /**
+         * Route scope map. Every method with the authorizer needs a scope here, other routes are denied.
+         * Routes are 'METHOD /path', with '*' for path parameters. Auth tokens have the read and write scopes,
+         * and admins also have the admin scope. The admin functions still check the admin claim and user record.
+         */
+        const routeScopes: Record<string, 'read' | 'write' | 'admin'> = {
+            'GET /auth/get-user/*': 'read',
+            'GET /auth/wallets': 'read',
+            'POST /auth/link-wallet/*': 'write',
+            'POST /auth/unlink-wallet/*': 'write',
+            'GET /auth/get-profile': 'read',
+            'POST /auth/update-profile': 'write',
+            'POST /auth/delete-user': 'write',
+            'GET /admin/users': 'admin',
+            'GET /admin/users/*': 'admin',
+            'POST /admin/users/*/role': 'admin',
+            'POST /admin/users/*/disable': 'admin',
+            'GET /admin/audit': 'admin',
+            'GET /test/read': 'read',
+            'POST /test/write': 'write',
+        };
+
         // Authorizer function
         const authorizerFnc = new Function(this, 'authorizerFnc', {
             ...lambdaDefaultProps,
             description: 'Authorizer API function',
             code: Code.fromAsset(`${__dirname}/lambda/authorizer`),
             environment: {
-                KEY_ID: authKey.keyId,
-                /**
-                 * Allow access to all API resources to keep this simple.
-                 * Additional authorisation is handled at the application level.
-                 */
-                API_RESOURCE: `arn:aws:execute-api:${this.region}:${this.account}:${api.restApiId}/${stageName}/*/*/*`,
+                ...signingKeyEnv,
+                TOKEN_GATES: JSON.stringify(tokenGates),
+                CHAIN_ID: String(chainId),
+                // The authorizer policy allows the method ARNs in this stage for the token scopes
+                API_STAGE_ARN: `arn:aws:execute-api:${this.region}:${this.account}:${api.restApiId}/${stageName}`,
+                ROUTE_SCOPES: JSON.stringify(routeScopes),
+                LOG_LEVEL: lambdaCommonEnv.LOG_LEVEL,
             },
         });
-        authKey.grant(authorizerFnc, 'kms:GetPublicKey');
+        signingKeys.forEach((key) => key.grant(authorizerFnc, 'kms:GetPublicKey'));
 
-        // Lambda authorizer
+        /**
+         * Lambda authorizer. The policy only depends on the token, so results are cached for the token.
+         * The cache time is limited to the auth token time so expired tokens are not accepted for long.
+         */
         const authorizer = new TokenAuthorizer(this, 'authorizer', {
             handler: authorizerFnc,
-            resultsCacheTtl: Duration.minutes(0),
+            resultsCacheTtl: Duration.seconds(Math.min(authorizerCacheTime, authTokenTime * 60, 3600)),
         });
 
         // Lambda Integration Props for API functions =================
@@ -340,10 +577,34 @@ export class MetamaskAppStack extends Stack {
             {
                 "success": false,
                 "errorMessage" : "$errorMessageObj.message",
+                "errorCode" : "$!errorMessageObj.errorCode",
                 "requestId" : "$errorMessageObj.requestId"
             }`,
         };
         const errorResponses = [
+            {
+                // Locked out or over a limit. Retry-After is also returned in the body as the header is not exposed to CORS requests.
+                selectionPattern: '.*:429.*',
+                statusCode: '429',
+                responseTemplates: {
+                    'application/json': `
+                    #set($domains = ${corsString})
+                    #set($origin = $input.params("origin"))
+                    #if($domains.contains($origin))
+                    #set($context.responseOverride.header.Access-Control-Allow-Origin="$origin")
+                    #end
+                    #set ($errorMessageObj = $util.parseJson($input.path('$.errorMessage')))
+                    #set($context.responseOverride.header.Retry-After="$errorMessageObj.retryAfter")
+                    {
+                        "success": false,
+                        "errorMessage" : "$errorMessageObj.message",
+                        "errorCode" : "$!errorMessageObj.errorCode",
+                        "retryAfter" : $errorMessageObj.retryAfter,
+                        "requestId" : "$errorMessageObj.requestId"
+                    }`,
+                },
+                responseParameters: integrationResponsParameters,
+            },
             {
                 selectionPattern: '.*:401.*',
                 statusCode: '401',
@@ -455,6 +716,16 @@ export class MetamaskAppStack extends Stack {
                 },
                 responseParameters: methodPesponseParameters,
             },
+            {
+                statusCode: '429',
+                responseModels: {
+                    'application/json': jsonResponseModel,
+                },
+                responseParameters: {
+                    ...methodPesponseParameters,
+                    'method.response.header.Retry-After': true,
+                },
+            },
             {
                 statusCode: '500',
                 responseModels: {
@@ -512,6 +783,7 @@ export class MetamaskAppStack extends Stack {
             },
         });
         userTable.grantReadData(getUserFnc);
+        walletTable.grantReadData(getUserFnc);
 
         const getUserFncInteg = new LambdaIntegration(getUserFnc, {
             proxy: false,
@@ -554,10 +826,14 @@ export class MetamaskAppStack extends Stack {
             environment: {
                 ...lambdaCommonEnv,
                 SIGN_PREFIX: signPrefix,
-                LOGIN_PREFIX: loginPrefix,
+                LINK_PREFIX: linkPrefix,
+                ...siweEnv,
+                ...typedActionEnv,
             },
         });
         userTable.grantReadData(getNonceFnc);
+        walletTable.grantReadData(getNonceFnc);
+        challengeTable.grantWriteData(getNonceFnc);
 
         const getNonceFncInteg = new LambdaIntegration(getNonceFnc, {
             proxy: false,
@@ -565,7 +841,12 @@ export class MetamaskAppStack extends Stack {
                 'application/json': `{
                     "params": {
                         "walletId": "$input.params('walletid')",
-                        "login": "$input.params('login')"
+                        "login": "$input.params('login')",
+                        "verify": "$input.params('verify')",
+                        "action": "$util.escapeJavaScript($input.params('action'))",
+                        "link": "$util.escapeJavaScript($input.params('link'))",
+                        "origin": "$util.escapeJavaScript($input.params('origin'))",
+                        "chainId": "$util.escapeJavaScript($input.params('chainId'))"
                     },
                     "context": {
                         "requestId": "$context.requestId",
@@ -577,6 +858,10 @@ export class MetamaskAppStack extends Stack {
             requestParameters: {
                 'integration.request.path.walletid': 'method.request.path.walletid',
                 'integration.request.querystring.login': 'method.request.querystring.login',
+                'integration.request.querystring.verify': 'method.request.querystring.verify',
+                'integration.request.querystring.action': 'method.request.querystring.action',
+                'integration.request.querystring.link': 'method.request.querystring.link',
+                'integration.request.querystring.chainId': 'method.request.querystring.chainId',
             },
             integrationResponses,
             passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
@@ -588,6 +873,10 @@ export class MetamaskAppStack extends Stack {
             requestParameters: {
                 'method.request.path.walletid': true,
                 'method.request.querystring.login': false,
+                'method.request.querystring.verify': false,
+                'method.request.querystring.action': false,
+                'method.request.querystring.link': false,
+                'method.request.querystring.chainId': false,
             },
             methodResponses: apiMethodResponses,
         });
@@ -601,9 +890,15 @@ export class MetamaskAppStack extends Stack {
                 ...lambdaCommonEnv,
                 EXPIRE_USERS_IN_DAYS: String(expireUsers),
                 SIGN_PREFIX: signPrefix,
+                LOGIN_MESSAGE_TIME: String(loginMessageTime),
+                ...contractWalletEnv,
             },
         });
         userTable.grantReadWriteData(createUserFnc);
+        walletTable.grantReadData(createUserFnc);
+        challengeTable.grantReadWriteData(createUserFnc);
+        auditTable.grantReadWriteData(createUserFnc);
+        throttleTable.grantReadWriteData(createUserFnc);
         infuraSecret.grantRead(createUserFnc);
 
         const createUserFncInteg = new LambdaIntegration(createUserFnc, {
@@ -642,19 +937,19 @@ export class MetamaskAppStack extends Stack {
             methodResponses: apiMethodResponses,
         });
 
-        // Test API Methods ==============================================
-
-        // Read API ----------------------------------------------------
-        const testReadFnc = new Function(this, 'testReadFnc', {
+        // List wallets ------------------------------------------
+        const listWalletsFnc = new Function(this, 'listWalletsFnc', {
             ...lambdaDefaultProps,
-            description: 'API Test Function',
-            code: Code.fromAsset(`${__dirname}/lambda/test-api-read`),
+            description: 'List User Wallets API function',
+            code: Code.fromAsset(`${__dirname}/lambda/list-wallets`),
             environment: {
                 ...lambdaCommonEnv,
             },
         });
+        userTable.grantReadData(listWalletsFnc);
+        walletTable.grantReadData(listWalletsFnc);
 
-        const testReadFncInteg = new LambdaIntegration(testReadFnc, {
+        const listWalletsFncInteg = new LambdaIntegration(listWalletsFnc, {
             proxy: false,
             requestTemplates: {
                 'application/json': `{
@@ -671,33 +966,36 @@ export class MetamaskAppStack extends Stack {
             passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
         });
 
-        const testRoot = api.root.addResource('test');
-        const testRead = testRoot.addResource('read');
-        testRead.addMethod('OPTIONS', optionsIntegration, {
+        const listWalletsRoot = authRoot.addResource('wallets');
+        listWalletsRoot.addMethod('OPTIONS', optionsIntegration, {
             methodResponses: optionsMethodResponses,
         });
-        testRead.addMethod('GET', testReadFncInteg, {
+        listWalletsRoot.addMethod('GET', listWalletsFncInteg, {
             methodResponses: apiMethodResponses,
             authorizer,
         });
 
-        // Write API ---------------------------------------------------
-        const testWriteFnc = new Function(this, 'testWriteFnc', {
+        // Link wallet ------------------------------------------
+        const linkWalletFnc = new Function(this, 'linkWalletFnc', {
             ...lambdaDefaultProps,
-            description: 'API Test Function',
-            code: Code.fromAsset(`${__dirname}/lambda/test-api-write`),
+            description: 'Link User Wallet API function',
+            code: Code.fromAsset(`${__dirname}/lambda/link-wallet`),
             environment: {
                 ...lambdaCommonEnv,
-                SIGN_PREFIX: signPrefix,
+                LINK_PREFIX: linkPrefix,
+                ...contractWalletEnv,
             },
         });
-        userTable.grantReadData(testWriteFnc);
+        // Write access is required to consume the signature nonce
+        userTable.grantReadWriteData(linkWalletFnc);
+        walletTable.grantReadWriteData(linkWalletFnc);
 
-        const testWriteFncInteg = new LambdaIntegration(testWriteFnc, {
+        const linkWalletFncInteg = new LambdaIntegration(linkWalletFnc, {
             proxy: false,
             requestTemplates: {
                 'application/json': `{
                     "params": {
+                        "walletId": "$input.params('walletid')",
                         "body": $input.body
                     },
                     "context": {
@@ -709,180 +1007,863 @@ export class MetamaskAppStack extends Stack {
                     }
                 }`,
             },
+            requestParameters: {
+                'integration.request.path.walletid': 'method.request.path.walletid',
+            },
             integrationResponses,
             passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
         });
 
-        const testWrite = testRoot.addResource('write');
-        testWrite.addMethod('OPTIONS', optionsIntegration, {
+        const linkWalletRoot = authRoot.addResource('link-wallet');
+        const linkWalletParam = linkWalletRoot.addResource('{walletid}');
+        linkWalletParam.addMethod('OPTIONS', optionsIntegration, {
             methodResponses: optionsMethodResponses,
         });
-        testWrite.addMethod('POST', testWriteFncInteg, {
+        linkWalletParam.addMethod('POST', linkWalletFncInteg, {
+            requestParameters: {
+                'method.request.path.walletid': true,
+            },
             methodResponses: apiMethodResponses,
             authorizer,
         });
 
-        // Login/Refresh Methods ===========================================
-
-        // Integration Response to get and set cookie from Lambda response body, and drop it from the response
-        const loginIntegrationResponses = [
-            {
-                statusCode: '200',
-                responseTemplates: {
-                    'application/json': `
-                    #set($domains = ${corsString})
-                    #set($origin = $input.params("origin"))
-                    #if($domains.contains($origin))
-                    #set($context.responseOverride.header.Access-Control-Allow-Origin="$origin")
-                    #end
-                    {
-                        "success": $input.json('$.success'),
-                        "userId": $input.json('$.userId'),
-                        "authToken": $input.json('$.authToken'),
-                        "requestId": $input.json('$.requestId')
-                    }`,
-                },
-                responseParameters: {
-                    ...integrationResponsParameters,
-                    // Add parameter to set cookie
-                    'method.response.header.Set-Cookie': 'integration.response.body.cookie',
-                },
-            },
-            ...errorResponses,
-        ];
-
-        // Method Response to set cookie on success
-        const loginApiMethodResponses = [
-            {
-                statusCode: '200',
-                responseModels: {
-                    'application/json': jsonResponseModel,
-                },
-                responseParameters: {
-                    ...methodPesponseParameters,
-                    // Add parameter to set cookie
-                    'method.response.header.Set-Cookie': true,
-                },
-            },
-            {
-                statusCode: '400',
-                responseModels: {
-                    'application/json': jsonResponseModel,
-                },
-                responseParameters: methodPesponseParameters,
-            },
-            {
-                statusCode: '401',
-                responseModels: {
-                    'application/json': jsonResponseModel,
-                },
-                responseParameters: methodPesponseParameters,
-            },
-            {
-                statusCode: '403',
-                responseModels: {
-                    'application/json': jsonResponseModel,
-                },
-                responseParameters: methodPesponseParameters,
-            },
-            {
-                statusCode: '500',
-                responseModels: {
-                    'application/json': jsonResponseModel,
-                },
-                responseParameters: methodPesponseParameters,
-            },
-        ];
-
-        // Login user -----------------------------------------------
-        const loginFnc = new Function(this, 'loginFnc', {
+        // Unlink wallet ------------------------------------------
+        const unlinkWalletFnc = new Function(this, 'unlinkWalletFnc', {
             ...lambdaDefaultProps,
-            description: 'Login User API function',
-            code: Code.fromAsset(`${__dirname}/lambda/login`),
+            description: 'Unlink User Wallet API function',
+            code: Code.fromAsset(`${__dirname}/lambda/unlink-wallet`),
             environment: {
-                KEY_ID: authKey.keyId,
-                REFRESH_TOKEN_TIME: String(refreshTokenTime),
-                AUTH_TOKEN_TIME: String(authTokenTime),
-                LOGIN_PREFIX: loginPrefix,
                 ...lambdaCommonEnv,
+                SIGN_PREFIX: signPrefix,
+                ...contractWalletEnv,
             },
         });
-        userTable.grantReadWriteData(loginFnc);
-        authKey.grant(loginFnc, 'kms:Sign', 'kms:GetPublicKey');
+        userTable.grantReadWriteData(unlinkWalletFnc);
+        walletTable.grantReadWriteData(unlinkWalletFnc);
 
-        const loginFncInteg = new LambdaIntegration(loginFnc, {
+        const unlinkWalletFncInteg = new LambdaIntegration(unlinkWalletFnc, {
             proxy: false,
             requestTemplates: {
                 'application/json': `{
                     "params": {
                         "walletId": "$input.params('walletid')",
-                        "signature": $input.json('$.signature') 
+                        "body": $input.body
                     },
                     "context": {
                         "requestId": "$context.requestId",
                         "sourceIp": "$context.identity.sourceIp",
-                        "resourcePath" : "$context.resourcePath"
+                        "resourcePath" : "$context.resourcePath",
+                        "userId": "$context.authorizer.principalId",
+                        "isAdmin": "$context.authorizer.isAdmin"
                     }
                 }`,
             },
             requestParameters: {
                 'integration.request.path.walletid': 'method.request.path.walletid',
             },
-            integrationResponses: loginIntegrationResponses,
+            integrationResponses,
             passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
         });
 
-        const loginRoot = authRoot.addResource('login');
-        const loginParam = loginRoot.addResource('{walletid}');
-        loginParam.addMethod('OPTIONS', optionsIntegration, {
+        const unlinkWalletRoot = authRoot.addResource('unlink-wallet');
+        const unlinkWalletParam = unlinkWalletRoot.addResource('{walletid}');
+        unlinkWalletParam.addMethod('OPTIONS', optionsIntegration, {
             methodResponses: optionsMethodResponses,
         });
-        loginParam.addMethod('POST', loginFncInteg, {
+        unlinkWalletParam.addMethod('POST', unlinkWalletFncInteg, {
             requestParameters: {
                 'method.request.path.walletid': true,
             },
-            methodResponses: loginApiMethodResponses,
+            methodResponses: apiMethodResponses,
+            authorizer,
         });
 
-        // Refresh token ----------------------------------------------------
-        const refreshTokenFnc = new Function(this, 'refreshTokenFnc', {
+        // Get profile ------------------------------------------
+        const getProfileFnc = new Function(this, 'getProfileFnc', {
             ...lambdaDefaultProps,
-            description: 'Refresh Token API function',
-            code: Code.fromAsset(`${__dirname}/lambda/refresh-token`),
+            description: 'Get User Profile API function',
+            code: Code.fromAsset(`${__dirname}/lambda/get-profile`),
             environment: {
-                KEY_ID: authKey.keyId,
-                REFRESH_TOKEN_TIME: String(refreshTokenTime),
-                AUTH_TOKEN_TIME: String(authTokenTime),
                 ...lambdaCommonEnv,
             },
         });
-        authKey.grant(refreshTokenFnc, 'kms:Sign', 'kms:GetPublicKey');
+        userTable.grantReadData(getProfileFnc);
 
-        const refreshTokenFncInteg = new LambdaIntegration(refreshTokenFnc, {
+        const getProfileFncInteg = new LambdaIntegration(getProfileFnc, {
             proxy: false,
             requestTemplates: {
                 'application/json': `{
-                    "params": {
-                        "cookie": "$input.params().header.get('Cookie')"
-                    },
                     "context": {
                         "requestId": "$context.requestId",
                         "sourceIp": "$context.identity.sourceIp",
-                        "resourcePath" : "$context.resourcePath"
+                        "resourcePath" : "$context.resourcePath",
+                        "userId": "$context.authorizer.principalId",
+                        "isAdmin": "$context.authorizer.isAdmin"
                     }
                 }`,
             },
-            requestParameters: {
-                'integration.request.header.Cookie': 'method.request.header.Cookie',
-            },
-            integrationResponses: loginIntegrationResponses,
+            integrationResponses,
             passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
         });
-        const refreshTokenRoot = authRoot.addResource('refresh-token');
-        refreshTokenRoot.addMethod('OPTIONS', optionsIntegration, {
+
+        const getProfileRoot = authRoot.addResource('get-profile');
+        getProfileRoot.addMethod('OPTIONS', optionsIntegration, {
             methodResponses: optionsMethodResponses,
         });
-        refreshTokenRoot.addMethod('GET', refreshTokenFncInteg, {
+        getProfileRoot.addMethod('GET', getProfileFncInteg, {
+            methodResponses: apiMethodResponses,
+            authorizer,
+        });
+
+        // Update profile ------------------------------------------
+        const updateProfileFnc = new Function(this, 'updateProfileFnc', {
+            ...lambdaDefaultProps,
+            description: 'Update User Profile API function',
+            code: Code.fromAsset(`${__dirname}/lambda/update-profile`),
+            environment: {
+                ...lambdaCommonEnv,
+            },
+        });
+        userTable.grantReadWriteData(updateProfileFnc);
+
+        const updateProfileFncInteg = new LambdaIntegration(updateProfileFnc, {
+            proxy: false,
+            requestTemplates: {
+                'application/json': `{
+                    "params": {
+                        "body": $input.body
+                    },
+                    "context": {
+                        "requestId": "$context.requestId",
+                        "sourceIp": "$context.identity.sourceIp",
+                        "resourcePath" : "$context.resourcePath",
+                        "userId": "$context.authorizer.principalId",
+                        "isAdmin": "$context.authorizer.isAdmin"
+                    }
+                }`,
+            },
+            integrationResponses,
+            passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
+        });
+
+        const updateProfileRoot = authRoot.addResource('update-profile');
+        updateProfileRoot.addMethod('OPTIONS', optionsIntegration, {
+            methodResponses: optionsMethodResponses,
+        });
+        updateProfileRoot.addMethod('POST', updateProfileFncInteg, {
+            methodResponses: apiMethodResponses,
+            authorizer,
+        });
+
+        // Delete user ------------------------------------------
+        const deleteUserFnc = new Function(this, 'deleteUserFnc', {
+            ...lambdaDefaultProps,
+            description: 'Delete User API function',
+            code: Code.fromAsset(`${__dirname}/lambda/delete-user`),
+            environment: {
+                ...signingKeyEnv,
+                ...lambdaCommonEnv,
+                ...typedActionEnv,
+                ...contractWalletEnv,
+                // Related data erased with the user, merged with the defaults in the utils module
+                DELETION_POLICY: JSON.stringify(authOptions.deletionPolicy || {}),
+            },
+        });
+        userTable.grantReadWriteData(deleteUserFnc);
+        walletTable.grantReadWriteData(deleteUserFnc);
+        sessionTable.grantReadWriteData(deleteUserFnc);
+        auditTable.grantReadWriteData(deleteUserFnc);
+        throttleTable.grantReadWriteData(deleteUserFnc);
+        // The receipt is signed with the active key
+        authKey.grant(deleteUserFnc, 'kms:Sign', 'kms:GetPublicKey');
+
+        const deleteUserFncInteg = new LambdaIntegration(deleteUserFnc, {
+            proxy: false,
+            requestTemplates: {
+                'application/json': `{
+                    "params": {
+                        "body": $input.body
+                    },
+                    "context": {
+                        "requestId": "$context.requestId",
+                        "sourceIp": "$context.identity.sourceIp",
+                        "resourcePath" : "$context.resourcePath",
+                        "userId": "$context.authorizer.principalId",
+                        "isAdmin": "$context.authorizer.isAdmin",
+                        "chainId": "$context.authorizer.chainId"
+                    }
+                }`,
+            },
+            integrationResponses,
+            passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
+        });
+
+        const deleteUser = authRoot.addResource('delete-user');
+        deleteUser.addMethod('OPTIONS', optionsIntegration, {
+            methodResponses: optionsMethodResponses,
+        });
+        deleteUser.addMethod('POST', deleteUserFncInteg, {
+            methodResponses: apiMethodResponses,
+            authorizer,
+        });
+
+        // API Admin Methods ===============================================
+        /**
+         * Admin methods are behind the authorizer, and each function also checks the admin claim
+         * and the admin role on the user record.
+         */
+
+        const adminRoot = api.root.addResource('admin');
+        const adminUsersRoot = adminRoot.addResource('users');
+        const adminUserParam = adminUsersRoot.addResource('{userid}');
+
+        // List and search users ------------------------------------------
+        const adminListUsersFnc = new Function(this, 'adminListUsersFnc', {
+            ...lambdaDefaultProps,
+            description: 'Admin List Users API function',
+            code: Code.fromAsset(`${__dirname}/lambda/admin-list-users`),
+            environment: {
+                ...lambdaCommonEnv,
+                ...adminEnv,
+            },
+        });
+        userTable.grantReadData(adminListUsersFnc);
+        walletTable.grantReadData(adminListUsersFnc);
+
+        const adminListUsersFncInteg = new LambdaIntegration(adminListUsersFnc, {
+            proxy: false,
+            requestTemplates: {
+                'application/json': `{
+                    "params": {
+                        "query": "$util.escapeJavaScript($input.params('query'))",
+                        "limit": "$util.escapeJavaScript($input.params('limit'))",
+                        "next": "$util.escapeJavaScript($input.params('next'))"
+                    },
+                    "context": {
+                        "requestId": "$context.requestId",
+                        "sourceIp": "$context.identity.sourceIp",
+                        "resourcePath" : "$context.resourcePath",
+                        "userId": "$context.authorizer.principalId",
+                        "isAdmin": "$context.authorizer.isAdmin"
+                    }
+                }`,
+            },
+            requestParameters: {
+                'integration.request.querystring.query': 'method.request.querystring.query',
+                'integration.request.querystring.limit': 'method.request.querystring.limit',
+                'integration.request.querystring.next': 'method.request.querystring.next',
+            },
+            integrationResponses,
+            passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
+        });
+
+        adminUsersRoot.addMethod('OPTIONS', optionsIntegration, {
+            methodResponses: optionsMethodResponses,
+        });
+        adminUsersRoot.addMethod('GET', adminListUsersFncInteg, {
+            requestParameters: {
+                'method.request.querystring.query': false,
+                'method.request.querystring.limit': false,
+                'method.request.querystring.next': false,
+            },
+            methodResponses: apiMethodResponses,
+            authorizer,
+        });
+
+        // Get user ------------------------------------------
+        const adminGetUserFnc = new Function(this, 'adminGetUserFnc', {
+            ...lambdaDefaultProps,
+            description: 'Admin Get User API function',
+            code: Code.fromAsset(`${__dirname}/lambda/admin-get-user`),
+            environment: {
+                ...lambdaCommonEnv,
+                ...adminEnv,
+            },
+        });
+        userTable.grantReadData(adminGetUserFnc);
+        walletTable.grantReadData(adminGetUserFnc);
+
+        const adminGetUserFncInteg = new LambdaIntegration(adminGetUserFnc, {
+            proxy: false,
+            requestTemplates: {
+                'application/json': `{
+                    "params": {
+                        "userId": "$input.params('userid')"
+                    },
+                    "context": {
+                        "requestId": "$context.requestId",
+                        "sourceIp": "$context.identity.sourceIp",
+                        "resourcePath" : "$context.resourcePath",
+                        "userId": "$context.authorizer.principalId",
+                        "isAdmin": "$context.authorizer.isAdmin"
+                    }
+                }`,
+            },
+            requestParameters: {
+                'integration.request.path.userid': 'method.request.path.userid',
+            },
+            integrationResponses,
+            passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
+        });
+
+        adminUserParam.addMethod('OPTIONS', optionsIntegration, {
+            methodResponses: optionsMethodResponses,
+        });
+        adminUserParam.addMethod('GET', adminGetUserFncInteg, {
+            requestParameters: {
+                'method.request.path.userid': true,
+            },
+            methodResponses: apiMethodResponses,
+            authorizer,
+        });
+
+        // Set user role ------------------------------------------
+        const adminSetRoleFnc = new Function(this, 'adminSetRoleFnc', {
+            ...lambdaDefaultProps,
+            description: 'Admin Set User Role API function',
+            code: Code.fromAsset(`${__dirname}/lambda/admin-set-role`),
+            environment: {
+                ...lambdaCommonEnv,
+                ...adminEnv,
+            },
+        });
+        userTable.grantReadWriteData(adminSetRoleFnc);
+
+        const adminSetRoleFncInteg = new LambdaIntegration(adminSetRoleFnc, {
+            proxy: false,
+            requestTemplates: {
+                'application/json': `{
+                    "params": {
+                        "userId": "$input.params('userid')",
+                        "body": $input.body
+                    },
+                    "context": {
+                        "requestId": "$context.requestId",
+                        "sourceIp": "$context.identity.sourceIp",
+                        "resourcePath" : "$context.resourcePath",
+                        "userId": "$context.authorizer.principalId",
+                        "isAdmin": "$context.authorizer.isAdmin"
+                    }
+                }`,
+            },
+            requestParameters: {
+                'integration.request.path.userid': 'method.request.path.userid',
+            },
+            integrationResponses,
+            passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
+        });
+
+        const adminSetRole = adminUserParam.addResource('role');
+        adminSetRole.addMethod('OPTIONS', optionsIntegration, {
+            methodResponses: optionsMethodResponses,
+        });
+        adminSetRole.addMethod('POST', adminSetRoleFncInteg, {
+            requestParameters: {
+                'method.request.path.userid': true,
+            },
+            methodResponses: apiMethodResponses,
+            authorizer,
+        });
+
+        // Disable user ------------------------------------------
+        const adminDisableUserFnc = new Function(this, 'adminDisableUserFnc', {
+            ...lambdaDefaultProps,
+            description: 'Admin Disable User API function',
+            code: Code.fromAsset(`${__dirname}/lambda/admin-disable-user`),
+            environment: {
+                ...lambdaCommonEnv,
+                ...adminEnv,
+            },
+        });
+        userTable.grantReadWriteData(adminDisableUserFnc);
+        // Write access is required to revoke the user sessions
+        sessionTable.grantReadWriteData(adminDisableUserFnc);
+
+        const adminDisableUserFncInteg = new LambdaIntegration(adminDisableUserFnc, {
+            proxy: false,
+            requestTemplates: {
+                'application/json': `{
+                    "params": {
+                        "userId": "$input.params('userid')",
+                        "body": $input.body
+                    },
+                    "context": {
+                        "requestId": "$context.requestId",
+                        "sourceIp": "$context.identity.sourceIp",
+                        "resourcePath" : "$context.resourcePath",
+                        "userId": "$context.authorizer.principalId",
+                        "isAdmin": "$context.authorizer.isAdmin"
+                    }
+                }`,
+            },
+            requestParameters: {
+                'integration.request.path.userid': 'method.request.path.userid',
+            },
+            integrationResponses,
+            passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
+        });
+
+        const adminDisableUser = adminUserParam.addResource('disable');
+        adminDisableUser.addMethod('OPTIONS', optionsIntegration, {
+            methodResponses: optionsMethodResponses,
+        });
+        adminDisableUser.addMethod('POST', adminDisableUserFncInteg, {
+            requestParameters: {
+                'method.request.path.userid': true,
+            },
+            methodResponses: apiMethodResponses,
+            authorizer,
+        });
+
+        // Query the audit trail ------------------------------------------
+        const adminAuditEventsFnc = new Function(this, 'adminAuditEventsFnc', {
+            ...lambdaDefaultProps,
+            description: 'Admin Audit Events API function',
+            code: Code.fromAsset(`${__dirname}/lambda/admin-audit-events`),
+            environment: {
+                ...lambdaCommonEnv,
+                ...adminEnv,
+            },
+        });
+        userTable.grantReadData(adminAuditEventsFnc);
+        auditTable.grantReadData(adminAuditEventsFnc);
+
+        const adminAuditEventsFncInteg = new LambdaIntegration(adminAuditEventsFnc, {
+            proxy: false,
+            requestTemplates: {
+                'application/json': `{
+                    "params": {
+                        "userId": "$util.escapeJavaScript($input.params('userId'))",
+                        "walletId": "$util.escapeJavaScript($input.params('walletId'))",
+                        "type": "$util.escapeJavaScript($input.params('type'))",
+                        "from": "$util.escapeJavaScript($input.params('from'))",
+                        "to": "$util.escapeJavaScript($input.params('to'))",
+                        "limit": "$util.escapeJavaScript($input.params('limit'))",
+                        "next": "$util.escapeJavaScript($input.params('next'))",
+                        "verify": "$util.escapeJavaScript($input.params('verify'))"
+                    },
+                    "context": {
+                        "requestId": "$context.requestId",
+                        "sourceIp": "$context.identity.sourceIp",
+                        "resourcePath" : "$context.resourcePath",
+                        "userId": "$context.authorizer.principalId",
+                        "isAdmin": "$context.authorizer.isAdmin"
+                    }
+                }`,
+            },
+            requestParameters: {
+                'integration.request.querystring.userId': 'method.request.querystring.userId',
+                'integration.request.querystring.walletId': 'method.request.querystring.walletId',
+                'integration.request.querystring.type': 'method.request.querystring.type',
+                'integration.request.querystring.from': 'method.request.querystring.from',
+                'integration.request.querystring.to': 'method.request.querystring.to',
+                'integration.request.querystring.limit': 'method.request.querystring.limit',
+                'integration.request.querystring.next': 'method.request.querystring.next',
+                'integration.request.querystring.verify': 'method.request.querystring.verify',
+            },
+            integrationResponses,
+            passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
+        });
+
+        const adminAudit = adminRoot.addResource('audit');
+        adminAudit.addMethod('OPTIONS', optionsIntegration, {
+            methodResponses: optionsMethodResponses,
+        });
+        adminAudit.addMethod('GET', adminAuditEventsFncInteg, {
+            requestParameters: {
+                'method.request.querystring.userId': false,
+                'method.request.querystring.walletId': false,
+                'method.request.querystring.type': false,
+                'method.request.querystring.from': false,
+                'method.request.querystring.to': false,
+                'method.request.querystring.limit': false,
+                'method.request.querystring.next': false,
+                'method.request.querystring.verify': false,
+            },
+            methodResponses: apiMethodResponses,
+            authorizer,
+        });
+
+        // Test API Methods ==============================================
+
+        // Read API ----------------------------------------------------
+        const testReadFnc = new Function(this, 'testReadFnc', {
+            ...lambdaDefaultProps,
+            description: 'API Test Function',
+            code: Code.fromAsset(`${__dirname}/lambda/test-api-read`),
+            environment: {
+                ...lambdaCommonEnv,
+            },
+        });
+
+        const testReadFncInteg = new LambdaIntegration(testReadFnc, {
+            proxy: false,
+            requestTemplates: {
+                'application/json': `{
+                    "context": {
+                        "requestId": "$context.requestId",
+                        "sourceIp": "$context.identity.sourceIp",
+                        "resourcePath" : "$context.resourcePath",
+                        "userId": "$context.authorizer.principalId",
+                        "isAdmin": "$context.authorizer.isAdmin"
+                    }
+                }`,
+            },
+            integrationResponses,
+            passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
+        });
+
+        const testRoot = api.root.addResource('test');
+        const testRead = testRoot.addResource('read');
+        testRead.addMethod('OPTIONS', optionsIntegration, {
+            methodResponses: optionsMethodResponses,
+        });
+        testRead.addMethod('GET', testReadFncInteg, {
+            methodResponses: apiMethodResponses,
+            authorizer,
+        });
+
+        // Write API ---------------------------------------------------
+        const testWriteFnc = new Function(this, 'testWriteFnc', {
+            ...lambdaDefaultProps,
+            description: 'API Test Function',
+            code: Code.fromAsset(`${__dirname}/lambda/test-api-write`),
+            environment: {
+                ...lambdaCommonEnv,
+                ...typedActionEnv,
+                ...contractWalletEnv,
+            },
+        });
+        // Write access is required to consume the signature nonce
+        userTable.grantReadWriteData(testWriteFnc);
+        walletTable.grantReadData(testWriteFnc);
+        auditTable.grantReadWriteData(testWriteFnc);
+
+        const testWriteFncInteg = new LambdaIntegration(testWriteFnc, {
+            proxy: false,
+            requestTemplates: {
+                'application/json': `{
+                    "params": {
+                        "body": $input.body
+                    },
+                    "context": {
+                        "requestId": "$context.requestId",
+                        "sourceIp": "$context.identity.sourceIp",
+                        "resourcePath" : "$context.resourcePath",
+                        "userId": "$context.authorizer.principalId",
+                        "isAdmin": "$context.authorizer.isAdmin",
+                        "chainId": "$context.authorizer.chainId"
+                    }
+                }`,
+            },
+            integrationResponses,
+            passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
+        });
+
+        const testWrite = testRoot.addResource('write');
+        testWrite.addMethod('OPTIONS', optionsIntegration, {
+            methodResponses: optionsMethodResponses,
+        });
+        testWrite.addMethod('POST', testWriteFncInteg, {
+            methodResponses: apiMethodResponses,
+            authorizer,
+        });
+
+        // Well Known Methods ==============================================
+        /**
+         * Publish the token verification key as a JWKS and an OpenID style discovery document,
+         * so other services can verify our tokens without IAM access to the KMS key.
+         * These are public and unauthenticated, and can be cached by clients for an hour.
+         */
+
+        // Integration Response adding a Cache-Control header
+        const wellKnownIntegrationResponses = [
+            {
+                statusCode: '200',
+                responseTemplates: {
+                    'application/json': '$input.body',
+                },
+                responseParameters: {
+                    ...integrationResponsParameters,
+                    'method.response.header.Access-Control-Allow-Origin': "'*'",
+                    'method.response.header.Cache-Control': "'public, max-age=3600'",
+                },
+            },
+            ...errorResponses,
+        ];
+
+        // Method Response with the Cache-Control header
+        const wellKnownMethodResponses = [
+            {
+                statusCode: '200',
+                responseModels: {
+                    'application/json': jsonResponseModel,
+                },
+                responseParameters: {
+                    ...methodPesponseParameters,
+                    'method.response.header.Cache-Control': true,
+                },
+            },
+            ...apiMethodResponses.slice(1),
+        ];
+
+        const wellKnownRoot = api.root.addResource('.well-known');
+
+        // JWKS ---------------------------------------------------
+        const jwksFnc = new Function(this, 'jwksFnc', {
+            ...lambdaDefaultProps,
+            description: 'JWKS API function',
+            code: Code.fromAsset(`${__dirname}/lambda/jwks`),
+            environment: {
+                ...signingKeyEnv,
+                ...lambdaCommonEnv,
+            },
+        });
+        signingKeys.forEach((key) => key.grant(jwksFnc, 'kms:GetPublicKey'));
+
+        const jwksFncInteg = new LambdaIntegration(jwksFnc, {
+            proxy: false,
+            requestTemplates: {
+                'application/json': `{
+                    "context": {
+                        "requestId": "$context.requestId",
+                        "sourceIp": "$context.identity.sourceIp",
+                        "resourcePath" : "$context.resourcePath"
+                    }
+                }`,
+            },
+            integrationResponses: wellKnownIntegrationResponses,
+            passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
+        });
+
+        const jwksRoot = wellKnownRoot.addResource('jwks.json');
+        jwksRoot.addMethod('GET', jwksFncInteg, {
+            methodResponses: wellKnownMethodResponses,
+        });
+
+        // OpenID style discovery document ------------------------
+        const openIdConfigFnc = new Function(this, 'openIdConfigFnc', {
+            ...lambdaDefaultProps,
+            description: 'OpenID Configuration API function',
+            code: Code.fromAsset(`${__dirname}/lambda/openid-configuration`),
+            environment: {
+                ...signingKeyEnv,
+                ...lambdaCommonEnv,
+                JWKS_URI: `https://${apiHostname}.${zoneName}/.well-known/jwks.json`,
+            },
+        });
+
+        const openIdConfigFncInteg = new LambdaIntegration(openIdConfigFnc, {
+            proxy: false,
+            requestTemplates: {
+                'application/json': `{
+                    "context": {
+                        "requestId": "$context.requestId",
+                        "sourceIp": "$context.identity.sourceIp",
+                        "resourcePath" : "$context.resourcePath"
+                    }
+                }`,
+            },
+            integrationResponses: wellKnownIntegrationResponses,
+            passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
+        });
+
+        const openIdConfigRoot = wellKnownRoot.addResource('openid-configuration');
+        openIdConfigRoot.addMethod('GET', openIdConfigFncInteg, {
+            methodResponses: wellKnownMethodResponses,
+        });
+
+        // Login/Refresh Methods ===========================================
+
+        // Integration Response to get and set cookie from Lambda response body, and drop it from the response
+        const loginIntegrationResponses = [
+            {
+                statusCode: '200',
+                responseTemplates: {
+                    'application/json': `
+                    #set($domains = ${corsString})
+                    #set($origin = $input.params("origin"))
+                    #if($domains.contains($origin))
+                    #set($context.responseOverride.header.Access-Control-Allow-Origin="$origin")
+                    #end
+                    {
+                        "success": $input.json('$.success'),
+                        "userId": $input.json('$.userId'),
+                        "chainId": $input.json('$.chainId'),
+                        "authToken": $input.json('$.authToken'),
+                        "requestId": $input.json('$.requestId')
+                    }`,
+                },
+                responseParameters: {
+                    ...integrationResponsParameters,
+                    // Add parameter to set cookie
+                    'method.response.header.Set-Cookie': 'integration.response.body.cookie',
+                },
+            },
+            ...errorResponses,
+        ];
+
+        // Method Response to set cookie on success
+        const loginApiMethodResponses = [
+            {
+                statusCode: '200',
+                responseModels: {
+                    'application/json': jsonResponseModel,
+                },
+                responseParameters: {
+                    ...methodPesponseParameters,
+                    // Add parameter to set cookie
+                    'method.response.header.Set-Cookie': true,
+                },
+            },
+            {
+                statusCode: '400',
+                responseModels: {
+                    'application/json': jsonResponseModel,
+                },
+                responseParameters: methodPesponseParameters,
+            },
+            {
+                statusCode: '401',
+                responseModels: {
+                    'application/json': jsonResponseModel,
+                },
+                responseParameters: methodPesponseParameters,
+            },
+            {
+                statusCode: '403',
+                responseModels: {
+                    'application/json': jsonResponseModel,
+                },
+                responseParameters: methodPesponseParameters,
+            },
+            {
+                statusCode: '429',
+                responseModels: {
+                    'application/json': jsonResponseModel,
+                },
+                responseParameters: {
+                    ...methodPesponseParameters,
+                    'method.response.header.Retry-After': true,
+                },
+            },
+            {
+                statusCode: '500',
+                responseModels: {
+                    'application/json': jsonResponseModel,
+                },
+                responseParameters: methodPesponseParameters,
+            },
+        ];
+
+        // Login user -----------------------------------------------
+        const loginFnc = new Function(this, 'loginFnc', {
+            ...lambdaDefaultProps,
+            description: 'Login User API function',
+            code: Code.fromAsset(`${__dirname}/lambda/login`),
+            environment: {
+                ...signingKeyEnv,
+                REFRESH_TOKEN_TIME: String(refreshTokenTime),
+                AUTH_TOKEN_TIME: String(authTokenTime),
+                ...siweEnv,
+                ...tokenGateEnv,
+                ...ensEnv,
+                ...adminEnv,
+                ...lambdaCommonEnv,
+            },
+        });
+        userTable.grantReadWriteData(loginFnc);
+        walletTable.grantReadData(loginFnc);
+        challengeTable.grantReadWriteData(loginFnc);
+        sessionTable.grantReadWriteData(loginFnc);
+        auditTable.grantReadWriteData(loginFnc);
+        throttleTable.grantReadWriteData(loginFnc);
+        authKey.grant(loginFnc, 'kms:Sign', 'kms:GetPublicKey');
+        verifyKeys.forEach((key) => key.grant(loginFnc, 'kms:GetPublicKey'));
+
+        const loginFncInteg = new LambdaIntegration(loginFnc, {
+            proxy: false,
+            requestTemplates: {
+                'application/json': `{
+                    "params": {
+                        "walletId": "$input.params('walletid')",
+                        "message": $input.json('$.message'),
+                        "signature": $input.json('$.signature')
+                    },
+                    "context": {
+                        "requestId": "$context.requestId",
+                        "sourceIp": "$context.identity.sourceIp",
+                        "resourcePath" : "$context.resourcePath"
+                    }
+                }`,
+            },
+            requestParameters: {
+                'integration.request.path.walletid': 'method.request.path.walletid',
+            },
+            integrationResponses: loginIntegrationResponses,
+            passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
+        });
+
+        const loginRoot = authRoot.addResource('login');
+        const loginParam = loginRoot.addResource('{walletid}');
+        loginParam.addMethod('OPTIONS', optionsIntegration, {
+            methodResponses: optionsMethodResponses,
+        });
+        loginParam.addMethod('POST', loginFncInteg, {
+            requestParameters: {
+                'method.request.path.walletid': true,
+            },
+            methodResponses: loginApiMethodResponses,
+        });
+
+        // Refresh token ----------------------------------------------------
+        const refreshTokenFnc = new Function(this, 'refreshTokenFnc', {
+            ...lambdaDefaultProps,
+            description: 'Refresh Token API function',
+            code: Code.fromAsset(`${__dirname}/lambda/refresh-token`),
+            environment: {
+                ...signingKeyEnv,
+                REFRESH_TOKEN_TIME: String(refreshTokenTime),
+                AUTH_TOKEN_TIME: String(authTokenTime),
+                ...tokenGateEnv,
+                ...ensEnv,
+                ...adminEnv,
+                ...lambdaCommonEnv,
+            },
+        });
+        // Read access is required to get the current role and disabled status, and the wallets for token gates
+        userTable.grantReadData(refreshTokenFnc);
+        walletTable.grantReadData(refreshTokenFnc);
+        sessionTable.grantReadWriteData(refreshTokenFnc);
+        auditTable.grantReadWriteData(refreshTokenFnc);
+        authKey.grant(refreshTokenFnc, 'kms:Sign', 'kms:GetPublicKey');
+        verifyKeys.forEach((key) => key.grant(refreshTokenFnc, 'kms:GetPublicKey'));
+
+        const refreshTokenFncInteg = new LambdaIntegration(refreshTokenFnc, {
+            proxy: false,
+            requestTemplates: {
+                'application/json': `{
+                    "params": {
+                        "cookie": "$input.params().header.get('Cookie')"
+                    },
+                    "context": {
+                        "requestId": "$context.requestId",
+                        "sourceIp": "$context.identity.sourceIp",
+                        "resourcePath" : "$context.resourcePath"
+                    }
+                }`,
+            },
+            requestParameters: {
+                'integration.request.header.Cookie': 'method.request.header.Cookie',
+            },
+            integrationResponses: loginIntegrationResponses,
+            passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
+        });
+        const refreshTokenRoot = authRoot.addResource('refresh-token');
+        refreshTokenRoot.addMethod('OPTIONS', optionsIntegration, {
+            methodResponses: optionsMethodResponses,
+        });
+        refreshTokenRoot.addMethod('GET', refreshTokenFncInteg, {
             requestParameters: {
                 'method.request.header.Cookie': true,
             },
@@ -895,18 +1876,22 @@ export class MetamaskAppStack extends Stack {
             description: 'Logout User API function',
             code: Code.fromAsset(`${__dirname}/lambda/logout`),
             environment: {
-                KEY_ID: authKey.keyId,
+                ...signingKeyEnv,
                 ...lambdaCommonEnv,
             },
         });
+        sessionTable.grantReadWriteData(logoutFnc);
+        auditTable.grantReadWriteData(logoutFnc);
         authKey.grant(logoutFnc, 'kms:Sign', 'kms:GetPublicKey');
+        verifyKeys.forEach((key) => key.grant(logoutFnc, 'kms:GetPublicKey'));
 
         const logoutFncInteg = new LambdaIntegration(logoutFnc, {
             proxy: false,
             requestTemplates: {
                 'application/json': `{
                     "params": {
-                        "cookie": "$input.params().header.get('Cookie')"
+                        "cookie": "$input.params().header.get('Cookie')",
+                        "all": "$input.params('all')"
                     },
                     "context": {
                         "requestId": "$context.requestId",
@@ -917,6 +1902,7 @@ export class MetamaskAppStack extends Stack {
             },
             requestParameters: {
                 'integration.request.header.Cookie': 'method.request.header.Cookie',
+                'integration.request.querystring.all': 'method.request.querystring.all',
             },
             integrationResponses: loginIntegrationResponses,
             passthroughBehavior: PassthroughBehavior.WHEN_NO_TEMPLATES,
@@ -928,6 +1914,7 @@ export class MetamaskAppStack extends Stack {
         logoutRoot.addMethod('GET', logoutFncInteg, {
             requestParameters: {
                 'method.request.header.Cookie': true,
+                'method.request.querystring.all': false,
             },
             methodResponses: loginApiMethodResponses,
         });
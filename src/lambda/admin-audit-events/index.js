@@ -0,0 +1,56 @@
+const { assertAdmin } = require('metamask-auth-utils').adminUtils;
+const { queryAuditEvents } = require('metamask-auth-utils').auditLog;
+const { ApiError } = require('metamask-auth-utils').errors;
+const { logger } = require('metamask-auth-utils');
+
+/**
+ * Query the authentication audit trail, newest first, a page at a time. Admin only.
+ * @param {object} params
+ * @param {string} [params.userId]
+ * @param {string} [params.walletId]
+ * @param {string} [params.type] - event type, eg. 'login'
+ * @param {string} [params.from] - ISO 8601 start time
+ * @param {string} [params.to] - ISO 8601 end time
+ * @param {string} [params.limit] - page size
+ * @param {string} [params.next] - nextToken from the previous page
+ * @param {string} [params.verify = 'false'] - check each event against the hash chain
+ * @param {object} context
+ * @param {string} [context.requestId]
+ * @param {string} context.userId - authenticated principal from the authorizer
+ * @param {string} context.isAdmin - admin claim from the authorizer
+ *
+ */
+exports.handler = async (event) => {
+    logger.startRequest(event);
+    const { params = {}, context = {} } = event;
+    const { requestId = '', userId = '', isAdmin = '' } = context;
+
+    try {
+        await assertAdmin({ userId, isAdmin });
+
+        const {
+            userId: filterUserId = '', walletId = '', type = '', from = '', to = '', limit = '', next = '', verify = '',
+        } = params;
+        const { events, nextToken } = await queryAuditEvents({
+            userId: filterUserId,
+            walletId,
+            type,
+            from,
+            to,
+            limit,
+            nextToken: next,
+            verify: (verify === 'true'),
+        });
+
+        return {
+            success: true,
+            events,
+            nextToken,
+            requestId,
+        };
+    } catch (err) {
+        const { message = 'Internal handler Error', statusCode = 500 } = err;
+        logger.error('Error caught', err);
+        throw new ApiError(message, statusCode, requestId);
+    }
+};
@@ -0,0 +1,41 @@
+const { assertAdmin, setUserDisabled } = require('metamask-auth-utils').adminUtils;
+const { ValidationError, ApiError } = require('metamask-auth-utils').errors;
+const { logger } = require('metamask-auth-utils');
+
+/**
+ * Disable or enable a user account. Admin only.
+ * Disabling revokes every session for the user. Their current auth token remains valid until it expires.
+ * @param {object} params
+ * @param {string} params.userId - the user to change
+ * @param {object} params.body
+ * @param {boolean} params.body.disabled
+ * @param {object} context
+ * @param {string} [context.requestId]
+ * @param {string} context.userId - authenticated principal from the authorizer
+ * @param {string} context.isAdmin - admin claim from the authorizer
+ *
+ */
+exports.handler = async (event) => {
+    logger.startRequest(event);
+    const { params = {}, context = {} } = event;
+    const { requestId = '', userId: adminUserId = '', isAdmin = '' } = context;
+
+    try {
+        await assertAdmin({ userId: adminUserId, isAdmin });
+
+        const { userId = '', body = {} } = params;
+        const { disabled } = body;
+        if (!userId) { throw new ValidationError('Missing userId'); }
+        const user = await setUserDisabled({ userId, disabled, adminUserId });
+
+        return {
+            success: true,
+            user,
+            requestId,
+        };
+    } catch (err) {
+        const { message = 'Internal handler Error', statusCode = 500 } = err;
+        logger.error('Error caught', err);
+        throw new ApiError(message, statusCode, requestId);
+    }
+};
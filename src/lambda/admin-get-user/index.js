@@ -0,0 +1,37 @@
+const { assertAdmin, getUserDetail } = require('metamask-auth-utils').adminUtils;
+const { ValidationError, ApiError } = require('metamask-auth-utils').errors;
+const { logger } = require('metamask-auth-utils');
+
+/**
+ * Get a user and their wallets. Admin only.
+ * @param {object} params
+ * @param {string} params.userId - the user to view
+ * @param {object} context
+ * @param {string} [context.requestId]
+ * @param {string} context.userId - authenticated principal from the authorizer
+ * @param {string} context.isAdmin - admin claim from the authorizer
+ *
+ */
+exports.handler = async (event) => {
+    logger.startRequest(event);
+    const { params = {}, context = {} } = event;
+    const { requestId = '', userId: adminUserId = '', isAdmin = '' } = context;
+
+    try {
+        await assertAdmin({ userId: adminUserId, isAdmin });
+
+        const { userId = '' } = params;
+        if (!userId) { throw new ValidationError('Missing userId'); }
+        const user = await getUserDetail(userId);
+
+        return {
+            success: true,
+            user,
+            requestId,
+        };
+    } catch (err) {
+        const { message = 'Internal handler Error', statusCode = 500 } = err;
+        logger.error('Error caught', err);
+        throw new ApiError(message, statusCode, requestId);
+    }
+};
@@ -0,0 +1,39 @@
+const { assertAdmin, listUsers } = require('metamask-auth-utils').adminUtils;
+const { ApiError } = require('metamask-auth-utils').errors;
+const { logger } = require('metamask-auth-utils');
+
+/**
+ * List or search users a page at a time. Admin only.
+ * @param {object} params
+ * @param {string} [params.query] - wallet address, or part of a UserId or WalletId
+ * @param {string} [params.limit] - page size
+ * @param {string} [params.next] - nextToken from the previous page
+ * @param {object} context
+ * @param {string} [context.requestId]
+ * @param {string} context.userId - authenticated principal from the authorizer
+ * @param {string} context.isAdmin - admin claim from the authorizer
+ *
+ */
+exports.handler = async (event) => {
+    logger.startRequest(event);
+    const { params = {}, context = {} } = event;
+    const { requestId = '', userId = '', isAdmin = '' } = context;
+
+    try {
+        await assertAdmin({ userId, isAdmin });
+
+        const { query = '', limit = '', next = '' } = params;
+        const { users, nextToken } = await listUsers({ query, limit, nextToken: next });
+
+        return {
+            success: true,
+            users,
+            nextToken,
+            requestId,
+        };
+    } catch (err) {
+        const { message = 'Internal handler Error', statusCode = 500 } = err;
+        logger.error('Error caught', err);
+        throw new ApiError(message, statusCode, requestId);
+    }
+};
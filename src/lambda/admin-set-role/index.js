@@ -0,0 +1,42 @@
+const { assertAdmin, setUserRole } = require('metamask-auth-utils').adminUtils;
+const { ValidationError, ApiError } = require('metamask-auth-utils').errors;
+const { logger } = require('metamask-auth-utils');
+
+/**
+ * Set the role for a user. Admin only.
+ * The new role is added to the user's auth token on their next login or token refresh.
+ * @param {object} params
+ * @param {string} params.userId - the user to change
+ * @param {object} params.body
+ * @param {string} params.body.role - 'user' or 'admin'
+ * @param {object} context
+ * @param {string} [context.requestId]
+ * @param {string} context.userId - authenticated principal from the authorizer
+ * @param {string} context.isAdmin - admin claim from the authorizer
+ *
+ */
+exports.handler = async (event) => {
+    logger.startRequest(event);
+    const { params = {}, context = {} } = event;
+    const { requestId = '', userId: adminUserId = '', isAdmin = '' } = context;
+
+    try {
+        await assertAdmin({ userId: adminUserId, isAdmin });
+
+        const { userId = '', body = {} } = params;
+        const { role = '' } = body;
+        if (!userId) { throw new ValidationError('Missing userId'); }
+        if (!role) { throw new ValidationError('Missing role'); }
+        const user = await setUserRole({ userId, role, adminUserId });
+
+        return {
+            success: true,
+            user,
+            requestId,
+        };
+    } catch (err) {
+        const { message = 'Internal handler Error', statusCode = 500 } = err;
+        logger.error('Error caught', err);
+        throw new ApiError(message, statusCode, requestId);
+    }
+};
@@ -1,52 +1,52 @@
 const { validateAuthToken } = require('metamask-auth-utils').jwtUtils;
-
-const Resource = process.env.API_RESOURCE; // The ARN string we are granting access to
+const { getTokenScopes, createPolicy } = require('metamask-auth-utils').authPolicy;
+const { logger } = require('metamask-auth-utils');
 
 /**
  * Lambda Custom Authorizer
  * Returns an IAM Policy to API Gateway
- * Returns an Effect: Allow on success
- * Or Effect: Deny on failure
+ * Returns an Effect: Allow for the method ARNs of the routes the token scopes and gates allow
+ * Or Effect: Deny for all routes on failure
+ * The policy only depends on the token, not the methodArn, so API Gateway can cache it for the token.
  * @param {string} authorizationToken
  * @param {string} methodArn
  */
 exports.handler = async (event) => {
-    console.log('Event: ', JSON.stringify(event));
+    logger.startRequest(event);
 
     try {
         const { authorizationToken: token } = event;
 
-        let allow = false;
         let isAdmin = false;
         let userId = 'Unknown';
+        let scopes = [];
+        let gates = [];
+        let chainId = '';
         try {
             const { data } = await validateAuthToken({ token });
             isAdmin = (data.admin) || false;
             userId = data.sub;
-            console.log('Token validation successful, returning Allow policy');
-            allow = true;
+            scopes = getTokenScopes(data);
+            gates = data.gates || [];
+            chainId = (data.chainId) ? String(data.chainId) : '';
+            logger.addContext({ userId });
+            logger.info('Token validation successful, returning policy', { scopes, gates });
         } catch (err) {
-            console.log('Token validation failed, returning Deny policy');
-            allow = false;
+            logger.info('Token validation failed, returning Deny policy', { reason: err.message });
         }
 
         // Return IAM Policy in the format expected by API Gateway
-        return {
+        return createPolicy({
             principalId: userId,
-            policyDocument: {
-                Version: '2012-10-17',
-                Statement: [{
-                    Action: 'execute-api:Invoke',
-                    Effect: (allow) ? 'Allow' : 'Deny',
-                    Resource,
-                }],
-            },
+            scopes,
+            gates,
             context: {
                 isAdmin,
+                chainId,
             },
-        };
+        });
     } catch (err) {
-        console.log('Error caught: ', err);
+        logger.error('Error caught', err);
         throw err;
     }
 };
@@ -1,51 +1,79 @@
 const { createUser } = require('metamask-auth-utils').authUtils;
 const { isValidEthAddress } = require('metamask-auth-utils').web3Utils;
-const { ValidationError, ApiError } = require('metamask-auth-utils').errors;
+const { ValidationError, ApiError, getErrorProps } = require('metamask-auth-utils').errors;
+const { recordAuditEvent } = require('metamask-auth-utils').auditLog;
+const {
+    assertNotLocked, recordFailure, clearFailures, consumeNewUser,
+} = require('metamask-auth-utils').throttle;
+const { logger } = require('metamask-auth-utils');
 
 const signPrefix = process.env.SIGN_PREFIX;
 
 /**
  * Create new user.
  * Used for initial creation and to follow up with Signature to verify the user owns the wallet.
+ * The created user includes a verify challenge to sign.
+ * New unverified users are limited per source IP, and failed verifications are counted like failed logins: by
+ * source IP, and by wallet once the signature has been checked, so malformed requests cannot lock out a wallet.
  * @param {object} context
  * @param {string} [context.requestId]
+ * @param {string} [context.sourceIp]
  * @param {object} params
  * @param {string} params.walletId
  * @param {object} params.body
  * @param {boolean} [params.body.verify = false] - verify with the signature
  * @param {string} [params.body.signature = ''] - required to update the user as verified
+ * @param {string} [params.body.message = ''] - the signed verify message, required to update the user as verified
  */
 exports.handler = async (event) => {
-    console.log('Event: ', JSON.stringify(event));
+    logger.startRequest(event);
     const { params = {}, context = {} } = event;
-    const { requestId = '' } = context;
+    const { requestId = '', sourceIp = '' } = context;
 
     try {
         const { walletId = '', body } = params;
-        const { verify = false, signature = '' } = body;
+        const { verify = false, signature = '', message = '' } = body;
         if (!walletId) { throw new ValidationError('Missing walletId'); }
 
         // Validate wallet
         const validAddress = await isValidEthAddress(walletId);
         if (!validAddress) { throw new ValidationError('Invalid wallet Id'); }
 
+        // Limit new users per IP address, and reject locked out wallets and IP addresses before verifying
+        if (verify) {
+            await assertNotLocked({ walletId, sourceIp });
+        } else {
+            await consumeNewUser({ sourceIp });
+        }
+
         // Create the user and walletId
         const user = await createUser({
             walletId,
             verify, // False on initial creation, True when we receive a Signature
             signature,
+            message,
             signPrefix,
         });
-        console.log('User created: ', JSON.stringify(user));
+        logger.info('User created', user);
+        if (verify) { await clearFailures({ walletId }); }
+        await recordAuditEvent({
+            type: (verify) ? 'verify-user' : 'create-user', result: 'success', context, userId: user.userId, walletId,
+        });
         return {
             success: true,
             ...user,
-            nonce: `${signPrefix}${user.nonce}`, // Included so we can sign and verify the user after creation
+            nonce: (user.nonce) ? `${signPrefix}${user.nonce}` : '', // Included so we can sign and verify the user after creation
             requestId,
         };
     } catch (err) {
         const { message = 'Internal handler Error', statusCode = 500 } = err;
-        console.log('Error caught: ', err);
-        throw new ApiError(message, statusCode, requestId);
+        logger.error('Error caught', err);
+        const { body = {} } = params;
+        // createUser sets signatureChecked on errors after the signature has been checked
+        if (body.verify && statusCode === 400) { await recordFailure({ walletId: (err.signatureChecked) ? params.walletId : '', sourceIp }); }
+        await recordAuditEvent({
+            type: (body.verify) ? 'verify-user' : 'create-user', result: 'failure', context, walletId: params.walletId, reason: message,
+        });
+        throw new ApiError(message, statusCode, requestId, getErrorProps(err));
     }
 };
@@ -0,0 +1,62 @@
+const { deleteAccount, getDeletionPolicy } = require('metamask-auth-utils').accountDeletion;
+const { ValidationError, ApiError } = require('metamask-auth-utils').errors;
+const { recordAuditEvent } = require('metamask-auth-utils').auditLog;
+const { logger } = require('metamask-auth-utils');
+
+/**
+ * Delete the authenticated user's account.
+ * Requires an EIP-712 typed data signature of the delete action from one of the user's wallets, with the
+ * userId as the signed data. All sessions are revoked, related data is erased by the deletion policy,
+ * and the user and wallet links are removed. Returns a receipt, and the receipt as a signed JWT.
+ * @param {object} params
+ * @param {object} params.body
+ * @param {object} params.body.data - the request data that was signed, { userId }
+ * @param {number} params.body.expiry - the signed expiry (Unix timestamp)
+ * @param {string} params.body.signature
+ * @param {string} [params.body.walletId] - the signing wallet, defaults to the primary wallet
+ * @param {object} context
+ * @param {string} [context.requestId]
+ * @param {string} context.userId - authenticated principal from the authorizer
+ * @param {string} [context.chainId] - session Chain ID from the authorizer, the action must be signed on this chain
+ *
+ */
+exports.handler = async (event) => {
+    logger.startRequest(event);
+    const { params = {}, context = {} } = event;
+    const { requestId = '', userId = '', chainId = '' } = context;
+
+    try {
+        const { body = {} } = params;
+        const {
+            walletId = '', signature = '', data, expiry = 0,
+        } = body;
+        if (!signature) { throw new ValidationError('Missing signature'); }
+        if (!data) { throw new ValidationError('Missing data'); }
+        if (!expiry) { throw new ValidationError('Missing expiry'); }
+
+        // Verify the signature, then delete the account
+        const result = await deleteAccount({
+            userId, walletId, signature, data, expiry, chainId, context,
+        });
+
+        return {
+            ...result,
+            requestId,
+        };
+    } catch (err) {
+        const { message = 'Internal handler Error', statusCode = 500 } = err;
+        logger.error('Error caught', err);
+        // The audit events of the user may have been erased already, so only identify the user if they are kept
+        const { body = {} } = params;
+        const keep = (getDeletionPolicy().audit === 'keep');
+        await recordAuditEvent({
+            type: 'delete-user',
+            result: 'failure',
+            context: (keep) ? context : { requestId },
+            userId: (keep) ? userId : '',
+            walletId: (keep) ? body.walletId : '',
+            reason: message,
+        });
+        throw new ApiError(message, statusCode, requestId);
+    }
+};
@@ -1,26 +1,43 @@
-const { getUserByWalletId } = require('metamask-auth-utils').authUtils;
+const { getUserByWalletId, createLinkMessage, createChallenge } = require('metamask-auth-utils').authUtils;
+const {
+    createSiweLogin, createSiweMessage, createTypedAction, getSupportedChainIds,
+} = require('metamask-auth-utils').web3Utils;
 const { ValidationError, ApiError } = require('metamask-auth-utils').errors;
+const { getCachedEns } = require('metamask-auth-utils').ensLookup;
+const { logger } = require('metamask-auth-utils');
 
 const signPrefix = process.env.SIGN_PREFIX;
-const loginPrefix = process.env.LOGIN_PREFIX;
 
 /**
  * Get a user and return the nonce if user exists.
- * Returns a nonce with a prefix based on the type requested - login or signature.
+ * Returns a nonce with a prefix for signature requests,
+ * a Sign-In with Ethereum (EIP-4361) message with a new login challenge for login requests, or
+ * a new verify challenge with a prefix for verify requests, or
+ * an EIP-712 typed data template for typed action requests, or
+ * a link message for requests to link another wallet to the user.
+ * Sign requests also return the cached ENS name and avatar of the user, for display before login.
+ * Login and typed action requests return the supported Chain IDs, so the web client can switch the wallet to one of them.
  * @param {object} params
  * @param {string} params.walletId
  * @param {string} [params.login = 'false'] - default is a sign request
+ * @param {string} [params.verify = 'false'] - verify challenge for an unverified user
+ * @param {string} [params.action] - API route for a typed action request
+ * @param {string} [params.link] - walletId of a wallet to link to the user
+ * @param {string} [params.origin] - request Origin header, used for the login message domain
+ * @param {string} [params.chainId] - chain the wallet is on for login requests, or the session chain for typed actions
  * @param {object} context
  * @param {string} [context.requestId]
  * @param {object} params
  */
 exports.handler = async (event) => {
-    console.log('Event: ', JSON.stringify(event));
+    logger.startRequest(event);
     const { params = {}, context = {} } = event;
     const { requestId = '' } = context;
 
     try {
-        const { walletId = '', login = '' } = params;
+        const {
+            walletId = '', login = '', verify = '', action = '', link = '', origin = '', chainId = '',
+        } = params;
         const isLogin = (login === 'true');
         if (!walletId) { throw new ValidationError('Missing walletId'); }
 
@@ -29,16 +46,71 @@ exports.handler = async (event) => {
         const { Nonce, UserId, Verified } = user;
 
         // Return nonce with relevant detail
+        if (isLogin) {
+            const challenge = await createChallenge({ walletId, userId: UserId, purpose: 'login' });
+            const siwe = createSiweLogin({
+                walletId,
+                nonce: challenge.nonce,
+                origin,
+                issuedAt: challenge.issuedAt,
+                expirationTime: challenge.expiresAt,
+                chainId,
+            });
+            return {
+                success: true,
+                isLogin,
+                nonce: createSiweMessage(siwe),
+                siwe, // The web client creates the message from these fields
+                chainIds: getSupportedChainIds(),
+                expiresAt: challenge.expiresAt,
+                userId: UserId,
+                verified: Verified,
+            };
+        }
+        if (verify === 'true') {
+            const challenge = await createChallenge({ walletId, userId: UserId, purpose: 'verify' });
+            return {
+                success: true,
+                isLogin,
+                nonce: `${signPrefix}${challenge.nonce}`,
+                expiresAt: challenge.expiresAt,
+                userId: UserId,
+                verified: Verified,
+            };
+        }
+        if (action) {
+            return {
+                success: true,
+                isLogin,
+                nonce: Nonce,
+                typedAction: createTypedAction({ route: action, nonce: Nonce, chainId }), // The web client adds the bodyHash and signs
+                chainIds: getSupportedChainIds(),
+                userId: UserId,
+                verified: Verified,
+            };
+        }
+        if (link) {
+            return {
+                success: true,
+                isLogin,
+                nonce: createLinkMessage({ walletId: link, nonce: Nonce }), // Signed by both wallets
+                userId: UserId,
+                verified: Verified,
+            };
+        }
+        const { name: ensName, avatar: ensAvatar } = getCachedEns(user);
         return {
             success: true,
             isLogin,
-            nonce: (isLogin) ? `${loginPrefix}${Nonce}` : `${signPrefix}${Nonce}`,
+            nonce: `${signPrefix}${Nonce}`,
             userId: UserId,
             verified: Verified,
+            ensName,
+            ensAvatar,
         };
     } catch (err) {
         const { message = 'Internal handler Error', statusCode = 500 } = err;
-        console.log('Error caught: ', err);
+        logger.error('Error caught', err);
         throw new ApiError(message, statusCode, requestId);
     }
 };
@@ -0,0 +1,33 @@
+const { getProfile } = require('metamask-auth-utils').profileUtils;
+const { ApiError } = require('metamask-auth-utils').errors;
+const { logger } = require('metamask-auth-utils');
+
+/**
+ * Get the profile attributes for the authenticated user.
+ * @param {object} context
+ * @param {string} [context.requestId]
+ * @param {string} context.userId - authenticated principal from the authorizer
+ *
+ */
+exports.handler = async (event) => {
+    logger.startRequest(event);
+    const { context = {} } = event;
+    const { requestId = '', userId = '' } = context;
+
+    try {
+        // Get the profile from Db
+        const { profile, updatedTime } = await getProfile(userId);
+
+        return {
+            success: true,
+            userId,
+            profile,
+            updatedTime,
+            requestId,
+        };
+    } catch (err) {
+        const { message = 'Internal handler Error', statusCode = 500 } = err;
+        logger.error('Error caught', err);
+        throw new ApiError(message, statusCode, requestId);
+    }
+};
@@ -1,8 +1,11 @@
 const { getUserByWalletId } = require('metamask-auth-utils').authUtils;
 const { ValidationError, ApiError } = require('metamask-auth-utils').errors;
+const { getCachedEns } = require('metamask-auth-utils').ensLookup;
+const { logger } = require('metamask-auth-utils');
 
 /**
  * Get a user and return the userId if user exists.
+ * The ENS name and avatar of the user's primary wallet are returned from the cache on the user record.
  * @param {object} params
  * @param {string} params.walletId
  * @param {object} context
@@ -10,7 +13,7 @@ const { ValidationError, ApiError } = require('metamask-auth-utils').errors;
  *
  */
 exports.handler = async (event) => {
-    console.log('Event: ', JSON.stringify(event));
+    logger.startRequest(event);
     const { params = {}, context = {} } = event;
     const { requestId = '' } = context;
 
@@ -19,7 +22,9 @@ exports.handler = async (event) => {
         if (!walletId) { throw new ValidationError('Missing walletId'); }
 
         // Get the user from Db
-        const { UserId = '', Verified = false } = await getUserByWalletId(walletId);
+        const user = await getUserByWalletId(walletId);
+        const { UserId = '', Verified = false } = user;
+        const { name: ensName, avatar: ensAvatar } = getCachedEns(user);
 
         // Return the User details
         return {
@@ -28,10 +33,12 @@ exports.handler = async (event) => {
             userId: UserId,
             requestId,
             verified: Verified,
+            ensName,
+            ensAvatar,
         };
     } catch (err) {
         const { message = 'Internal handler Error', statusCode = 500 } = err;
-        console.log('Error caught: ', err);
+        logger.error('Error caught', err);
         throw new ApiError(message, statusCode, requestId);
     }
 };
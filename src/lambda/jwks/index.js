@@ -0,0 +1,26 @@
+const { getJwks } = require('metamask-auth-utils').jwtUtils;
+const { ApiError } = require('metamask-auth-utils').errors;
+const { logger } = require('metamask-auth-utils');
+
+/**
+ * Return the JSON Web Key Set (RFC 7517) with the public key for verifying tokens.
+ * Other services can verify tokens with the JWKS, without IAM access to the KMS key.
+ * Unauthenticated, and cached by clients (see the Cache-Control header in the stack).
+ * @param {object} context
+ * @param {string} [context.requestId]
+ *
+ */
+exports.handler = async (event) => {
+    logger.startRequest(event);
+    const { context = {} } = event;
+    const { requestId = '' } = context;
+
+    try {
+        // Return the key set only, in the standard JWKS format
+        return await getJwks();
+    } catch (err) {
+        const { message = 'Internal handler Error', statusCode = 500 } = err;
+        logger.error('Error caught', err);
+        throw new ApiError(message, statusCode, requestId);
+    }
+};
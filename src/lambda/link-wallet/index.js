@@ -0,0 +1,44 @@
+const { linkWallet } = require('metamask-auth-utils').authUtils;
+const { ValidationError, ApiError } = require('metamask-auth-utils').errors;
+const { logger } = require('metamask-auth-utils');
+
+/**
+ * Link an additional wallet to the authenticated user.
+ * The link message from get-nonce must be signed by a wallet the user already owns
+ * and by the new wallet, proving control of both.
+ * @param {object} params
+ * @param {string} params.walletId - the wallet to link
+ * @param {object} params.body
+ * @param {string} params.body.signature - signature from the current wallet
+ * @param {string} params.body.walletSignature - signature from the new wallet
+ * @param {string} [params.body.sessionWalletId] - the current wallet, defaults to the primary wallet
+ * @param {object} context
+ * @param {string} [context.requestId]
+ * @param {string} context.userId - authenticated principal from the authorizer
+ *
+ */
+exports.handler = async (event) => {
+    logger.startRequest(event);
+    const { params = {}, context = {} } = event;
+    const { requestId = '', userId = '' } = context;
+
+    try {
+        const { walletId = '', body = {} } = params;
+        const { signature = '', walletSignature = '', sessionWalletId = '' } = body;
+        if (!walletId) { throw new ValidationError('Missing walletId'); }
+
+        // Verify both signatures and link the wallet
+        const result = await linkWallet({
+            userId, walletId, signature, walletSignature, sessionWalletId,
+        });
+
+        return {
+            ...result,
+            requestId,
+        };
+    } catch (err) {
+        const { message = 'Internal handler Error', statusCode = 500 } = err;
+        logger.error('Error caught', err);
+        throw new ApiError(message, statusCode, requestId);
+    }
+};
@@ -0,0 +1,35 @@
+const { listWalletsByUserId } = require('metamask-auth-utils').authUtils;
+const { ForbiddenError, ApiError } = require('metamask-auth-utils').errors;
+const { logger } = require('metamask-auth-utils');
+
+/**
+ * List the wallets for the authenticated user.
+ * The primary wallet is the wallet the user was created with, other wallets are linked.
+ * @param {object} context
+ * @param {string} [context.requestId]
+ * @param {string} context.userId - authenticated principal from the authorizer
+ *
+ */
+exports.handler = async (event) => {
+    logger.startRequest(event);
+    const { context = {} } = event;
+    const { requestId = '', userId = '' } = context;
+
+    try {
+        if (!userId) { throw new ForbiddenError('Missing authenticated user'); }
+
+        // Get the wallets from Db
+        const wallets = await listWalletsByUserId(userId);
+
+        return {
+            success: true,
+            userId,
+            wallets,
+            requestId,
+        };
+    } catch (err) {
+        const { message = 'Internal handler Error', statusCode = 500 } = err;
+        logger.error('Error caught', err);
+        throw new ApiError(message, statusCode, requestId);
+    }
+};
@@ -1,67 +1,108 @@
-const { getUserByWalletId, updateLoginByWalletId } = require('metamask-auth-utils').authUtils;
-const { isValidEthSignature } = require('metamask-auth-utils').web3Utils;
+const {
+    getUserByWalletId, updateLoginByWalletId, getUserClaims, getUserGateClaims, getChallenge, consumeChallenge,
+} = require('metamask-auth-utils').authUtils;
+const { isValidEthSignature, parseSiweMessage, validateSiweMessage } = require('metamask-auth-utils').web3Utils;
 const { createAuthToken, createRefreshCookie } = require('metamask-auth-utils').jwtUtils;
-const { ValidationError, ApiError } = require('metamask-auth-utils').errors;
-
-const noncePrefix = process.env.LOGIN_PREFIX;
+const { ValidationError, ApiError, getErrorProps } = require('metamask-auth-utils').errors;
+const { recordAuditEvent } = require('metamask-auth-utils').auditLog;
+const { resolveUserEns, getEnsClaim } = require('metamask-auth-utils').ensLookup;
+const { assertNotLocked, recordFailure, clearFailures } = require('metamask-auth-utils').throttle;
+const { logger } = require('metamask-auth-utils');
 
 /**
- * Verify the user signature and return login status
+ * Verify the user signature and return login status.
+ * The user signs a Sign-In with Ethereum (EIP-4361) message created from the get-nonce fields.
+ * The message nonce is a login challenge, which is consumed so the message can only be used once.
+ * Disabled users cannot login, and the admin role and scopes from the user record are added to the auth token.
+ * Token gates the user passes with any of their wallets are added to the auth token as the gates claim.
+ * The Chain ID of the message must be one of the supported chains. It is recorded on the session and added to the auth token.
+ * The ENS name of the primary wallet is looked up if the cached name has expired, and added as the ens claim if enabled.
+ * Failed logins are counted by source IP, and by wallet once the signature has been checked, so malformed
+ * requests cannot lock out a wallet. Repeated failures lock out the wallet or IP address for a time.
  * @param {object} context
  * @param {string} [context.requestId]
+ * @param {string} [context.sourceIp]
  * @param {object} params
  * @param {string} params.walletId
+ * @param {string} params.message - the EIP-4361 message that was signed
  * @param {string} params.signature
  */
 exports.handler = async (event) => {
-    console.log('Event: ', JSON.stringify(event));
+    logger.startRequest(event);
     const { params = {}, context = {} } = event;
-    const { requestId = '' } = context;
+    const { requestId = '', sourceIp = '' } = context;
+    let signatureChecked = false;
 
     try {
-        if (!noncePrefix) { throw new Error('Missing env variable'); }
-        const { walletId = '', signature = '' } = params;
+        const { walletId = '', message = '', signature = '' } = params;
         if (!walletId) { throw new ValidationError('Missing walletId'); }
+        if (!message) { throw new ValidationError('Missing message'); }
         if (!signature) { throw new ValidationError('Missing signature'); }
 
-        // Get current nonce (verify walletId and user exist)
-        const { UserId: userId, Nonce: nonce, Verified: verified = false } = await getUserByWalletId(walletId);
+        // Reject locked out wallets and IP addresses before checking the signature
+        await assertNotLocked({ walletId, sourceIp });
+
+        // Verify walletId and user exist
+        const user = await getUserByWalletId(walletId);
+        const { Verified: verified = false } = user;
         if (!verified) { throw new ValidationError('User account is not verified'); }
+        const { userId, isAdmin, scopes } = getUserClaims(user);
+        logger.addContext({ userId });
+
+        // Get the login challenge from the message nonce
+        const challenge = await getChallenge({ nonce: parseSiweMessage(message).nonce, walletId, purpose: 'login' });
 
-        // Message string
-        const message = `${noncePrefix}${nonce}`;
+        // Validate the message fields (domain, uri, chain, nonce and times)
+        const { chainId } = validateSiweMessage({ message, walletId, nonce: challenge.ChallengeId });
 
-        // Validate signature
-        const isValid = await isValidEthSignature({ walletId, message, signature });
+        // Validate signature, contract wallets on the signing chain
+        const isValid = await isValidEthSignature({
+            walletId, message, signature, chainId,
+        });
+        signatureChecked = true;
         if (!isValid) { throw new ValidationError('Invalid signature, access denied'); }
 
-        // Update current login (creates a fresh nonce for next login or signature request)
+        // Consume the challenge, then update current login (creates a fresh nonce for signature requests)
+        await consumeChallenge(challenge.ChallengeId);
         const update = await updateLoginByWalletId(walletId);
 
-        // Generate Auth Token JWT
-        const auth = await createAuthToken({ userId });
+        // Generate Auth Token JWT, with the token gates from the user's current holdings and the ENS name
+        const gates = await getUserGateClaims(userId);
+        const ens = await resolveUserEns(user);
+        const auth = await createAuthToken({
+            userId, isAdmin, scopes, gates, ens: getEnsClaim(ens), chainId,
+        });
 
-        // Generate Refresh Token (JWT Cookie)
-        const refresh = await createRefreshCookie({ userId });
+        // Generate Refresh Token (JWT Cookie), the session is scoped to the signing chain
+        const refresh = await createRefreshCookie({ userId, chainId });
 
         // Execute all updates
         const authData = await Promise.all([refresh, auth, update]);
+        await clearFailures({ walletId });
 
         // Return auth tokens. The cookie token is removed from the body and copied to the cookie header by API Gateway.
         const result = {
             success: true,
             userId,
+            chainId,
             authToken: authData[1],
             requestId,
             cookie: authData[0],
         };
-        console.log('Returning: ', JSON.stringify(result));
+        logger.info('Returning', result);
+        await recordAuditEvent({
+            type: 'login', result: 'success', context, userId, walletId,
+        });
 
         return result;
     } catch (err) {
         const { message = 'Internal handler Error', statusCode = 500 } = err;
         const returnCode = (statusCode === 400) ? 401 : statusCode;
-        console.log('Error caught: ', err);
-        throw new ApiError(message, returnCode, requestId);
+        logger.error('Error caught', err);
+        if (statusCode === 400) { await recordFailure({ walletId: (signatureChecked) ? params.walletId : '', sourceIp }); }
+        await recordAuditEvent({
+            type: 'login', result: 'failure', context, walletId: params.walletId, reason: message,
+        });
+        throw new ApiError(message, returnCode, requestId, getErrorProps(err));
     }
 };
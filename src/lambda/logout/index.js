@@ -1,32 +1,38 @@
 const { validateRefreshCookie, createLogoutCookie } = require('metamask-auth-utils').jwtUtils;
+const { revokeFamily, revokeUserSessions } = require('metamask-auth-utils').sessionUtils;
 const { ValidationError, ApiError } = require('metamask-auth-utils').errors;
+const { recordAuditEvent } = require('metamask-auth-utils').auditLog;
+const { logger } = require('metamask-auth-utils');
 
 /**
- * Revoke JWT token and return invalid cookie.
- * This will logout the current user session.
- *
- * TODO: We should be maintaining a revoked token table so that we can
- * invalidate all sessions the user may be using.
+ * Revoke the refresh token session and return invalid cookie.
+ * This will logout the current user session (all tokens issued since the login), or
+ * every session for the user if 'all' is requested (logout everywhere).
  *
  * @param {object} context
  * @param {string} [context.requestId]
  * @param {object} params
  * @param {string} params.cookie
+ * @param {string} [params.all = 'false'] - revoke all sessions for the user
  *
  */
 exports.handler = async (event) => {
-    console.log('Event: ', JSON.stringify(event));
+    logger.startRequest(event);
     const { params = {}, context = {} } = event;
     const { requestId = '' } = context;
 
     try {
-        const { cookie = '' } = params;
+        const { cookie = '', all = '' } = params;
+        const logoutAll = (all === 'true');
         if (!cookie) { throw new ValidationError('Missing cookie'); }
 
         // Verify the cookie
-        const { userId } = await validateRefreshCookie(cookie);
+        const { userId, familyId } = await validateRefreshCookie(cookie);
         if (!userId) { throw new Error('Error getting userId from token'); }
 
+        // Revoke the session(s) so the refresh token cannot be used again
+        const revoked = (logoutAll) ? await revokeUserSessions(userId) : await revokeFamily(familyId);
+
         // Get the invalid logout cookie
         const newCookie = await createLogoutCookie();
 
@@ -34,16 +40,23 @@ exports.handler = async (event) => {
         const result = {
             success: true,
             userId,
+            revoked,
             requestId,
             cookie: newCookie,
         };
-        console.log('Returning: ', JSON.stringify(result));
+        logger.info('Returning', result);
+        await recordAuditEvent({
+            type: 'logout', result: 'success', context, userId,
+        });
 
         return result;
     } catch (err) {
         const { message = 'Internal handler Error', statusCode = 500 } = err;
         const returnCode = (statusCode === 400) ? 401 : statusCode;
-        console.log('Error caught: ', err);
+        logger.error('Error caught', err);
+        await recordAuditEvent({
+            type: 'logout', result: 'failure', context, reason: message,
+        });
         throw new ApiError(message, returnCode, requestId);
     }
 };
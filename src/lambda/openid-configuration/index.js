@@ -0,0 +1,36 @@
+const { getSigningAlgorithms } = require('metamask-auth-utils').jwtUtils;
+const { scopes } = require('metamask-auth-utils').authPolicy;
+const { ApiError } = require('metamask-auth-utils').errors;
+const { logger } = require('metamask-auth-utils');
+
+const issuer = process.env.ISSUER;
+const jwksUri = process.env.JWKS_URI;
+
+/**
+ * Return an OpenID style discovery document for the tokens issued by this API.
+ * Lists the issuer (the token iss claim), the signing algorithms of the configured keys, the JWKS URI and the token scopes.
+ * This API is not an OpenID Provider, the document is only to help other services verify tokens.
+ * @param {object} context
+ * @param {string} [context.requestId]
+ *
+ */
+exports.handler = async (event) => {
+    logger.startRequest(event);
+    const { context = {} } = event;
+    const { requestId = '' } = context;
+
+    try {
+        return {
+            issuer,
+            jwks_uri: jwksUri,
+            id_token_signing_alg_values_supported: getSigningAlgorithms(),
+            subject_types_supported: ['public'],
+            scopes_supported: scopes,
+            claims_supported: ['iss', 'sub', 'aud', 'iat', 'exp', 'admin', 'scope', 'gates', 'ens', 'chainId', 'jti'],
+        };
+    } catch (err) {
+        const { message = 'Internal handler Error', statusCode = 500 } = err;
+        logger.error('Error caught', err);
+        throw new ApiError(message, statusCode, requestId);
+    }
+};
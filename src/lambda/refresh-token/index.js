@@ -1,17 +1,27 @@
-const { validateRefreshCookie, createAuthToken, createRefreshCookie } = require('metamask-auth-utils').jwtUtils;
+const { rotateRefreshCookie, createAuthToken } = require('metamask-auth-utils').jwtUtils;
+const { getUserByUserId, getUserClaims, getUserGateClaims } = require('metamask-auth-utils').authUtils;
 const { ValidationError, ApiError } = require('metamask-auth-utils').errors;
+const { recordAuditEvent } = require('metamask-auth-utils').auditLog;
+const { getCachedEns, getEnsClaim } = require('metamask-auth-utils').ensLookup;
+const { logger } = require('metamask-auth-utils');
 
 /**
  * Verify the refresh cookie and return new tokens.
  * If the refresh cookie is still valid we will return both a new
  * refresh token and a new auth token.
+ * Refresh tokens are single use. The presented token is rotated out, and reusing
+ * it later revokes every session from the same login.
+ * The user record is read on every refresh so role changes and disabled accounts take effect,
+ * and token holdings are checked again for the token gates claim.
+ * The ENS name claim uses the name cached at login, without looking it up again.
+ * The Chain ID claim is the chain the user signed in on, from the session.
  * @param {object} context
  * @param {string} [context.requestId]
  * @param {object} params
  * @param {string} params.cookie
  */
 exports.handler = async (event) => {
-    console.log('Event: ', JSON.stringify(event));
+    logger.startRequest(event);
     const { params = {}, context = {} } = event;
     const { requestId = '' } = context;
 
@@ -19,34 +29,43 @@ exports.handler = async (event) => {
         const { cookie = '' } = params;
         if (!cookie) { throw new ValidationError('Missing cookie'); }
 
-        // Verify the cookie
-        const { userId } = await validateRefreshCookie(cookie);
+        // Verify the cookie and rotate it for a new Refresh Token in the same family
+        const { userId, chainId, cookie: newCookie } = await rotateRefreshCookie(cookie);
         if (!userId) { throw new Error('Error getting userId from token'); }
+        logger.addContext({ userId });
 
-        // Generate Auth Token
-        const auth = await createAuthToken({ userId });
+        // Check the account is active and get the current role and scopes
+        const user = await getUserByUserId(userId);
+        const { isAdmin, scopes } = getUserClaims(user);
 
-        // Generate Refresh Token
-        const refresh = await createRefreshCookie({ userId });
-
-        // Execute all updates
-        const authData = await Promise.all([refresh, auth]);
+        // Generate Auth Token, with the token gates from the user's current holdings
+        const gates = await getUserGateClaims(userId);
+        const authToken = await createAuthToken({
+            userId, isAdmin, scopes, gates, ens: getEnsClaim(getCachedEns(user)), chainId,
+        });
 
         // Return new tokens. The cookie token is removed from the body and copied to the cookie header by API Gateway.
         const result = {
             success: true,
             userId,
-            authToken: authData[1],
+            chainId,
+            authToken,
             requestId,
-            cookie: authData[0],
+            cookie: newCookie,
         };
-        console.log('Returning: ', JSON.stringify(result));
+        logger.info('Returning', result);
+        await recordAuditEvent({
+            type: 'refresh', result: 'success', context, userId,
+        });
 
         return result;
     } catch (err) {
         const { message = 'Internal handler Error', statusCode = 500 } = err;
         const returnCode = (statusCode === 400) ? 401 : statusCode;
-        console.log('Error caught: ', err);
+        logger.error('Error caught', err);
+        await recordAuditEvent({
+            type: 'refresh', result: 'failure', context, reason: message,
+        });
         throw new ApiError(message, returnCode, requestId);
     }
 };
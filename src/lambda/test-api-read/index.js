@@ -1,3 +1,5 @@
+const { logger } = require('metamask-auth-utils');
+
 /**
  * Simulate read requests.
  * Authorised by API Gateway only.
@@ -6,7 +8,7 @@
  *
  */
 exports.handler = async (event) => {
-    console.log('Event: ', JSON.stringify(event));
+    logger.startRequest(event);
     const { context = {} } = event;
     const { requestId = '' } = context;
     return {
@@ -1,49 +1,70 @@
-const { isValidEthSignature } = require('metamask-auth-utils').web3Utils;
-const { getUserNonceByWalletId } = require('metamask-auth-utils').authUtils;
+const { verifySignedAction } = require('metamask-auth-utils').authUtils;
 const { ValidationError, ApiError } = require('metamask-auth-utils').errors;
+const { recordAuditEvent } = require('metamask-auth-utils').auditLog;
+const { logger } = require('metamask-auth-utils');
 
-const signPrefix = process.env.SIGN_PREFIX;
+// The route for the typed action schema (EIP-712 domain and struct)
+const route = 'test/write';
 
 /**
  * Simulate write requests.
- * Verify a signature before allowing the request.
+ * Verify an EIP-712 typed data signature of the request before allowing it.
+ * The signing wallet is resolved from the authenticated user, the signed body hash must
+ * match the submitted data, and the nonce is consumed so the signature cannot be replayed.
  * @param {object} params
- * @param {string} params.walletId
- * @param {string} params.signature
+ * @param {object} params.body
+ * @param {object} params.body.data - the request data that was signed
+ * @param {number} params.body.expiry - the signed expiry (Unix timestamp)
+ * @param {string} params.body.signature
+ * @param {string} [params.body.walletId] - must belong to the authenticated user if supplied
  * @param {object} context
  * @param {string} [context.requestId]
+ * @param {string} context.userId - authenticated principal from the authorizer
+ * @param {string} [context.chainId] - session Chain ID from the authorizer, the action must be signed on this chain
  *
  */
 exports.handler = async (event) => {
-    console.log('Event: ', JSON.stringify(event));
+    logger.startRequest(event);
     const { params = {}, context = {} } = event;
-    const { requestId = '' } = context;
+    const { requestId = '', userId = '', chainId = '' } = context;
 
     try {
         const { body = {} } = params;
-        const { walletId = '', signature = '' } = body;
-        if (!walletId) { throw new ValidationError('Missing walletId'); }
+        const {
+            walletId = '', signature = '', data, expiry = 0,
+        } = body;
         if (!signature) { throw new ValidationError('Missing signature'); }
+        if (!data) { throw new ValidationError('Missing data'); }
+        if (!expiry) { throw new ValidationError('Missing expiry'); }
 
-        // Get the current nonce for the user
-        const nonce = await getUserNonceByWalletId(walletId);
-
-        // Verify the signature
-        const result = await isValidEthSignature({
+        // Verify the typed data signature and consume the nonce
+        const { success, walletId: signingWalletId } = await verifySignedAction({
+            userId,
             walletId,
             signature,
-            message: `${signPrefix}${nonce}`,
+            typedAction: {
+                route,
+                data,
+                expiry,
+                chainId,
+            },
         });
 
-        if (!result) { throw new ValidationError('Invalid signature'); }
+        await recordAuditEvent({
+            type: 'signed-write', result: 'success', context, userId, walletId: signingWalletId,
+        });
 
         return {
-            success: result,
+            success,
             message: 'Succesful write request',
         };
     } catch (err) {
         const { message = 'Internal handler Error', statusCode = 500 } = err;
-        console.log('Error caught: ', err);
+        logger.error('Error caught', err);
+        const { body = {} } = params;
+        await recordAuditEvent({
+            type: 'signed-write', result: 'failure', context, userId, walletId: body.walletId, reason: message,
+        });
         throw new ApiError(message, statusCode, requestId);
     }
 };
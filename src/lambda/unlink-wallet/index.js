@@ -0,0 +1,46 @@
+const { unlinkWallet } = require('metamask-auth-utils').authUtils;
+const { ValidationError, ApiError } = require('metamask-auth-utils').errors;
+const { logger } = require('metamask-auth-utils');
+
+const signPrefix = process.env.SIGN_PREFIX;
+
+/**
+ * Unlink a wallet from the authenticated user.
+ * Requires a signed request from one of the user's wallets. The last wallet cannot be unlinked,
+ * and if the primary wallet is unlinked another linked wallet becomes the primary wallet.
+ * @param {object} params
+ * @param {string} params.walletId - the wallet to unlink
+ * @param {object} params.body
+ * @param {string} params.body.signature
+ * @param {string} [params.body.sessionWalletId] - the signing wallet, defaults to the primary wallet
+ * @param {object} context
+ * @param {string} [context.requestId]
+ * @param {string} context.userId - authenticated principal from the authorizer
+ *
+ */
+exports.handler = async (event) => {
+    logger.startRequest(event);
+    const { params = {}, context = {} } = event;
+    const { requestId = '', userId = '' } = context;
+
+    try {
+        const { walletId = '', body = {} } = params;
+        const { signature = '', sessionWalletId = '' } = body;
+        if (!walletId) { throw new ValidationError('Missing walletId'); }
+        if (!signature) { throw new ValidationError('Missing signature'); }
+
+        // Verify the signature and unlink the wallet
+        const result = await unlinkWallet({
+            userId, walletId, signature, signPrefix, sessionWalletId,
+        });
+
+        return {
+            ...result,
+            requestId,
+        };
+    } catch (err) {
+        const { message = 'Internal handler Error', statusCode = 500 } = err;
+        logger.error('Error caught', err);
+        throw new ApiError(message, statusCode, requestId);
+    }
+};
@@ -0,0 +1,42 @@
+const { updateProfile } = require('metamask-auth-utils').profileUtils;
+const { ValidationError, ApiError } = require('metamask-auth-utils').errors;
+const { logger } = require('metamask-auth-utils');
+
+/**
+ * Update the profile attributes for the authenticated user.
+ * The fields are merged into the current profile, and null removes a field.
+ * Fields are checked against the profile schema in the utils module.
+ * @param {object} params
+ * @param {object} params.body
+ * @param {object} params.body.profile - profile fields to change
+ * @param {object} context
+ * @param {string} [context.requestId]
+ * @param {string} context.userId - authenticated principal from the authorizer
+ *
+ */
+exports.handler = async (event) => {
+    logger.startRequest(event);
+    const { params = {}, context = {} } = event;
+    const { requestId = '', userId = '' } = context;
+
+    try {
+        const { body = {} } = params;
+        const { profile } = body || {};
+        if (!profile) { throw new ValidationError('Missing profile'); }
+
+        // Validate and save the profile
+        const { profile: updated, updatedTime } = await updateProfile({ userId, profile });
+
+        return {
+            success: true,
+            userId,
+            profile: updated,
+            updatedTime,
+            requestId,
+        };
+    } catch (err) {
+        const { message = 'Internal handler Error', statusCode = 500 } = err;
+        logger.error('Error caught', err);
+        throw new ApiError(message, statusCode, requestId);
+    }
+};
@@ -5,6 +5,19 @@ const web3Utils = require('./lib/web3Utils');
 const jwtUtils = require('./lib/jwtUtils');
 const errors = require('./lib/errors');
 const awsUtils = require('./lib/awsUtils');
+const sessionUtils = require('./lib/sessionUtils');
+const adminUtils = require('./lib/adminUtils');
+const userStore = require('./lib/userStore');
+const tokenSigner = require('./lib/tokenSigner');
+const contractWallet = require('./lib/contractWallet');
+const tokenGate = require('./lib/tokenGate');
+const authPolicy = require('./lib/authPolicy');
+const logger = require('./lib/logger');
+const auditLog = require('./lib/auditLog');
+const throttle = require('./lib/throttle');
+const accountDeletion = require('./lib/accountDeletion');
+const profileUtils = require('./lib/profileUtils');
+const ensLookup = require('./lib/ensLookup');
 
 module.exports = {
     authUtils,
@@ -12,6 +25,19 @@ module.exports = {
     jwtUtils,
     errors,
     awsUtils,
+    sessionUtils,
+    adminUtils,
+    userStore,
+    tokenSigner,
+    contractWallet,
+    tokenGate,
+    authPolicy,
+    logger,
+    auditLog,
+    throttle,
+    accountDeletion,
+    profileUtils,
+    ensLookup,
     cookie,
     moment,
 };
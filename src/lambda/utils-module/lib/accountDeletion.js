@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const { verifySignedAction, listWalletsByUserId, deleteUser } = require('./authUtils');
+const { revokeUserSessions } = require('./sessionUtils');
+const { recordAuditEvent, eraseAuditEvents, erasePolicies } = require('./auditLog');
+const { clearFailures } = require('./throttle');
+const { createReceiptToken } = require('./jwtUtils');
+const { ValidationError } = require('./errors');
+const logger = require('./logger');
+
+/**
+ * Self-service account deletion.
+ * The user signs a typed action for the delete route with one of their wallets. The sessions are revoked, the
+ * related data is erased by the deletion policy, and then the user and wallet links are removed. The user
+ * gets a signed receipt, which can be verified with the JWKS.
+ *
+ * The user is removed last, so if an earlier step fails the user can sign and try again.
+ */
+
+// The route for the typed action schema (EIP-712 domain and struct)
+const deleteRoute = 'auth/delete-user';
+
+/**
+ * Deletion Policy - what happens to the related data of a deleted user
+ * @typedef {Object} DeletionPolicy
+ * @property {string} audit - audit events: 'anonymize', 'purge' or 'keep' until the retention period ends
+ */
+
+/** @type {DeletionPolicy} */
+const defaultPolicy = {
+    audit: 'anonymize',
+};
+
+let deletionPolicy = { ...defaultPolicy, ...JSON.parse(process.env.DELETION_POLICY || '{}') };
+
+/**
+ * Set the deletion policy, eg. for testing
+ * @param {Partial<DeletionPolicy>} values - merged with the defaults
+ */
+function setDeletionPolicy(values) {
+    deletionPolicy = { ...defaultPolicy, ...values };
+}
+
+/**
+ * Get the deletion policy
+ * @returns {DeletionPolicy}
+ */
+function getDeletionPolicy() {
+    return { ...deletionPolicy };
+}
+
+/**
+ * Deletion Receipt
+ * @typedef {Object} DeletionReceipt
+ * @property {string} receiptId
+ * @property {string} userId
+ * @property {string[]} walletIds - the deleted user's wallets
+ * @property {string} deletedTime - ISO 8601
+ * @property {number} sessionsRevoked
+ * @property {{policy: string, events: number}} audit - the audit policy and the number of events erased
+ * @property {string} auditEventId - EventId of the delete-user event in the audit trail, empty if it was not recorded
+ */
+
+/**
+ * Delete the authenticated user's account after verifying a signed delete action.
+ * The signed data must be the userId, so a signature for one account cannot delete another.
+ * @param {object} params
+ * @param {string} params.userId - the authenticated principal
+ * @param {string} params.signature - eth_signTypedData_v4 signature of the delete action
+ * @param {object} params.data - the signed request data, { userId }
+ * @param {number} params.expiry - the signed expiry (Unix timestamp)
+ * @param {string} [params.walletId] - the signing wallet, defaults to the primary wallet
+ * @param {number|string} [params.chainId] - the session Chain ID the action was signed on
+ * @param {object} [params.context] - request context for the audit trail
+ * @returns {Promise<{success: boolean, receipt: DeletionReceipt, receiptToken: string}>} the receipt, and the receipt as a signed JWT
+ * @throws {ValidationError} if the signature or data is invalid
+ * @throws {ForbiddenError} if the wallet does not belong to the user
+ */
+async function deleteAccount({
+    userId, signature, data, expiry, walletId = '', chainId = '', context = {},
+}) {
+    try {
+        if (!data || data.userId !== userId) { throw new ValidationError('Signed data must be the userId of the account to delete'); }
+        if (!erasePolicies.includes(deletionPolicy.audit)) { throw new Error(`Unknown audit deletion policy ${deletionPolicy.audit}`); }
+
+        // Verify the typed data signature and consume the nonce
+        await verifySignedAction({
+            userId,
+            walletId,
+            signature,
+            typedAction: {
+                route: deleteRoute,
+                data,
+                expiry,
+                chainId,
+            },
+        });
+
+        // Revoke the sessions and erase the related data, then remove the user and wallet links
+        const sessionsRevoked = await revokeUserSessions(userId);
+        const wallets = await listWalletsByUserId(userId);
+        const auditEvents = await eraseAuditEvents({
+            userId,
+            walletIds: wallets.map((wallet) => wallet.walletId),
+            policy: deletionPolicy.audit,
+            context: { requestId: context.requestId },
+        });
+        const { walletIds } = await deleteUser(userId);
+        await Promise.all(walletIds.map((id) => clearFailures({ walletId: id })));
+
+        // The deletion event only identifies the user if the audit events are kept
+        const keep = (deletionPolicy.audit === 'keep');
+        const auditRecord = await recordAuditEvent({
+            type: 'delete-user',
+            result: 'success',
+            context: (keep) ? context : { requestId: context.requestId },
+            userId: (keep) ? userId : '',
+            walletId: (keep) ? walletIds[0] : '',
+        });
+
+        const receipt = {
+            receiptId: crypto.randomBytes(16).toString('hex'),
+            userId,
+            walletIds,
+            deletedTime: moment().toISOString(),
+            sessionsRevoked,
+            audit: { policy: deletionPolicy.audit, events: auditEvents },
+            auditEventId: (auditRecord) ? auditRecord.EventId : '',
+        };
+        const receiptToken = await createReceiptToken({ userId, receiptId: receipt.receiptId, receipt });
+        logger.info('Account deleted', {
+            receiptId: receipt.receiptId,
+            audit: receipt.audit,
+            sessionsRevoked,
+            wallets: walletIds.length,
+        });
+
+        return {
+            success: true,
+            receipt,
+            receiptToken,
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal deleteAccount error';
+        logger.error('deleteAccount error', err);
+        throw err;
+    }
+}
+
+module.exports = {
+    deleteRoute,
+    setDeletionPolicy,
+    getDeletionPolicy,
+    deleteAccount,
+};
@@ -0,0 +1,275 @@
+// eslint-disable-next-line import/no-extraneous-dependencies
+const AWS = require('aws-sdk');
+const moment = require('moment');
+const {
+    getUserByUserId, getUserByWalletId, listWalletsByUserId, isAdminUser, isConfiguredAdmin, roles,
+} = require('./authUtils');
+const { revokeUserSessions } = require('./sessionUtils');
+const { ValidationError, ForbiddenError } = require('./errors');
+const logger = require('./logger');
+
+const docClient = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+});
+
+const userTbl = process.env.USER_TABLE;
+
+// Page size limits for user lists
+const defaultPageSize = 25;
+const maxPageSize = 100;
+
+// Search queries in wallet address format are looked up directly
+const walletIdPattern = /^0x[0-9a-fA-F]{40}$/;
+
+// Admin Functions ===============================================================================================
+
+/**
+ * User summary returned to admins. The nonce is never returned.
+ * @typedef {Object} UserSummary
+ * @property {string} userId
+ * @property {string} walletId - the primary wallet
+ * @property {boolean} verified
+ * @property {string} role - 'user' or 'admin'
+ * @property {boolean} configuredAdmin - admin role is set by config and cannot be changed
+ * @property {boolean} disabled
+ * @property {string} [disabledTime]
+ * @property {string} createdTime
+ * @property {string} lastLogin
+ * @property {number} expiryTime
+ */
+
+/**
+ * Create the admin summary for a user record
+ * @param {User} user
+ * @returns {UserSummary}
+ */
+function toUserSummary(user) {
+    return {
+        userId: user.UserId,
+        walletId: user.WalletId,
+        verified: user.Verified || false,
+        role: (isAdminUser(user)) ? 'admin' : 'user',
+        configuredAdmin: isConfiguredAdmin(user),
+        disabled: user.Disabled || false,
+        disabledTime: user.DisabledTime,
+        createdTime: user.CreatedTime,
+        lastLogin: user.LastLogin,
+        expiryTime: user.ExpiryTime,
+    };
+}
+
+/**
+ * Check the authenticated user is an admin.
+ * The admin claim from the authorizer is checked first, then the user record so a role change
+ * or disabled account takes effect before the auth token expires.
+ * @param {object} params
+ * @param {string} params.userId - authenticated principal from the authorizer
+ * @param {boolean|string} params.isAdmin - admin claim from the authorizer context
+ * @returns {Promise<User>} the admin User
+ * @throws {ForbiddenError} if the user is not an admin
+ */
+async function assertAdmin({ userId, isAdmin }) {
+    try {
+        if (!userId || (isAdmin !== true && isAdmin !== 'true')) { throw new ForbiddenError('Admin access required'); }
+        const user = await getUserByUserId(userId);
+        if (!isAdminUser(user) || user.Disabled) { throw new ForbiddenError('Admin access required'); }
+        return user;
+    } catch (err) {
+        if (err instanceof ValidationError) { throw new ForbiddenError('Admin access required'); }
+        err.message = (err.message) || 'Internal assertAdmin error';
+        throw err;
+    }
+}
+
+/**
+ * Encode a DynamoDB LastEvaluatedKey as an opaque page token
+ * @param {object} [key]
+ * @returns {string} nextToken, empty if there are no more pages
+ */
+function encodePageToken(key) {
+    return (key) ? Buffer.from(JSON.stringify(key), 'utf8').toString('base64') : '';
+}
+
+/**
+ * Decode a page token to a DynamoDB ExclusiveStartKey
+ * @param {string} [nextToken]
+ * @returns {object|undefined} ExclusiveStartKey
+ * @throws {ValidationError} if the token is invalid
+ */
+function decodePageToken(nextToken) {
+    if (!nextToken) { return undefined; }
+    try {
+        const key = JSON.parse(Buffer.from(nextToken, 'base64').toString('utf8'));
+        if (!key || typeof key.UserId !== 'string') { throw new Error('Invalid key'); }
+        return { UserId: key.UserId };
+    } catch (err) {
+        throw new ValidationError('Invalid nextToken');
+    }
+}
+
+/**
+ * List or search users, a page at a time.
+ * A query that is a wallet address finds the user by primary or linked wallet.
+ * Other queries match part of a UserId or primary WalletId.
+ * Filtered pages may contain fewer users than the limit, keep paging until nextToken is empty.
+ * @param {object} params
+ * @param {string} [params.query] - search string
+ * @param {number} [params.limit = 25] - max users to read per page (1-100)
+ * @param {string} [params.nextToken] - token from the previous page
+ * @returns {Promise<{users: UserSummary[], nextToken: string}>}
+ */
+async function listUsers({ query = '', limit = defaultPageSize, nextToken = '' } = {}) {
+    try {
+        const pageSize = Math.min(Math.max(Math.floor(Number(limit)) || defaultPageSize, 1), maxPageSize);
+        const search = query.trim();
+
+        // Exact wallet lookup
+        if (walletIdPattern.test(search)) {
+            try {
+                const user = await getUserByWalletId(search);
+                return { users: [toUserSummary(user)], nextToken: '' };
+            } catch (err) {
+                if (err instanceof ValidationError) { return { users: [], nextToken: '' }; }
+                throw err;
+            }
+        }
+
+        const params = {
+            TableName: userTbl,
+            Limit: pageSize,
+            ExclusiveStartKey: decodePageToken(nextToken),
+        };
+        if (search) {
+            // UserIds are upper case hex, WalletIds are stored in lower case
+            params.FilterExpression = 'contains(UserId, :u) OR contains(WalletId, :w)';
+            params.ExpressionAttributeValues = {
+                ':u': search.toUpperCase(),
+                ':w': search.toLowerCase(),
+            };
+        }
+        const { Items = [], LastEvaluatedKey } = await docClient.scan(params).promise();
+        return {
+            users: Items.map(toUserSummary),
+            nextToken: encodePageToken(LastEvaluatedKey),
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal listUsers error';
+        logger.error('listUsers error', err);
+        throw err;
+    }
+}
+
+/**
+ * Get a user with their wallets
+ * @param {string} userId
+ * @returns {Promise<UserSummary & {wallets: object[]}>}
+ */
+async function getUserDetail(userId) {
+    try {
+        if (!userId) { throw new ValidationError('Missing userId'); }
+        const user = await getUserByUserId(userId);
+        const wallets = await listWalletsByUserId(userId);
+        return {
+            ...toUserSummary(user),
+            wallets,
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal getUserDetail error';
+        throw err;
+    }
+}
+
+/**
+ * Check an admin can change another user.
+ * Admins cannot change their own account, and users with a configured admin wallet cannot be changed.
+ * @param {object} params
+ * @param {string} params.userId - the user to change
+ * @param {string} params.adminUserId - the admin making the change
+ * @returns {Promise<User>} User to change
+ */
+async function getChangeableUser({ userId, adminUserId }) {
+    if (!userId) { throw new ValidationError('Missing userId'); }
+    if (userId === adminUserId) { throw new ValidationError('Admins cannot change their own account'); }
+    const user = await getUserByUserId(userId);
+    if (isConfiguredAdmin(user)) { throw new ValidationError('User has a configured admin wallet and cannot be changed'); }
+    return user;
+}
+
+/**
+ * Set the role for a user. Takes effect on the next token refresh.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.role - 'user' or 'admin'
+ * @param {string} params.adminUserId - the admin making the change
+ * @returns {Promise<UserSummary>} updated User
+ */
+async function setUserRole({ userId, role, adminUserId }) {
+    try {
+        if (!roles.includes(role)) { throw new ValidationError(`Role must be one of: ${roles.join(', ')}`); }
+        await getChangeableUser({ userId, adminUserId });
+        const params = {
+            TableName: userTbl,
+            Key: { UserId: userId },
+            UpdateExpression: 'set #r = :r',
+            ConditionExpression: 'attribute_exists(UserId)',
+            ExpressionAttributeNames: {
+                '#r': 'Role',
+            },
+            ExpressionAttributeValues: {
+                ':r': role,
+            },
+            ReturnValues: 'ALL_NEW',
+        };
+        const { Attributes } = await docClient.update(params).promise();
+        return toUserSummary(Attributes);
+    } catch (err) {
+        if (err.code === 'ConditionalCheckFailedException') { throw new ValidationError('UserId not found'); }
+        err.message = (err.message) || 'Internal setUserRole error';
+        logger.error('setUserRole error', err);
+        throw err;
+    }
+}
+
+/**
+ * Disable or enable a user account.
+ * Disabling revokes every session for the user so they cannot refresh their auth token,
+ * and disabled users cannot login or sign requests.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {boolean} params.disabled
+ * @param {string} params.adminUserId - the admin making the change
+ * @returns {Promise<UserSummary & {revoked: number}>} updated User and number of sessions revoked
+ */
+async function setUserDisabled({ userId, disabled, adminUserId }) {
+    try {
+        if (typeof disabled !== 'boolean') { throw new ValidationError('Disabled must be true or false'); }
+        await getChangeableUser({ userId, adminUserId });
+        const params = {
+            TableName: userTbl,
+            Key: { UserId: userId },
+            UpdateExpression: (disabled) ? 'set Disabled = :d, DisabledTime = :t' : 'set Disabled = :d remove DisabledTime',
+            ConditionExpression: 'attribute_exists(UserId)',
+            ExpressionAttributeValues: (disabled) ? { ':d': true, ':t': moment().toISOString() } : { ':d': false },
+            ReturnValues: 'ALL_NEW',
+        };
+        const { Attributes } = await docClient.update(params).promise();
+        const revoked = (disabled) ? await revokeUserSessions(userId) : 0;
+        return {
+            ...toUserSummary(Attributes),
+            revoked,
+        };
+    } catch (err) {
+        if (err.code === 'ConditionalCheckFailedException') { throw new ValidationError('UserId not found'); }
+        err.message = (err.message) || 'Internal setUserDisabled error';
+        logger.error('setUserDisabled error', err);
+        throw err;
+    }
+}
+
+module.exports = {
+    assertAdmin,
+    listUsers,
+    getUserDetail,
+    setUserRole,
+    setUserDisabled,
+};
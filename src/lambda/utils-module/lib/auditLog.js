@@ -0,0 +1,586 @@
+// eslint-disable-next-line import/no-extraneous-dependencies
+const AWS = require('aws-sdk');
+const moment = require('moment');
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+const logger = require('./logger');
+
+/**
+ * Audit trail of authentication events.
+ * Events are appended to AUDIT_CHAINS hash chains: each event has a sequence number and the hash of the previous
+ * event in its chain, and its own hash covers both. The HEAD record of each chain holds the latest sequence number
+ * and hash, and is updated in the same transaction as the event is written, so events cannot be edited, removed
+ * or reordered without breaking the chain. Each event goes to a random chain, so concurrent events from every
+ * function rarely update the same HEAD. Chain 0 has the ids of the original single chain.
+ *
+ * The personal fields (UserId, WalletId and SourceIp) are covered by a salted subject hash instead of the event
+ * hash. Erasing the events of a deleted user first appends an erase-events event to a chain, which lists the
+ * erased EventIds in its hash. Anonymized events then lose the personal fields and the salt, and purged events are
+ * reduced to their chain fields, and both point to the erase-events event, so an erasure is only accepted if a
+ * chained erase-events event lists it.
+ *
+ * Events are kept for AUDIT_RETENTION_DAYS and then removed by the table TTL. Each event has the expiry time of
+ * the previous event in its chain, so a missing previous event is only accepted once it has expired.
+ */
+
+const docClient = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+});
+
+const auditTbl = process.env.AUDIT_TABLE;
+const userAuditIdx = process.env.AUDIT_USER_IDX;
+const walletAuditIdx = process.env.AUDIT_WALLET_IDX;
+const typeAuditIdx = process.env.AUDIT_TYPE_IDX;
+
+// Days to keep audit events, zero to keep them forever
+const retentionDays = Number(process.env.AUDIT_RETENTION_DAYS || 365);
+
+const eventTypes = ['create-user', 'verify-user', 'login', 'refresh', 'logout', 'signed-write', 'delete-user', 'erase-events'];
+const results = ['success', 'failure'];
+
+// Number of hash chains events are spread across
+const chainCount = Math.max(1, Math.floor(Number(process.env.AUDIT_CHAINS || 16)));
+
+// Each chain starts from the genesis hash
+const headId = 'HEAD';
+const genesisHash = '0'.repeat(64);
+
+// Concurrent events retry the append on another chain
+const maxAppendAttempts = 5;
+
+// Page size limits for event queries
+const defaultPageSize = 25;
+const maxPageSize = 100;
+
+// Deleted user policies for audit events
+const erasePolicies = ['anonymize', 'purge', 'keep'];
+
+// The event that records an erasure, and the fields removed from a purged event. It keeps the chain fields.
+const eraseEventType = 'erase-events';
+const purgedFields = ['EventType', 'EventTime', 'Result', 'UserId', 'WalletId', 'SourceIp', 'SubjectSalt', 'SubjectHash',
+    'RequestId', 'Reason', 'PrevExpiryTime'];
+
+// Page token key attributes, the table and index keys
+const pageKeyNames = ['EventId', 'UserId', 'WalletId', 'EventType', 'EventTime'];
+
+/**
+ * Audit Event record
+ * @typedef {Object} AuditRecord
+ * @property {string} EventId - chain and zero padded sequence number
+ * @property {number} [Chain] - the hash chain, none for chain 0
+ * @property {number} Seq - position in the hash chain, from 1
+ * @property {string} EventType - one of eventTypes
+ * @property {string} EventTime - ISO 8601 time of the event
+ * @property {string} Result - 'success' or 'failure'
+ * @property {string} [UserId]
+ * @property {string} [WalletId] - lower case
+ * @property {string} [SourceIp]
+ * @property {string} [SubjectSalt] - random salt for the SubjectHash, removed with the personal fields
+ * @property {string} SubjectHash - SHA-256 of the salt and the personal fields
+ * @property {string} [RequestId]
+ * @property {string} [Reason] - error message for failures
+ * @property {string[]} [ErasedIds] - EventIds erased by an erase-events event
+ * @property {string} [ErasureId] - EventId of the erase-events event, if the event has been anonymized or purged
+ * @property {number} [ExpiryTime] - removed by the TTL after this (Unix timestamp), none if events are kept forever
+ * @property {number} [PrevExpiryTime] - ExpiryTime of the previous event, zero if it is kept forever
+ * @property {string} PrevHash - Hash of the previous event, the genesis hash for the first event
+ * @property {string} Hash - SHA-256 of the event fields, the SubjectHash and PrevHash
+ */
+
+/**
+ * Audit Event returned to admins
+ * @typedef {Object} AuditEvent
+ * @property {string} eventId
+ * @property {number} chain
+ * @property {number} seq
+ * @property {string} type
+ * @property {string} time
+ * @property {string} result
+ * @property {string} [userId]
+ * @property {string} [walletId]
+ * @property {string} [sourceIp]
+ * @property {string} [requestId]
+ * @property {string} [reason]
+ * @property {string[]} [erasedIds] - EventIds erased by an erase-events event
+ * @property {boolean} anonymized - the personal fields have been removed
+ * @property {string} prevHash
+ * @property {string} hash
+ * @property {string} [integrity] - chain check result if requested: 'valid', 'invalid', or 'unlinked' if the
+ * previous event has been removed by the retention period
+ */
+
+/**
+ * Hash the personal fields of an audit record with its salt
+ * @param {AuditRecord} record
+ * @returns {string} hex SHA-256
+ */
+function hashAuditSubject(record) {
+    const fields = [record.SubjectSalt || '', record.UserId || '', record.WalletId || '', record.SourceIp || ''];
+    return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+}
+
+/**
+ * Hash an audit record. The hash covers every field except the Hash itself and the ErasureId, with the personal
+ * fields covered by the SubjectHash. ErasedIds and PrevExpiryTime are only added if the record has them, so events
+ * written before they were added still verify.
+ * @param {AuditRecord} record
+ * @returns {string} hex SHA-256
+ */
+function hashAuditRecord(record) {
+    const fields = [
+        record.Seq, record.EventType, record.EventTime, record.Result, record.SubjectHash,
+        record.RequestId || '', record.Reason || '', record.ExpiryTime || 0, record.PrevHash,
+    ];
+    const added = Object.fromEntries(['PrevExpiryTime', 'ErasedIds']
+        .filter((name) => record[name] !== undefined)
+        .map((name) => [name, record[name]]));
+    if (Object.keys(added).length) { fields.push(added); }
+    return crypto.createHash('sha256').update(JSON.stringify(fields)).digest('hex');
+}
+
+/**
+ * Get the EventId for a sequence number in a chain. Ids are padded so they sort in sequence order.
+ * @param {number} seq
+ * @param {number} [chain = 0]
+ * @returns {string} EventId
+ */
+function toEventId(seq, chain = 0) {
+    const id = String(seq).padStart(12, '0');
+    return (chain) ? `${String(chain).padStart(3, '0')}#${id}` : id;
+}
+
+/**
+ * Get the EventId of the HEAD record for a chain
+ * @param {number} [chain = 0]
+ * @returns {string} EventId
+ */
+function toHeadId(chain = 0) {
+    return (chain) ? `${headId}#${chain}` : headId;
+}
+
+/**
+ * Append an event to a random chain.
+ * Reads the HEAD record, then writes the event and moves the HEAD in one transaction. The transaction is
+ * cancelled if another event was appended to the chain in the meantime, and the append is retried on another chain.
+ * @param {object} fields - AuditRecord fields, without the chain fields
+ * @returns {Promise<AuditRecord>} record
+ */
+async function appendAuditRecord(fields) {
+    for (let attempt = 1; ; attempt += 1) {
+        const chain = crypto.randomInt(chainCount);
+        // eslint-disable-next-line no-await-in-loop
+        const { Item: head } = await docClient.get({
+            TableName: auditTbl,
+            Key: { EventId: toHeadId(chain) },
+            ConsistentRead: true,
+        }).promise();
+        const seq = (head) ? head.Seq + 1 : 1;
+        const record = Object.fromEntries(Object.entries({
+            EventId: toEventId(seq, chain),
+            Chain: chain || undefined,
+            Seq: seq,
+            ...fields,
+            PrevExpiryTime: (head) ? head.ExpiryTime : undefined,
+            PrevHash: (head) ? head.Hash : genesisHash,
+        }).filter(([, value]) => value !== undefined && value !== ''));
+        record.Hash = hashAuditRecord(record);
+
+        const headUpdate = {
+            TableName: auditTbl,
+            Item: {
+                EventId: toHeadId(chain),
+                Seq: seq,
+                Hash: record.Hash,
+                ExpiryTime: record.ExpiryTime || 0,
+                UpdatedTime: record.EventTime,
+            },
+            ConditionExpression: 'attribute_not_exists(EventId)',
+        };
+        if (head) {
+            headUpdate.ConditionExpression = 'Seq = :seq';
+            headUpdate.ExpressionAttributeValues = { ':seq': head.Seq };
+        }
+        try {
+            // eslint-disable-next-line no-await-in-loop
+            await docClient.transactWrite({
+                TransactItems: [
+                    { Put: { TableName: auditTbl, Item: record, ConditionExpression: 'attribute_not_exists(EventId)' } },
+                    { Put: headUpdate },
+                ],
+            }).promise();
+            return record;
+        } catch (err) {
+            const conflict = ['TransactionCanceledException', 'TransactionConflictException'].includes(err.code);
+            if (!conflict || attempt >= maxAppendAttempts) { throw err; }
+            // eslint-disable-next-line no-await-in-loop
+            await new Promise((resolve) => { setTimeout(resolve, Math.floor(Math.random() * 10 * attempt)); });
+        }
+    }
+}
+
+/**
+ * Record an authentication event in the audit trail.
+ * Errors are logged and not thrown, so an audit failure does not fail the request. Events that cannot be
+ * written are logged as 'Audit event dropped' with the event type, result and requestId, so gaps in the
+ * trail can be accounted for.
+ * @param {object} params
+ * @param {string} params.type - one of eventTypes
+ * @param {string} params.result - 'success' or 'failure'
+ * @param {object} [params.context] - request context from the API Gateway request template
+ * @param {string} [params.context.requestId]
+ * @param {string} [params.context.sourceIp]
+ * @param {string} [params.userId]
+ * @param {string} [params.walletId]
+ * @param {string} [params.reason] - why the request failed
+ * @returns {Promise<AuditRecord|null>} the record, or null if it could not be written
+ */
+async function recordAuditEvent({
+    type, result, context = {}, userId = '', walletId = '', reason = '',
+}) {
+    try {
+        if (!eventTypes.includes(type)) { throw new Error(`Unknown audit event type ${type}`); }
+        if (!results.includes(result)) { throw new Error(`Unknown audit event result ${result}`); }
+        const now = moment();
+        const subject = {
+            UserId: userId,
+            WalletId: walletId.toLowerCase(),
+            SourceIp: context.sourceIp,
+            SubjectSalt: crypto.randomBytes(16).toString('hex'),
+        };
+        return await appendAuditRecord({
+            EventType: type,
+            EventTime: now.toISOString(),
+            Result: result,
+            ...subject,
+            SubjectHash: hashAuditSubject(subject),
+            RequestId: context.requestId,
+            Reason: reason,
+            ExpiryTime: (retentionDays) ? Number(now.clone().add(retentionDays, 'd').format('X')) : undefined,
+        });
+    } catch (err) {
+        err.message = (err.message) || 'Internal recordAuditEvent error';
+        logger.error('Audit event dropped', {
+            type, result, requestId: context.requestId, error: err,
+        });
+        return null;
+    }
+}
+
+/**
+ * Create the admin view of an audit record
+ * @param {AuditRecord} record
+ * @returns {AuditEvent}
+ */
+function toAuditEvent(record) {
+    return {
+        eventId: record.EventId,
+        chain: record.Chain || 0,
+        seq: record.Seq,
+        type: record.EventType,
+        time: record.EventTime,
+        result: record.Result,
+        userId: record.UserId,
+        walletId: record.WalletId,
+        sourceIp: record.SourceIp,
+        requestId: record.RequestId,
+        reason: record.Reason,
+        erasedIds: record.ErasedIds,
+        anonymized: Boolean(record.ErasureId),
+        prevHash: record.PrevHash,
+        hash: record.Hash,
+    };
+}
+
+/**
+ * Check audit records against their chains.
+ * A record is valid if its hashes match its fields, it links to the previous record, and the next record
+ * (or the chain HEAD for the latest record) links to it. A record whose previous record has been removed after
+ * its expiry time is 'unlinked', as the retention period removes the oldest records of a chain. Any other missing
+ * record is 'invalid' on both sides, unless the record next to it has expired too and is waiting for the TTL.
+ * The subject hash of anonymized records cannot be checked, so they must not have any personal fields, and they
+ * and purged records next to a record must be listed by a chained erase-events event.
+ * @param {AuditRecord[]} records
+ * @param {object} [options]
+ * @param {boolean} [options.checkErasures = true] - check the erase-events events, false when checking them
+ * @returns {Promise<string[]>} integrity for each record: 'valid', 'invalid' or 'unlinked'
+ */
+async function verifyAuditRecords(records, { checkErasures = true } = {}) {
+    try {
+        const now = Number(moment().format('X'));
+        const getRecord = async (EventId) => (await docClient.get({ TableName: auditTbl, Key: { EventId }, ConsistentRead: true }).promise()).Item;
+        const byId = new Map(records.map((record) => [record.EventId, record]));
+        const neighbours = [...new Set(records.flatMap(({ Chain = 0, Seq }) => [toEventId(Seq - 1, Chain), toEventId(Seq + 1, Chain)]
+            .filter((eventId, i) => (i || Seq > 1) && !byId.has(eventId))))];
+        const chains = [...new Set(records.map(({ Chain = 0 }) => Chain))];
+        const [heads, found] = await Promise.all([
+            Promise.all(chains.map((chain) => getRecord(toHeadId(chain)))),
+            Promise.all(neighbours.map(getRecord)),
+        ]);
+        found.filter((record) => record).forEach((record) => byId.set(record.EventId, record));
+        const headByChain = new Map(chains.map((chain, i) => [chain, heads[i]]));
+
+        // The erase-events events of the erased records and neighbours, if they verify in their own chains
+        const erasures = new Map();
+        const erasureIds = [...new Set([...byId.values()].map(({ ErasureId }) => ErasureId).filter((id) => id))];
+        if (checkErasures && erasureIds.length) {
+            const erasureRecords = (await Promise.all(erasureIds.map(getRecord)))
+                .filter((record) => record && record.EventType === eraseEventType && Array.isArray(record.ErasedIds));
+            const erasureIntegrity = await verifyAuditRecords(erasureRecords, { checkErasures: false });
+            erasureRecords.filter((record, i) => erasureIntegrity[i] !== 'invalid').forEach((record) => erasures.set(record.EventId, record));
+        }
+        const isErased = ({ EventId, ErasureId }) => !checkErasures
+            || Boolean(erasures.has(ErasureId) && erasures.get(ErasureId).ErasedIds.includes(EventId));
+        // Purged records only keep their chain fields
+        const isPurged = (record) => !record.EventType;
+
+        return records.map((record) => {
+            const chain = record.Chain || 0;
+            const head = headByChain.get(chain);
+            const expired = Boolean(record.ExpiryTime && record.ExpiryTime <= now);
+            if (hashAuditRecord(record) !== record.Hash) { return 'invalid'; }
+            if (record.ErasureId) {
+                if (record.UserId || record.WalletId || record.SourceIp || !isErased(record)) { return 'invalid'; }
+            } else if (hashAuditSubject(record) !== record.SubjectHash) {
+                return 'invalid';
+            }
+            let unlinked = false;
+            const next = byId.get(toEventId(record.Seq + 1, chain));
+            if (next) {
+                if (next.PrevHash !== record.Hash) { return 'invalid'; }
+                if (isPurged(next) && (!next.ErasureId || !isErased(next))) { return 'invalid'; }
+            } else if (!head || head.Seq < record.Seq) {
+                return 'invalid';
+            } else if (head.Seq === record.Seq) {
+                if (head.Hash !== record.Hash) { return 'invalid'; }
+            } else if (expired) {
+                unlinked = true;
+            } else {
+                return 'invalid';
+            }
+            if (record.Seq === 1) {
+                if (record.PrevHash !== genesisHash) { return 'invalid'; }
+            } else {
+                const prev = byId.get(toEventId(record.Seq - 1, chain));
+                if (!prev) {
+                    // Events written before PrevExpiryTime was added cannot be checked
+                    const prevExpired = Boolean(record.PrevExpiryTime && record.PrevExpiryTime <= now);
+                    if (record.PrevExpiryTime !== undefined && !prevExpired) { return 'invalid'; }
+                    unlinked = true;
+                } else if (prev.Hash !== record.PrevHash) {
+                    return 'invalid';
+                } else if (isPurged(prev) && (!prev.ErasureId || !isErased(prev))) {
+                    return 'invalid';
+                }
+            }
+            return (unlinked) ? 'unlinked' : 'valid';
+        });
+    } catch (err) {
+        err.message = (err.message) || 'Internal verifyAuditRecords error';
+        throw err;
+    }
+}
+
+/**
+ * Encode a DynamoDB LastEvaluatedKey as an opaque page token
+ * @param {object} [key]
+ * @returns {string} nextToken, empty if there are no more pages
+ */
+function encodePageToken(key) {
+    return (key) ? Buffer.from(JSON.stringify(key), 'utf8').toString('base64') : '';
+}
+
+/**
+ * Decode a page token to a DynamoDB ExclusiveStartKey
+ * @param {string} [nextToken]
+ * @returns {object|undefined} ExclusiveStartKey
+ * @throws {ValidationError} if the token is invalid
+ */
+function decodePageToken(nextToken) {
+    if (!nextToken) { return undefined; }
+    try {
+        const key = JSON.parse(Buffer.from(nextToken, 'base64').toString('utf8'));
+        if (!key || typeof key.EventId !== 'string') { throw new Error('Invalid key'); }
+        return Object.fromEntries(pageKeyNames.filter((name) => typeof key[name] === 'string').map((name) => [name, key[name]]));
+    } catch (err) {
+        throw new ValidationError('Invalid nextToken');
+    }
+}
+
+/**
+ * Parse an ISO 8601 time filter
+ * @param {string} value
+ * @param {string} name - parameter name for the error
+ * @returns {string} ISO 8601 time in UTC
+ * @throws {ValidationError} if the time is not valid
+ */
+function parseTime(value, name) {
+    const time = moment(value, moment.ISO_8601, true);
+    if (!time.isValid()) { throw new ValidationError(`Invalid ${name} time, use ISO 8601`); }
+    return time.toISOString();
+}
+
+/**
+ * Query audit events, newest first, a page at a time.
+ * Filter by at least one of user, wallet or event type, and optionally a time range.
+ * Filtered pages may contain fewer events than the limit, keep paging until nextToken is empty.
+ * @param {object} params
+ * @param {string} [params.userId]
+ * @param {string} [params.walletId]
+ * @param {string} [params.type] - one of eventTypes
+ * @param {string} [params.from] - ISO 8601 start time, inclusive
+ * @param {string} [params.to] - ISO 8601 end time, inclusive
+ * @param {number} [params.limit = 25] - max events to read per page (1-100)
+ * @param {string} [params.nextToken] - token from the previous page
+ * @param {boolean} [params.verify = false] - check each event against the chain
+ * @returns {Promise<{events: AuditEvent[], nextToken: string}>}
+ * @throws {ValidationError} on invalid filters
+ */
+async function queryAuditEvents({
+    userId = '', walletId = '', type = '', from = '', to = '', limit = defaultPageSize, nextToken = '', verify = false,
+} = {}) {
+    try {
+        if (!userId && !walletId && !type) { throw new ValidationError('Filter by userId, walletId or type'); }
+        if (type && !eventTypes.includes(type)) { throw new ValidationError(`Invalid type, use one of ${eventTypes.join(', ')}`); }
+        const fromTime = (from) ? parseTime(from, 'from') : moment(0).toISOString();
+        const toTime = (to) ? parseTime(to, 'to') : moment().add(1, 'd').toISOString();
+        if (fromTime > toTime) { throw new ValidationError('The from time must be before the to time'); }
+        const pageSize = Math.min(Math.max(Math.floor(Number(limit)) || defaultPageSize, 1), maxPageSize);
+
+        // Query the index for the most specific filter, and filter on the others
+        const filters = [
+            { indexName: userAuditIdx, name: 'UserId', value: userId },
+            { indexName: walletAuditIdx, name: 'WalletId', value: walletId.toLowerCase() },
+            { indexName: typeAuditIdx, name: 'EventType', value: type },
+        ].filter(({ value }) => value);
+        const [keyFilter, ...otherFilters] = filters;
+
+        const params = {
+            TableName: auditTbl,
+            IndexName: keyFilter.indexName,
+            KeyConditionExpression: `${keyFilter.name} = :k AND EventTime BETWEEN :from AND :to`,
+            ExpressionAttributeValues: {
+                ':k': keyFilter.value,
+                ':from': fromTime,
+                ':to': toTime,
+            },
+            ScanIndexForward: false,
+            Limit: pageSize,
+            ExclusiveStartKey: decodePageToken(nextToken),
+        };
+        if (otherFilters.length) {
+            params.FilterExpression = otherFilters.map(({ name }, i) => `${name} = :f${i}`).join(' AND ');
+            otherFilters.forEach(({ value }, i) => { params.ExpressionAttributeValues[`:f${i}`] = value; });
+        }
+        const { Items = [], LastEvaluatedKey } = await docClient.query(params).promise();
+
+        let events = Items.map(toAuditEvent);
+        if (verify) {
+            const integrity = await verifyAuditRecords(Items);
+            events = events.map((event, i) => ({ ...event, integrity: integrity[i] }));
+        }
+        return {
+            events,
+            nextToken: encodePageToken(LastEvaluatedKey),
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal queryAuditEvents error';
+        logger.error('queryAuditEvents error', err);
+        throw err;
+    }
+}
+
+/**
+ * Query the keys of every audit event for an index key
+ * @param {string} indexName
+ * @param {string} keyName - the index partition key
+ * @param {string} keyValue
+ * @returns {Promise<string[]>} EventIds
+ */
+async function queryEventIds(indexName, keyName, keyValue) {
+    const eventIds = [];
+    let lastKey;
+    do {
+        const params = {
+            TableName: auditTbl,
+            IndexName: indexName,
+            KeyConditionExpression: `${keyName} = :k`,
+            ExpressionAttributeValues: {
+                ':k': keyValue,
+            },
+            ExclusiveStartKey: lastKey,
+        };
+        // eslint-disable-next-line no-await-in-loop
+        const { Items = [], LastEvaluatedKey } = await docClient.query(params).promise();
+        eventIds.push(...Items.map(({ EventId }) => EventId));
+        lastKey = LastEvaluatedKey;
+    } while (lastKey);
+    return eventIds;
+}
+
+/**
+ * Erase the audit events of a deleted user, by userId and by each of the user's wallets.
+ * An erase-events event listing the EventIds is appended first, and each event points to it.
+ * Anonymize removes the personal fields and keeps the events in the chain. Purge removes every field except
+ * the chain fields, so the events are no longer found by queries but the chain still links.
+ * Keep leaves the events until the retention period ends.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string[]} [params.walletIds]
+ * @param {string} [params.policy = 'anonymize'] - 'anonymize', 'purge' or 'keep'
+ * @param {object} [params.context] - request context, only the requestId is recorded
+ * @returns {Promise<number>} number of events erased
+ */
+async function eraseAuditEvents({
+    userId, walletIds = [], policy = 'anonymize', context = {},
+}) {
+    try {
+        if (!userId) { throw new Error('Missing userId parameter'); }
+        if (!erasePolicies.includes(policy)) { throw new Error(`Unknown audit erase policy ${policy}`); }
+        if (policy === 'keep') { return 0; }
+
+        const eventIds = [...new Set((await Promise.all([
+            queryEventIds(userAuditIdx, 'UserId', userId),
+            ...walletIds.map((walletId) => queryEventIds(walletAuditIdx, 'WalletId', walletId.toLowerCase())),
+        ])).flat())].sort();
+        if (!eventIds.length) { return 0; }
+
+        // Record the erasure in the chain, then erase the events. Errors are thrown so the erasure can be retried.
+        const now = moment();
+        const erasure = await appendAuditRecord({
+            EventType: eraseEventType,
+            EventTime: now.toISOString(),
+            Result: 'success',
+            SubjectHash: hashAuditSubject({}),
+            RequestId: context.requestId,
+            ErasedIds: eventIds,
+            ExpiryTime: (retentionDays) ? Number(now.clone().add(retentionDays, 'd').format('X')) : undefined,
+        });
+        const removed = (policy === 'purge') ? purgedFields : ['UserId', 'WalletId', 'SourceIp', 'SubjectSalt'];
+        await Promise.all(eventIds.map((EventId) => docClient.update({
+            TableName: auditTbl,
+            Key: { EventId },
+            UpdateExpression: `set ErasureId = :e remove ${removed.map((name) => `#${name}`).join(', ')}`,
+            ConditionExpression: 'attribute_exists(EventId)',
+            ExpressionAttributeNames: Object.fromEntries(removed.map((name) => [`#${name}`, name])),
+            ExpressionAttributeValues: {
+                ':e': erasure.EventId,
+            },
+        }).promise()));
+        return eventIds.length;
+    } catch (err) {
+        err.message = (err.message) || 'Internal eraseAuditEvents error';
+        logger.error('eraseAuditEvents error', err);
+        throw err;
+    }
+}
+
+module.exports = {
+    eventTypes,
+    erasePolicies,
+    hashAuditSubject,
+    hashAuditRecord,
+    recordAuditEvent,
+    verifyAuditRecords,
+    queryAuditEvents,
+    eraseAuditEvents,
+};
@@ -0,0 +1,164 @@
+const { getGatesForRoute } = require('./tokenGate');
+
+/**
+ * Scope based authorizer policies.
+ * Auth tokens have a scope claim (eg. 'read write'), and each API route protected by the authorizer needs one
+ * scope from the route scope map in the stack. The authorizer returns a policy that allows only the method ARNs
+ * of the routes the token can use, including any token gates for the route.
+ *
+ * The policy only depends on the token claims, not the requested route, so API Gateway can cache it
+ * for the token and check every request against it.
+ */
+
+// Stage ARN for the API, eg. arn:aws:execute-api:region:account:apiId/v1
+const apiStageArn = process.env.API_STAGE_ARN || '';
+
+// Route scope map (JSON), 'METHOD /path' to scope, eg. {"GET /test/read": "read"}. '*' matches any method or path part.
+const routeScopesConfig = process.env.ROUTE_SCOPES || '{}';
+
+// Token scopes. All users can read and write, admins have the admin scope.
+const scopes = ['read', 'write', 'admin'];
+const userScopes = ['read', 'write'];
+
+let routeScopes;
+
+/**
+ * Set the route scope map, eg. for testing
+ * @param {Object<string, string>} map - 'METHOD /path' to scope
+ * @throws {Error} if a route has an unknown scope
+ */
+function setRouteScopes(map) {
+    Object.entries(map).forEach(([route, scope]) => {
+        if (!scopes.includes(scope)) { throw new Error(`Route ${route} has an unknown scope ${scope}`); }
+    });
+    routeScopes = { ...map };
+}
+
+/**
+ * Get the route scope map, parsing the config on first use
+ * @returns {Object<string, string>} route scope map
+ */
+function getRouteScopes() {
+    if (!routeScopes) { setRouteScopes(JSON.parse(routeScopesConfig)); }
+    return routeScopes;
+}
+
+/**
+ * Get the scopes for a user's auth token
+ * @param {object} params
+ * @param {boolean} [params.isAdmin = false]
+ * @returns {string[]} scopes
+ */
+function getUserScopes({ isAdmin = false }) {
+    return (isAdmin) ? [...userScopes, 'admin'] : [...userScopes];
+}
+
+/**
+ * Get the scopes from auth token data.
+ * Tokens issued before scopes were added have the scopes for the admin claim.
+ * @param {import('./jwtUtils').JwtData} data
+ * @returns {string[]} scopes
+ */
+function getTokenScopes(data) {
+    if (typeof data.scope !== 'string') { return getUserScopes({ isAdmin: Boolean(data.admin) }); }
+    return data.scope.split(' ').filter((scope) => scope);
+}
+
+/**
+ * Get the method ARN pattern for a route
+ * @param {string} route - 'METHOD /path'
+ * @param {string} [stageArn] - API stage ARN, API_STAGE_ARN by default
+ * @returns {string} method ARN, eg. arn:aws:execute-api:region:account:apiId/v1/GET/test/read
+ */
+function routeToMethodArn(route, stageArn = apiStageArn) {
+    const [method, path = ''] = route.trim().split(/\s+/);
+    return `${stageArn}/${method.toUpperCase()}${path}`;
+}
+
+/**
+ * Get the routes a token can use - routes with one of the token scopes, where the token passes every gate
+ * @param {object} params
+ * @param {string[]} params.scopes - token scopes
+ * @param {string[]} [params.gates] - token gates claim
+ * @returns {string[]} routes
+ */
+function getAllowedRoutes({ scopes: tokenScopes, gates = [] }) {
+    return Object.entries(getRouteScopes())
+        .filter(([, scope]) => tokenScopes.includes(scope))
+        .map(([route]) => route)
+        .filter((route) => getGatesForRoute(route).every((gate) => gates.includes(gate.name)));
+}
+
+/**
+ * Authorizer Policy
+ * @typedef {Object} AuthPolicy
+ * @property {string} principalId
+ * @property {{Version: string, Statement: object[]}} policyDocument
+ * @property {object} [context] - values passed to the API integration, strings, numbers or booleans
+ */
+
+/**
+ * Create the authorizer policy for a token.
+ * Allows the method ARNs of the allowed routes, or denies every route if there are none.
+ * @param {object} params
+ * @param {string} [params.principalId = 'Unknown'] - UserId
+ * @param {string[]} [params.scopes] - token scopes, none for an invalid token
+ * @param {string[]} [params.gates] - token gates claim
+ * @param {object} [params.context]
+ * @returns {AuthPolicy} policy
+ */
+function createPolicy({
+    principalId = 'Unknown', scopes: tokenScopes = [], gates = [], context = {},
+}) {
+    const resources = getAllowedRoutes({ scopes: tokenScopes, gates }).map((route) => routeToMethodArn(route));
+    const statement = (resources.length)
+        ? { Action: 'execute-api:Invoke', Effect: 'Allow', Resource: resources }
+        : { Action: 'execute-api:Invoke', Effect: 'Deny', Resource: routeToMethodArn('* /*') };
+    return {
+        principalId,
+        policyDocument: {
+            Version: '2012-10-17',
+            Statement: [statement],
+        },
+        context,
+    };
+}
+
+/**
+ * Check a method ARN matches a policy resource, where '*' matches any characters and '?' one character
+ * @param {string} resource
+ * @param {string} methodArn
+ * @returns {boolean}
+ */
+function resourceMatches(resource, methodArn) {
+    const pattern = resource.split('').map((char) => {
+        if (char === '*') { return '.*'; }
+        if (char === '?') { return '.'; }
+        return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    }).join('');
+    return new RegExp(`^${pattern}$`).test(methodArn);
+}
+
+/**
+ * Evaluate a policy for a method ARN like API Gateway does. An explicit Deny overrides any Allow.
+ * @param {AuthPolicy} policy
+ * @param {string} methodArn
+ * @returns {boolean} true if the policy allows the method
+ */
+function isAllowedByPolicy(policy, methodArn) {
+    const matching = policy.policyDocument.Statement.filter(({ Resource }) => [].concat(Resource)
+        .some((resource) => resourceMatches(resource, methodArn)));
+    return matching.some(({ Effect }) => Effect === 'Allow') && !matching.some(({ Effect }) => Effect === 'Deny');
+}
+
+module.exports = {
+    scopes,
+    setRouteScopes,
+    getRouteScopes,
+    getUserScopes,
+    getTokenScopes,
+    routeToMethodArn,
+    getAllowedRoutes,
+    createPolicy,
+    isAllowedByPolicy,
+};
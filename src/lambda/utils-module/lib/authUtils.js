@@ -3,33 +3,99 @@ const AWS = require('aws-sdk');
 const moment = require('moment');
 const crypto = require('crypto');
 const { customAlphabet } = require('nanoid/async'); // Used to create random UserId
-const { isValidEthSignature } = require('./web3Utils');
-const { ValidationError } = require('./errors');
+const { isValidEthSignature, isValidTypedActionSignature } = require('./web3Utils');
+const {
+    ValidationError, ForbiddenError, ChallengeError, errorCodes,
+} = require('./errors');
+const { createDynamoUserStore } = require('./userStore');
+const { getTokenGates, getGateClaims } = require('./tokenGate');
+const { getUserScopes } = require('./authPolicy');
+const logger = require('./logger');
 
-const docClient = new AWS.DynamoDB.DocumentClient({
-    region: process.env.AWS_REGION,
+// The user store, DynamoDB by default. Replace with setUserStore for testing or another database.
+let userStore = createDynamoUserStore({
+    docClient: new AWS.DynamoDB.DocumentClient({
+        region: process.env.AWS_REGION,
+    }),
+    userTable: process.env.USER_TABLE,
+    walletIdx: process.env.WALLET_ID_IDX,
+    walletTable: process.env.WALLET_TABLE,
+    userWalletIdx: process.env.USER_WALLET_IDX,
+    challengeTable: process.env.CHALLENGE_TABLE,
 });
 
-const userTbl = process.env.USER_TABLE;
-const walletIdx = process.env.WALLET_ID_IDX;
+const linkPrefix = process.env.LINK_PREFIX || 'Link this wallet to your account: ';
+
+// Wallets that always have the admin role, used to bootstrap the first admin users
+const adminWallets = (process.env.ADMIN_WALLETS || '').split(',').map((wallet) => wallet.trim().toLowerCase()).filter((wallet) => wallet);
+
+// User roles
+const roles = ['user', 'admin'];
 
 // Users will be deleted on expiry to keep our test table clean. Set to 100yrs by default.
 const userExpiry = (Number(process.env.EXPIRE_USERS_IN_DAYS)) || 36500;
 
+// Login and verify challenges expire with the login message, in mins
+const challengeTime = Number(process.env.LOGIN_MESSAGE_TIME) || 5;
+// Challenge purposes. A challenge can only be used for the purpose it was issued for.
+const challengePurposes = ['login', 'verify'];
+
 // Auth/User Functions ===============================================================================================
 
+/**
+ * Set the user store used by all user functions
+ * @param {import('./userStore').UserStore} store
+ */
+function setUserStore(store) {
+    userStore = store;
+}
+
 /**
  * User Definition
  * @typedef {Object} User
  * @property {string} UserId
- * @property {string} WalletId
+ * @property {string} WalletId - the primary wallet for the user
  * @property {string} Nonce - the current nonce for the user
  * @property {string} CreatedTime - ISO 8601 Time user was created
  * @property {string} LastLogin - ISO 8601 Time - last time user nonce was updated
  * @property {boolean} Verified - walletId has been verified
+ * @property {string} [Role = 'user'] - 'user' or 'admin'
+ * @property {boolean} [Disabled = false] - account has been disabled by an admin
+ * @property {string} [DisabledTime] - ISO 8601 Time account was disabled
+ * @property {object} [Profile] - profile attributes set by the user, see profileUtils
+ * @property {string} [ProfileTime] - ISO 8601 Time the profile was last updated
+ * @property {object} [Ens] - cached ENS name and avatar for the primary wallet, see ensLookup
+ * @property {number} [EnsExpiry] - time to look up the ENS name again (Unix timestamp)
  * @property {number} ExpiryTime - expiry (Unix timestamp)
  */
 
+/**
+ * Linked Wallet Definition.
+ * Additional wallets linked to a user are stored in the wallet table.
+ * The primary wallet is stored on the user record.
+ * @typedef {Object} WalletLink
+ * @property {string} WalletId
+ * @property {string} UserId
+ * @property {string} LinkedTime - ISO 8601 Time wallet was linked
+ * @property {number} ExpiryTime - expiry (Unix timestamp), matches the user expiry
+ */
+
+/**
+ * Challenge Definition.
+ * A one-time nonce issued for a login or verify signature. A wallet can have several outstanding
+ * challenges (eg. one per browser tab), and each can only be used once before it expires.
+ * @typedef {Object} Challenge
+ * @property {string} ChallengeId - the nonce included in the signed message
+ * @property {string} WalletId - the wallet the challenge was issued to, lower case
+ * @property {string} UserId
+ * @property {string} Purpose - 'login' or 'verify'
+ * @property {string} IssuedAt - ISO 8601 Time the challenge was issued
+ * @property {string} ExpiresAt - ISO 8601 Time the challenge expires
+ * @property {string} [UsedTime] - ISO 8601 Time the challenge was used
+ * @property {number} ExpiryTime - expiry (Unix timestamp) for the table TTL, a day after the challenge expires
+ * so expired and used challenges return a clear error
+ */
+
 /**
  * Create a cryptographically random nonce for a wallet signature.
  * (Do not use math.random in secure applications)
@@ -56,23 +122,52 @@ async function createUserId() {
  */
 async function getUserByUserId(userId) {
     try {
-        const params = {
-            TableName: userTbl,
-            KeyConditionExpression: 'UserId = :id',
-            ExpressionAttributeValues: {
-                ':id': userId,
-            },
-        };
-        const users = (await docClient.query(params).promise()).Items;
-        if (!Array.isArray(users) || !users.length) { throw new ValidationError('UserId not found'); }
+        const user = await userStore.getUserById(userId);
+        if (!user) { throw new ValidationError('UserId not found'); }
 
-        return users[0];
+        return user;
     } catch (err) {
         err.message = (err.message) || 'Internal getUserByUserId error';
         throw err;
     }
 }
 
+/**
+ * Check if a user has the admin role.
+ * Users with a primary wallet in the configured admin wallets are always admins.
+ * @param {User} user
+ * @returns {boolean}
+ */
+function isAdminUser(user) {
+    return (user.Role === 'admin' || adminWallets.includes(user.WalletId));
+}
+
+/**
+ * Check if a user has a configured admin wallet. The role for these users cannot be changed.
+ * @param {User} user
+ * @returns {boolean}
+ */
+function isConfiguredAdmin(user) {
+    return adminWallets.includes(user.WalletId);
+}
+
+/**
+ * Check a user account is active and return the token claims for the user.
+ * Used at login and refresh so role changes and disabled accounts take effect on the next token.
+ * @param {User} user
+ * @returns {{userId: string, isAdmin: boolean, scopes: string[]}} token claims
+ * @throws {ForbiddenError} if the account is disabled
+ */
+function getUserClaims(user) {
+    if (user.Disabled) { throw new ForbiddenError('User account is disabled'); }
+    const isAdmin = isAdminUser(user);
+    return {
+        userId: user.UserId,
+        isAdmin,
+        scopes: getUserScopes({ isAdmin }),
+    };
+}
+
 /**
  * Check if UserId exists
  * @param {string} userId
@@ -90,31 +185,77 @@ async function userIdExists(userId) {
 }
 
 /**
- * Get user from user table by WalletId
+ * Get a linked wallet from the wallet table
+ * @param {string} walletId
+ * @returns {Promise<WalletLink|undefined>} WalletLink, or undefined if the wallet is not linked
+ */
+async function getWalletLink(walletId) {
+    try {
+        return userStore.getWalletLink(walletId.toLowerCase());
+    } catch (err) {
+        err.message = (err.message) || 'Internal getWalletLink error';
+        throw err;
+    }
+}
+
+/**
+ * Get user from user table by WalletId.
+ * Finds users by their primary wallet or by any linked wallet.
  * @param {string} walletId
  * @returns {Promise<User>} User
  */
 async function getUserByWalletId(walletId) {
     try {
-        const params = {
-            TableName: userTbl,
-            IndexName: walletIdx,
-            KeyConditionExpression: 'WalletId = :id',
-            ExpressionAttributeValues: {
-                ':id': walletId.toLowerCase(),
-            },
-        };
-        const users = (await docClient.query(params).promise()).Items;
-        if (!Array.isArray(users) || !users.length) { throw new ValidationError('We could not find that walletId. Please create a new user.'); }
-        if (users.length > 1) { throw new Error('More than one UserId exists for the walletId.'); }
+        const user = await userStore.getUserByWalletId(walletId.toLowerCase());
+        if (user) { return user; }
 
-        return users[0];
+        // Not a primary wallet, check for a linked wallet
+        const link = await getWalletLink(walletId);
+        if (!link) { throw new ValidationError('We could not find that walletId. Please create a new user.'); }
+        return getUserByUserId(link.UserId);
     } catch (err) {
         err.message = (err.message) || 'Internal getUserByWalletId error';
         throw err;
     }
 }
 
+/**
+ * List all wallets for a user - the primary wallet and any linked wallets
+ * @param {string} userId
+ * @returns {Promise<{walletId: string, primary: boolean, linkedTime: string}[]>} wallets
+ */
+async function listWalletsByUserId(userId) {
+    try {
+        const { WalletId: primaryWalletId, CreatedTime } = await getUserByUserId(userId);
+        const links = await userStore.listWalletLinks(userId);
+
+        return [
+            { walletId: primaryWalletId, primary: true, linkedTime: CreatedTime },
+            ...links.map((link) => ({ walletId: link.WalletId, primary: false, linkedTime: link.LinkedTime })),
+        ];
+    } catch (err) {
+        err.message = (err.message) || 'Internal listWalletsByUserId error';
+        throw err;
+    }
+}
+
+/**
+ * Get the token gates the user passes with any of their wallets, for the gates claim.
+ * Wallets are not read if there are no token gates.
+ * @param {string} userId
+ * @returns {Promise<string[]>} gate names
+ */
+async function getUserGateClaims(userId) {
+    try {
+        if (!getTokenGates().length) { return []; }
+        const wallets = await listWalletsByUserId(userId);
+        return await getGateClaims(wallets.map((wallet) => wallet.walletId));
+    } catch (err) {
+        err.message = (err.message) || 'Internal getUserGateClaims error';
+        throw err;
+    }
+}
+
 /**
  * Check if user exists by WalletId
  * @param {string} walletId
@@ -147,7 +288,7 @@ async function getUserIdByWalletId(walletId) {
 }
 
 /**
- * Get user nonce from user table for login
+ * Get user nonce from user table for signed actions
  * @param {string} walletId
  * @returns {Promise<string>} nonce
  */
@@ -161,6 +302,81 @@ async function getUserNonceByWalletId(walletId) {
     }
 }
 
+/**
+ * Issue a new challenge for a login or verify signature
+ * @param {object} params
+ * @param {string} params.walletId - the wallet that will sign the challenge
+ * @param {string} params.userId
+ * @param {string} params.purpose - 'login' or 'verify'
+ * @returns {Promise<{nonce: string, issuedAt: string, expiresAt: string}>} challenge
+ */
+async function createChallenge({ walletId, userId, purpose }) {
+    try {
+        if (!challengePurposes.includes(purpose)) { throw new Error(`Invalid challenge purpose: ${purpose}`); }
+        const nonce = createNonce();
+        const issued = moment();
+        const expires = moment(issued).add(challengeTime, 'm');
+        await userStore.putChallenge({
+            ChallengeId: nonce,
+            WalletId: walletId.toLowerCase(),
+            UserId: userId,
+            Purpose: purpose,
+            IssuedAt: issued.toISOString(),
+            ExpiresAt: expires.toISOString(),
+            ExpiryTime: Number(moment(expires).add(1, 'd').format('X')),
+        });
+        return {
+            nonce,
+            issuedAt: issued.toISOString(),
+            expiresAt: expires.toISOString(),
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal createChallenge error';
+        throw err;
+    }
+}
+
+/**
+ * Get a challenge and check it can be used for the request.
+ * Does not consume the challenge - use consumeChallenge once the signature has been verified.
+ * @param {object} params
+ * @param {string} params.nonce - the nonce from the signed message
+ * @param {string} params.walletId - the signing wallet
+ * @param {string} params.purpose - 'login' or 'verify'
+ * @returns {Promise<Challenge>} Challenge
+ * @throws {ChallengeError} if the challenge was not issued for the wallet and purpose, has been used or has expired
+ */
+async function getChallenge({ nonce, walletId, purpose }) {
+    try {
+        const challenge = (nonce) ? await userStore.getChallenge(nonce) : undefined;
+        if (!challenge || challenge.WalletId !== walletId.toLowerCase() || challenge.Purpose !== purpose) {
+            throw new ChallengeError('Challenge not found, please request a new one', errorCodes.challengeNotFound);
+        }
+        if (challenge.UsedTime) { throw new ChallengeError('Challenge has already been used, please request a new one', errorCodes.challengeUsed); }
+        if (!moment(challenge.ExpiresAt).isAfter(moment())) { throw new ChallengeError('Challenge has expired, please request a new one', errorCodes.challengeExpired); }
+        return challenge;
+    } catch (err) {
+        err.message = (err.message) || 'Internal getChallenge error';
+        throw err;
+    }
+}
+
+/**
+ * Consume a challenge so it cannot be used again.
+ * The conditional update means only one request can use a challenge, so concurrent replays fail.
+ * @param {string} nonce
+ * @throws {ChallengeError} if the challenge has already been used
+ */
+async function consumeChallenge(nonce) {
+    try {
+        const consumed = await userStore.consumeChallenge(nonce, { usedTime: moment().toISOString() });
+        if (!consumed) { throw new ChallengeError('Challenge has already been used, please request a new one', errorCodes.challengeUsed); }
+    } catch (err) {
+        err.message = (err.message) || 'Internal consumeChallenge error';
+        throw err;
+    }
+}
+
 /**
  * Update nonce and loginTime after login
  * @param {string} walletId
@@ -176,20 +392,7 @@ async function updateLoginByWalletId(walletId) {
         const loginTime = moment().format();
 
         // Update the record
-        const params = {
-            TableName: userTbl,
-            Key: { UserId: userId },
-            UpdateExpression: 'set LastLogin = :t, Nonce = :n',
-            ExpressionAttributeValues: {
-                ':t': loginTime,
-                ':n': nonce,
-            },
-            ReturnValues: 'UPDATED_NEW',
-        };
-
-        const response = await docClient.update(params).promise();
-        const { errorMessage = '' } = response;
-        if (errorMessage) { throw new Error(errorMessage); }
+        await userStore.updateLogin(userId, { loginTime, nonce });
         return {
             success: true,
             loginTime,
@@ -197,7 +400,305 @@ async function updateLoginByWalletId(walletId) {
         };
     } catch (err) {
         err.message = (err.message) || 'Internal updateLoginByWalletId error';
-        console.log('updateLoginByWalletId error', err);
+        logger.error('updateLoginByWalletId error', err);
+        throw err;
+    }
+}
+
+/**
+ * Replace the user nonce if it has not changed since it was signed.
+ * The conditional update means only one request can consume a nonce, so concurrent replays fail.
+ * @param {string} userId
+ * @param {string} usedNonce - the nonce that was signed
+ * @returns {Promise<string>} the new nonce
+ * @throws {ValidationError} if the nonce has already been used
+ */
+async function consumeNonce(userId, usedNonce) {
+    try {
+        const nonce = createNonce();
+        const rotated = await userStore.rotateNonce(userId, { nonce, usedNonce });
+        if (!rotated) { throw new ValidationError('Signature has already been used'); }
+        return nonce;
+    } catch (err) {
+        err.message = (err.message) || 'Internal consumeNonce error';
+        logger.error('consumeNonce error', err);
+        throw err;
+    }
+}
+
+/**
+ * Check a wallet belongs to a user and return the normalised walletId.
+ * Returns the primary wallet if no walletId is supplied.
+ * @param {User} user
+ * @param {string} [walletId]
+ * @returns {Promise<string>} walletId
+ * @throws {ForbiddenError} if the wallet does not belong to the user
+ */
+async function resolveUserWallet(user, walletId = '') {
+    try {
+        if (!walletId || walletId.toLowerCase() === user.WalletId) { return user.WalletId; }
+        const link = await getWalletLink(walletId);
+        if (!link || link.UserId !== user.UserId) { throw new ForbiddenError('WalletId does not belong to the authenticated user'); }
+        return link.WalletId;
+    } catch (err) {
+        err.message = (err.message) || 'Internal resolveUserWallet error';
+        throw err;
+    }
+}
+
+/**
+ * Verify a signed action from the authenticated user, and consume the nonce so the
+ * signature cannot be replayed.
+ * The wallet is resolved from the authenticated principal (authorizer context userId),
+ * never from the request. A walletId in the request must be one of the user's wallets,
+ * otherwise the user's primary wallet is used.
+ *
+ * Supports personal_sign signatures of the sign prefix and nonce, or
+ * EIP-712 typed data signatures (eth_signTypedData_v4) of a route action.
+ * @param {object} params
+ * @param {string} params.userId - the authenticated principal
+ * @param {string} params.signature
+ * @param {string} [params.signPrefix] - the message prefix for personal_sign signatures
+ * @param {object} [params.typedAction] - the route action for typed data signatures
+ * @param {string} params.typedAction.route
+ * @param {object} params.typedAction.data - the submitted request data
+ * @param {number} params.typedAction.expiry - the signed expiry (Unix timestamp)
+ * @param {number|string} [params.typedAction.chainId] - the session Chain ID from the auth token, the login Chain ID if empty
+ * @param {string} [params.walletId] - walletId submitted with the request, if any
+ * @returns {Promise<{
+ * success: boolean,
+ * userId: string,
+ * walletId: string}>} the verified user and wallet
+ * @throws {ValidationError} if the signature is invalid or has already been used
+ * @throws {ForbiddenError} if the walletId does not belong to the user
+ */
+async function verifySignedAction({
+    userId, signature, signPrefix = '', typedAction = null, walletId = '',
+}) {
+    try {
+        if (!userId) { throw new ForbiddenError('Missing authenticated user'); }
+        if (!signature) { throw new ValidationError('Missing signature'); }
+        if (!signPrefix && !typedAction) { throw new Error('Missing signPrefix or typedAction parameter'); }
+
+        // Resolve the wallet from the authenticated user
+        const user = await getUserByUserId(userId);
+        const { Nonce: nonce, Verified: verified = false, Disabled: disabled = false } = user;
+        if (!verified) { throw new ForbiddenError('User account is not verified'); }
+        if (disabled) { throw new ForbiddenError('User account is disabled'); }
+        const userWalletId = await resolveUserWallet(user, walletId);
+
+        // Verify the signature against the user wallet
+        const isValid = (typedAction)
+            ? await isValidTypedActionSignature({
+                walletId: userWalletId,
+                signature,
+                nonce,
+                ...typedAction,
+            })
+            : await isValidEthSignature({
+                walletId: userWalletId,
+                signature,
+                message: `${signPrefix}${nonce}`,
+            });
+        if (!isValid) { throw new ValidationError((typedAction) ? 'Signature does not match the submitted request' : 'Invalid signature'); }
+
+        // Consume the nonce
+        await consumeNonce(userId, nonce);
+
+        return {
+            success: true,
+            userId,
+            walletId: userWalletId,
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal verifySignedAction error';
+        throw err;
+    }
+}
+
+/**
+ * Create the message that is signed by both the current wallet and the new wallet to link a wallet
+ * @param {object} params
+ * @param {string} params.walletId - the wallet to link
+ * @param {string} params.nonce - the current nonce for the user
+ * @returns {string} message
+ */
+function createLinkMessage({ walletId, nonce }) {
+    return `${linkPrefix}${walletId.toLowerCase()}\nOne-time key: ${nonce}`;
+}
+
+/**
+ * Link an additional wallet to an existing user.
+ * Requires signatures of the link message from a wallet the user has logged in with and from the new wallet.
+ * The user nonce is consumed so the signatures cannot be replayed.
+ * @param {object} params
+ * @param {string} params.userId - the authenticated principal
+ * @param {string} params.walletId - the wallet to link
+ * @param {string} params.signature - signature from the current wallet
+ * @param {string} params.walletSignature - signature from the new wallet
+ * @param {string} [params.sessionWalletId] - the current wallet, defaults to the primary wallet
+ * @returns {Promise<{success: boolean, userId: string, walletId: string}>}
+ * @throws {ValidationError} if the wallet belongs to a user or a signature is invalid
+ * @throws {ForbiddenError} if the session wallet does not belong to the user
+ */
+async function linkWallet({
+    userId, walletId, signature, walletSignature, sessionWalletId = '',
+}) {
+    try {
+        if (!userId) { throw new ForbiddenError('Missing authenticated user'); }
+        if (!walletId) { throw new ValidationError('Missing walletId'); }
+        if (!signature || !walletSignature) { throw new ValidationError('Signatures from the current wallet and the new wallet are required'); }
+
+        const user = await getUserByUserId(userId);
+        if (!user.Verified) { throw new ForbiddenError('User account is not verified'); }
+        if (user.Disabled) { throw new ForbiddenError('User account is disabled'); }
+        if (await userExistsByWalletId(walletId)) { throw new ValidationError('WalletId belongs to an existing user'); }
+        const currentWalletId = await resolveUserWallet(user, sessionWalletId);
+
+        // Both wallets must sign the same link message
+        const message = createLinkMessage({ walletId, nonce: user.Nonce });
+        if (!(await isValidEthSignature({ walletId: currentWalletId, message, signature }))) { throw new ValidationError('Invalid signature from the current wallet'); }
+        if (!(await isValidEthSignature({ walletId: walletId.toLowerCase(), message, signature: walletSignature }))) { throw new ValidationError('Invalid signature from the new wallet'); }
+        await consumeNonce(userId, user.Nonce);
+
+        const linked = await userStore.createWalletLink({
+            WalletId: walletId.toLowerCase(),
+            UserId: userId,
+            LinkedTime: moment().toISOString(),
+            ExpiryTime: user.ExpiryTime,
+        });
+        if (!linked) { throw new ValidationError('WalletId belongs to an existing user'); }
+        return {
+            success: true,
+            userId,
+            walletId: walletId.toLowerCase(),
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal linkWallet error';
+        logger.error('linkWallet error', err);
+        throw err;
+    }
+}
+
+/**
+ * Unlink a wallet from a user. The last wallet for a user can never be unlinked.
+ * If the primary wallet is unlinked another linked wallet becomes the primary wallet.
+ * Requires a signed action from one of the user's wallets.
+ * @param {object} params
+ * @param {string} params.userId - the authenticated principal
+ * @param {string} params.walletId - the wallet to unlink
+ * @param {string} params.signature - signature of the sign prefix and the current user nonce
+ * @param {string} params.signPrefix - the message prefix used to create the signature
+ * @param {string} [params.sessionWalletId] - the signing wallet, defaults to the primary wallet
+ * @returns {Promise<{success: boolean, userId: string, walletId: string, primaryWalletId: string}>}
+ * @throws {ValidationError} if this is the last wallet or the signature is invalid
+ * @throws {ForbiddenError} if the wallet does not belong to the user
+ */
+async function unlinkWallet({
+    userId, walletId, signature, signPrefix, sessionWalletId = '',
+}) {
+    try {
+        if (!userId) { throw new ForbiddenError('Missing authenticated user'); }
+        if (!walletId) { throw new ValidationError('Missing walletId'); }
+
+        const wallets = await listWalletsByUserId(userId);
+        const target = wallets.find((wallet) => wallet.walletId === walletId.toLowerCase());
+        if (!target) { throw new ForbiddenError('WalletId does not belong to the authenticated user'); }
+        if (wallets.length < 2) { throw new ValidationError('The last wallet for a user cannot be unlinked'); }
+
+        await verifySignedAction({
+            userId, walletId: sessionWalletId, signature, signPrefix,
+        });
+
+        let primaryWalletId = wallets.find((wallet) => wallet.primary).walletId;
+        let unlinked = false;
+        if (target.primary) {
+            // Promote the first linked wallet to primary and remove its link record
+            primaryWalletId = wallets.find((wallet) => !wallet.primary).walletId;
+            unlinked = await userStore.promoteWalletLink(userId, { walletId: primaryWalletId, previousWalletId: target.walletId });
+        } else {
+            unlinked = await userStore.deleteWalletLink(target.walletId, userId);
+        }
+        if (!unlinked) { throw new ValidationError('Wallets have changed, please try again'); }
+
+        return {
+            success: true,
+            userId,
+            walletId: target.walletId,
+            primaryWalletId,
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal unlinkWallet error';
+        logger.error('unlinkWallet error', err);
+        throw err;
+    }
+}
+
+/**
+ * Delete a user and all of its wallet links.
+ * The caller must verify the request first, eg. with a signed action from one of the user's wallets.
+ * @param {string} userId
+ * @returns {Promise<{userId: string, walletIds: string[]}>} the deleted user and its wallets, primary wallet first
+ * @throws {ValidationError} if the wallets change while the user is deleted
+ */
+async function deleteUser(userId) {
+    try {
+        if (!userId) { throw new Error('Missing userId parameter'); }
+        const wallets = await listWalletsByUserId(userId);
+        const deleted = await userStore.deleteUser(userId, {
+            linkedWalletIds: wallets.filter((wallet) => !wallet.primary).map((wallet) => wallet.walletId),
+        });
+        if (!deleted) { throw new ValidationError('Wallets have changed, please try again'); }
+        return {
+            userId,
+            walletIds: wallets.map((wallet) => wallet.walletId),
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal deleteUser error';
+        logger.error('deleteUser error', err);
+        throw err;
+    }
+}
+
+/**
+ * Save the profile attributes for a user.
+ * The profile is replaced only if it has not been updated since it was read, so concurrent updates are not lost.
+ * @param {string} userId
+ * @param {object} params
+ * @param {object} params.profile - validated profile attributes
+ * @param {string} [params.previousTime] - ProfileTime when the profile was read, empty if it has never been set
+ * @returns {Promise<string>} the new ProfileTime
+ * @throws {ValidationError} if the profile has been updated since it was read
+ */
+async function saveUserProfile(userId, { profile, previousTime = '' }) {
+    try {
+        if (!userId) { throw new Error('Missing userId parameter'); }
+        const updatedTime = moment().toISOString();
+        const saved = await userStore.updateProfile(userId, { profile, updatedTime, previousTime });
+        if (!saved) { throw new ValidationError('Profile has changed, please try again'); }
+        return updatedTime;
+    } catch (err) {
+        err.message = (err.message) || 'Internal saveUserProfile error';
+        logger.error('saveUserProfile error', err);
+        throw err;
+    }
+}
+
+/**
+ * Save the ENS name looked up for a user, to be cached until the expiry time
+ * @param {string} userId
+ * @param {object} params
+ * @param {{walletId: string, name: string, avatar: string}} params.ens - the name and avatar for the wallet
+ * @param {number} params.expiryTime - cache expiry (Unix timestamp)
+ * @returns {Promise<boolean>} false if the user no longer exists
+ */
+async function saveUserEns(userId, { ens, expiryTime }) {
+    try {
+        if (!userId) { throw new Error('Missing userId parameter'); }
+        return await userStore.updateEns(userId, { ens, expiryTime });
+    } catch (err) {
+        err.message = (err.message) || 'Internal saveUserEns error';
+        logger.error('saveUserEns error', err);
         throw err;
     }
 }
@@ -205,72 +706,103 @@ async function updateLoginByWalletId(walletId) {
 /**
  * Create user/walletId in table.
  * Will overwrite an existing user if verify signature is included and valid.
+ * Returns a verify challenge for the new user, or consumes the signed verify challenge.
  * @param {string} walletId
  * @param {boolean} [verify = false] - verify with the signature
  * @param {string} [signature = ''] - required to update the user as verified
+ * @param {string} [message = ''] - the signed message, the sign prefix and a verify challenge
  * @param {string} [signPrefix = ''] - the message prefix used to create the signature
  * @returns {Promise<User>} User
+ * @throws {ValidationError} if the user cannot be created or verified. Errors after the signature has been checked
+ * have signatureChecked set, so failures can be counted against the wallet.
  */
 async function createUser({
-    walletId, verify = false, signature = '', signPrefix = '',
+    walletId, verify = false, signature = '', message = '', signPrefix = '',
 } = {}) {
+    let signatureChecked = false;
     try {
         if (!walletId) { throw new Error('Missing walletId'); }
         if (verify && (!signature || !signPrefix)) { throw new ValidationError('Signature and signPrefix are required to verify a user'); }
+        if (verify && !message) { throw new ValidationError('Missing message'); }
         const userExists = await userExistsByWalletId(walletId);
         if (userExists && !verify) { throw new ValidationError('WalletId belongs to an existing user'); }
         if (verify && !userExists) { throw new ValidationError('User does not exist to verify'); }
+        if (verify && (await getUserByWalletId(walletId)).WalletId !== walletId.toLowerCase()) { throw new ValidationError('WalletId is linked to an existing user'); }
 
-        // Verify the signature if required
-        const message = (verify) ? `${signPrefix}${await getUserNonceByWalletId(walletId)}` : '';
-        const verified = (verify && isValidEthSignature({
+        // Verify the signature of the verify challenge if required
+        if (verify && !message.startsWith(signPrefix)) { throw new ValidationError('Invalid verify message'); }
+        const challenge = (verify) ? await getChallenge({ nonce: message.slice(signPrefix.length), walletId, purpose: 'verify' }) : null;
+        const verified = (verify && await isValidEthSignature({
             walletId,
             signature,
             message,
         }));
+        signatureChecked = verify;
         if (verify && !verified) { throw new ValidationError('Signature is not valid - verification failed'); }
+        if (challenge) { await consumeChallenge(challenge.ChallengeId); }
 
         // Set user expiry time = 1 day if user is not verified
         const expiryTime = (verified) ? Number(moment().add(userExpiry, 'd').format('X')) : Number(moment().add(1, 'd').format('X'));
 
         const nonce = createNonce();
-        const userId = (userExists) ? await getUserIdByWalletId(walletId) : await createUserId();
-        const params = {
-            TableName: userTbl,
-            Item: {
-                UserId: userId,
-                WalletId: walletId.toLowerCase(),
-                Verified: verified,
-                Nonce: nonce,
-                CreatedTime: moment().toISOString(),
-                LastLogin: moment().toISOString(),
-                ExpiryTime: expiryTime,
-            },
-        };
+        // Keep the role, disabled status and profile when verifying an existing user
+        const {
+            UserId: existingUserId = '', Role: role = 'user', Disabled: disabled = false, Profile: profile, ProfileTime: profileTime,
+        } = (userExists) ? await getUserByWalletId(walletId) : {};
+        const userId = (existingUserId) || await createUserId();
+        await userStore.putUser({
+            UserId: userId,
+            WalletId: walletId.toLowerCase(),
+            Verified: verified,
+            Role: role,
+            Disabled: disabled,
+            ...((profile) ? { Profile: profile, ProfileTime: profileTime } : {}),
+            Nonce: nonce,
+            CreatedTime: moment().toISOString(),
+            LastLogin: moment().toISOString(),
+            ExpiryTime: expiryTime,
+        });
 
-        const response = await docClient.put(params).promise();
-        const { errorMessage = '' } = response;
-        if (errorMessage) { throw new Error(errorMessage); }
+        // New users get a challenge to verify the wallet
+        const { nonce: verifyNonce = '' } = (verified) ? {} : await createChallenge({ walletId, userId, purpose: 'verify' });
         return {
             success: true,
             userId,
             walletId: walletId.toLowerCase(),
-            nonce,
+            nonce: verifyNonce,
         };
     } catch (err) {
         err.message = (err.message) || 'Internal createUser error';
-        console.log('createUser error', err);
+        if (signatureChecked) { err.signatureChecked = true; }
+        logger.error('createUser error', err);
         throw err;
     }
 }
 
 module.exports = {
+    setUserStore,
     createUser,
     getUserByWalletId,
     getUserByUserId,
     getUserIdByWalletId,
     getUserNonceByWalletId,
     updateLoginByWalletId,
+    createChallenge,
+    getChallenge,
+    consumeChallenge,
+    verifySignedAction,
+    createLinkMessage,
+    linkWallet,
+    unlinkWallet,
+    deleteUser,
+    saveUserProfile,
+    saveUserEns,
+    listWalletsByUserId,
+    getUserGateClaims,
     userIdExists,
     userExistsByWalletId,
+    isAdminUser,
+    isConfiguredAdmin,
+    getUserClaims,
+    roles,
 };
@@ -1,6 +1,7 @@
 // eslint-disable-next-line import/no-extraneous-dependencies
 const AWS = require('aws-sdk');
 const { ValidationError } = require('./errors');
+const logger = require('./logger');
 
 const currentRegion = process.env.AWS_REGION;
 const regionEndpoint = `https://secretsmanager.${currentRegion}.amazonaws.com`;
@@ -33,7 +34,7 @@ async function getSecretByArn(secretArn) {
         return result;
     } catch (err) {
         err.message = (err.message) || 'Internal getSecret Error';
-        console.log('Retrieve secret error: ', JSON.stringify(err));
+        logger.error('Retrieve secret error', err);
         throw err;
     }
 }
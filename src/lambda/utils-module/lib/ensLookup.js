@@ -0,0 +1,209 @@
+const { ethers } = require('ethers');
+const moment = require('moment');
+const { saveUserEns } = require('./authUtils');
+const logger = require('./logger');
+
+/**
+ * ENS names and avatars for user wallets.
+ * The primary name of the user's primary wallet is looked up with reverse resolution (ENSIP-3) at login. The
+ * reverse record can be set to any name by the wallet owner, so the name is only used if it resolves forward
+ * to the same wallet. The avatar is the name's avatar text record (ENSIP-12), if it is an https URL.
+ *
+ * Lookups are cached on the user record for ENS_CACHE_TIME seconds. The registry and JSON-RPC provider are
+ * configurable, so lookups can be tested on a local chain with the ENS contracts deployed.
+ */
+
+// JSON-RPC URL for the chain with the ENS registry. Lookups are disabled if there is no URL.
+const ensRpcUrl = process.env.ENS_RPC_URL || '';
+
+// ENS registry, the same address on Ethereum Mainnet and the test networks
+const ensRegistry = process.env.ENS_REGISTRY || '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e';
+
+// Seconds to cache the name on the user record
+const cacheTime = Number(process.env.ENS_CACHE_TIME || 86400);
+
+// Add the name to auth tokens as the ens claim
+const ensClaim = (process.env.ENS_CLAIM === 'true');
+
+const registryInterface = new ethers.utils.Interface([
+    'function resolver(bytes32 node) view returns (address)',
+]);
+const resolverInterface = new ethers.utils.Interface([
+    'function name(bytes32 node) view returns (string)',
+    'function addr(bytes32 node) view returns (address)',
+    'function text(bytes32 node, string key) view returns (string)',
+]);
+
+// Longest name or avatar URL that is returned
+const maxLength = 255;
+// eslint-disable-next-line no-control-regex
+const invalidChars = /[\u0000-\u001f\u007f\s]/;
+
+let ensProvider = null;
+
+/**
+ * ENS Identity
+ * @typedef {Object} EnsIdentity
+ * @property {string} name - verified primary name, empty if there is none
+ * @property {string} avatar - https avatar URL, empty if there is none
+ */
+
+/**
+ * Check if ENS lookups are configured
+ * @returns {boolean}
+ */
+function isEnsEnabled() {
+    return Boolean(ensProvider || ensRpcUrl);
+}
+
+/**
+ * Get the JSON-RPC provider for ENS lookups
+ * @returns {ethers.providers.Provider} provider
+ */
+function getEnsProvider() {
+    if (!ensProvider) {
+        if (!ensRpcUrl) { throw new Error('No RPC URL for ENS lookups'); }
+        ensProvider = new ethers.providers.StaticJsonRpcProvider(ensRpcUrl);
+    }
+    return ensProvider;
+}
+
+/**
+ * Replace the JSON-RPC provider for ENS lookups, eg. for testing
+ * @param {ethers.providers.Provider|null} provider - null to use the configured RPC URL
+ */
+function setEnsProvider(provider) {
+    ensProvider = provider;
+}
+
+/**
+ * Call a resolver or registry function, returning undefined if the call reverts or returns nothing
+ * @param {ethers.providers.Provider} provider
+ * @param {string} to - contract address
+ * @param {ethers.utils.Interface} contractInterface
+ * @param {string} name - function name
+ * @param {Array} args
+ * @returns {Promise<*>} the first result value
+ */
+async function callView(provider, to, contractInterface, name, args) {
+    let result;
+    try {
+        result = await provider.call({ to, data: contractInterface.encodeFunctionData(name, args) });
+    } catch (err) {
+        if (err.code === ethers.errors.CALL_EXCEPTION) { return undefined; }
+        throw err;
+    }
+    if (!result || result === '0x') { return undefined; }
+    return contractInterface.decodeFunctionResult(name, result)[0];
+}
+
+/**
+ * Get the resolver for a node from the registry
+ * @param {ethers.providers.Provider} provider
+ * @param {string} node - namehash
+ * @returns {Promise<string>} resolver address, empty if there is none
+ */
+async function getResolver(provider, node) {
+    const resolver = await callView(provider, ensRegistry, registryInterface, 'resolver', [node]);
+    return (resolver && resolver !== ethers.constants.AddressZero) ? resolver : '';
+}
+
+/**
+ * Check a name or URL from a record can be shown
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isDisplayable(value) {
+    return (typeof value === 'string' && value.length > 0 && value.length <= maxLength && !invalidChars.test(value));
+}
+
+/**
+ * Look up the verified primary ENS name and avatar for a wallet.
+ * @param {string} walletId
+ * @returns {Promise<EnsIdentity>} name and avatar, empty if the wallet has no verified name
+ * @throws {Error} on provider errors
+ */
+async function lookupEnsName(walletId) {
+    try {
+        const provider = getEnsProvider();
+        const address = ethers.utils.getAddress(walletId.toLowerCase());
+        const none = { name: '', avatar: '' };
+
+        // Reverse resolution: <address>.addr.reverse
+        const reverseNode = ethers.utils.namehash(`${address.slice(2).toLowerCase()}.addr.reverse`);
+        const reverseResolver = await getResolver(provider, reverseNode);
+        if (!reverseResolver) { return none; }
+        const name = await callView(provider, reverseResolver, resolverInterface, 'name', [reverseNode]);
+        if (!isDisplayable(name)) { return none; }
+
+        // Forward resolution must return the same wallet
+        if (!ethers.utils.isValidName(name)) { return none; }
+        const node = ethers.utils.namehash(name);
+        const resolver = await getResolver(provider, node);
+        if (!resolver) { return none; }
+        const resolved = await callView(provider, resolver, resolverInterface, 'addr', [node]);
+        if (!resolved || resolved !== address) { return none; }
+
+        // Only https avatars are returned, other URI schemes (ipfs, eip155 NFTs) need a gateway
+        const avatar = await callView(provider, resolver, resolverInterface, 'text', [node, 'avatar']);
+        return {
+            name,
+            avatar: (isDisplayable(avatar) && avatar.startsWith('https://')) ? avatar : '',
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal lookupEnsName error';
+        throw err;
+    }
+}
+
+/**
+ * Get the cached ENS name and avatar from a user record, including expired values.
+ * The cache is ignored if it was looked up for another wallet, eg. before the primary wallet was changed.
+ * @param {User} user
+ * @returns {EnsIdentity}
+ */
+function getCachedEns(user) {
+    const { Ens: { walletId = '', name = '', avatar = '' } = {} } = user;
+    return (walletId === user.WalletId) ? { name, avatar } : { name: '', avatar: '' };
+}
+
+/**
+ * Get the ENS name and avatar for a user, looking them up if the cache on the user record has expired.
+ * Lookup errors are logged and the cached values are returned, so a provider outage does not block login.
+ * @param {User} user
+ * @returns {Promise<EnsIdentity>}
+ */
+async function resolveUserEns(user) {
+    const cached = getCachedEns(user);
+    const current = (user.Ens || {}).walletId === user.WalletId && user.EnsExpiry > Number(moment().format('X'));
+    if (!isEnsEnabled() || current) { return cached; }
+    try {
+        const ens = await lookupEnsName(user.WalletId);
+        await saveUserEns(user.UserId, {
+            ens: { walletId: user.WalletId, ...ens },
+            expiryTime: Number(moment().add(cacheTime, 's').format('X')),
+        });
+        return ens;
+    } catch (err) {
+        logger.warn('ENS lookup failed', { error: err.message });
+        return cached;
+    }
+}
+
+/**
+ * Get the ens claim for the auth token
+ * @param {EnsIdentity} ens
+ * @returns {string} the name, empty if the claim is not enabled
+ */
+function getEnsClaim(ens) {
+    return (ensClaim) ? ens.name : '';
+}
+
+module.exports = {
+    isEnsEnabled,
+    setEnsProvider,
+    lookupEnsName,
+    getCachedEns,
+    resolveUserEns,
+    getEnsClaim,
+};
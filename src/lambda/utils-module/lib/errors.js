@@ -35,4 +35,77 @@ class ValidationError extends Error {
     }
 }
 
-module.exports = { ApiError, ValidationError };
+/**
+ * Forbidden error object.
+ * The request is authenticated but the user is not allowed to perform it.
+ * @param {string} message
+ */
+class ForbiddenError extends Error {
+    constructor(message, ...params) {
+        super(...params);
+        this.name = 'ForbiddenError';
+        this.message = `Forbidden: ${message}`;
+        this.statusCode = 403;
+    }
+}
+
+/**
+ * Error codes returned to the client with the error message
+ */
+const errorCodes = {
+    challengeExpired: 'CHALLENGE_EXPIRED',
+    challengeUsed: 'CHALLENGE_USED',
+    challengeNotFound: 'CHALLENGE_NOT_FOUND',
+    signInLocked: 'SIGN_IN_LOCKED',
+    userLimit: 'USER_LIMIT',
+};
+
+/**
+ * Challenge error object.
+ * The signed challenge has expired, has already been used or was not issued for the request.
+ * The client can recover by requesting a new challenge.
+ * @param {string} message
+ * @param {string} errorCode - one of errorCodes
+ */
+class ChallengeError extends ValidationError {
+    constructor(message, errorCode, ...params) {
+        super(message, ...params);
+        this.name = 'ChallengeError';
+        this.errorCode = errorCode;
+    }
+}
+
+/**
+ * Too many requests error object.
+ * The wallet or IP address is locked out after failed sign ins, or has created too many users.
+ * @param {string} message
+ * @param {number} retryAfter - seconds until the request can be retried
+ * @param {string} errorCode - one of errorCodes
+ */
+class TooManyRequestsError extends Error {
+    constructor(message, retryAfter, errorCode, ...params) {
+        super(...params);
+        this.name = 'TooManyRequestsError';
+        this.message = `Too Many Requests: ${message}`;
+        this.statusCode = 429;
+        this.retryAfter = retryAfter;
+        this.errorCode = errorCode;
+    }
+}
+
+/**
+ * Get the error properties returned to the client with the error message
+ * @param {Error} err
+ * @returns {{errorCode?: string, retryAfter?: string}} ApiError props
+ */
+function getErrorProps({ errorCode = '', retryAfter = 0 }) {
+    const props = {};
+    if (errorCode) { props.errorCode = errorCode; }
+    // Retry-After is a string so it cannot match the status code selection patterns
+    if (retryAfter) { props.retryAfter = String(retryAfter); }
+    return props;
+}
+
+module.exports = {
+    ApiError, ValidationError, ForbiddenError, ChallengeError, TooManyRequestsError, errorCodes, getErrorProps,
+};
@@ -5,14 +5,24 @@ const base64url = require('base64url');
 const cookie = require('cookie');
 const moment = require('moment');
 const { ValidationError } = require('./errors');
-
-const kms = new AWS.KMS();
+const { createSession, validateSession, rotateSession } = require('./sessionUtils');
+const { createSigners } = require('./tokenSigner');
+const logger = require('./logger');
 
 const refreshTime = Number(process.env.REFRESH_TOKEN_TIME);
 const authTime = Number(process.env.AUTH_TOKEN_TIME);
 const iss = process.env.ISSUER;
-const KeyId = process.env.KEY_ID;
-let pubKey = '';
+
+// JWT type headers (RFC 8725 explicit typing), so receipts cannot be used as auth or refresh tokens
+const tokenType = 'JWT';
+const receiptType = 'receipt+jwt';
+
+// Signing keys config (JSON), see SigningKeyConfig in tokenSigner.js
+const signingKeys = process.env.SIGNING_KEYS || '[]';
+
+// The active signer, and previous signers that are only used to verify tokens during key rotation.
+// Created from the config on first use. Replace with setTokenSigners for testing or another key store.
+let tokenSigners;
 
 /**
  * Create timestamp for expiry time.
@@ -34,43 +44,94 @@ class TokenExpiredError extends Error {
 }
 
 /**
- * Get and set the public key from KMS
- * @returns {Promise<boolean}
+ * Set the token signers used to create and verify tokens
+ * @param {object} params
+ * @param {import('./tokenSigner').TokenSigner} params.active - signs new tokens
+ * @param {import('./tokenSigner').TokenSigner[]} [params.verify] - previous signers, only used to verify tokens
+ */
+function setTokenSigners({ active, verify = [] }) {
+    tokenSigners = { active, verify };
+}
+
+/**
+ * Get the token signers, creating them from the signing keys config on first use
+ * @returns {{active: import('./tokenSigner').TokenSigner, verify: import('./tokenSigner').TokenSigner[]}}
+ */
+function getTokenSigners() {
+    if (!tokenSigners) {
+        let kms;
+        tokenSigners = createSigners(JSON.parse(signingKeys), {
+            getKms: () => {
+                kms = kms || new AWS.KMS();
+                return kms;
+            },
+        });
+    }
+    return tokenSigners;
+}
+
+/**
+ * Get the signer and public key for a token kid.
+ * Checks the active key first, then the previous keys.
+ * Tokens without a kid were issued before kid headers were added and are verified with the active key.
+ * @param {string} [kid]
+ * @returns {Promise<{signer: import('./tokenSigner').TokenSigner, publicKey: import('./tokenSigner').PublicKey}>}
+ * @throws {ValidationError} if the kid does not match a configured key
  */
-async function getPubKey() {
+async function getVerifyKeyByKid(kid) {
     try {
-        if (pubKey) { return true; }
-        const rawKey = (await kms.getPublicKey({ KeyId }).promise()).PublicKey;
-        pubKey = `
------BEGIN PUBLIC KEY-----
-${rawKey.toString('base64')}
------END PUBLIC KEY-----`;
-        console.log('Retrieved the public key from KMS', pubKey);
-        return true;
+        const { active, verify } = getTokenSigners();
+        if (!kid) { return { signer: active, publicKey: await active.getPublicKey() }; }
+        const signers = [active, ...verify];
+        const keys = await Promise.all(signers.map((signer) => signer.getPublicKey()));
+        const index = keys.findIndex((publicKey) => publicKey.jwk.kid === kid);
+        if (index < 0) { throw new ValidationError('Token signing key is not recognised'); }
+        return { signer: signers[index], publicKey: keys[index] };
     } catch (err) {
-        err.message = (err.message) || 'Internal getPubKey error';
+        err.message = (err.message) || 'Internal getVerifyKeyByKid error';
         throw err;
     }
 }
 
 /**
- * Sign a message using KMS Key
- * @param {string} msg
+ * Get the JSON Web Key Set (RFC 7517) used to verify tokens.
+ * Includes the active key and any previous keys that are still used to verify tokens.
+ * @returns {Promise<{keys: import('./tokenSigner').Jwk[]}>} JWKS
+ */
+async function getJwks() {
+    try {
+        const { active, verify } = getTokenSigners();
+        const publicKeyList = await Promise.all([active, ...verify].map((signer) => signer.getPublicKey()));
+        return {
+            keys: publicKeyList.map((publicKey) => publicKey.jwk),
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal getJwks error';
+        throw err;
+    }
+}
+
+/**
+ * Get the signing algorithms of the configured keys, without loading the keys
+ * @returns {string[]} algorithms, eg. ['PS256']
+ */
+function getSigningAlgorithms() {
+    const algorithms = JSON.parse(signingKeys).map(({ alg = 'PS256' }) => alg);
+    return [...new Set(algorithms)];
+}
+
+/**
+ * Sign a message with the active signer
+ * @param {Buffer} msg
  * @returns {Promise<string>} signed message string
  */
 async function signMsg(msg) {
     try {
-        const rawSig = (await kms.sign({
-            KeyId,
-            Message: Buffer.from(msg),
-            MessageType: 'RAW',
-            SigningAlgorithm: 'RSASSA_PSS_SHA_256',
-        }).promise()).Signature;
+        const rawSig = await getTokenSigners().active.sign(msg);
         const result = rawSig.toString('base64')
             .replace(/\+/g, '-')
             .replace(/\//g, '_')
             .replace(/=/g, '');
-        console.log('Sig result: ', result);
         return result;
     } catch (err) {
         err.message = (err.message) || 'Internal signMsg error';
@@ -88,25 +149,34 @@ async function signMsg(msg) {
  * @property {[string]} aud - audience
  * @property {number} iat - issued at (Unix timestamp)
  * @property {number} exp - expiry (Unix timestamp)
+ * @property {string} [jti] - refresh token session Id
+ * @property {string} [scope] - space separated scopes, eg. 'read write', auth tokens only
+ * @property {string[]} [gates] - token gates the user passes, auth tokens only
+ * @property {string} [ens] - verified ENS name of the primary wallet, auth tokens only
+ * @property {number} [chainId] - EIP-155 Chain ID the user signed in on, auth tokens only
  */
 
 /**
- * Verify the JWT and return data
+ * Verify the JWT and return data.
+ * The verification key is selected by the kid in the token header.
  * @param {object} params
  * @param {string} params.token
+ * @param {string} [params.typ = 'JWT'] - the token type header, 'JWT' for auth and refresh tokens
  * @returns {Promise<{
  * success: boolean,
  * data: JwtData}>} success result and data
  * @throws {TokenExpiredError} on expired token
  * @throws {ValidationError} on invalid token
  */
-async function verifyJwt({ token }) {
+async function verifyJwt({ token, typ = tokenType }) {
     try {
         let data = {};
-        await getPubKey();
-        jwt.verify(token, pubKey, { algorithms: ['PS256'] }, (err, decoded) => {
+        const decodedToken = jwt.decode(token, { complete: true });
+        if (!decodedToken) { throw new ValidationError('Invalid token'); }
+        if (decodedToken.header.typ !== typ) { throw new ValidationError('Invalid token type'); }
+        const { signer, publicKey } = await getVerifyKeyByKid(decodedToken.header.kid);
+        jwt.verify(token, publicKey.pem, { algorithms: [signer.alg] }, (err, decoded) => {
             if (err) { throw err; }
-            console.log('Decode result: ', JSON.stringify(decoded));
             data = { ...decoded };
         });
         return {
@@ -114,7 +184,7 @@ async function verifyJwt({ token }) {
             data,
         };
     } catch (err) {
-        console.log('verifyJwt err: ', err);
+        logger.info('verifyJwt error', err);
         if (err.name === 'TokenExpiredError') { throw new TokenExpiredError(); }
         if (err.name === 'JsonWebTokenError') { throw new ValidationError(err.message); }
         err.message = (err.message) || 'Internal verifyJwt error';
@@ -142,27 +212,58 @@ async function validateAuthToken({ token }) {
             data,
         };
     } catch (err) {
-        console.log('validateAuthToken err: ', err);
+        logger.debug('validateAuthToken error', err);
         err.message = (err.message) || 'Internal validateAuthToken error';
         throw err;
     }
 }
 
+/**
+ * Sign a JWT with the active signer
+ * @param {string} typ - the token type header
+ * @param {object} payload
+ * @returns {Promise<string>} JWT
+ */
+async function signJwt(typ, payload) {
+    try {
+        const { active } = getTokenSigners();
+        const { jwk } = await active.getPublicKey();
+        const headers = {
+            alg: active.alg,
+            typ,
+            kid: jwk.kid,
+        };
+        const headerStr = base64url(JSON.stringify(headers));
+        const payloadStr = base64url(JSON.stringify(payload));
+
+        const message = Buffer.from(`${headerStr}.${payloadStr}`);
+        const signature = await signMsg(message);
+        return `${headerStr}.${payloadStr}.${signature}`;
+    } catch (err) {
+        err.message = (err.message) || 'Internal signJwt error';
+        throw err;
+    }
+}
+
 /**
  * Create a new JWT
  * @param {object} params
  * @param {string} params.userId
  * @param {boolean} [params.isAdmin=false]
  * @param {boolean} [params.isRefresh=false]
+ * @param {string} [params.jti] - token Id, required for refresh tokens
+ * @param {number} [params.exp] - expiry (Unix timestamp), defaults to the token type expiry
+ * @param {string[]} [params.scopes] - auth token scopes, omitted from refresh tokens
+ * @param {string[]} [params.gates] - token gates the user passes, omitted from the token if empty
+ * @param {string} [params.ens] - ENS name of the user, omitted from the token if empty
+ * @param {number} [params.chainId] - Chain ID of the session, omitted from the token if not known
  * @returns {Promise<string>} JWT
  */
 async function createJwt(params) {
-    const { userId = '', isAdmin = false, isRefresh = false } = params;
+    const {
+        userId = '', isAdmin = false, isRefresh = false, jti = '', scopes = [], gates = [], ens = '', chainId = 0,
+    } = params;
     try {
-        const headers = {
-            alg: 'PS256',
-            typ: 'JWT',
-        };
         const payload = {
             iss,
             sub: userId,
@@ -170,18 +271,15 @@ async function createJwt(params) {
             refresh: isRefresh,
             aud: ['nrg'],
             iat: Number(moment().format('X')),
-            exp: (isRefresh) ? expTime(refreshTime) : expTime(authTime),
+            exp: (params.exp) || ((isRefresh) ? expTime(refreshTime) : expTime(authTime)),
         };
-        console.log('Payload: ', JSON.stringify(payload));
-
-        const headerStr = base64url(JSON.stringify(headers));
-        const payloadStr = base64url(JSON.stringify(payload));
-
-        const message = Buffer.from(`${headerStr}.${payloadStr}`);
-        const signature = await signMsg(message);
-        const result = `${headerStr}.${payloadStr}.${signature}`;
-        console.log('JWT result: ', result);
-        return result;
+        if (jti) { payload.jti = jti; }
+        if (!isRefresh) { payload.scope = scopes.join(' '); }
+        if (gates.length) { payload.gates = gates; }
+        if (ens) { payload.ens = ens; }
+        if (chainId && !isRefresh) { payload.chainId = chainId; }
+        logger.debug('JWT payload', payload);
+        return await signJwt(tokenType, payload);
     } catch (err) {
         err.message = (err.message) || 'Internal createJwt error';
         throw err;
@@ -189,15 +287,24 @@ async function createJwt(params) {
 }
 
 /**
- * Create new JWT Refresh token for user
+ * Create new JWT Refresh token for user.
+ * A new session is recorded for the token so it can be revoked.
  * @param {object} params
  * @param {string} params.userId
+ * @param {string} [params.familyId] - token family when rotating, a new family is started if not supplied
+ * @param {number} [params.chainId] - Chain ID the user signed in on, recorded on the session
  * @returns {Promise<string>} JWT
  */
-async function createRefreshToken({ userId }) {
+async function createRefreshToken({ userId, familyId = '', chainId = 0 }) {
     try {
         if (!userId) { throw new Error('Missing userId parameter'); }
-        return createJwt({ userId, isRefresh: true });
+        const exp = expTime(refreshTime);
+        const jti = await createSession({
+            userId, expiryTime: exp, familyId, chainId,
+        });
+        return createJwt({
+            userId, isRefresh: true, jti, exp,
+        });
     } catch (err) {
         err.message = (err.message) || 'Internal createRefreshToken error';
         throw err;
@@ -209,14 +316,20 @@ async function createRefreshToken({ userId }) {
  * @param {object} params
  * @param {string} params.userId
  * @param {boolean} [params.isAdmin = false]
+ * @param {string[]} [params.scopes] - scopes for the routes the token can use
+ * @param {string[]} [params.gates] - token gates the user passes
+ * @param {string} [params.ens] - ENS name of the user, see ensLookup
+ * @param {number} [params.chainId] - Chain ID the user signed in on
  * @returns {Promise<string>} JWT
  */
 async function createAuthToken({
-    userId, isAdmin = false,
+    userId, isAdmin = false, scopes = [], gates = [], ens = '', chainId = 0,
 }) {
     try {
         if (!userId) { throw new Error('Missing userId parameter'); }
-        return createJwt({ userId, isAdmin });
+        return createJwt({
+            userId, isAdmin, scopes, gates, ens, chainId,
+        });
     } catch (err) {
         err.message = (err.message) || 'Internal createAuthToken error';
         throw err;
@@ -224,14 +337,17 @@ async function createAuthToken({
 }
 
 /**
- * Create new refresh Cookie for user
+ * Create new refresh Cookie for user.
+ * Starts a new token family (login) unless a familyId is supplied.
  * @param {object} params
  * @param {string} params.userId
+ * @param {string} [params.familyId] - token family when rotating
+ * @param {number} [params.chainId] - Chain ID the user signed in on, kept when the cookie is rotated
  * @returns {Promise<string>} cookie
  */
-async function createRefreshCookie({ userId }) {
+async function createRefreshCookie({ userId, familyId = '', chainId = 0 }) {
     try {
-        const refreshToken = await createRefreshToken({ userId });
+        const refreshToken = await createRefreshToken({ userId, familyId, chainId });
         const cookieStr = cookie.serialize('token', refreshToken, {
             httpOnly: true,
             sameSite: true,
@@ -269,25 +385,47 @@ async function createLogoutCookie() {
 }
 
 /**
- * Validate the refresh cookie and return userId
+ * Verify the refresh cookie JWT and return the token data
  * @param {string} cookieStr
- * @returns {Promise<{
- * success: boolean,
- * userId: string}>} success result and userId
+ * @returns {Promise<JwtData>} token data
  * @throws {ValidationError} if the cookie is invalid
  * @throws {TokenExpiredError} on expired cookie
  */
-async function validateRefreshCookie(cookieStr) {
+async function verifyRefreshCookie(cookieStr) {
     try {
         const { token } = cookie.parse(cookieStr);
         if (!token) { throw new ValidationError('Not our cookie'); }
         const { data } = await verifyJwt({ token });
-        const { sub: userId, refresh } = data;
-        if (!refresh) { throw new ValidationError('Invalid refresh token'); }
+        if (!data.refresh) { throw new ValidationError('Invalid refresh token'); }
+        return data;
+    } catch (err) {
+        err.message = (err.message) || 'Internal verifyRefreshCookie error';
+        throw err;
+    }
+}
+
+/**
+ * Validate the refresh cookie and return userId.
+ * The token session must be current - revoked, reused or unknown sessions are rejected.
+ * @param {string} cookieStr
+ * @returns {Promise<{
+ * success: boolean,
+ * userId: string,
+ * sessionId: string,
+ * familyId: string}>} success result, userId and session details
+ * @throws {ValidationError} if the cookie is invalid or the session is revoked
+ * @throws {TokenExpiredError} on expired cookie
+ */
+async function validateRefreshCookie(cookieStr) {
+    try {
+        const { sub: userId, jti: sessionId } = await verifyRefreshCookie(cookieStr);
+        const { FamilyId: familyId } = await validateSession({ sessionId, userId });
 
         return {
             success: true,
             userId,
+            sessionId,
+            familyId,
         };
     } catch (err) {
         err.message = (err.message) || 'Internal validateRefreshCookie error';
@@ -295,10 +433,89 @@ async function validateRefreshCookie(cookieStr) {
     }
 }
 
+/**
+ * Validate the refresh cookie and exchange it for a new refresh cookie in the same token family.
+ * Each refresh token can only be used once. Presenting a token that has already been
+ * rotated revokes every session in the family.
+ * @param {string} cookieStr
+ * @returns {Promise<{
+ * success: boolean,
+ * userId: string,
+ * chainId: number,
+ * cookie: string}>} success result, userId, the session Chain ID (0 if not recorded) and the new refresh cookie
+ * @throws {ValidationError} if the cookie is invalid, revoked or reused
+ * @throws {TokenExpiredError} on expired cookie
+ */
+async function rotateRefreshCookie(cookieStr) {
+    try {
+        const { sub: userId, jti: sessionId } = await verifyRefreshCookie(cookieStr);
+        const { FamilyId: familyId, ChainId: chainId = 0 } = await rotateSession({ sessionId, userId });
+        const newCookie = await createRefreshCookie({ userId, familyId, chainId });
+
+        return {
+            success: true,
+            userId,
+            chainId,
+            cookie: newCookie,
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal rotateRefreshCookie error';
+        throw err;
+    }
+}
+
+/**
+ * Create a signed receipt for a user, eg. for an account deletion.
+ * The receipt is a JWT with the 'receipt+jwt' type and no expiry, so it can be verified with the JWKS
+ * but is never accepted as an auth or refresh token.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {string} params.receiptId - the jti claim
+ * @param {object} params.receipt - added to the payload as the receipt claim
+ * @returns {Promise<string>} JWT
+ */
+async function createReceiptToken({ userId, receiptId, receipt }) {
+    try {
+        if (!userId || !receiptId) { throw new Error('Missing userId or receiptId parameter'); }
+        return await signJwt(receiptType, {
+            iss,
+            sub: userId,
+            jti: receiptId,
+            iat: Number(moment().format('X')),
+            receipt,
+        });
+    } catch (err) {
+        err.message = (err.message) || 'Internal createReceiptToken error';
+        throw err;
+    }
+}
+
+/**
+ * Verify a receipt token and return the receipt
+ * @param {object} params
+ * @param {string} params.token
+ * @returns {Promise<{success: boolean, data: {iss: string, sub: string, jti: string, iat: number, receipt: object}}>}
+ * @throws {ValidationError} on an invalid receipt
+ */
+async function verifyReceiptToken({ token }) {
+    try {
+        return await verifyJwt({ token, typ: receiptType });
+    } catch (err) {
+        err.message = (err.message) || 'Internal verifyReceiptToken error';
+        throw err;
+    }
+}
+
 module.exports = {
     createAuthToken,
     createRefreshCookie,
     validateRefreshCookie,
+    rotateRefreshCookie,
     validateAuthToken,
     createLogoutCookie,
+    getJwks,
+    getSigningAlgorithms,
+    setTokenSigners,
+    createReceiptToken,
+    verifyReceiptToken,
 };
@@ -0,0 +1,137 @@
+/**
+ * Structured logger for the Lambda functions and the utils module.
+ * Each entry is one JSON line with the level, message and data, and the request context (requestId, sourceIp
+ * and userId) so every entry for a request can be found in CloudWatch Logs Insights.
+ *
+ * Tokens, cookies, signatures and secrets are redacted from the message and data before they are written,
+ * by property name and by value, so a whole event or error can be logged safely.
+ *
+ * A Lambda function handles one request at a time, so the request context is held for the module and set
+ * at the start of each request with startRequest.
+ */
+
+const levels = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+};
+
+// Minimum level to write, info by default
+let logLevel = (levels[process.env.LOG_LEVEL]) ? process.env.LOG_LEVEL : 'info';
+
+const redacted = '[REDACTED]';
+
+// Properties that hold credentials, matched anywhere in the property name
+const secretKeyPattern = /token|cookie|signature|secret|password|authorization|private_?key/i;
+
+// Credentials in string values: JWTs, token cookies and signatures (65 bytes or more of hex)
+const secretValuePatterns = [
+    [/eyJ[\w-]*\.eyJ[\w-]*\.[\w-]*/g, redacted],
+    [/(token=)[^;\s"]+/g, `$1${redacted}`],
+    [/0x[0-9a-fA-F]{130,}/g, redacted],
+];
+
+// Nested values deeper than this are not written
+const maxDepth = 10;
+
+let requestContext = {};
+
+/**
+ * Set the minimum level to write, eg. for testing
+ * @param {string} level - 'debug', 'info', 'warn' or 'error'
+ */
+function setLogLevel(level) {
+    if (!levels[level]) { throw new Error(`Unknown log level ${level}`); }
+    logLevel = level;
+}
+
+/**
+ * Redact credentials from a string
+ * @param {string} value
+ * @returns {string}
+ */
+function redactString(value) {
+    return secretValuePatterns.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+}
+
+/**
+ * Copy a value for logging with credentials redacted.
+ * Errors are converted to plain objects, and circular references are removed.
+ * @param {*} value
+ * @param {number} [depth = 0]
+ * @param {WeakSet} [seen]
+ * @returns {*} redacted copy
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') { return redactString(value); }
+    if (typeof value === 'bigint') { return value.toString(); }
+    if (!value || typeof value !== 'object') { return value; }
+    if (seen.has(value)) { return '[Circular]'; }
+    if (depth >= maxDepth) { return '[Truncated]'; }
+    seen.add(value);
+
+    if (value instanceof Error) {
+        const {
+            name, message, statusCode, code, errorCode, stack,
+        } = value;
+        return redact({
+            name, message, statusCode, code, errorCode, stack,
+        }, depth + 1, seen);
+    }
+    if (Buffer.isBuffer(value)) { return `[Buffer ${value.length} bytes]`; }
+    if (Array.isArray(value)) { return value.map((item) => redact(item, depth + 1, seen)); }
+
+    return Object.fromEntries(Object.entries(value)
+        .filter(([, item]) => item !== undefined)
+        .map(([key, item]) => [key, (secretKeyPattern.test(key) && item) ? redacted : redact(item, depth + 1, seen)]));
+}
+
+/**
+ * Write a log entry
+ * @param {string} level
+ * @param {string} message
+ * @param {*} [data]
+ */
+function write(level, message, data) {
+    if (levels[level] < levels[logLevel]) { return; }
+    const entry = {
+        level,
+        time: new Date().toISOString(),
+        message: redactString(String(message)),
+        ...requestContext,
+    };
+    if (data !== undefined) { entry.data = redact(data); }
+    console.log(JSON.stringify(entry));
+}
+
+/**
+ * Start logging a request. Sets the request context from the event and logs the event.
+ * @param {object} event - Lambda event, with the request context from the API Gateway request template
+ */
+function startRequest(event = {}) {
+    const { context = {} } = event;
+    const { requestId = '', sourceIp = '', userId = '' } = context;
+    requestContext = Object.fromEntries(Object.entries({ requestId, sourceIp, userId }).filter(([, value]) => value));
+    write('info', 'Event', event);
+}
+
+/**
+ * Add values to the request context, eg. the userId once a token has been verified
+ * @param {{requestId?: string, sourceIp?: string, userId?: string}} values
+ */
+function addContext(values) {
+    requestContext = { ...requestContext, ...values };
+}
+
+module.exports = {
+    levels,
+    setLogLevel,
+    redact,
+    startRequest,
+    addContext,
+    debug: (message, data) => write('debug', message, data),
+    info: (message, data) => write('info', message, data),
+    warn: (message, data) => write('warn', message, data),
+    error: (message, data) => write('error', message, data),
+};
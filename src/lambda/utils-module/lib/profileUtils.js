@@ -0,0 +1,186 @@
+const { getUserByUserId, saveUserProfile } = require('./authUtils');
+const { ValidationError, ForbiddenError } = require('./errors');
+const logger = require('./logger');
+
+/**
+ * User profile attributes.
+ * The profile is stored on the user record, so it is removed with the user. Updates are merged into the
+ * current profile: fields that are not supplied are kept, and null or an empty string removes a field.
+ * Every field is checked against the profile schema, and unknown fields are rejected.
+ */
+
+// Largest profile as JSON, in bytes. Every field fits at its longest unless it has multi-byte characters.
+const maxProfileSize = 1024;
+
+/**
+ * Profile Field Schema
+ * @typedef {Object} ProfileField
+ * @property {string} type - 'string', 'url', 'boolean' or 'object'
+ * @property {number} [maxLength] - for strings and urls
+ * @property {boolean} [multiline] - strings can include line breaks
+ * @property {string[]} [values] - allowed string values
+ * @property {RegExp} [pattern] - strings must match
+ * @property {Object<string, ProfileField>} [fields] - for objects
+ */
+
+/** @type {Object<string, ProfileField>} */
+const profileSchema = {
+    displayName: { type: 'string', maxLength: 50 },
+    avatarUrl: { type: 'url', maxLength: 500 },
+    bio: { type: 'string', maxLength: 280, multiline: true },
+    preferences: {
+        type: 'object',
+        fields: {
+            theme: { type: 'string', values: ['system', 'light', 'dark'] },
+            locale: { type: 'string', maxLength: 35, pattern: /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/ },
+            notifications: { type: 'boolean' },
+        },
+    },
+};
+
+// Control characters are not allowed, except line breaks in multiline fields
+const controlChars = /[\u0000-\u0009\u000b-\u001f\u007f]/; // eslint-disable-line no-control-regex
+const lineBreaks = /[\n\r\u2028\u2029]/;
+
+/**
+ * Parse a URL, without throwing on invalid URLs
+ * @param {string} text
+ * @returns {URL|{protocol: string}} URL, with an empty protocol if it is invalid
+ */
+function parseUrl(text) {
+    try {
+        return new URL(text);
+    } catch (err) {
+        return { protocol: '' };
+    }
+}
+
+/**
+ * Check a field value against its schema. Objects are only checked for their type, and their fields are
+ * merged by mergeFields.
+ * @param {string} name - field path for error messages
+ * @param {*} value
+ * @param {ProfileField} field
+ * @returns {*} the value to store, undefined to remove the field
+ */
+function validateField(name, value, field) {
+    if (value === null || value === '') { return undefined; }
+    if (field.type === 'boolean') {
+        if (typeof value !== 'boolean') { throw new ValidationError(`${name} must be true or false`); }
+        return value;
+    }
+    if (field.type === 'object') {
+        if (typeof value !== 'object' || Array.isArray(value)) { throw new ValidationError(`${name} must be an object`); }
+        return value;
+    }
+
+    // Strings and URLs
+    if (typeof value !== 'string') { throw new ValidationError(`${name} must be a string`); }
+    const text = value.trim();
+    if (!text) { return undefined; }
+    if (field.maxLength && text.length > field.maxLength) { throw new ValidationError(`${name} must be ${field.maxLength} characters or less`); }
+    if (controlChars.test(text) || (!field.multiline && lineBreaks.test(text))) { throw new ValidationError(`${name} contains invalid characters`); }
+    if (field.values && !field.values.includes(text)) { throw new ValidationError(`${name} must be one of: ${field.values.join(', ')}`); }
+    if (field.pattern && !field.pattern.test(text)) { throw new ValidationError(`${name} is not valid`); }
+    if (field.type === 'url' && parseUrl(text).protocol !== 'https:') { throw new ValidationError(`${name} must be an https URL`); }
+    return text;
+}
+
+/**
+ * Merge validated values into the current fields
+ * @param {string} name - object path for error messages, empty for the profile
+ * @param {object} values
+ * @param {Object<string, ProfileField>} fields
+ * @param {object} current
+ * @returns {object|undefined} merged values, undefined if there are none
+ */
+function mergeFields(name, values, fields, current) {
+    const unknown = Object.keys(values).filter((key) => !Object.prototype.hasOwnProperty.call(fields, key));
+    if (unknown.length) { throw new ValidationError(`Unknown profile field ${(name) ? `${name}.` : ''}${unknown[0]}`); }
+    const merged = { ...current };
+    Object.entries(values).forEach(([key, value]) => {
+        const path = (name) ? `${name}.${key}` : key;
+        const valid = validateField(path, value, fields[key]);
+        const result = (valid !== undefined && fields[key].type === 'object')
+            ? mergeFields(path, valid, fields[key].fields, current[key] || {})
+            : valid;
+        if (result === undefined) {
+            delete merged[key];
+        } else {
+            merged[key] = result;
+        }
+    });
+    return (Object.keys(merged).length) ? merged : undefined;
+}
+
+/**
+ * Check profile updates against the schema and merge them into the current profile
+ * @param {object} updates - profile fields to change, null to remove
+ * @param {object} [current] - the current profile
+ * @returns {object} the new profile
+ * @throws {ValidationError} if a field is invalid or the profile is too large
+ */
+function mergeProfile(updates, current = {}) {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) { throw new ValidationError('Profile must be an object'); }
+    const profile = mergeFields('', updates, profileSchema, current) || {};
+    if (Buffer.byteLength(JSON.stringify(profile)) > maxProfileSize) { throw new ValidationError(`Profile must be ${maxProfileSize} bytes or less`); }
+    return profile;
+}
+
+/**
+ * Get the profile for a user
+ * @param {string} userId
+ * @returns {Promise<{userId: string, profile: object, updatedTime: string}>} profile, and the time it was last updated
+ */
+async function getProfile(userId) {
+    try {
+        if (!userId) { throw new ForbiddenError('Missing authenticated user'); }
+        const { Profile: profile = {}, ProfileTime: updatedTime = '' } = await getUserByUserId(userId);
+        return {
+            userId,
+            profile,
+            updatedTime,
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal getProfile error';
+        throw err;
+    }
+}
+
+/**
+ * Update the profile for a user. The updates are merged into the current profile.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {object} params.profile - profile fields to change, null to remove
+ * @returns {Promise<{userId: string, profile: object, updatedTime: string}>} the new profile
+ * @throws {ValidationError} if the profile is invalid
+ * @throws {ForbiddenError} if the user is disabled
+ */
+async function updateProfile({ userId, profile: updates }) {
+    try {
+        if (!userId) { throw new ForbiddenError('Missing authenticated user'); }
+        const {
+            Profile: current = {}, ProfileTime: previousTime = '', Disabled: disabled = false,
+        } = await getUserByUserId(userId);
+        if (disabled) { throw new ForbiddenError('User account is disabled'); }
+        const profile = mergeProfile(updates, current);
+        const updatedTime = await saveUserProfile(userId, { profile, previousTime });
+        return {
+            userId,
+            profile,
+            updatedTime,
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal updateProfile error';
+        logger.error('updateProfile error', err);
+        throw err;
+    }
+}
+
+module.exports = {
+    profileSchema,
+    maxProfileSize,
+    mergeProfile,
+    getProfile,
+    updateProfile,
+};
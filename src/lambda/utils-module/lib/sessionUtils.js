@@ -0,0 +1,278 @@
+// eslint-disable-next-line import/no-extraneous-dependencies
+const AWS = require('aws-sdk');
+const moment = require('moment');
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+const logger = require('./logger');
+
+const docClient = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+});
+
+const sessionTbl = process.env.SESSION_TABLE;
+const userSessionIdx = process.env.USER_SESSION_IDX;
+const familySessionIdx = process.env.FAMILY_SESSION_IDX;
+
+// Session Functions ===============================================================================================
+
+/**
+ * Session Definition.
+ * A session is created for every refresh token, and is recorded until the token expires.
+ * Refresh tokens are single use - each refresh rotates the session to a new token in the same family.
+ * A login starts a new family.
+ * @typedef {Object} Session
+ * @property {string} SessionId - the refresh token jti
+ * @property {string} UserId
+ * @property {string} FamilyId - the SessionId of the first token issued at login
+ * @property {number} [ChainId] - EIP-155 Chain ID the user signed in on, kept when the session is rotated
+ * @property {string} CreatedTime - ISO 8601 Time session was created
+ * @property {boolean} Rotated - the refresh token has been used and replaced
+ * @property {string} [RotatedTime] - ISO 8601 Time the refresh token was used
+ * @property {boolean} Revoked - session has been revoked by logout or token reuse
+ * @property {string} [RevokedTime] - ISO 8601 Time session was revoked
+ * @property {number} ExpiryTime - expiry (Unix timestamp), matches the refresh token expiry
+ */
+
+/**
+ * Create a cryptographically random session Id for the refresh token jti
+ * @returns {string} sessionId
+ */
+function createSessionId() {
+    const buffer = crypto.randomBytes(16);
+    return buffer.toString('hex');
+}
+
+/**
+ * Record a new session for a user
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {number} params.expiryTime - session expiry (Unix timestamp)
+ * @param {string} [params.familyId] - token family for a rotated session, a new family is started if not supplied
+ * @param {number} [params.chainId] - Chain ID the user signed in on
+ * @returns {Promise<string>} sessionId
+ */
+async function createSession({
+    userId, expiryTime, familyId = '', chainId = 0,
+}) {
+    try {
+        if (!userId) { throw new Error('Missing userId parameter'); }
+        const sessionId = createSessionId();
+        const params = {
+            TableName: sessionTbl,
+            Item: {
+                SessionId: sessionId,
+                UserId: userId,
+                FamilyId: (familyId) || sessionId,
+                ...((chainId) ? { ChainId: chainId } : {}),
+                CreatedTime: moment().toISOString(),
+                Rotated: false,
+                Revoked: false,
+                ExpiryTime: expiryTime,
+            },
+            ConditionExpression: 'attribute_not_exists(SessionId)',
+        };
+        await docClient.put(params).promise();
+        return sessionId;
+    } catch (err) {
+        err.message = (err.message) || 'Internal createSession error';
+        logger.error('createSession error', err);
+        throw err;
+    }
+}
+
+/**
+ * Get a session by SessionId
+ * @param {string} sessionId
+ * @returns {Promise<Session>} Session
+ * @throws {ValidationError} if the session does not exist
+ */
+async function getSession(sessionId) {
+    try {
+        const params = {
+            TableName: sessionTbl,
+            Key: { SessionId: sessionId },
+        };
+        const { Item: session } = await docClient.get(params).promise();
+        if (!session) { throw new ValidationError('Session not found'); }
+        return session;
+    } catch (err) {
+        err.message = (err.message) || 'Internal getSession error';
+        throw err;
+    }
+}
+
+/**
+ * Revoke a session
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+async function revokeSession(sessionId) {
+    try {
+        const params = {
+            TableName: sessionTbl,
+            Key: { SessionId: sessionId },
+            UpdateExpression: 'set Revoked = :r, RevokedTime = :t',
+            ConditionExpression: 'attribute_exists(SessionId)',
+            ExpressionAttributeValues: {
+                ':r': true,
+                ':t': moment().toISOString(),
+            },
+        };
+        await docClient.update(params).promise();
+        return true;
+    } catch (err) {
+        if (err.code === 'ConditionalCheckFailedException') { throw new ValidationError('Session not found'); }
+        err.message = (err.message) || 'Internal revokeSession error';
+        logger.error('revokeSession error', err);
+        throw err;
+    }
+}
+
+/**
+ * Query all sessions that are not revoked from a session table index
+ * @param {string} indexName
+ * @param {string} keyName - the index partition key
+ * @param {string} keyValue
+ * @returns {Promise<Session[]>} Sessions
+ */
+async function queryActiveSessions(indexName, keyName, keyValue) {
+    try {
+        const sessions = [];
+        let lastKey;
+        do {
+            const params = {
+                TableName: sessionTbl,
+                IndexName: indexName,
+                KeyConditionExpression: '#k = :v',
+                ExpressionAttributeNames: {
+                    '#k': keyName,
+                },
+                ExpressionAttributeValues: {
+                    ':v': keyValue,
+                },
+                ExclusiveStartKey: lastKey,
+            };
+            // eslint-disable-next-line no-await-in-loop
+            const { Items = [], LastEvaluatedKey } = await docClient.query(params).promise();
+            sessions.push(...Items.filter((session) => !session.Revoked));
+            lastKey = LastEvaluatedKey;
+        } while (lastKey);
+        return sessions;
+    } catch (err) {
+        err.message = (err.message) || 'Internal queryActiveSessions error';
+        throw err;
+    }
+}
+
+/**
+ * Revoke all current sessions for a user (logout everywhere)
+ * @param {string} userId
+ * @returns {Promise<number>} number of sessions revoked
+ */
+async function revokeUserSessions(userId) {
+    try {
+        if (!userId) { throw new Error('Missing userId parameter'); }
+        const sessions = await queryActiveSessions(userSessionIdx, 'UserId', userId);
+        await Promise.all(sessions.map((session) => revokeSession(session.SessionId)));
+        return sessions.length;
+    } catch (err) {
+        err.message = (err.message) || 'Internal revokeUserSessions error';
+        logger.error('revokeUserSessions error', err);
+        throw err;
+    }
+}
+
+/**
+ * Revoke all sessions in a refresh token family (all tokens issued since a login)
+ * @param {string} familyId
+ * @returns {Promise<number>} number of sessions revoked
+ */
+async function revokeFamily(familyId) {
+    try {
+        if (!familyId) { throw new Error('Missing familyId parameter'); }
+        const sessions = await queryActiveSessions(familySessionIdx, 'FamilyId', familyId);
+        await Promise.all(sessions.map((session) => revokeSession(session.SessionId)));
+        return sessions.length;
+    } catch (err) {
+        err.message = (err.message) || 'Internal revokeFamily error';
+        logger.error('revokeFamily error', err);
+        throw err;
+    }
+}
+
+/**
+ * Check the session is current for the user.
+ * A rotated session means the refresh token has been used before, so it may have been stolen.
+ * The whole token family is revoked in that case.
+ * DynamoDB TTL deletes are not immediate so we also check the expiry time.
+ * @param {object} params
+ * @param {string} params.sessionId
+ * @param {string} params.userId
+ * @returns {Promise<Session>} Session
+ * @throws {ValidationError} if the session is unknown, revoked, reused or expired
+ */
+async function validateSession({ sessionId, userId }) {
+    try {
+        if (!sessionId) { throw new ValidationError('Missing session'); }
+        const session = await getSession(sessionId);
+        if (session.UserId !== userId) { throw new ValidationError('Session does not belong to the user'); }
+        if (session.Revoked) { throw new ValidationError('Session has been revoked'); }
+        if (session.Rotated) {
+            await revokeFamily(session.FamilyId);
+            throw new ValidationError('Refresh token has already been used, all sessions from this login have been revoked');
+        }
+        if (session.ExpiryTime < Number(moment().format('X'))) { throw new ValidationError('Session has expired'); }
+        return session;
+    } catch (err) {
+        err.message = (err.message) || 'Internal validateSession error';
+        throw err;
+    }
+}
+
+/**
+ * Mark a session as used so the refresh token cannot be used again.
+ * The update is conditional so only one of any concurrent requests can rotate the session.
+ * If the session was already rotated the token has been reused and the whole family is revoked.
+ * @param {object} params
+ * @param {string} params.sessionId
+ * @param {string} params.userId
+ * @returns {Promise<Session>} the rotated Session
+ * @throws {ValidationError} if the session is not current or has been reused
+ */
+async function rotateSession({ sessionId, userId }) {
+    try {
+        const session = await validateSession({ sessionId, userId });
+        const params = {
+            TableName: sessionTbl,
+            Key: { SessionId: sessionId },
+            UpdateExpression: 'set Rotated = :r, RotatedTime = :t',
+            ConditionExpression: 'Rotated = :f AND Revoked = :f',
+            ExpressionAttributeValues: {
+                ':r': true,
+                ':f': false,
+                ':t': moment().toISOString(),
+            },
+        };
+        try {
+            await docClient.update(params).promise();
+        } catch (err) {
+            if (err.code !== 'ConditionalCheckFailedException') { throw err; }
+            await revokeFamily(session.FamilyId);
+            throw new ValidationError('Refresh token has already been used, all sessions from this login have been revoked');
+        }
+        return session;
+    } catch (err) {
+        err.message = (err.message) || 'Internal rotateSession error';
+        throw err;
+    }
+}
+
+module.exports = {
+    createSession,
+    getSession,
+    validateSession,
+    rotateSession,
+    revokeSession,
+    revokeFamily,
+    revokeUserSessions,
+};
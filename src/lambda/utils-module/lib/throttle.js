@@ -0,0 +1,275 @@
+// eslint-disable-next-line import/no-extraneous-dependencies
+const AWS = require('aws-sdk');
+const moment = require('moment');
+const { TooManyRequestsError, errorCodes } = require('./errors');
+const logger = require('./logger');
+
+/**
+ * Sign in lockout and new user limits.
+ * Failed logins and verifications are counted by wallet and by source IP address. After the free attempts,
+ * each further failure locks the wallet or IP out for longer, doubling from the lockout time up to the max
+ * lockout time. The counts are forgotten once there have been no failures for the failure window, and a
+ * successful sign in clears the wallet count (but not the IP count).
+ *
+ * New unverified users are limited per source IP address in a fixed window.
+ *
+ * Counters are kept in the throttle table and removed by the TTL. If the table cannot be read or written the
+ * error is logged and the request is allowed, so the limits never block sign in on their own.
+ */
+
+const docClient = new AWS.DynamoDB.DocumentClient({
+    region: process.env.AWS_REGION,
+});
+
+const throttleTbl = process.env.THROTTLE_TABLE;
+
+/**
+ * Throttle Limits
+ * @typedef {Object} ThrottleLimits
+ * @property {number} walletFailures - failed sign ins for a wallet before it is locked out
+ * @property {number} ipFailures - failed sign ins from an IP address before it is locked out
+ * @property {number} lockoutTime - first lockout in seconds, doubled for each further failure
+ * @property {number} maxLockoutTime - longest lockout in seconds
+ * @property {number} failureWindow - seconds without a failure before the count is forgotten
+ * @property {number} ipUsers - new users from an IP address in the user window
+ * @property {number} userWindow - seconds
+ */
+
+/** @type {ThrottleLimits} */
+const defaultLimits = {
+    walletFailures: 5,
+    ipFailures: 20,
+    lockoutTime: 30,
+    maxLockoutTime: 900,
+    failureWindow: 3600,
+    ipUsers: 10,
+    userWindow: 3600,
+};
+
+let limits = { ...defaultLimits, ...JSON.parse(process.env.THROTTLE_LIMITS || '{}') };
+
+/**
+ * Throttle counter record
+ * @typedef {Object} ThrottleRecord
+ * @property {string} ThrottleKey - eg. 'wallet#0x...', 'ip#1.2.3.4' or 'users#1.2.3.4'
+ * @property {number} Count
+ * @property {number} LastTime - last count (Unix timestamp)
+ * @property {number} ExpiryTime - the count is forgotten after this (Unix timestamp)
+ */
+
+/**
+ * Set the throttle limits, eg. for testing
+ * @param {Partial<ThrottleLimits>} values - merged with the defaults
+ */
+function setThrottleLimits(values) {
+    limits = { ...defaultLimits, ...values };
+}
+
+/**
+ * Get the throttle limits
+ * @returns {ThrottleLimits}
+ */
+function getThrottleLimits() {
+    return { ...limits };
+}
+
+const nowSeconds = () => Number(moment().format('X'));
+
+/**
+ * Get the counter keys for a request. Requests without a wallet or IP address have no key for it.
+ * @param {object} params
+ * @param {string} [params.walletId]
+ * @param {string} [params.sourceIp]
+ * @returns {{key: string, freeAttempts: number}[]} counter keys with the failures allowed before lockout
+ */
+function getFailureKeys({ walletId = '', sourceIp = '' }) {
+    const keys = [];
+    if (walletId) { keys.push({ key: `wallet#${walletId.toLowerCase()}`, freeAttempts: limits.walletFailures }); }
+    if (sourceIp) { keys.push({ key: `ip#${sourceIp}`, freeAttempts: limits.ipFailures }); }
+    return keys;
+}
+
+/**
+ * Get a counter record, if it has not expired
+ * @param {string} key
+ * @returns {Promise<ThrottleRecord|undefined>} record
+ */
+async function getCounter(key) {
+    const { Item } = await docClient.get({ TableName: throttleTbl, Key: { ThrottleKey: key } }).promise();
+    return (Item && Item.ExpiryTime > nowSeconds()) ? Item : undefined;
+}
+
+/**
+ * Add one to a counter, or start a new count if it has expired.
+ * @param {string} key
+ * @param {object} params
+ * @param {number} params.window - seconds until the count is forgotten
+ * @param {boolean} [params.sliding = false] - restart the window on every count
+ * @param {number} [params.limit] - do not count past this limit
+ * @returns {Promise<{allowed: boolean, record: ThrottleRecord}>} allowed is false if the count is at the limit
+ */
+async function incrementCounter(key, { window, sliding = false, limit = 0 }) {
+    for (let attempt = 1; ; attempt += 1) {
+        const now = nowSeconds();
+        const params = {
+            TableName: throttleTbl,
+            Key: { ThrottleKey: key },
+            UpdateExpression: 'SET LastTime = :now ADD #count :one',
+            ConditionExpression: 'ExpiryTime > :now',
+            ExpressionAttributeNames: { '#count': 'Count' },
+            ExpressionAttributeValues: { ':now': now, ':one': 1 },
+            ReturnValues: 'ALL_NEW',
+        };
+        if (sliding) {
+            params.UpdateExpression = 'SET LastTime = :now, ExpiryTime = :exp ADD #count :one';
+            params.ExpressionAttributeValues[':exp'] = now + window;
+        }
+        if (limit) {
+            params.ConditionExpression = 'ExpiryTime > :now AND #count < :limit';
+            params.ExpressionAttributeValues[':limit'] = limit;
+        }
+        try {
+            // eslint-disable-next-line no-await-in-loop
+            const { Attributes } = await docClient.update(params).promise();
+            return { allowed: true, record: Attributes };
+        } catch (err) {
+            if (err.code !== 'ConditionalCheckFailedException') { throw err; }
+        }
+
+        // The count is at the limit, or there is no current count
+        // eslint-disable-next-line no-await-in-loop
+        const current = await getCounter(key);
+        if (current) { return { allowed: false, record: current }; }
+        const record = {
+            ThrottleKey: key,
+            Count: 1,
+            LastTime: now,
+            ExpiryTime: now + window,
+        };
+        try {
+            // eslint-disable-next-line no-await-in-loop
+            await docClient.put({
+                TableName: throttleTbl,
+                Item: record,
+                ConditionExpression: 'attribute_not_exists(ThrottleKey) OR ExpiryTime <= :now',
+                ExpressionAttributeValues: { ':now': now },
+            }).promise();
+            return { allowed: true, record };
+        } catch (err) {
+            // Another request started the count, add to it
+            if (err.code !== 'ConditionalCheckFailedException' || attempt >= 3) { throw err; }
+        }
+    }
+}
+
+/**
+ * Get the seconds left of a lockout
+ * @param {ThrottleRecord} [record]
+ * @param {number} freeAttempts - failures before lockout
+ * @returns {number} seconds, zero if not locked out
+ */
+function getLockoutTime(record, freeAttempts) {
+    if (!record || record.Count < freeAttempts) { return 0; }
+    const lockout = Math.min(limits.lockoutTime * (2 ** (record.Count - freeAttempts)), limits.maxLockoutTime);
+    return Math.max(record.LastTime + lockout - nowSeconds(), 0);
+}
+
+/**
+ * Format a wait time for an error message
+ * @param {number} seconds
+ * @returns {string} eg. '45 seconds' or '3 minutes'
+ */
+function formatWait(seconds) {
+    return (seconds < 120) ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`;
+}
+
+/**
+ * Check the wallet and IP address are not locked out after failed sign ins
+ * @param {object} params
+ * @param {string} [params.walletId]
+ * @param {string} [params.sourceIp]
+ * @throws {TooManyRequestsError} if either is locked out
+ */
+async function assertNotLocked({ walletId = '', sourceIp = '' }) {
+    let retryAfter = 0;
+    try {
+        const keys = getFailureKeys({ walletId, sourceIp });
+        const records = await Promise.all(keys.map(({ key }) => getCounter(key)));
+        retryAfter = Math.max(0, ...records.map((record, i) => getLockoutTime(record, keys[i].freeAttempts)));
+    } catch (err) {
+        err.message = (err.message) || 'Internal assertNotLocked error';
+        logger.error('assertNotLocked error', err);
+        return;
+    }
+    if (retryAfter) {
+        throw new TooManyRequestsError(`Too many failed attempts, please try again in ${formatWait(retryAfter)}`, retryAfter, errorCodes.signInLocked);
+    }
+}
+
+/**
+ * Count a failed sign in for the wallet and IP address
+ * @param {object} params
+ * @param {string} [params.walletId]
+ * @param {string} [params.sourceIp]
+ * @returns {Promise<number>} seconds the wallet or IP address is now locked out for, zero if not locked out
+ */
+async function recordFailure({ walletId = '', sourceIp = '' }) {
+    try {
+        const keys = getFailureKeys({ walletId, sourceIp });
+        const results = await Promise.all(keys.map(({ key }) => incrementCounter(key, { window: limits.failureWindow, sliding: true })));
+        const lockout = Math.max(0, ...results.map(({ record }, i) => getLockoutTime(record, keys[i].freeAttempts)));
+        if (lockout) { logger.warn('Sign in locked out', { walletId, sourceIp, lockout }); }
+        return lockout;
+    } catch (err) {
+        err.message = (err.message) || 'Internal recordFailure error';
+        logger.error('recordFailure error', err);
+        return 0;
+    }
+}
+
+/**
+ * Clear the failed sign in count for a wallet after a successful sign in
+ * @param {object} params
+ * @param {string} params.walletId
+ */
+async function clearFailures({ walletId }) {
+    try {
+        const [{ key }] = getFailureKeys({ walletId });
+        await docClient.delete({ TableName: throttleTbl, Key: { ThrottleKey: key } }).promise();
+    } catch (err) {
+        err.message = (err.message) || 'Internal clearFailures error';
+        logger.error('clearFailures error', err);
+    }
+}
+
+/**
+ * Count a new user for the IP address
+ * @param {object} params
+ * @param {string} [params.sourceIp]
+ * @throws {TooManyRequestsError} if the IP address has reached the new user limit
+ */
+async function consumeNewUser({ sourceIp = '' }) {
+    if (!sourceIp) { return; }
+    let result;
+    try {
+        result = await incrementCounter(`users#${sourceIp}`, { window: limits.userWindow, limit: limits.ipUsers });
+    } catch (err) {
+        err.message = (err.message) || 'Internal consumeNewUser error';
+        logger.error('consumeNewUser error', err);
+        return;
+    }
+    if (!result.allowed) {
+        const retryAfter = Math.max(result.record.ExpiryTime - nowSeconds(), 1);
+        logger.warn('New user limit reached', { sourceIp, retryAfter });
+        throw new TooManyRequestsError(`Too many new users, please try again in ${formatWait(retryAfter)}`, retryAfter, errorCodes.userLimit);
+    }
+}
+
+module.exports = {
+    setThrottleLimits,
+    getThrottleLimits,
+    assertNotLocked,
+    recordFailure,
+    clearFailures,
+    consumeNewUser,
+};
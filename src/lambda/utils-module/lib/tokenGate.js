@@ -0,0 +1,222 @@
+const { ethers } = require('ethers');
+const { getRpcProvider } = require('./web3Utils');
+const logger = require('./logger');
+
+/**
+ * Token gated routes.
+ * A token gate restricts API routes to holders of an ERC-20, ERC-721 or ERC-1155 token. The user's wallets are
+ * checked through the JSON-RPC provider for the chain (see web3Utils.getRpcProvider) at login and on every
+ * refresh, and the names of the gates they pass are added to the auth token as the `gates` claim. The
+ * authorizer policy then only allows gated routes if the claim includes every gate for the route, so there are
+ * no chain lookups on API requests.
+ *
+ * Balance lookups are cached for TOKEN_GATE_CACHE_TIME seconds, as token holdings change far less often
+ * than tokens are refreshed.
+ */
+
+// Token gate config (JSON), see TokenGate
+const tokenGatesConfig = process.env.TOKEN_GATES || '[]';
+
+const loginChainId = Number(process.env.CHAIN_ID) || 1;
+
+// Seconds to cache balance lookups, zero to disable
+const cacheTime = Number(process.env.TOKEN_GATE_CACHE_TIME || 60);
+
+const standards = ['erc20', 'erc721', 'erc1155'];
+const tokenInterfaces = {
+    erc20: new ethers.utils.Interface(['function balanceOf(address owner) view returns (uint256)']),
+    erc721: new ethers.utils.Interface([
+        'function balanceOf(address owner) view returns (uint256)',
+        'function ownerOf(uint256 tokenId) view returns (address)',
+    ]),
+    erc1155: new ethers.utils.Interface(['function balanceOf(address account, uint256 id) view returns (uint256)']),
+};
+
+/**
+ * Token Gate
+ * @typedef {Object} TokenGate
+ * @property {string} name - added to the gates claim when the user holds the token
+ * @property {string[]} routes - 'METHOD /path' routes, eg. 'GET /test/read'. '*' matches any method or one path part.
+ * @property {string} standard - 'erc20', 'erc721' or 'erc1155'
+ * @property {string} contract - token contract address
+ * @property {number} [chainId] - chain the contract is on, the login chain by default
+ * @property {string} [minBalance = '1'] - minimum balance in the token's smallest unit (eg. wei for 18 decimal tokens)
+ * @property {string} [tokenId] - ERC-721 token the user must own, or ERC-1155 token Id (required for ERC-1155)
+ */
+
+let tokenGates;
+const balanceCache = new Map();
+
+/**
+ * Check a token gate config and set the defaults
+ * @param {TokenGate} gate
+ * @returns {TokenGate} gate
+ * @throws {Error} if the gate is not valid
+ */
+function parseTokenGate(gate) {
+    const {
+        name, routes, standard, contract, chainId = loginChainId, minBalance = '1', tokenId,
+    } = gate;
+    if (!name) { throw new Error('Token gate name is required'); }
+    if (!Array.isArray(routes) || !routes.length) { throw new Error(`Token gate ${name} has no routes`); }
+    if (!standards.includes(standard)) { throw new Error(`Token gate ${name} has an unsupported standard ${standard}`); }
+    if (!ethers.utils.isAddress(contract)) { throw new Error(`Token gate ${name} has an invalid contract address`); }
+    if (standard === 'erc1155' && tokenId === undefined) { throw new Error(`Token gate ${name} requires a tokenId for ERC-1155`); }
+    return {
+        name,
+        routes,
+        standard,
+        contract: ethers.utils.getAddress(contract.toLowerCase()),
+        chainId: Number(chainId),
+        minBalance: ethers.BigNumber.from(minBalance).toString(),
+        tokenId: (tokenId === undefined) ? undefined : ethers.BigNumber.from(tokenId).toString(),
+    };
+}
+
+/**
+ * Set the token gates, eg. for testing. Clears the balance cache.
+ * @param {TokenGate[]} gates
+ */
+function setTokenGates(gates) {
+    tokenGates = gates.map(parseTokenGate);
+    balanceCache.clear();
+}
+
+/**
+ * Get the token gates, parsing the config on first use
+ * @returns {TokenGate[]} gates
+ */
+function getTokenGates() {
+    if (!tokenGates) { setTokenGates(JSON.parse(tokenGatesConfig)); }
+    return tokenGates;
+}
+
+/**
+ * Get the JSON-RPC provider for a chain
+ * @param {number} chainId
+ * @returns {ethers.providers.Provider} provider
+ * @throws {Error} if there is no RPC URL for the chain
+ */
+function getGateProvider(chainId) {
+    const provider = getRpcProvider(chainId);
+    if (!provider) { throw new Error(`No RPC URL for token gates on chain ${chainId}`); }
+    return provider;
+}
+
+/**
+ * Read the wallet's balance of the gate token from the contract.
+ * ERC-721 gates with a tokenId return 1 if the wallet owns the token, otherwise 0.
+ * @param {TokenGate} gate
+ * @param {string} walletId
+ * @returns {Promise<ethers.BigNumber>} balance
+ */
+async function readBalance(gate, walletId) {
+    const {
+        standard, contract, chainId, tokenId,
+    } = gate;
+    const provider = getGateProvider(chainId);
+    const tokenInterface = tokenInterfaces[standard];
+    const owner = ethers.utils.getAddress(walletId.toLowerCase());
+
+    if (standard === 'erc721' && tokenId !== undefined) {
+        let result;
+        try {
+            result = await provider.call({ to: contract, data: tokenInterface.encodeFunctionData('ownerOf', [tokenId]) });
+        } catch (err) {
+            // ownerOf reverts for tokens that do not exist
+            if (err.code === ethers.errors.CALL_EXCEPTION) { return ethers.constants.Zero; }
+            throw err;
+        }
+        const [tokenOwner] = tokenInterface.decodeFunctionResult('ownerOf', result);
+        return (tokenOwner === owner) ? ethers.constants.One : ethers.constants.Zero;
+    }
+    const args = (standard === 'erc1155') ? [owner, tokenId] : [owner];
+    const result = await provider.call({ to: contract, data: tokenInterface.encodeFunctionData('balanceOf', args) });
+    const [balance] = tokenInterface.decodeFunctionResult('balanceOf', result);
+    return balance;
+}
+
+/**
+ * Get the wallet's balance of the gate token, from the cache if it has not expired.
+ * Concurrent lookups for the same token and wallet share one request, and failed lookups are not cached.
+ * @param {TokenGate} gate
+ * @param {string} walletId
+ * @returns {Promise<ethers.BigNumber>} balance
+ */
+async function getTokenBalance(gate, walletId) {
+    const key = [gate.chainId, gate.contract, gate.standard, gate.tokenId || '', walletId.toLowerCase()].join(':');
+    const cached = balanceCache.get(key);
+    if (cached && cached.expires > Date.now()) { return cached.balance; }
+
+    const balance = readBalance(gate, walletId);
+    balanceCache.set(key, { balance, expires: Date.now() + (cacheTime * 1000) });
+    try {
+        return await balance;
+    } catch (err) {
+        balanceCache.delete(key);
+        err.message = (err.message) || 'Internal getTokenBalance error';
+        throw err;
+    }
+}
+
+/**
+ * Get the names of the token gates the user passes, for the gates claim.
+ * A gate is passed if any of the wallets holds at least the minimum balance. Lookup errors are logged and the
+ * gate is not passed, so a provider outage removes gated access without blocking login.
+ * @param {string[]} walletIds - the user's primary and linked wallets
+ * @returns {Promise<string[]>} gate names
+ */
+async function getGateClaims(walletIds) {
+    try {
+        const gates = getTokenGates();
+        const results = await Promise.all(gates.map(async (gate) => {
+            try {
+                const balances = await Promise.all(walletIds.map((walletId) => getTokenBalance(gate, walletId)));
+                return balances.some((balance) => balance.gte(gate.minBalance));
+            } catch (err) {
+                logger.warn('Token gate lookup failed', { gate: gate.name, error: err.message });
+                return false;
+            }
+        }));
+        return [...new Set(gates.filter((gate, i) => results[i]).map((gate) => gate.name))];
+    } catch (err) {
+        err.message = (err.message) || 'Internal getGateClaims error';
+        throw err;
+    }
+}
+
+/**
+ * Check if two routes can match the same request
+ * @param {string} routeA - 'METHOD /path', '*' matches any method or one path part
+ * @param {string} routeB
+ * @returns {boolean}
+ */
+function routesOverlap(routeA, routeB) {
+    const [methodA, pathA = ''] = routeA.trim().split(/\s+/);
+    const [methodB, pathB = ''] = routeB.trim().split(/\s+/);
+    if (methodA !== '*' && methodB !== '*' && methodA.toUpperCase() !== methodB.toUpperCase()) { return false; }
+    const partsA = pathA.replace(/\/+$/, '').split('/');
+    const partsB = pathB.replace(/\/+$/, '').split('/');
+    if (partsA.length !== partsB.length) { return false; }
+    return partsA.every((part, i) => part === '*' || partsB[i] === '*' || part === partsB[i]);
+}
+
+/**
+ * Get the token gates for a route in the route scope map.
+ * A gate applies if any of its routes can match the same requests as the route, so a gate on part of
+ * a wildcard route applies to the whole route.
+ * @param {string} route - 'METHOD /path'
+ * @returns {TokenGate[]} gates, all of which the user must pass
+ */
+function getGatesForRoute(route) {
+    return getTokenGates().filter((gate) => gate.routes.some((gateRoute) => routesOverlap(gateRoute, route)));
+}
+
+module.exports = {
+    parseTokenGate,
+    setTokenGates,
+    getTokenGates,
+    getTokenBalance,
+    getGateClaims,
+    getGatesForRoute,
+};
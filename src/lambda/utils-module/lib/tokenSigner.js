@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const base64url = require('base64url');
+const logger = require('./logger');
+
+/**
+ * Token signers for jwtUtils.
+ * A signer holds one signing key and signs JWTs with one algorithm. jwtUtils only uses the
+ * methods of the TokenSigner interface, so the key can be in KMS, a local PEM or JWK,
+ * or any other key store or HSM that can return a public key and sign a message.
+ *
+ * Signatures are returned in JWS format - ES256 signatures are the raw r and s values, not DER.
+ */
+
+/**
+ * Supported JWT signing algorithms, with the key type and the matching KMS and Node crypto settings
+ */
+const algorithms = {
+    PS256: {
+        kty: 'RSA',
+        kmsAlgorithm: 'RSASSA_PSS_SHA_256',
+        signOptions: { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+    },
+    RS256: {
+        kty: 'RSA',
+        kmsAlgorithm: 'RSASSA_PKCS1_V1_5_SHA_256',
+        signOptions: { padding: crypto.constants.RSA_PKCS1_PADDING },
+    },
+    ES256: {
+        kty: 'EC',
+        crv: 'P-256',
+        kmsAlgorithm: 'ECDSA_SHA_256',
+        signOptions: { dsaEncoding: 'ieee-p1363' },
+    },
+};
+
+/**
+ * JSON Web Key (RFC 7517) for a public signing key
+ * @typedef {Object} Jwk
+ * @property {string} kty - key type, 'RSA' or 'EC'
+ * @property {string} use - public key use, 'sig'
+ * @property {string} alg - signing algorithm, 'PS256', 'RS256' or 'ES256'
+ * @property {string} kid - key Id, the RFC 7638 thumbprint of the key
+ * @property {string} [n] - RSA modulus (base64url)
+ * @property {string} [e] - RSA exponent (base64url)
+ * @property {string} [crv] - EC curve, 'P-256'
+ * @property {string} [x] - EC x coordinate (base64url)
+ * @property {string} [y] - EC y coordinate (base64url)
+ */
+
+/**
+ * Public key
+ * @typedef {Object} PublicKey
+ * @property {string} pem - PEM encoded public key
+ * @property {Jwk} jwk - the public key as a JWK
+ */
+
+/**
+ * Token Signer Interface
+ * @typedef {Object} TokenSigner
+ * @property {string} alg - the JWT signing algorithm
+ * @property {string} keyId - key description for logs, not secret
+ * @property {function(): Promise<PublicKey>} getPublicKey
+ * @property {function(Buffer): Promise<Buffer>} sign - sign a message, returns the JWS signature
+ */
+
+/**
+ * Signing key config
+ * @typedef {Object} SigningKeyConfig
+ * @property {string} type - 'kms' or 'local'
+ * @property {string} [alg = 'PS256'] - 'PS256', 'RS256' or 'ES256'
+ * @property {boolean} [active = false] - sign new tokens with this key, otherwise the key only verifies tokens
+ * @property {string} [keyId] - KMS KeyId, for kms keys
+ * @property {string|object} [key] - PEM or JWK, for local keys. Verify only keys can be public keys.
+ */
+
+/**
+ * Get the settings for a signing algorithm
+ * @param {string} alg
+ * @returns {object} algorithm settings
+ */
+function getAlgorithm(alg) {
+    if (!Object.prototype.hasOwnProperty.call(algorithms, alg)) { throw new Error(`Unsupported signing algorithm ${alg}`); }
+    return algorithms[alg];
+}
+
+/**
+ * Create the PEM and JWK for a public key.
+ * The kid is the RFC 7638 thumbprint of the key, so it is stable for the key and changes with it.
+ * @param {crypto.KeyObject} keyObject - public key
+ * @param {string} alg
+ * @returns {PublicKey} PublicKey
+ */
+function toPublicKey(keyObject, alg) {
+    const { kty, crv } = getAlgorithm(alg);
+    const exported = keyObject.export({ format: 'jwk' });
+    if (exported.kty !== kty || (crv && exported.crv !== crv)) { throw new Error(`Key type does not match the ${alg} algorithm`); }
+    // Thumbprint members must be in lexicographic order with no whitespace
+    const members = (kty === 'EC')
+        ? {
+            crv: exported.crv, kty, x: exported.x, y: exported.y,
+        }
+        : { e: exported.e, kty, n: exported.n };
+    const kid = base64url(crypto.createHash('sha256').update(JSON.stringify(members)).digest());
+    return {
+        pem: keyObject.export({ type: 'spki', format: 'pem' }),
+        jwk: {
+            kty,
+            use: 'sig',
+            alg,
+            kid,
+            ...members,
+        },
+    };
+}
+
+/**
+ * Convert a DER encoded ECDSA signature (as returned by KMS) to the raw r and s values used in JWS
+ * @param {Buffer} der
+ * @param {number} [size = 32] - length of r and s in bytes, 32 for P-256
+ * @returns {Buffer} signature
+ */
+function derToJose(der, size = 32) {
+    let offset = 2;
+    if (der[1] & 0x80) { offset += der[1] & 0x7f; } // eslint-disable-line no-bitwise
+    const readInteger = () => {
+        const length = der[offset + 1];
+        const value = der.subarray(offset + 2, offset + 2 + length);
+        offset += 2 + length;
+        // Remove the sign padding and left pad to the fixed size
+        const trimmed = value.subarray(Math.max(0, value.length - size));
+        return Buffer.concat([Buffer.alloc(size - trimmed.length), trimmed]);
+    };
+    const r = readInteger();
+    const s = readInteger();
+    return Buffer.concat([r, s]);
+}
+
+/**
+ * Create a signer for an asymmetric KMS key.
+ * The public key is retrieved once and cached for the life of the function.
+ * @param {object} params
+ * @param {AWS.KMS} params.kms
+ * @param {string} params.keyId - KMS KeyId
+ * @param {string} [params.alg = 'PS256']
+ * @returns {TokenSigner}
+ */
+function createKmsSigner({ kms, keyId, alg = 'PS256' }) {
+    const { kmsAlgorithm } = getAlgorithm(alg);
+    let publicKey;
+
+    return {
+        alg,
+        keyId,
+
+        async getPublicKey() {
+            if (publicKey) { return publicKey; }
+            const rawKey = (await kms.getPublicKey({ KeyId: keyId }).promise()).PublicKey;
+            publicKey = toPublicKey(crypto.createPublicKey({ key: Buffer.from(rawKey), format: 'der', type: 'spki' }), alg);
+            logger.info('Retrieved the public key from KMS', { keyId, kid: publicKey.jwk.kid });
+            return publicKey;
+        },
+
+        async sign(message) {
+            const rawSig = (await kms.sign({
+                KeyId: keyId,
+                Message: message,
+                MessageType: 'RAW',
+                SigningAlgorithm: kmsAlgorithm,
+            }).promise()).Signature;
+            return (alg === 'ES256') ? derToJose(Buffer.from(rawSig)) : Buffer.from(rawSig);
+        },
+    };
+}
+
+/**
+ * Load a local key from a PEM or JWK
+ * @param {string|object} key - PEM, JWK object or JWK JSON string
+ * @returns {crypto.KeyObject} private key, or public key if only a public key is supplied
+ */
+function loadKey(key) {
+    if (typeof key === 'string' && key.includes('-----BEGIN')) {
+        return (key.includes('PRIVATE KEY')) ? crypto.createPrivateKey(key) : crypto.createPublicKey(key);
+    }
+    const jwk = (typeof key === 'string') ? JSON.parse(key) : key;
+    if (!jwk || !jwk.kty) { throw new Error('Local signing key must be a PEM or JWK'); }
+    return (jwk.d) ? crypto.createPrivateKey({ key: jwk, format: 'jwk' }) : crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+/**
+ * Create a signer for a local PEM or JWK key, for offline testing and environments without KMS.
+ * A public key can only be used to verify tokens.
+ * @param {object} params
+ * @param {string|object} params.key - PEM, JWK object or JWK JSON string
+ * @param {string} [params.alg = 'PS256']
+ * @returns {TokenSigner}
+ */
+function createLocalSigner({ key, alg = 'PS256' }) {
+    const { signOptions } = getAlgorithm(alg);
+    const keyObject = loadKey(key);
+    const privateKey = (keyObject.type === 'private') ? keyObject : null;
+    const publicKey = toPublicKey((privateKey) ? crypto.createPublicKey(privateKey) : keyObject, alg);
+
+    return {
+        alg,
+        keyId: `local:${publicKey.jwk.kid}`,
+
+        async getPublicKey() {
+            return publicKey;
+        },
+
+        async sign(message) {
+            if (!privateKey) { throw new Error('Local signing key is a public key and can only verify tokens'); }
+            return crypto.sign('sha256', message, { key: privateKey, ...signOptions });
+        },
+    };
+}
+
+/**
+ * Create the signers for the configured signing keys
+ * @param {SigningKeyConfig[]} keyConfigs
+ * @param {object} params
+ * @param {function(): AWS.KMS} params.getKms - returns the KMS client, only called if there are KMS keys
+ * @returns {{active: TokenSigner, verify: TokenSigner[]}} the active signer and the verify only signers
+ * @throws {Error} if there is not exactly one active key
+ */
+function createSigners(keyConfigs, { getKms }) {
+    const activeConfigs = keyConfigs.filter((keyConfig) => keyConfig.active);
+    if (activeConfigs.length !== 1) { throw new Error('Exactly one signing key must be active'); }
+    const signers = keyConfigs.map((keyConfig) => {
+        const { type, alg = 'PS256' } = keyConfig;
+        if (type === 'kms') { return createKmsSigner({ kms: getKms(), keyId: keyConfig.keyId, alg }); }
+        if (type === 'local') { return createLocalSigner({ key: keyConfig.key, alg }); }
+        throw new Error(`Unsupported signing key type ${type}`);
+    });
+    const activeIndex = keyConfigs.indexOf(activeConfigs[0]);
+    return {
+        active: signers[activeIndex],
+        verify: signers.filter((signer, i) => i !== activeIndex),
+    };
+}
+
+module.exports = {
+    algorithms,
+    createKmsSigner,
+    createLocalSigner,
+    createSigners,
+};
@@ -0,0 +1,381 @@
+/**
+ * User store adapters for authUtils.
+ * The account logic in authUtils only uses the methods of the UserStore interface, so it can run
+ * against DynamoDB in the stack, an in-memory store for offline testing, or another database.
+ *
+ * Adapters store and return the User, WalletLink and Challenge records defined in authUtils.
+ * Conditional writes return false when the condition fails, so authUtils can report the
+ * error without knowing the database error codes.
+ */
+
+/**
+ * User Store Interface
+ * @typedef {Object} UserStore
+ * @property {function(string): Promise<User|undefined>} getUserById
+ * @property {function(string): Promise<User|undefined>} getUserByWalletId - by primary wallet, walletId is lower case
+ * @property {function(User): Promise<void>} putUser - create or replace a user
+ * @property {function(string, {loginTime: string, nonce: string}): Promise<void>} updateLogin - set the login time and nonce
+ * @property {function(string, {nonce: string, usedNonce: string}): Promise<boolean>} rotateNonce
+ * - replace the nonce, false if the current nonce does not match usedNonce
+ * @property {function(string): Promise<WalletLink|undefined>} getWalletLink
+ * @property {function(string): Promise<WalletLink[]>} listWalletLinks - linked wallets for a userId
+ * @property {function(WalletLink): Promise<boolean>} createWalletLink - false if the wallet is already linked
+ * @property {function(string, string): Promise<boolean>} deleteWalletLink - (walletId, userId), false if not linked to the user
+ * @property {function(string, {walletId: string, previousWalletId: string}): Promise<boolean>} promoteWalletLink
+ * - make a linked wallet the primary wallet and remove its link, false if either has changed
+ * @property {function(string, {linkedWalletIds: string[]}): Promise<boolean>} deleteUser
+ * - remove a user and its linked wallets, false if the user does not exist or a wallet is not linked to it
+ * @property {function(string, {profile: object, updatedTime: string, previousTime: string}): Promise<boolean>} updateProfile
+ * - replace the profile, false if the user does not exist or the profile was updated after previousTime
+ * @property {function(string, {ens: object, expiryTime: number}): Promise<boolean>} updateEns
+ * - replace the cached ENS name, false if the user does not exist
+ * @property {function(Challenge): Promise<void>} putChallenge - save a new challenge
+ * @property {function(string): Promise<Challenge|undefined>} getChallenge - by ChallengeId
+ * @property {function(string, {usedTime: string}): Promise<boolean>} consumeChallenge
+ * - mark a challenge as used, false if it does not exist or has already been used
+ */
+
+/**
+ * Create a user store backed by the DynamoDB user and wallet tables
+ * @param {object} params
+ * @param {AWS.DynamoDB.DocumentClient} params.docClient
+ * @param {string} params.userTable
+ * @param {string} params.walletIdx - user table index by WalletId
+ * @param {string} params.walletTable
+ * @param {string} params.userWalletIdx - wallet table index by UserId
+ * @param {string} params.challengeTable
+ * @returns {UserStore}
+ */
+function createDynamoUserStore({
+    docClient, userTable, walletIdx, walletTable, userWalletIdx, challengeTable,
+}) {
+    // Run a conditional write, returning false if the condition fails
+    const conditionalWrite = async (request) => {
+        try {
+            await request.promise();
+            return true;
+        } catch (err) {
+            if (err.code === 'ConditionalCheckFailedException' || err.code === 'TransactionCanceledException') { return false; }
+            throw err;
+        }
+    };
+
+    return {
+        async getUserById(userId) {
+            const params = {
+                TableName: userTable,
+                KeyConditionExpression: 'UserId = :id',
+                ExpressionAttributeValues: {
+                    ':id': userId,
+                },
+            };
+            const { Items: users = [] } = await docClient.query(params).promise();
+            return users[0];
+        },
+
+        async getUserByWalletId(walletId) {
+            const params = {
+                TableName: userTable,
+                IndexName: walletIdx,
+                KeyConditionExpression: 'WalletId = :id',
+                ExpressionAttributeValues: {
+                    ':id': walletId,
+                },
+            };
+            const { Items: users = [] } = await docClient.query(params).promise();
+            if (users.length > 1) { throw new Error('More than one UserId exists for the walletId.'); }
+            return users[0];
+        },
+
+        async putUser(user) {
+            await docClient.put({ TableName: userTable, Item: user }).promise();
+        },
+
+        async updateLogin(userId, { loginTime, nonce }) {
+            await docClient.update({
+                TableName: userTable,
+                Key: { UserId: userId },
+                UpdateExpression: 'set LastLogin = :t, Nonce = :n',
+                ExpressionAttributeValues: {
+                    ':t': loginTime,
+                    ':n': nonce,
+                },
+            }).promise();
+        },
+
+        async rotateNonce(userId, { nonce, usedNonce }) {
+            const params = {
+                TableName: userTable,
+                Key: { UserId: userId },
+                UpdateExpression: 'set Nonce = :n',
+                ConditionExpression: 'Nonce = :u',
+                ExpressionAttributeValues: {
+                    ':n': nonce,
+                    ':u': usedNonce,
+                },
+            };
+            return conditionalWrite(docClient.update(params));
+        },
+
+        async getWalletLink(walletId) {
+            const { Item } = await docClient.get({ TableName: walletTable, Key: { WalletId: walletId } }).promise();
+            return Item;
+        },
+
+        async listWalletLinks(userId) {
+            const params = {
+                TableName: walletTable,
+                IndexName: userWalletIdx,
+                KeyConditionExpression: 'UserId = :id',
+                ExpressionAttributeValues: {
+                    ':id': userId,
+                },
+            };
+            const { Items: links = [] } = await docClient.query(params).promise();
+            return links;
+        },
+
+        async createWalletLink(link) {
+            const params = {
+                TableName: walletTable,
+                Item: link,
+                ConditionExpression: 'attribute_not_exists(WalletId)',
+            };
+            return conditionalWrite(docClient.put(params));
+        },
+
+        async deleteWalletLink(walletId, userId) {
+            const params = {
+                TableName: walletTable,
+                Key: { WalletId: walletId },
+                ConditionExpression: 'UserId = :u',
+                ExpressionAttributeValues: {
+                    ':u': userId,
+                },
+            };
+            return conditionalWrite(docClient.delete(params));
+        },
+
+        async promoteWalletLink(userId, { walletId, previousWalletId }) {
+            // Update the user and remove the link in one transaction
+            const params = {
+                TransactItems: [
+                    {
+                        Update: {
+                            TableName: userTable,
+                            Key: { UserId: userId },
+                            UpdateExpression: 'set WalletId = :n',
+                            ConditionExpression: 'WalletId = :o',
+                            ExpressionAttributeValues: {
+                                ':n': walletId,
+                                ':o': previousWalletId,
+                            },
+                        },
+                    },
+                    {
+                        Delete: {
+                            TableName: walletTable,
+                            Key: { WalletId: walletId },
+                            ConditionExpression: 'UserId = :u',
+                            ExpressionAttributeValues: {
+                                ':u': userId,
+                            },
+                        },
+                    },
+                ],
+            };
+            return conditionalWrite(docClient.transactWrite(params));
+        },
+
+        async deleteUser(userId, { linkedWalletIds }) {
+            // Remove the user and the wallet links in one transaction
+            const params = {
+                TransactItems: [
+                    {
+                        Delete: {
+                            TableName: userTable,
+                            Key: { UserId: userId },
+                            ConditionExpression: 'attribute_exists(UserId)',
+                        },
+                    },
+                    ...linkedWalletIds.map((walletId) => ({
+                        Delete: {
+                            TableName: walletTable,
+                            Key: { WalletId: walletId },
+                            ConditionExpression: 'UserId = :u',
+                            ExpressionAttributeValues: {
+                                ':u': userId,
+                            },
+                        },
+                    })),
+                ],
+            };
+            return conditionalWrite(docClient.transactWrite(params));
+        },
+
+        async updateProfile(userId, { profile, updatedTime, previousTime = '' }) {
+            const params = {
+                TableName: userTable,
+                Key: { UserId: userId },
+                UpdateExpression: 'set Profile = :p, ProfileTime = :t',
+                ConditionExpression: (previousTime) ? 'ProfileTime = :o' : 'attribute_exists(UserId) AND attribute_not_exists(ProfileTime)',
+                ExpressionAttributeValues: {
+                    ':p': profile,
+                    ':t': updatedTime,
+                },
+            };
+            if (previousTime) { params.ExpressionAttributeValues[':o'] = previousTime; }
+            return conditionalWrite(docClient.update(params));
+        },
+
+        async updateEns(userId, { ens, expiryTime }) {
+            return conditionalWrite(docClient.update({
+                TableName: userTable,
+                Key: { UserId: userId },
+                UpdateExpression: 'set Ens = :e, EnsExpiry = :x',
+                ConditionExpression: 'attribute_exists(UserId)',
+                ExpressionAttributeValues: {
+                    ':e': ens,
+                    ':x': expiryTime,
+                },
+            }));
+        },
+
+        async putChallenge(challenge) {
+            await docClient.put({ TableName: challengeTable, Item: challenge }).promise();
+        },
+
+        async getChallenge(challengeId) {
+            const { Item } = await docClient.get({ TableName: challengeTable, Key: { ChallengeId: challengeId } }).promise();
+            return Item;
+        },
+
+        async consumeChallenge(challengeId, { usedTime }) {
+            const params = {
+                TableName: challengeTable,
+                Key: { ChallengeId: challengeId },
+                UpdateExpression: 'set UsedTime = :t',
+                ConditionExpression: 'attribute_exists(ChallengeId) AND attribute_not_exists(UsedTime)',
+                ExpressionAttributeValues: {
+                    ':t': usedTime,
+                },
+            };
+            return conditionalWrite(docClient.update(params));
+        },
+    };
+}
+
+/**
+ * Create an in-memory user store, for offline testing.
+ * Records are copied in and out so callers cannot change stored records.
+ * @param {object} [params]
+ * @param {User[]} [params.users] - initial users
+ * @param {WalletLink[]} [params.walletLinks] - initial linked wallets
+ * @returns {UserStore}
+ */
+function createMemoryUserStore({ users: initialUsers = [], walletLinks: initialLinks = [] } = {}) {
+    const copy = (record) => ((record === undefined) ? undefined : JSON.parse(JSON.stringify(record)));
+    const users = new Map(initialUsers.map((user) => [user.UserId, copy(user)]));
+    const links = new Map(initialLinks.map((link) => [link.WalletId, copy(link)]));
+    const challenges = new Map();
+
+    return {
+        async getUserById(userId) {
+            return copy(users.get(userId));
+        },
+
+        async getUserByWalletId(walletId) {
+            const matches = [...users.values()].filter((user) => user.WalletId === walletId);
+            if (matches.length > 1) { throw new Error('More than one UserId exists for the walletId.'); }
+            return copy(matches[0]);
+        },
+
+        async putUser(user) {
+            users.set(user.UserId, copy(user));
+        },
+
+        async updateLogin(userId, { loginTime, nonce }) {
+            users.set(userId, {
+                ...users.get(userId), UserId: userId, LastLogin: loginTime, Nonce: nonce,
+            });
+        },
+
+        async rotateNonce(userId, { nonce, usedNonce }) {
+            const user = users.get(userId);
+            if (!user || user.Nonce !== usedNonce) { return false; }
+            users.set(userId, { ...user, Nonce: nonce });
+            return true;
+        },
+
+        async getWalletLink(walletId) {
+            return copy(links.get(walletId));
+        },
+
+        async listWalletLinks(userId) {
+            return [...links.values()].filter((link) => link.UserId === userId).map(copy);
+        },
+
+        async createWalletLink(link) {
+            if (links.has(link.WalletId)) { return false; }
+            links.set(link.WalletId, copy(link));
+            return true;
+        },
+
+        async deleteWalletLink(walletId, userId) {
+            const link = links.get(walletId);
+            if (!link || link.UserId !== userId) { return false; }
+            links.delete(walletId);
+            return true;
+        },
+
+        async promoteWalletLink(userId, { walletId, previousWalletId }) {
+            const user = users.get(userId);
+            const link = links.get(walletId);
+            if (!user || user.WalletId !== previousWalletId || !link || link.UserId !== userId) { return false; }
+            users.set(userId, { ...user, WalletId: walletId });
+            links.delete(walletId);
+            return true;
+        },
+
+        async deleteUser(userId, { linkedWalletIds }) {
+            if (!users.has(userId) || linkedWalletIds.some((walletId) => (links.get(walletId) || {}).UserId !== userId)) { return false; }
+            users.delete(userId);
+            linkedWalletIds.forEach((walletId) => links.delete(walletId));
+            return true;
+        },
+
+        async updateProfile(userId, { profile, updatedTime, previousTime = '' }) {
+            const user = users.get(userId);
+            if (!user || (user.ProfileTime || '') !== previousTime) { return false; }
+            users.set(userId, { ...user, Profile: copy(profile), ProfileTime: updatedTime });
+            return true;
+        },
+
+        async updateEns(userId, { ens, expiryTime }) {
+            const user = users.get(userId);
+            if (!user) { return false; }
+            users.set(userId, { ...user, Ens: copy(ens), EnsExpiry: expiryTime });
+            return true;
+        },
+
+        async putChallenge(challenge) {
+            challenges.set(challenge.ChallengeId, copy(challenge));
+        },
+
+        async getChallenge(challengeId) {
+            return copy(challenges.get(challengeId));
+        },
+
+        async consumeChallenge(challengeId, { usedTime }) {
+            const challenge = challenges.get(challengeId);
+            if (!challenge || challenge.UsedTime) { return false; }
+            challenges.set(challengeId, { ...challenge, UsedTime: usedTime });
+            return true;
+        },
+    };
+}
+
+module.exports = {
+    createDynamoUserStore,
+    createMemoryUserStore,
+};
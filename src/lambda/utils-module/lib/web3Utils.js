@@ -1,6 +1,11 @@
 const { ethers } = require('ethers');
-const { recoverPersonalSignature } = require('@metamask/eth-sig-util');
+const moment = require('moment');
+const crypto = require('crypto');
+const { recoverPersonalSignature, recoverTypedSignature, SignTypedDataVersion } = require('@metamask/eth-sig-util');
 const { getSecretByArn } = require('./awsUtils');
+const { isErc6492Signature, isValidContractSignature } = require('./contractWallet');
+const { ValidationError } = require('./errors');
+const logger = require('./logger');
 
 // Infura API Setup
 const infuraSecretArn = process.env.INFURA_SECRET_ARN;
@@ -8,6 +13,25 @@ let projectId = '';
 let projectSecret = '';
 let skipValidation = false;
 
+// Sign-In with Ethereum (EIP-4361) setup
+const siweDomains = (process.env.SIWE_DOMAINS || '').split(',').filter((domain) => domain);
+const loginStatement = process.env.LOGIN_STATEMENT || '';
+const loginChainId = Number(process.env.CHAIN_ID) || 1;
+
+// Chains users can sign in on, the login Chain ID by default. CHAIN_ID is the default chain for new sessions.
+const supportedChainIds = [...new Set([loginChainId, ...(process.env.CHAIN_IDS || '').split(',').filter((id) => id).map(Number)])];
+
+// JSON-RPC providers for smart contract wallet signatures (ERC-1271 and EIP-6492) and token gates, by Chain ID.
+// RPC_URL is for the login Chain ID, and RPC_URLS (JSON) for the others.
+// Contract wallet signatures and token gates are not supported on a chain without a URL.
+const rpcUrl = process.env.RPC_URL || '';
+const rpcUrls = JSON.parse(process.env.RPC_URLS || '{}');
+const rpcProviders = new Map();
+const loginMessageTime = Number(process.env.LOGIN_MESSAGE_TIME) || 5;
+
+// Typed data (EIP-712) signed action setup
+const actionMessageTime = Number(process.env.ACTION_MESSAGE_TIME) || 5;
+
 // Ether utils ==================================================================================
 
 /**
@@ -26,9 +50,6 @@ async function ethersSetup() {
 
         // Skip if we don't have an Infura API key
         skipValidation = (projectId === 'SKIP_VALIDATION');
-        if (skipValidation) { return true; }
-
-        ethers.getDefaultProvider('homestead', { infura: { projectId, projectSecret } });
         return true;
     } catch (err) {
         err.message = (err.message) || 'Error getting secret';
@@ -55,26 +76,115 @@ async function isValidEthAddress(walletId) {
 }
 
 /**
- * Validate a signature against a wallet
+ * Get the Chain IDs users can sign in on
+ * @returns {number[]} Chain IDs, the default login Chain ID first
+ */
+function getSupportedChainIds() {
+    return [...supportedChainIds];
+}
+
+/**
+ * Check a Chain ID is one users can sign in on
+ * @param {number} chainId
+ * @returns {boolean}
+ */
+function isSupportedChainId(chainId) {
+    return supportedChainIds.includes(Number(chainId));
+}
+
+/**
+ * Get the JSON-RPC provider for a chain, for contract wallet signatures and token gates.
+ * Contract wallets only exist on one chain, so signatures are checked on the chain they were signed for.
+ * @param {number} [chainId] - the login Chain ID by default
+ * @returns {ethers.providers.Provider|null} provider, null if the chain has no RPC URL
+ */
+function getRpcProvider(chainId = loginChainId) {
+    if (!rpcProviders.has(chainId)) {
+        const url = rpcUrls[chainId] || ((chainId === loginChainId) ? rpcUrl : '');
+        if (!url) { return null; }
+        rpcProviders.set(chainId, new ethers.providers.StaticJsonRpcProvider(url, chainId));
+    }
+    return rpcProviders.get(chainId);
+}
+
+/**
+ * Replace the JSON-RPC provider for a chain, eg. for testing
+ * @param {ethers.providers.Provider|null} provider - null to use the configured RPC URL
+ * @param {number} [chainId] - the login Chain ID by default
+ */
+function setRpcProvider(provider, chainId = loginChainId) {
+    if (provider) {
+        rpcProviders.set(chainId, provider);
+    } else {
+        rpcProviders.delete(chainId);
+    }
+}
+
+/**
+ * Recover the signing address, returning an empty string if the signature cannot be recovered.
+ * Contract wallet signatures are often not a single 65 byte signature.
+ * @param {function(): string} recover
+ * @returns {string} lower case address
+ */
+function recoverAddress(recover) {
+    try {
+        return recover();
+    } catch (err) {
+        return '';
+    }
+}
+
+/**
+ * Validate a smart contract wallet signature with ERC-1271, or EIP-6492 for wallets that are not deployed yet.
+ * Always false if there is no RPC provider for the chain.
+ * @param {object} params
+ * @param {string} params.walletId
+ * @param {string} params.hash - 0x prefixed hash that was signed
+ * @param {string} params.signature
+ * @param {number} [params.chainId] - chain of the contract wallet, the login Chain ID by default
+ * @returns {Promise<boolean>}
+ */
+async function isValidContractWalletSignature({
+    walletId, hash, signature, chainId = loginChainId,
+}) {
+    try {
+        const provider = getRpcProvider(chainId);
+        if (!provider) { return false; }
+        return await isValidContractSignature({
+            provider, walletId, hash, signature,
+        });
+    } catch (err) {
+        err.message = (err.message) || 'Internal isValidContractWalletSignature error';
+        throw err;
+    }
+}
+
+/**
+ * Validate a signature against a wallet.
+ * Falls back to ERC-1271 (or EIP-6492) if the signature was not signed by the wallet key, so smart contract wallets can sign.
  * @param {string} walletId
  * @param {string} message
  * @param {string} signature
- * @returns {boolean}
+ * @param {number} [chainId] - chain for contract wallet signatures, the login Chain ID by default
+ * @returns {Promise<boolean>}
  */
-function isValidEthSignature({ walletId, message, signature }) {
+async function isValidEthSignature({
+    walletId, message, signature, chainId = loginChainId,
+}) {
     try {
         const data = `0x${Buffer.from(message, 'utf8').toString('hex')}`;
-        const address = recoverPersonalSignature({
+        const address = (isErc6492Signature(signature)) ? '' : recoverAddress(() => recoverPersonalSignature({
             data,
             signature,
+        }));
+        const result = (address === walletId) || await isValidContractWalletSignature({
+            walletId,
+            hash: ethers.utils.hashMessage(message),
+            signature,
+            chainId,
         });
-        const result = (address === walletId);
         if (!result) {
-            console.log('Invalid signature =============');
-            console.log('Signature: ', signature);
-            console.log('Message: ', message);
-            console.log('Submitted walletId: ', walletId);
-            console.log('Signature walletId: ', address);
+            logger.warn('Invalid signature', { walletId, recoveredWalletId: address, message });
         }
         return result;
     } catch (err) {
@@ -83,7 +193,442 @@ function isValidEthSignature({ walletId, message, signature }) {
     }
 }
 
+// Sign-In with Ethereum (EIP-4361) ============================================================
+
+/**
+ * Sign-In with Ethereum message fields
+ * @typedef {Object} SiweMessage
+ * @property {string} domain - RFC 3986 authority requesting the signing (eg. 'app.example.com')
+ * @property {string} address - EIP-55 checksum address of the signing wallet
+ * @property {string} [statement] - human readable assertion shown to the user
+ * @property {string} uri - RFC 3986 URI referring to the subject of the signing
+ * @property {string} version - message version, must be '1'
+ * @property {number} chainId - EIP-155 Chain ID the session is bound to
+ * @property {string} nonce - one-time server nonce
+ * @property {string} issuedAt - ISO 8601 Time the message was issued
+ * @property {string} [expirationTime] - ISO 8601 Time the message expires
+ * @property {string} [notBefore] - ISO 8601 Time the message becomes valid
+ * @property {string} [requestId] - system specific request identifier
+ * @property {string[]} [resources] - list of URIs to be resolved as part of the login
+ */
+
+const siweHeader = ' wants you to sign in with your Ethereum account:';
+const siweTags = {
+    uri: 'URI: ',
+    version: 'Version: ',
+    chainId: 'Chain ID: ',
+    nonce: 'Nonce: ',
+    issuedAt: 'Issued At: ',
+    expirationTime: 'Expiration Time: ',
+    notBefore: 'Not Before: ',
+    requestId: 'Request ID: ',
+};
+
+/**
+ * Create the EIP-4361 message string from the message fields.
+ * This must match the message created by the web client exactly.
+ * @param {SiweMessage} fields
+ * @returns {string} message
+ */
+function createSiweMessage({
+    domain, address, statement = '', uri, version = '1', chainId, nonce, issuedAt,
+    expirationTime = '', notBefore = '', requestId = '', resources = [],
+}) {
+    const lines = [
+        `${domain}${siweHeader}`,
+        address,
+        '',
+    ];
+    if (statement) { lines.push(statement); }
+    lines.push('');
+    lines.push(`${siweTags.uri}${uri}`);
+    lines.push(`${siweTags.version}${version}`);
+    lines.push(`${siweTags.chainId}${chainId}`);
+    lines.push(`${siweTags.nonce}${nonce}`);
+    lines.push(`${siweTags.issuedAt}${issuedAt}`);
+    if (expirationTime) { lines.push(`${siweTags.expirationTime}${expirationTime}`); }
+    if (notBefore) { lines.push(`${siweTags.notBefore}${notBefore}`); }
+    if (requestId) { lines.push(`${siweTags.requestId}${requestId}`); }
+    if (resources.length) {
+        lines.push('Resources:');
+        resources.forEach((resource) => lines.push(`- ${resource}`));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Parse an EIP-4361 message string into the message fields.
+ * Only checks the message structure - use validateSiweMessage to check the content.
+ * @param {string} message
+ * @returns {SiweMessage} message fields
+ * @throws {ValidationError} if the message is not a valid EIP-4361 message
+ */
+function parseSiweMessage(message) {
+    try {
+        if (typeof message !== 'string' || !message) { throw new ValidationError('Missing login message'); }
+        const lines = message.split('\n');
+        let line = 0;
+
+        // Header and address
+        const header = lines[line] || '';
+        if (!header.endsWith(siweHeader)) { throw new ValidationError('Invalid login message header'); }
+        const domain = header.slice(0, -siweHeader.length);
+        line += 1;
+        const address = lines[line] || '';
+        if (!/^0x[a-fA-F0-9]{40}$/.test(address)) { throw new ValidationError('Invalid login message address'); }
+        line += 1;
+        if (lines[line] !== '') { throw new ValidationError('Invalid login message format'); }
+        line += 1;
+
+        // Optional statement, followed by an empty line
+        let statement = '';
+        if (lines[line] !== '') {
+            statement = lines[line] || '';
+            line += 1;
+            if (lines[line] !== '') { throw new ValidationError('Invalid login message statement'); }
+        }
+        line += 1;
+
+        // Tagged fields. Required fields must be present and all fields must be in order.
+        const fields = {};
+        const required = ['uri', 'version', 'chainId', 'nonce', 'issuedAt'];
+        Object.keys(siweTags).forEach((key) => {
+            const current = lines[line] || '';
+            if (current.startsWith(siweTags[key])) {
+                fields[key] = current.slice(siweTags[key].length);
+                line += 1;
+            } else if (required.includes(key)) {
+                throw new ValidationError(`Login message is missing ${siweTags[key].trim()}`);
+            }
+        });
+
+        // Optional resources list
+        const resources = [];
+        if (lines[line] === 'Resources:') {
+            line += 1;
+            while (line < lines.length && lines[line].startsWith('- ')) {
+                resources.push(lines[line].slice(2));
+                line += 1;
+            }
+        }
+        if (line !== lines.length) { throw new ValidationError('Unexpected content in login message'); }
+
+        const chainId = Number(fields.chainId);
+        if (!Number.isInteger(chainId) || chainId < 1) { throw new ValidationError('Invalid login message Chain ID'); }
+
+        return {
+            domain,
+            address,
+            statement,
+            ...fields,
+            chainId,
+            resources,
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal parseSiweMessage error';
+        throw err;
+    }
+}
+
+/**
+ * Parse and validate every field of an EIP-4361 message.
+ * Does not validate the signature - use isValidEthSignature with the same message.
+ * @param {object} params
+ * @param {string} params.message - the message string signed by the user
+ * @param {string} params.walletId - the wallet that should have signed the message
+ * @param {string} params.nonce - the login challenge for the wallet
+ * @param {string[]} [params.domains] - allowed domains, defaults to SIWE_DOMAINS
+ * @param {number[]} [params.chainIds] - allowed Chain IDs, defaults to the supported chains
+ * @returns {SiweMessage} message fields
+ * @throws {ValidationError} if any field is invalid
+ */
+function validateSiweMessage({
+    message, walletId, nonce, domains = siweDomains, chainIds = supportedChainIds,
+}) {
+    try {
+        const fields = parseSiweMessage(message);
+        const {
+            domain, address, uri, version, chainId, issuedAt, expirationTime, notBefore,
+        } = fields;
+
+        // Domain binding - the message must be for one of our sites
+        if (!domains.includes(domain)) { throw new ValidationError('Login message domain is not allowed'); }
+        let uriHost = '';
+        try {
+            uriHost = new URL(uri).host;
+        } catch (err) {
+            throw new ValidationError('Invalid login message URI');
+        }
+        if (uriHost !== domain) { throw new ValidationError('Login message URI does not match the domain'); }
+
+        // Wallet and message details
+        if (address !== ethers.utils.getAddress(address)) { throw new ValidationError('Login message address is not EIP-55 encoded'); }
+        if (address.toLowerCase() !== walletId.toLowerCase()) { throw new ValidationError('Login message address does not match the walletId'); }
+        if (version !== '1') { throw new ValidationError('Unsupported login message version'); }
+        if (!chainIds.includes(chainId)) { throw new ValidationError('Login message Chain ID is not supported'); }
+        if (fields.nonce !== nonce) { throw new ValidationError('Login message nonce is not valid'); }
+
+        // Message times
+        const now = moment();
+        const issued = moment(issuedAt, moment.ISO_8601, true);
+        if (!issued.isValid() || issued.isAfter(moment(now).add(1, 'm'))) { throw new ValidationError('Invalid login message issue time'); }
+        if (!expirationTime) { throw new ValidationError('Login message is missing Expiration Time'); }
+        const expiry = moment(expirationTime, moment.ISO_8601, true);
+        if (!expiry.isValid() || !expiry.isAfter(now)) { throw new ValidationError('Login message has expired'); }
+        if (notBefore) {
+            const validFrom = moment(notBefore, moment.ISO_8601, true);
+            if (!validFrom.isValid() || validFrom.isAfter(now)) { throw new ValidationError('Login message is not valid yet'); }
+        }
+
+        return fields;
+    } catch (err) {
+        err.message = (err.message) || 'Internal validateSiweMessage error';
+        throw err;
+    }
+}
+
+/**
+ * Create the EIP-4361 login message fields for a wallet.
+ * The domain is taken from the request origin if it is one of our sites.
+ * @param {object} params
+ * @param {string} params.walletId
+ * @param {string} params.nonce - the login challenge for the wallet
+ * @param {string} [params.origin] - the Origin header from the request
+ * @param {string} [params.issuedAt] - ISO 8601 Time the challenge was issued, defaults to now
+ * @param {string} [params.expirationTime] - ISO 8601 Time the challenge expires, defaults to LOGIN_MESSAGE_TIME from now
+ * @param {number|string} [params.chainId] - chain the wallet is on, the login Chain ID if empty or not supported
+ * @returns {SiweMessage} message fields
+ */
+function createSiweLogin({
+    walletId, nonce, origin = '', issuedAt = '', expirationTime = '', chainId = loginChainId,
+}) {
+    try {
+        if (!siweDomains.length) { throw new Error('Missing SIWE_DOMAINS env variable'); }
+        let originUrl = null;
+        try {
+            originUrl = new URL(origin);
+        } catch (err) {
+            originUrl = null;
+        }
+        const useOrigin = (originUrl && siweDomains.includes(originUrl.host));
+        const domain = (useOrigin) ? originUrl.host : siweDomains[0];
+        const uri = (useOrigin) ? originUrl.origin : `https://${domain}`;
+
+        return {
+            domain,
+            address: ethers.utils.getAddress(walletId),
+            statement: loginStatement,
+            uri,
+            version: '1',
+            chainId: (isSupportedChainId(chainId)) ? Number(chainId) : loginChainId,
+            nonce,
+            issuedAt: (issuedAt) || moment().toISOString(),
+            expirationTime: (expirationTime) || moment().add(loginMessageTime, 'm').toISOString(),
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal createSiweLogin error';
+        throw err;
+    }
+}
+
+// Typed data (EIP-712) signed actions ============================================================
+
+/**
+ * Typed action schemas by API route.
+ * Each route has its own EIP-712 domain (so a signature for one route cannot be used on another)
+ * and primary type. The action text is displayed to the user in MetaMask.
+ */
+const typedActionSchemas = {
+    'test/write': {
+        name: 'Metamask Login Demo Test Write',
+        version: '1',
+        primaryType: 'WriteRequest',
+        action: 'Write to the Test API',
+    },
+    'auth/delete-user': {
+        name: 'Metamask Login Demo Delete Account',
+        version: '1',
+        primaryType: 'DeleteAccount',
+        action: 'Permanently delete your account and all of its wallets',
+    },
+};
+
+/**
+ * Struct fields signed for every typed action
+ */
+const typedActionFields = [
+    { name: 'action', type: 'string' },
+    { name: 'route', type: 'string' },
+    { name: 'bodyHash', type: 'bytes32' },
+    { name: 'nonce', type: 'string' },
+    { name: 'expiry', type: 'uint256' },
+];
+
+/**
+ * EIP-712 typed data for a signed action
+ * @typedef {Object} TypedAction
+ * @property {object} types - EIP712Domain and the route primary type
+ * @property {string} primaryType
+ * @property {{name: string, version: string, chainId: number}} domain
+ * @property {{action: string, route: string, bodyHash: string, nonce: string, expiry: number}} message
+ */
+
+/**
+ * Canonical JSON for a signed request body.
+ * Object keys are sorted at every level, so the hash does not depend on the key order the client or
+ * API Gateway used. Numbers must be integers, as fractions can be serialised differently.
+ * @param {*} value
+ * @returns {string} JSON
+ * @throws {ValidationError} if the value has a non-integer number or cannot be serialised
+ */
+function canonicalJson(value) {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') { return JSON.stringify(value); }
+    if (typeof value === 'number') {
+        if (!Number.isSafeInteger(value)) { throw new ValidationError('Signed request numbers must be integers'); }
+        return JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map((item) => ((item === undefined) ? 'null' : canonicalJson(item))).join(',')}]`;
+    }
+    if (typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter((key) => value[key] !== undefined)
+            .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    throw new ValidationError('Signed request data must be JSON');
+}
+
+/**
+ * Hash the request body for a typed action.
+ * SHA-256 of the canonical JSON string, so the web client can create the same hash with SubtleCrypto.
+ * @param {object} data - the request data that is signed
+ * @returns {string} 0x prefixed hex hash
+ * @throws {ValidationError} if the data has a non-integer number or cannot be serialised
+ */
+function hashActionBody(data) {
+    return `0x${crypto.createHash('sha256').update(canonicalJson(data)).digest('hex')}`;
+}
+
+/**
+ * Create the EIP-712 typed data for a signed action
+ * @param {object} params
+ * @param {string} params.route - the API route, must have a schema in typedActionSchemas
+ * @param {string} params.nonce - the current nonce for the user
+ * @param {string} [params.bodyHash] - hash of the request data, empty when creating a template for the web client
+ * @param {number} [params.expiry] - expiry (Unix timestamp), defaults to ACTION_MESSAGE_TIME from now
+ * @param {number|string} [params.chainId] - the session Chain ID, the login Chain ID if empty
+ * @returns {TypedAction} typed data
+ * @throws {ValidationError} if the route has no schema or the chain is not supported
+ */
+function createTypedAction({
+    route, nonce, bodyHash = '', expiry = 0, chainId = loginChainId,
+}) {
+    try {
+        const schema = typedActionSchemas[route];
+        if (!schema) { throw new ValidationError(`No typed action schema for route: ${route}`); }
+        const domainChainId = Number(chainId) || loginChainId;
+        if (!isSupportedChainId(domainChainId)) { throw new ValidationError(`Chain ID ${chainId} is not supported`); }
+        const {
+            name, version, primaryType, action,
+        } = schema;
+
+        return {
+            types: {
+                EIP712Domain: [
+                    { name: 'name', type: 'string' },
+                    { name: 'version', type: 'string' },
+                    { name: 'chainId', type: 'uint256' },
+                ],
+                [primaryType]: typedActionFields,
+            },
+            primaryType,
+            domain: {
+                name,
+                version,
+                chainId: domainChainId,
+            },
+            message: {
+                action,
+                route,
+                bodyHash,
+                nonce,
+                expiry: (expiry) || Number(moment().add(actionMessageTime, 'm').format('X')),
+            },
+        };
+    } catch (err) {
+        err.message = (err.message) || 'Internal createTypedAction error';
+        throw err;
+    }
+}
+
+/**
+ * Validate an eth_signTypedData_v4 signature for a route action.
+ * The typed data is rebuilt from the route schema, the user nonce and the submitted data, so
+ * the signature is rejected if the submitted data does not match the data that was signed.
+ * Smart contract wallet signatures are validated with ERC-1271 (or EIP-6492) like isValidEthSignature.
+ * The domain Chain ID is the session chain, so the action must be signed on the chain the user signed in on.
+ * @param {object} params
+ * @param {string} params.walletId - the wallet that should have signed the action
+ * @param {string} params.route
+ * @param {object} params.data - the submitted request data
+ * @param {string} params.nonce - the current nonce for the user
+ * @param {number} params.expiry - the signed expiry (Unix timestamp)
+ * @param {string} params.signature
+ * @param {number|string} [params.chainId] - the session Chain ID, the login Chain ID if empty
+ * @returns {Promise<boolean>}
+ * @throws {ValidationError} if the action has expired or the expiry is too far in the future
+ */
+async function isValidTypedActionSignature({
+    walletId, route, data, nonce, expiry, signature, chainId = loginChainId,
+}) {
+    try {
+        const exp = Number(expiry);
+        const now = Number(moment().format('X'));
+        if (!Number.isInteger(exp) || exp < now) { throw new ValidationError('Signed action has expired'); }
+        if (exp > now + (actionMessageTime * 60) + 60) { throw new ValidationError('Signed action expiry is too far in the future'); }
+
+        const typedData = createTypedAction({
+            route,
+            nonce,
+            bodyHash: hashActionBody(data),
+            expiry: exp,
+            chainId,
+        });
+        const address = (isErc6492Signature(signature)) ? '' : recoverAddress(() => recoverTypedSignature({
+            data: typedData,
+            signature,
+            version: SignTypedDataVersion.V4,
+        }));
+        const { EIP712Domain, ...types } = typedData.types;
+        const result = (address.toLowerCase() === walletId.toLowerCase()) || await isValidContractWalletSignature({
+            walletId,
+            hash: ethers.utils._TypedDataEncoder.hash(typedData.domain, types, typedData.message), // eslint-disable-line no-underscore-dangle
+            signature,
+            chainId: typedData.domain.chainId,
+        });
+        if (!result) {
+            logger.warn('Invalid typed action signature', { walletId, recoveredWalletId: address, route });
+        }
+        return result;
+    } catch (err) {
+        err.message = (err.message) || 'Internal isValidTypedActionSignature error';
+        throw err;
+    }
+}
+
 module.exports = {
     isValidEthAddress,
+    getSupportedChainIds,
+    isSupportedChainId,
+    getRpcProvider,
+    setRpcProvider,
     isValidEthSignature,
+    createSiweMessage,
+    parseSiweMessage,
+    validateSiweMessage,
+    createSiweLogin,
+    hashActionBody,
+    createTypedAction,
+    isValidTypedActionSignature,
 };
@@ -0,0 +1,97 @@
+const { getRouteScopes } = require('./routes');
+
+/**
+ * Local server settings.
+ * The Lambda environment matches the stack defaults in config/template.ts.
+ * Override with environment variables when starting the server.
+ */
+
+const port = Number(process.env.LOCAL_API_PORT) || 3000;
+const apiUrl = `http://localhost:${port}`;
+
+// Web origins allowed in CORS headers, the parcel dev server by default
+const webOrigins = (process.env.LOCAL_WEB_ORIGINS || 'http://localhost:1234').split(',').map((origin) => origin.trim());
+
+// Local table names, and the partition key for each table
+const tableNames = {
+    user: 'local-user-table',
+    wallet: 'local-wallet-table',
+    session: 'local-session-table',
+    challenge: 'local-challenge-table',
+    audit: 'local-audit-table',
+    throttle: 'local-throttle-table',
+};
+const tables = {
+    [tableNames.user]: 'UserId',
+    [tableNames.wallet]: 'WalletId',
+    [tableNames.session]: 'SessionId',
+    [tableNames.challenge]: 'ChallengeId',
+    [tableNames.audit]: 'EventId',
+    [tableNames.throttle]: 'ThrottleKey',
+};
+
+// Environment for all Lambda functions
+const lambdaEnv = {
+    AWS_REGION: 'local',
+    INFURA_SECRET_ARN: 'local-infura-secret',
+    USER_TABLE: tableNames.user,
+    WALLET_ID_IDX: 'walletIdx',
+    WALLET_TABLE: tableNames.wallet,
+    USER_WALLET_IDX: 'userIdx',
+    SESSION_TABLE: tableNames.session,
+    USER_SESSION_IDX: 'userIdx',
+    FAMILY_SESSION_IDX: 'familyIdx',
+    CHALLENGE_TABLE: tableNames.challenge,
+    AUDIT_TABLE: tableNames.audit,
+    AUDIT_USER_IDX: 'userIdx',
+    AUDIT_WALLET_IDX: 'walletIdx',
+    AUDIT_TYPE_IDX: 'typeIdx',
+    AUDIT_RETENTION_DAYS: '365',
+    AUDIT_CHAINS: '16',
+    THROTTLE_TABLE: tableNames.throttle,
+    THROTTLE_LIMITS: '{}',
+    DELETION_POLICY: '{}',
+    ISSUER: 'localhost',
+    // Local signing key config, created at startup if not set
+    SIGNING_KEYS: '',
+    REFRESH_TOKEN_TIME: '60',
+    AUTH_TOKEN_TIME: '5',
+    SIWE_DOMAINS: webOrigins.map((origin) => new URL(origin).host).join(','),
+    LOGIN_STATEMENT: 'Login to My Demo with your Ethereum wallet.',
+    LOGIN_MESSAGE_TIME: '5',
+    ACTION_MESSAGE_TIME: '5',
+    CHAIN_ID: '1',
+    // Other Chain IDs users can sign in on, comma separated
+    CHAIN_IDS: '',
+    // JSON-RPC URL for contract wallet signatures, eg. http://127.0.0.1:8545 for anvil or hardhat
+    RPC_URL: '',
+    // Token gates (JSON), and RPC URLs by Chain ID for gates and contract wallets on other chains
+    TOKEN_GATES: '[]',
+    RPC_URLS: '{}',
+    TOKEN_GATE_CACHE_TIME: '60',
+    // ENS lookups, eg. http://127.0.0.1:8545 and the registry address for a local chain with ENS deployed
+    ENS_RPC_URL: '',
+    ENS_REGISTRY: '',
+    ENS_CACHE_TIME: '86400',
+    ENS_CLAIM: 'true',
+    SIGN_PREFIX: 'Sign the one-time key to continue: ',
+    LINK_PREFIX: 'Link this wallet to your account: ',
+    ADMIN_WALLETS: '',
+    EXPIRE_USERS_IN_DAYS: '7',
+    JWKS_URI: `${apiUrl}/.well-known/jwks.json`,
+    API_STAGE_ARN: 'arn:aws:execute-api:local:000000000000:local/v1',
+    ROUTE_SCOPES: JSON.stringify(getRouteScopes()),
+    LOG_LEVEL: 'info',
+};
+
+module.exports = {
+    port,
+    webOrigins,
+    tables,
+    // Token signing algorithm for the local key
+    tokenAlg: process.env.LOCAL_TOKEN_ALG || 'PS256',
+    // Save tables and signing keys here, in-memory only if not set
+    dataDir: process.env.LOCAL_DATA_DIR || '',
+    // Any variable in the Lambda environment can be overridden
+    lambdaEnv: Object.fromEntries(Object.entries(lambdaEnv).map(([name, value]) => [name, process.env[name] || value])),
+};
@@ -0,0 +1,147 @@
+/**
+ * Evaluate the subset of DynamoDB expressions used by the utils module.
+ * Attribute paths are top level names only. Conditions can be joined with AND or OR, without brackets.
+ * BETWEEN is rewritten to a between() term before the conditions are split.
+ * Unsupported expressions throw so a new query pattern is noticed in local testing.
+ */
+
+/**
+ * Expression attribute names and values
+ * @typedef {Object} ExpressionAttributes
+ * @property {object} [names] - ExpressionAttributeNames
+ * @property {object} [values] - ExpressionAttributeValues
+ */
+
+/**
+ * Resolve an attribute name, substituting #name placeholders
+ * @param {string} token
+ * @param {ExpressionAttributes} attrs
+ * @returns {string} attribute name
+ */
+function resolveName(token, { names = {} }) {
+    const name = token.trim();
+    if (!name.startsWith('#')) { return name; }
+    if (!(name in names)) { throw new Error(`Missing ExpressionAttributeName ${name}`); }
+    return names[name];
+}
+
+/**
+ * Resolve a :value placeholder
+ * @param {string} token
+ * @param {ExpressionAttributes} attrs
+ * @returns {*} value
+ */
+function resolveValue(token, { values = {} }) {
+    const name = token.trim();
+    if (!(name in values)) { throw new Error(`Missing ExpressionAttributeValue ${name}`); }
+    return values[name];
+}
+
+/**
+ * Compare two values with a DynamoDB comparator
+ * @param {*} a
+ * @param {string} comparator
+ * @param {*} b
+ * @returns {boolean}
+ */
+function compare(a, comparator, b) {
+    switch (comparator) {
+    case '=': return a === b;
+    case '<>': return a !== b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    default: throw new Error(`Unsupported comparator ${comparator}`);
+    }
+}
+
+/**
+ * Evaluate a single condition term
+ * @param {string} term
+ * @param {object} item
+ * @param {ExpressionAttributes} attrs
+ * @returns {boolean}
+ */
+function evaluateTerm(term, item, attrs) {
+    let match = term.match(/^attribute_exists\((.+)\)$/);
+    if (match) { return resolveName(match[1], attrs) in item; }
+    match = term.match(/^attribute_not_exists\((.+)\)$/);
+    if (match) { return !(resolveName(match[1], attrs) in item); }
+    match = term.match(/^between\((\S+),(\S+),(\S+)\)$/);
+    if (match) {
+        const name = resolveName(match[1], attrs);
+        if (!(name in item)) { return false; }
+        return compare(item[name], '>=', resolveValue(match[2], attrs)) && compare(item[name], '<=', resolveValue(match[3], attrs));
+    }
+    match = term.match(/^contains\((.+),(.+)\)$/);
+    if (match) {
+        const value = item[resolveName(match[1], attrs)];
+        const search = resolveValue(match[2], attrs);
+        if (typeof value === 'string' || Array.isArray(value)) { return value.includes(search); }
+        return false;
+    }
+    match = term.match(/^(\S+)\s*(=|<>|<=|>=|<|>)\s*(\S+)$/);
+    if (match) {
+        const name = resolveName(match[1], attrs);
+        if (!(name in item)) { return false; }
+        return compare(item[name], match[2], resolveValue(match[3], attrs));
+    }
+    throw new Error(`Unsupported expression: ${term}`);
+}
+
+/**
+ * Evaluate a condition, filter or key condition expression against an item
+ * @param {string} [expression]
+ * @param {object} [item] - undefined if the item does not exist
+ * @param {ExpressionAttributes} attrs
+ * @returns {boolean}
+ */
+function evaluateCondition(expression, item, attrs) {
+    if (!expression) { return true; }
+    const current = item || {};
+    return expression.replace(/(\S+)\s+BETWEEN\s+(\S+)\s+AND\s+(\S+)/gi, 'between($1,$2,$3)').split(/\s+OR\s+/i).some((orTerm) => orTerm.split(/\s+AND\s+/i)
+        .every((term) => evaluateTerm(term.trim(), current, attrs)));
+}
+
+/**
+ * Apply an update expression ('set a = :a, b = :b remove c add d :d') to an item
+ * @param {string} expression
+ * @param {object} item - updated in place
+ * @param {ExpressionAttributes} attrs
+ * @returns {object} item
+ */
+function applyUpdate(expression, item, attrs) {
+    const clauses = expression.split(/\b(set|remove|add)\b/i).map((part) => part.trim()).filter((part) => part);
+    for (let i = 0; i < clauses.length; i += 2) {
+        const action = clauses[i].toLowerCase();
+        const actions = (clauses[i + 1] || '').split(',').map((part) => part.trim()).filter((part) => part);
+        if (action === 'set') {
+            actions.forEach((assignment) => {
+                const match = assignment.match(/^(\S+)\s*=\s*(\S+)$/);
+                if (!match) { throw new Error(`Unsupported update: ${assignment}`); }
+                // eslint-disable-next-line no-param-reassign
+                item[resolveName(match[1], attrs)] = resolveValue(match[2], attrs);
+            });
+        } else if (action === 'remove') {
+            // eslint-disable-next-line no-param-reassign
+            actions.forEach((name) => { delete item[resolveName(name, attrs)]; });
+        } else if (action === 'add') {
+            actions.forEach((addition) => {
+                const match = addition.match(/^(\S+)\s+(\S+)$/);
+                if (!match) { throw new Error(`Unsupported update: ${addition}`); }
+                const name = resolveName(match[1], attrs);
+                // eslint-disable-next-line no-param-reassign
+                item[name] = (item[name] || 0) + resolveValue(match[2], attrs);
+            });
+        } else {
+            throw new Error(`Unsupported update: ${expression}`);
+        }
+    }
+    return item;
+}
+
+module.exports = {
+    evaluateCondition,
+    applyUpdate,
+};
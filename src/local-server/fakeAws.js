@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { evaluateCondition, applyUpdate } = require('./expressions');
+
+/**
+ * Local replacements for the aws-sdk clients used by the utils module.
+ * - DynamoDB.DocumentClient: in-memory tables, saved to a JSON file if a data directory is set
+ * - SecretsManager: returns a secret that skips Infura wallet validation
+ * Each method returns an object with a promise() function, like aws-sdk v2.
+ */
+
+/**
+ * Wrap a function result as an aws-sdk v2 request
+ * @param {function} fnc
+ * @returns {{promise: function(): Promise<*>}}
+ */
+const request = (fnc) => ({
+    promise: async () => fnc(),
+});
+
+/**
+ * Create an aws-sdk style error
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function awsError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    err.name = code;
+    return err;
+}
+
+const clone = (item) => ((item === undefined) ? undefined : JSON.parse(JSON.stringify(item)));
+
+/**
+ * Create the fake aws-sdk module
+ * @param {object} params
+ * @param {object} params.tables - partition key name by table name
+ * @param {string} [params.dataDir] - directory to save the tables, in-memory only if not set
+ * @returns {object} aws-sdk replacement
+ */
+function createFakeAws({ tables, dataDir = '' }) {
+    const dbFile = (dataDir) ? path.join(dataDir, 'db.json') : '';
+    if (dataDir) { fs.mkdirSync(dataDir, { recursive: true }); }
+
+    // Tables ========================================================================
+    const saved = (dbFile && fs.existsSync(dbFile)) ? JSON.parse(fs.readFileSync(dbFile, 'utf8')) : {};
+    const store = new Map(Object.keys(tables).map((tableName) => [tableName, new Map(Object.entries(saved[tableName] || {}))]));
+
+    const save = () => {
+        if (!dbFile) { return; }
+        const data = {};
+        store.forEach((items, tableName) => { data[tableName] = Object.fromEntries(items); });
+        fs.writeFileSync(dbFile, JSON.stringify(data, null, 2));
+    };
+
+    const getTable = (tableName) => {
+        if (!store.has(tableName)) { throw awsError('ResourceNotFoundException', `Requested resource not found: Table: ${tableName}`); }
+        return store.get(tableName);
+    };
+    const keyOf = (tableName, key) => String(key[tables[tableName]]);
+
+    /**
+     * Check a condition for a write, and throw as DynamoDB does on failure
+     */
+    const checkCondition = ({
+        ConditionExpression, ExpressionAttributeNames: names, ExpressionAttributeValues: values,
+    }, item) => {
+        if (!evaluateCondition(ConditionExpression, item, { names, values })) {
+            throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+        }
+    };
+
+    // Write operations, shared by the single item methods and transactWrite
+    const writes = {
+        Put: (params, apply = true) => {
+            const table = getTable(params.TableName);
+            const key = keyOf(params.TableName, params.Item);
+            checkCondition(params, table.get(key));
+            if (apply) { table.set(key, clone(params.Item)); }
+            return {};
+        },
+        Update: (params, apply = true) => {
+            const table = getTable(params.TableName);
+            const key = keyOf(params.TableName, params.Key);
+            const existing = table.get(key);
+            checkCondition(params, existing);
+            const item = applyUpdate(params.UpdateExpression, { ...clone(existing), ...params.Key }, {
+                names: params.ExpressionAttributeNames,
+                values: params.ExpressionAttributeValues,
+            });
+            if (apply) { table.set(key, item); }
+            return (params.ReturnValues === 'ALL_NEW') ? { Attributes: clone(item) } : {};
+        },
+        Delete: (params, apply = true) => {
+            const table = getTable(params.TableName);
+            const key = keyOf(params.TableName, params.Key);
+            checkCondition(params, table.get(key));
+            if (apply) { table.delete(key); }
+            return {};
+        },
+    };
+
+    /**
+     * Get the sort key attribute of a key condition, eg. EventTime for 'UserId = :k AND EventTime BETWEEN :a AND :b'
+     */
+    const sortKeyOf = ({ KeyConditionExpression = '', ExpressionAttributeNames: names = {} }) => {
+        const [, name = ''] = KeyConditionExpression.match(/\sAND\s+(?:begins_with\(\s*)?(#?\w+)/i) || [];
+        return names[name] || name;
+    };
+
+    /**
+     * Items matching a key condition and filter, in key order (reversed if ScanIndexForward is false).
+     * Queries with a sort key condition are in sort key order, and items with the same sort key stay in the
+     * order they were written.
+     */
+    const findItems = (params) => {
+        const attrs = { names: params.ExpressionAttributeNames, values: params.ExpressionAttributeValues };
+        const sortKey = sortKeyOf(params);
+        const items = [...getTable(params.TableName).entries()].sort(([a, itemA], [b, itemB]) => {
+            if (sortKey) { return String(itemA[sortKey] ?? '').localeCompare(String(itemB[sortKey] ?? '')); }
+            return a.localeCompare(b);
+        });
+        if (params.ScanIndexForward === false) { items.reverse(); }
+        const start = (params.ExclusiveStartKey)
+            ? items.findIndex(([key]) => key === keyOf(params.TableName, params.ExclusiveStartKey)) + 1
+            : 0;
+        const page = (params.Limit) ? items.slice(start, start + params.Limit) : items.slice(start);
+        const more = (params.Limit && start + params.Limit < items.length);
+        const keyName = tables[params.TableName];
+        return {
+            Items: page.map(([, item]) => item)
+                .filter((item) => evaluateCondition(params.KeyConditionExpression, item, attrs))
+                .filter((item) => evaluateCondition(params.FilterExpression, item, attrs))
+                .map(clone),
+            LastEvaluatedKey: (more) ? { [keyName]: page[page.length - 1][1][keyName] } : undefined,
+        };
+    };
+
+    const documentClient = {
+        get({ TableName, Key }) {
+            return request(() => ({ Item: clone(getTable(TableName).get(keyOf(TableName, Key))) }));
+        },
+
+        put(params) {
+            return request(() => { const result = writes.Put(params); save(); return result; });
+        },
+
+        update(params) {
+            return request(() => { const result = writes.Update(params); save(); return result; });
+        },
+
+        delete(params) {
+            return request(() => { const result = writes.Delete(params); save(); return result; });
+        },
+
+        query(params) {
+            return request(() => findItems(params));
+        },
+
+        scan(params) {
+            return request(() => findItems(params));
+        },
+
+        transactWrite({ TransactItems = [] }) {
+            return request(() => {
+                const actions = TransactItems.map((transactItem) => Object.entries(transactItem)[0]);
+                // Check every condition before applying any write
+                try {
+                    actions.forEach(([action, params]) => writes[action](params, false));
+                } catch (err) {
+                    if (err.code === 'ConditionalCheckFailedException') {
+                        throw awsError('TransactionCanceledException', 'Transaction cancelled, please refer cancellation reasons for specific reasons [ConditionalCheckFailed]');
+                    }
+                    throw err;
+                }
+                actions.forEach(([action, params]) => writes[action](params));
+                save();
+                return {};
+            });
+        },
+    };
+
+    // Secrets =======================================================================
+    const secretsManager = {
+        getSecretValue() {
+            return request(() => ({ SecretString: JSON.stringify({ PROJECT_ID: 'SKIP_VALIDATION', PROJECT_SECRET: 'local' }) }));
+        },
+    };
+
+    // Client constructors, used with new like the aws-sdk classes
+    return {
+        DynamoDB: { DocumentClient: function DocumentClient() { return documentClient; } },
+        SecretsManager: function SecretsManager() { return secretsManager; },
+    };
+}
+
+module.exports = { createFakeAws };
@@ -0,0 +1,287 @@
+/**
+ * Local development server for the auth API.
+ * Runs every Lambda function in src/lambda behind the same routes as the API Gateway in app-stack.ts,
+ * with local tables in place of DynamoDB and a local token signing key in place of KMS. No AWS account is required.
+ *
+ * Start with `npm run local`, then run the web site with API_URL=http://localhost:3000.
+ */
+
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+const Module = require('module');
+const config = require('./config');
+const { createFakeAws } = require('./fakeAws');
+const { matchRoute } = require('./routes');
+const { getLocalSigningKey } = require('./signingKey');
+
+// Lambda environment must be set before the functions are loaded
+Object.assign(process.env, config.lambdaEnv);
+if (!process.env.SIGNING_KEYS) {
+    process.env.SIGNING_KEYS = JSON.stringify([{
+        type: 'local',
+        key: getLocalSigningKey({ alg: config.tokenAlg, dataDir: config.dataDir }),
+        alg: config.tokenAlg,
+        active: true,
+    }]);
+}
+
+// Replace aws-sdk for the Lambda functions and utils module
+const fakeAws = createFakeAws({ tables: config.tables, dataDir: config.dataDir });
+const originalLoad = Module._load; // eslint-disable-line no-underscore-dangle
+// eslint-disable-next-line no-underscore-dangle
+Module._load = function load(request, ...args) {
+    if (request === 'aws-sdk') { return fakeAws; }
+    return originalLoad.call(this, request, ...args);
+};
+
+const lambdaDir = path.join(__dirname, '../lambda');
+// Policy checks for the authorizer result, like API Gateway. Loaded after aws-sdk is replaced.
+// eslint-disable-next-line import/no-dynamic-require
+const { isAllowedByPolicy } = require(path.join(lambdaDir, 'utils-module')).authPolicy;
+// eslint-disable-next-line import/no-dynamic-require, global-require
+const getHandler = (name) => require(path.join(lambdaDir, name)).handler;
+
+// Error responses, in the order of the integration response selection patterns
+const errorResponses = [
+    { selectionPattern: /^.*:429.*$/, statusCode: 429 },
+    { selectionPattern: /^.*:401.*$/, statusCode: 401 },
+    { selectionPattern: /^.*:403.*$/, statusCode: 403 },
+    { selectionPattern: /^.*:400.*$/, statusCode: 400 },
+    { selectionPattern: /^.*:5\d{2}.*$/, statusCode: 500 },
+];
+
+/**
+ * Response headers for all requests, with the Allow-Origin override from the response templates
+ * @param {string} origin - request Origin header
+ * @returns {object} headers
+ */
+function corsHeaders(origin) {
+    return {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': (config.webOrigins.includes(origin)) ? origin : '*',
+        'Access-Control-Allow-Headers': 'Access-Control-Allow-Origin,Content-Type,Authorization,Cookie,X-Api-Key',
+        'Access-Control-Allow-Methods': 'POST,GET,OPTIONS',
+        'Access-Control-Allow-Credentials': 'true',
+    };
+}
+
+/**
+ * Make the refresh cookie usable on http://localhost.
+ * The Domain (the API zone) and Secure attributes are removed, everything else is unchanged.
+ * @param {string} cookie
+ * @returns {string} cookie
+ */
+function localCookie(cookie) {
+    return cookie.split(';')
+        .map((part) => part.trim())
+        .filter((part) => !/^(domain=.*|secure)$/i.test(part))
+        .join('; ');
+}
+
+/**
+ * Run the authorizer function like the API Gateway TokenAuthorizer, and check the policy allows the method.
+ * Policies are not cached, so every request runs the authorizer.
+ * @param {string} token - Authorization header
+ * @param {string} method - request method
+ * @param {string} pathname - request path
+ * @returns {Promise<{statusCode?: number, message?: string, principalId?: string, isAdmin?: string, chainId?: string}>}
+ */
+async function authorize(token, method, pathname) {
+    if (!token) { return { statusCode: 401, message: 'Unauthorized' }; }
+    const methodArn = `${config.lambdaEnv.API_STAGE_ARN}/${method}${pathname}`;
+    const policy = await getHandler('authorizer')({
+        type: 'TOKEN',
+        authorizationToken: token,
+        methodArn,
+    });
+    if (!isAllowedByPolicy(policy, methodArn)) { return { statusCode: 403, message: 'User is not authorized to access this resource with an explicit deny' }; }
+    return {
+        principalId: policy.principalId,
+        isAdmin: String((policy.context || {}).isAdmin),
+        chainId: String((policy.context || {}).chainId || ''),
+    };
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} statusCode
+ * @param {object} headers
+ * @param {*} body
+ */
+function send(res, statusCode, headers, body) {
+    res.writeHead(statusCode, headers);
+    res.end((body === undefined) ? '' : JSON.stringify(body));
+}
+
+/**
+ * Map a Lambda result to the integration response for the route
+ * @param {object} route
+ * @param {object} result - Lambda result
+ * @param {object} headers
+ * @returns {{statusCode: number, headers: object, body: object}}
+ */
+function successResponse(route, result, headers) {
+    if (route.response === 'login') {
+        const loginHeaders = { ...headers };
+        if (result.cookie) { loginHeaders['Set-Cookie'] = localCookie(result.cookie); }
+        return {
+            statusCode: 200,
+            headers: loginHeaders,
+            body: {
+                success: (result.success === undefined) ? null : result.success,
+                userId: (result.userId === undefined) ? null : result.userId,
+                chainId: (result.chainId === undefined) ? null : result.chainId,
+                authToken: (result.authToken === undefined) ? null : result.authToken,
+                requestId: (result.requestId === undefined) ? null : result.requestId,
+            },
+        };
+    }
+    if (route.response === 'wellKnown') {
+        return {
+            statusCode: 200,
+            headers: { ...headers, 'Access-Control-Allow-Origin': '*', 'Cache-Control': 'public, max-age=3600' },
+            body: result,
+        };
+    }
+    return { statusCode: 200, headers, body: result };
+}
+
+/**
+ * Map a Lambda error to the integration response with a matching selection pattern
+ * @param {Error} err
+ * @param {object} headers
+ * @returns {{statusCode: number, headers: object, body: object}}
+ */
+function errorResponse(err, headers) {
+    const errorMessage = err.message || '';
+    const match = errorResponses.find(({ selectionPattern }) => selectionPattern.test(errorMessage));
+    // With no matching pattern API Gateway uses the default (200) response with the Lambda error body
+    if (!match) { return { statusCode: 200, headers, body: { errorMessage, errorType: err.name } }; }
+    let errorMessageObj = {};
+    try {
+        errorMessageObj = JSON.parse(errorMessage);
+    } catch (parseErr) {
+        errorMessageObj = {};
+    }
+    if (match.statusCode === 500) {
+        return {
+            statusCode: 500,
+            headers,
+            body: { success: false, errorMessage: 'Sorry, something went wrong. Please try again later.', requestId: errorMessageObj.requestId },
+        };
+    }
+    if (match.statusCode === 429) {
+        return {
+            statusCode: 429,
+            headers: { ...headers, 'Retry-After': errorMessageObj.retryAfter },
+            body: {
+                success: false,
+                errorMessage: errorMessageObj.message,
+                errorCode: errorMessageObj.errorCode || '',
+                retryAfter: Number(errorMessageObj.retryAfter),
+                requestId: errorMessageObj.requestId,
+            },
+        };
+    }
+    return {
+        statusCode: match.statusCode,
+        headers,
+        body: {
+            success: false,
+            errorMessage: errorMessageObj.message,
+            errorCode: errorMessageObj.errorCode || '',
+            requestId: errorMessageObj.requestId,
+        },
+    };
+}
+
+/**
+ * Read and parse the JSON request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object>} body, empty object if there is no body
+ */
+async function readBody(req) {
+    const chunks = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const chunk of req) { chunks.push(chunk); }
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (!text) { return {}; }
+    return JSON.parse(text);
+}
+
+/**
+ * Handle an API request
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function handleRequest(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const headers = corsHeaders(req.headers.origin || '');
+    const requestId = crypto.randomUUID();
+
+    const match = matchRoute(req.method, url.pathname);
+    if (req.method === 'OPTIONS') {
+        send(res, 200, headers);
+        return;
+    }
+    if (!match || match.route.method !== req.method) {
+        send(res, 403, headers, { message: 'Missing Authentication Token' });
+        return;
+    }
+    const { route, path: pathParams } = match;
+
+    let body = {};
+    try {
+        body = await readBody(req);
+    } catch (err) {
+        send(res, 400, headers, { message: 'Could not parse request body into json' });
+        return;
+    }
+
+    const localRequest = {
+        path: pathParams,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body,
+        requestId,
+        sourceIp: req.socket.remoteAddress,
+        resourcePath: route.resource,
+        authorizer: {},
+    };
+
+    if (route.authorizer) {
+        const auth = await authorize(req.headers.authorization, req.method, url.pathname);
+        if (auth.statusCode) {
+            send(res, auth.statusCode, headers, { message: auth.message });
+            return;
+        }
+        localRequest.authorizer = auth;
+    }
+
+    let response;
+    try {
+        const result = await getHandler(route.lambda)(route.event(localRequest));
+        response = successResponse(route, result, headers);
+    } catch (err) {
+        response = errorResponse(err, headers);
+    }
+    console.log(`${req.method} ${url.pathname} ${response.statusCode}`);
+    send(res, response.statusCode, response.headers, response.body);
+}
+
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((err) => {
+        console.error('Local server error', err);
+        send(res, 500, corsHeaders(req.headers.origin || ''), { message: 'Internal server error' });
+    });
+});
+
+server.listen(config.port, () => {
+    console.log(`Local auth API listening on http://localhost:${config.port}`);
+    console.log(`Allowed web origins: ${config.webOrigins.join(', ')}`);
+    console.log((config.dataDir) ? `Saving tables and keys to ${config.dataDir}` : 'Tables and keys are in-memory only');
+});
+
+module.exports = { server };
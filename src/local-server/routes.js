@@ -0,0 +1,318 @@
+/**
+ * API routes, mirroring the resources and request templates in app-stack.ts.
+ * Each route builds the same Lambda event as the VTL request template for the method.
+ * Keep these in step with the stack when adding or changing API methods.
+ *
+ * Routes with the authorizer have the scope from the route scope map in the stack.
+ *
+ * Response types:
+ * - default: the Lambda result is returned as the body
+ * - login: selected fields are returned and the cookie is moved to the Set-Cookie header
+ * - wellKnown: the Lambda result is returned with a Cache-Control header
+ */
+
+/**
+ * Request values available to the templates, like the VTL $input and $context variables
+ * @typedef {Object} LocalRequest
+ * @property {object} path - path parameters
+ * @property {object} query - querystring parameters
+ * @property {object} headers - request headers, lower case names
+ * @property {object} body - parsed JSON body
+ * @property {string} requestId
+ * @property {string} sourceIp
+ * @property {string} resourcePath
+ * @property {{principalId: string, isAdmin: string, chainId: string}} authorizer - authorizer result
+ */
+
+/**
+ * Get a request parameter like $input.params(name), searching path, querystring then headers
+ * @param {LocalRequest} req
+ * @param {string} name
+ * @returns {string}
+ */
+function param(req, name) {
+    if (name in req.path) { return req.path[name]; }
+    if (name in req.query) { return req.query[name]; }
+    return req.headers[name.toLowerCase()] || '';
+}
+
+/**
+ * Get a body value like $input.json('$.name')
+ * @param {LocalRequest} req
+ * @param {string} name
+ * @returns {*}
+ */
+function json(req, name) {
+    return (req.body && req.body[name] !== undefined) ? req.body[name] : '';
+}
+
+/**
+ * Context for methods without the authorizer
+ * @param {LocalRequest} req
+ * @returns {object} context
+ */
+const baseContext = (req) => ({
+    requestId: req.requestId,
+    sourceIp: req.sourceIp,
+    resourcePath: req.resourcePath,
+});
+
+/**
+ * Context with the authorizer principal and admin claim.
+ * Authorizer context values are strings in API Gateway.
+ * @param {LocalRequest} req
+ * @returns {object} context
+ */
+const authContext = (req) => ({
+    ...baseContext(req),
+    userId: req.authorizer.principalId || '',
+    isAdmin: (req.authorizer.isAdmin === undefined) ? '' : String(req.authorizer.isAdmin),
+});
+
+/**
+ * Context with the authorizer principal and the session Chain ID, for typed action routes
+ * @param {LocalRequest} req
+ * @returns {object} context
+ */
+const chainContext = (req) => ({
+    ...authContext(req),
+    chainId: req.authorizer.chainId || '',
+});
+
+const routes = [
+    // API User Methods
+    {
+        method: 'GET',
+        resource: '/auth/get-user/{walletid}',
+        lambda: 'get-user',
+        authorizer: true,
+        scope: 'read',
+        event: (req) => ({ params: { walletId: param(req, 'walletid') }, context: authContext(req) }),
+    },
+    {
+        method: 'GET',
+        resource: '/auth/get-nonce/{walletid}',
+        lambda: 'get-nonce',
+        event: (req) => ({
+            params: {
+                walletId: param(req, 'walletid'),
+                login: param(req, 'login'),
+                verify: param(req, 'verify'),
+                action: param(req, 'action'),
+                link: param(req, 'link'),
+                origin: param(req, 'origin'),
+                chainId: param(req, 'chainId'),
+            },
+            context: baseContext(req),
+        }),
+    },
+    {
+        method: 'POST',
+        resource: '/auth/create-user/{walletid}',
+        lambda: 'create-user',
+        event: (req) => ({ params: { walletId: param(req, 'walletid'), body: req.body }, context: authContext(req) }),
+    },
+    {
+        method: 'GET',
+        resource: '/auth/wallets',
+        lambda: 'list-wallets',
+        authorizer: true,
+        scope: 'read',
+        event: (req) => ({ context: authContext(req) }),
+    },
+    {
+        method: 'POST',
+        resource: '/auth/link-wallet/{walletid}',
+        lambda: 'link-wallet',
+        authorizer: true,
+        scope: 'write',
+        event: (req) => ({ params: { walletId: param(req, 'walletid'), body: req.body }, context: authContext(req) }),
+    },
+    {
+        method: 'POST',
+        resource: '/auth/unlink-wallet/{walletid}',
+        lambda: 'unlink-wallet',
+        authorizer: true,
+        scope: 'write',
+        event: (req) => ({ params: { walletId: param(req, 'walletid'), body: req.body }, context: authContext(req) }),
+    },
+    {
+        method: 'GET',
+        resource: '/auth/get-profile',
+        lambda: 'get-profile',
+        authorizer: true,
+        scope: 'read',
+        event: (req) => ({ context: authContext(req) }),
+    },
+    {
+        method: 'POST',
+        resource: '/auth/update-profile',
+        lambda: 'update-profile',
+        authorizer: true,
+        scope: 'write',
+        event: (req) => ({ params: { body: req.body }, context: authContext(req) }),
+    },
+    {
+        method: 'POST',
+        resource: '/auth/delete-user',
+        lambda: 'delete-user',
+        authorizer: true,
+        scope: 'write',
+        event: (req) => ({ params: { body: req.body }, context: chainContext(req) }),
+    },
+
+    // API Admin Methods
+    {
+        method: 'GET',
+        resource: '/admin/users',
+        lambda: 'admin-list-users',
+        authorizer: true,
+        scope: 'admin',
+        event: (req) => ({
+            params: { query: param(req, 'query'), limit: param(req, 'limit'), next: param(req, 'next') },
+            context: authContext(req),
+        }),
+    },
+    {
+        method: 'GET',
+        resource: '/admin/users/{userid}',
+        lambda: 'admin-get-user',
+        authorizer: true,
+        scope: 'admin',
+        event: (req) => ({ params: { userId: param(req, 'userid') }, context: authContext(req) }),
+    },
+    {
+        method: 'POST',
+        resource: '/admin/users/{userid}/role',
+        lambda: 'admin-set-role',
+        authorizer: true,
+        scope: 'admin',
+        event: (req) => ({ params: { userId: param(req, 'userid'), body: req.body }, context: authContext(req) }),
+    },
+    {
+        method: 'POST',
+        resource: '/admin/users/{userid}/disable',
+        lambda: 'admin-disable-user',
+        authorizer: true,
+        scope: 'admin',
+        event: (req) => ({ params: { userId: param(req, 'userid'), body: req.body }, context: authContext(req) }),
+    },
+    {
+        method: 'GET',
+        resource: '/admin/audit',
+        lambda: 'admin-audit-events',
+        authorizer: true,
+        scope: 'admin',
+        event: (req) => ({
+            params: Object.fromEntries(['userId', 'walletId', 'type', 'from', 'to', 'limit', 'next', 'verify']
+                .map((name) => [name, param(req, name)])),
+            context: authContext(req),
+        }),
+    },
+
+    // Test API Methods
+    {
+        method: 'GET',
+        resource: '/test/read',
+        lambda: 'test-api-read',
+        authorizer: true,
+        scope: 'read',
+        event: (req) => ({ context: authContext(req) }),
+    },
+    {
+        method: 'POST',
+        resource: '/test/write',
+        lambda: 'test-api-write',
+        authorizer: true,
+        scope: 'write',
+        event: (req) => ({ params: { body: req.body }, context: chainContext(req) }),
+    },
+
+    // Well Known Methods
+    {
+        method: 'GET',
+        resource: '/.well-known/jwks.json',
+        lambda: 'jwks',
+        response: 'wellKnown',
+        event: (req) => ({ context: baseContext(req) }),
+    },
+    {
+        method: 'GET',
+        resource: '/.well-known/openid-configuration',
+        lambda: 'openid-configuration',
+        response: 'wellKnown',
+        event: (req) => ({ context: baseContext(req) }),
+    },
+
+    // Login/Refresh Methods
+    {
+        method: 'POST',
+        resource: '/auth/login/{walletid}',
+        lambda: 'login',
+        response: 'login',
+        event: (req) => ({
+            params: { walletId: param(req, 'walletid'), message: json(req, 'message'), signature: json(req, 'signature') },
+            context: baseContext(req),
+        }),
+    },
+    {
+        method: 'GET',
+        resource: '/auth/refresh-token',
+        lambda: 'refresh-token',
+        response: 'login',
+        event: (req) => ({ params: { cookie: req.headers.cookie || '' }, context: baseContext(req) }),
+    },
+    {
+        method: 'GET',
+        resource: '/auth/logout',
+        lambda: 'logout',
+        response: 'login',
+        event: (req) => ({ params: { cookie: req.headers.cookie || '', all: param(req, 'all') }, context: baseContext(req) }),
+    },
+];
+
+/**
+ * Get the route scope map for the authorizer, like routeScopes in the stack
+ * @returns {Object<string, string>} 'METHOD /path' to scope, with '*' for path parameters
+ */
+function getRouteScopes() {
+    return Object.fromEntries(routes.filter((route) => route.scope)
+        .map((route) => [`${route.method} ${route.resource.replace(/\{[^}]+\}/g, '*')}`, route.scope]));
+}
+
+/**
+ * Find the route for a request
+ * @param {string} method
+ * @param {string} pathname
+ * @returns {{route: object, path: object}|undefined} route and path parameters
+ */
+function matchRoute(method, pathname) {
+    const parts = pathname.replace(/\/+$/, '').split('/');
+    let resourceMatch;
+    routes.some((route) => {
+        const resourceParts = route.resource.split('/');
+        if (resourceParts.length !== parts.length) { return false; }
+        const path = {};
+        const matches = resourceParts.every((resourcePart, i) => {
+            const paramMatch = resourcePart.match(/^\{(.+)\}$/);
+            if (paramMatch) {
+                path[paramMatch[1]] = decodeURIComponent(parts[i]);
+                return parts[i] !== '';
+            }
+            return resourcePart === parts[i];
+        });
+        if (!matches) { return false; }
+        // Keep the first resource match for OPTIONS and method errors
+        if (!resourceMatch) { resourceMatch = { route, path }; }
+        if (route.method !== method) { return false; }
+        resourceMatch = { route, path };
+        return true;
+    });
+    return resourceMatch;
+}
+
+module.exports = {
+    routes,
+    getRouteScopes,
+    matchRoute,
+};
@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Get the local token signing key, creating it on first use.
+ * The key is saved in the data directory if set, so tokens stay valid between restarts.
+ * @param {object} params
+ * @param {string} params.alg - 'PS256', 'RS256' or 'ES256'
+ * @param {string} [params.dataDir]
+ * @returns {string} PEM encoded private key
+ */
+function getLocalSigningKey({ alg, dataDir = '' }) {
+    const keyType = (alg === 'ES256') ? 'ec' : 'rsa';
+    const keyFile = (dataDir) ? path.join(dataDir, `signing-key-${keyType}.pem`) : '';
+    if (keyFile && fs.existsSync(keyFile)) { return fs.readFileSync(keyFile, 'utf8'); }
+
+    const { privateKey } = (keyType === 'ec')
+        ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+        : crypto.generateKeyPairSync('rsa', { modulusLength: 3072 });
+    const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+    if (keyFile) {
+        fs.mkdirSync(dataDir, { recursive: true });
+        fs.writeFileSync(keyFile, pem, { mode: 0o600 });
+    }
+    return pem;
+}
+
+module.exports = { getLocalSigningKey };
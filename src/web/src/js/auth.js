@@ -2,16 +2,42 @@
 
 import { Buffer } from 'buffer/index.js';
 import MetaMaskOnboarding from '@metamask/onboarding';
-import { ValidationError, AuthError } from './errors';
+import { ValidationError, AuthError, RateLimitError } from './errors';
 
 const apiDomain = process.env.API_DOMAIN;
-const apiBaseUrl = `https://${apiDomain}/auth`;
+// API_URL overrides the API domain, eg. http://localhost:3000 for the local server
+const apiUrl = process.env.API_URL || `https://${apiDomain}`;
+const apiBaseUrl = `${apiUrl}/auth`;
 
 const haveMetaMask = (typeof window.ethereum !== 'undefined' && window.ethereum.isMetaMask);
 
 export const { isMetaMaskInstalled } = MetaMaskOnboarding;
 export const InstallMetaMask = MetaMaskOnboarding;
 
+// API error codes for login and verify challenges that have expired or been used.
+// The request can be retried with a new challenge.
+const challengeErrorCodes = ['CHALLENGE_EXPIRED', 'CHALLENGE_USED', 'CHALLENGE_NOT_FOUND'];
+
+// What to do when the user changes account or chain in MetaMask while logged in:
+// logout - end the session, relogin - ask the user to login again with the new account or chain,
+// switch - keep the session for a linked wallet, otherwise login again without asking
+const walletChangePolicies = ['logout', 'relogin', 'switch'];
+let walletChangePolicy = (walletChangePolicies.includes(process.env.WALLET_CHANGE_POLICY)) ? process.env.WALLET_CHANGE_POLICY : 'relogin';
+
+// Wallet events are ignored while the client is changing the account or chain itself
+let walletRequests = 0;
+// The account selected in MetaMask to link, MetaMask stays on this account after linking
+let linkingWalletId = '';
+
+/**
+ * Wallet and session events for the pages.
+ * accountsChanged, chainChanged and disconnect are the MetaMask events (EIP-1193), with the walletId, chainId
+ * or error message in the event detail. sessionChanged is sent when the session moves to another wallet or
+ * chain, and sessionEnded before the user is logged out by the wallet change policy.
+ * @type {EventTarget}
+ */
+export const walletEvents = new EventTarget();
+
 /**
  * User
  * @typedef {Object} User
@@ -22,10 +48,13 @@ export const InstallMetaMask = MetaMaskOnboarding;
  * @property {string} [createdTime] - ISO 8601 Time user was created
  * @property {string} [lastLogin] - ISO 8601 Time - last time user nonce was updated
  * @property {number} [expiryTime] - expiry (Unix timestamp)
+ * @property {string} [ensName] - verified ENS name of the primary wallet
+ * @property {string} [ensAvatar] - https avatar URL for the ENS name
  */
 
 /**
- * Fetch error handling
+ * Fetch error handling.
+ * The API error code is added to the error as errorCode.
  * @param {object} response - a fetch response object
  * @returns {Promise<object>} response data
  */
@@ -35,9 +64,18 @@ export async function evalResponse(response) {
         const data = await response.json();
         if (response.ok) { return data; }
         const message = data.errorMessage || data.message || response.statusText || 'Unknown error from API';
-        if (status === 401 || status === 403) { throw new AuthError(message); }
-        if (status === 400) { throw new ValidationError(message); }
-        throw new Error(message);
+        let error = new Error(message);
+        if (status === 401 || status === 403) {
+            error = new AuthError(message);
+        } else if (status === 400) {
+            error = new ValidationError(message);
+        } else if (status === 429) {
+            // Retry-After is also in the body as the header is not exposed to CORS requests
+            const retryAfter = Number(data.retryAfter || response.headers.get('Retry-After')) || 60;
+            error = new RateLimitError(message, retryAfter);
+        }
+        if (data.errorCode) { error.errorCode = data.errorCode; }
+        throw error;
     } catch (err) {
         err.message = (err.message) || 'Internal error';
         console.error(err);
@@ -66,18 +104,119 @@ export async function connectWallet() {
 }
 
 /**
- * Get the current nonce for signing for the current walletId
- * @param {boolean} [isLogin = false] - default is verify nonce
- * @returns {Promise<string>} nonce
+ * Get the chain the wallet is connected to
+ * @returns {Promise<number>} chainId
+ */
+async function getWalletChainId() {
+    const chainId = await window.ethereum.request({ method: 'eth_chainId' });
+    return Number(chainId);
+}
+
+/**
+ * Switch the wallet to another chain with wallet_switchEthereumChain (EIP-3326)
+ * @param {number} chainId
+ * @returns {Promise<void>}
+ */
+async function switchChain(chainId) {
+    try {
+        await window.ethereum.request({
+            method: 'wallet_switchEthereumChain',
+            params: [{ chainId: `0x${Number(chainId).toString(16)}` }],
+        });
+    } catch (err) {
+        console.error(err);
+        // Did user reject the switch, or is the chain not added to MetaMask?
+        if (err.code === 4001) { throw new ValidationError(`Switch MetaMask to Chain ID ${chainId} to continue`); }
+        if (err.code === 4902) { throw new ValidationError(`Add Chain ID ${chainId} to MetaMask to continue`); }
+        throw err;
+    }
+}
+
+/**
+ * Sign-In with Ethereum (EIP-4361) message fields, issued by the API
+ * @typedef {Object} SiweMessage
+ * @property {string} domain
+ * @property {string} address
+ * @property {string} [statement]
+ * @property {string} uri
+ * @property {string} version
+ * @property {number} chainId
+ * @property {string} nonce
+ * @property {string} issuedAt
+ * @property {string} [expirationTime]
+ * @property {string} [notBefore]
+ * @property {string} [requestId]
+ * @property {string[]} [resources]
+ */
+
+/**
+ * Create the EIP-4361 login message from the fields issued by the API.
+ * This must match the message created by the API exactly.
+ * @param {SiweMessage} fields
+ * @returns {string} message
  */
-async function getNonce({ isLogin = false } = {}) {
+function createSiweMessage({
+    domain, address, statement = '', uri, version = '1', chainId, nonce, issuedAt,
+    expirationTime = '', notBefore = '', requestId = '', resources = [],
+}) {
+    const lines = [
+        `${domain} wants you to sign in with your Ethereum account:`,
+        address,
+        '',
+    ];
+    if (statement) { lines.push(statement); }
+    lines.push('');
+    lines.push(`URI: ${uri}`);
+    lines.push(`Version: ${version}`);
+    lines.push(`Chain ID: ${chainId}`);
+    lines.push(`Nonce: ${nonce}`);
+    lines.push(`Issued At: ${issuedAt}`);
+    if (expirationTime) { lines.push(`Expiration Time: ${expirationTime}`); }
+    if (notBefore) { lines.push(`Not Before: ${notBefore}`); }
+    if (requestId) { lines.push(`Request ID: ${requestId}`); }
+    if (resources.length) {
+        lines.push('Resources:');
+        resources.forEach((resource) => lines.push(`- ${resource}`));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Check if an API error is for a challenge that has expired or been used
+ * @param {Error} err
+ * @returns {boolean}
+ */
+function isChallengeError(err) {
+    return challengeErrorCodes.includes(err.errorCode);
+}
+
+/**
+ * Get the current nonce for signing for the current walletId.
+ * Login and verify requests get a new one-time challenge.
+ * @param {boolean} [isLogin = false] - default is sign nonce
+ * @param {boolean} [isVerify = false] - verify challenge for an unverified user
+ * @param {number} [chainId = 0] - the chain the wallet is on, for login messages
+ * @returns {Promise<{nonce: string, siwe: SiweMessage, chainIds: number[]}>} nonce, and login message fields
+ * and supported chains if isLogin
+ */
+async function getNonce({ isLogin = false, isVerify = false, chainId = 0 } = {}) {
     try {
         const walletId = await connectWallet();
-        const url = (isLogin) ? `${apiBaseUrl}/get-nonce/${walletId}?login=true` : `${apiBaseUrl}/get-nonce/${walletId}`;
+        let url = `${apiBaseUrl}/get-nonce/${walletId}`;
+        if (isLogin) {
+            url = `${url}?login=true&chainId=${chainId}`;
+        } else if (isVerify) {
+            url = `${url}?verify=true`;
+        }
         const response = await fetch(url);
         const data = await evalResponse(response);
         if (!data.success) { throw new Error((data.errorMessage || 'Unknown error')); }
-        return data.nonce;
+        if (isLogin && !data.siwe) { throw new Error('Nonce API did not return a login message'); }
+        return {
+            nonce: data.nonce,
+            siwe: data.siwe,
+            chainIds: data.chainIds || [],
+        };
     } catch (err) {
         console.error(err);
         throw err;
@@ -85,20 +224,24 @@ async function getNonce({ isLogin = false } = {}) {
 }
 
 /**
- * Get the UserId for the wallet
+ * Get the UserId and cached ENS name for the wallet
  * @param {string} walletId
- * @returns {Promise<{userId: string, verified: boolean}>}
+ * @returns {Promise<{userId: string, verified: boolean, ensName: string, ensAvatar: string}>}
  */
 export async function getUserId({ walletId }) {
     try {
         // Using the get-nonce method as it does not require auth
         const url = `${apiBaseUrl}/get-nonce/${walletId}`;
         const response = await fetch(url);
-        const { userId, verified, errorMessage = '' } = await evalResponse(response);
+        const {
+            userId, verified, ensName = '', ensAvatar = '', errorMessage = '',
+        } = await evalResponse(response);
         if (!userId) { throw new Error((errorMessage || 'Nonce API returned invalid data')); }
         return {
             userId,
             verified,
+            ensName,
+            ensAvatar,
         };
     } catch (err) {
         console.error(err);
@@ -106,31 +249,144 @@ export async function getUserId({ walletId }) {
     }
 }
 
+/**
+ * Sign a message with a wallet using personal_sign
+ * @param {string} message
+ * @param {string} walletId - the signing wallet, must be connected in MetaMask
+ * @returns {Promise<string>} signature
+ */
+async function personalSign({ message, walletId }) {
+    const msg = `0x${Buffer.from(message, 'utf8').toString('hex')}`;
+    return window.ethereum.request({
+        method: 'personal_sign',
+        params: [msg, walletId], // Don't need the password param
+    });
+}
+
 /**
  * Sign a login or verify message.
+ * Login messages are Sign-In with Ethereum (EIP-4361) messages built from the fields issued by the API.
+ * If the wallet is on a chain the API does not support, the user is asked to switch to the chain in the message.
  * Will get the nonce for the current walletId if not supplied.
- * @param {boolean} [isLogin = false] - is this a login message? Default is verification message
+ * @param {boolean} [isLogin = false] - is this a login message? Default is a sign message
+ * @param {boolean} [isVerify = false] - is this a verify message?
  * @param {string} [walletId = ''] - get from local storage if not supplied
- * @param {string} [nonce = '']  - get from API if not supplied
- * @returns {Promise<string>} signature
+ * @param {string} [nonce = '']  - sign or verify message, get from API if not supplied
+ * @returns {Promise<{signature: string, message: string}>} signature and the message that was signed
  */
 export async function signMsg({
     isLogin = false,
+    isVerify = false,
     walletId = '',
     nonce = '',
 } = {}) {
     try {
         const from = (walletId) || window.sessionStorage.getItem('walletId');
         if (!from) { throw new ValidationError('Wallet is not connected'); }
-        const msgNonce = (nonce) || await getNonce({ isLogin });
-        const msg = `0x${Buffer.from(msgNonce, 'utf8').toString('hex')}`;
+        let message = nonce;
+        if (isLogin) {
+            const walletChainId = await getWalletChainId();
+            const { siwe, chainIds } = await getNonce({ isLogin, chainId: walletChainId });
+            if (!chainIds.includes(walletChainId)) {
+                // eslint-disable-next-line no-alert
+                if (!window.confirm(`Chain ID ${walletChainId} is not supported. Switch MetaMask to Chain ID ${siwe.chainId}?`)) {
+                    throw new ValidationError(`Switch MetaMask to one of Chain IDs ${chainIds.join(', ')} to continue`);
+                }
+                await switchChain(siwe.chainId);
+            }
+            message = createSiweMessage(siwe);
+        } else if (!message) {
+            message = (await getNonce({ isVerify })).nonce;
+        }
+        const signature = await personalSign({ message, walletId: from });
+        return {
+            signature,
+            message,
+        };
+    } catch (err) {
+        console.error(err);
+        throw err;
+    }
+}
+
+/**
+ * Canonical JSON for the request data, with the object keys sorted at every level.
+ * Must match the JSON created by the API, which only accepts integer numbers.
+ * @param {*} value
+ * @returns {string} JSON
+ */
+function canonicalJson(value) {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') { return JSON.stringify(value); }
+    if (typeof value === 'number') {
+        if (!Number.isSafeInteger(value)) { throw new Error('Signed request numbers must be integers'); }
+        return JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map((item) => ((item === undefined) ? 'null' : canonicalJson(item))).join(',')}]`;
+    }
+    if (typeof value === 'object') {
+        const entries = Object.keys(value).sort()
+            .filter((key) => value[key] !== undefined)
+            .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    throw new Error('Signed request data must be JSON');
+}
+
+/**
+ * Hash the request data for a typed action.
+ * SHA-256 of the canonical JSON string - must match the hash created by the API.
+ * @param {object} data
+ * @returns {Promise<string>} 0x prefixed hex hash
+ */
+async function hashActionBody(data) {
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalJson(data)));
+    return `0x${Buffer.from(digest).toString('hex')}`;
+}
+
+/**
+ * Sign an API request with EIP-712 typed data (eth_signTypedData_v4).
+ * MetaMask displays the action, route and expiry so the user can see what they are approving.
+ * The signature covers a hash of the request data, so it cannot be used with different data.
+ * Actions are signed on the session chain, MetaMask will only sign if the wallet is on the same chain.
+ * @param {string} route - the API route, eg. 'test/write'
+ * @param {object} data - the request data to sign
+ * @param {string} [walletId = ''] - get from local storage if not supplied
+ * @returns {Promise<{signature: string, expiry: number, data: object}>} signed request values
+ */
+export async function signTypedAction({
+    route,
+    data,
+    walletId = '',
+}) {
+    try {
+        const from = (walletId) || window.sessionStorage.getItem('walletId');
+        if (!from) { throw new ValidationError('Wallet is not connected'); }
+
+        // Get the typed data template with the current nonce for the route, on the session chain
+        const chainId = Number(window.sessionStorage.getItem('chainId')) || 0;
+        if (chainId && chainId !== await getWalletChainId()) { await switchChain(chainId); }
+        let url = `${apiBaseUrl}/get-nonce/${from}?action=${encodeURIComponent(route)}`;
+        if (chainId) { url = `${url}&chainId=${chainId}`; }
+        const response = await fetch(url);
+        const { typedAction, errorMessage = '' } = await evalResponse(response);
+        if (!typedAction) { throw new Error((errorMessage || 'Nonce API did not return a typed action')); }
+
+        // Add the request data hash and sign
+        typedAction.message.bodyHash = await hashActionBody(data);
         const signature = await window.ethereum.request({
-            method: 'personal_sign',
-            params: [msg, from], // Don't need the password param
+            method: 'eth_signTypedData_v4',
+            params: [from, JSON.stringify(typedAction)],
         });
-        return signature;
+        return {
+            signature,
+            expiry: typedAction.message.expiry,
+            data,
+        };
     } catch (err) {
         console.error(err);
+        // Did user reject the message?
+        if (err.code === 4001) { throw new ValidationError('Approve the signature request in MetaMask to continue'); }
         throw err;
     }
 }
@@ -163,19 +419,21 @@ export async function createUser() {
 }
 
 /**
- * Verify the currently connected user
- * @param {string} [nonce] - get from API if not supplied
+ * Verify the currently connected user.
+ * If the verify challenge has expired or been used, a new one is signed once.
+ * @param {string} [nonce] - verify message, get from API if not supplied
+ * @param {boolean} [retry = true] - retry with a new challenge
  * @returns {Promise<User>} User
  */
 export async function verifyUser({
     nonce = '',
-}) {
+    retry = true,
+} = {}) {
     try {
         const walletId = window.sessionStorage.getItem('walletId');
         if (!walletId) { throw new ValidationError('Wallet is not connected'); }
 
-        const message = (nonce) || await getNonce({ isLogin: false });
-        const signature = await signMsg({ walletId, message });
+        const { message, signature } = await signMsg({ isVerify: true, walletId, nonce });
 
         const url = `${apiBaseUrl}/create-user/${walletId}`;
         const response = await fetch(url, {
@@ -196,6 +454,213 @@ export async function verifyUser({
         return data;
     } catch (err) {
         console.error(err);
+        if (retry && isChallengeError(err)) { return verifyUser({ retry: false }); }
+        throw err;
+    }
+}
+
+/**
+ * Linked wallet
+ * @typedef {Object} Wallet
+ * @property {string} walletId
+ * @property {boolean} primary - the wallet the user was created with
+ * @property {string} linkedTime - ISO 8601 Time wallet was linked
+ */
+
+/**
+ * List the wallets for the logged in user
+ * @returns {Promise<Wallet[]>} wallets
+ */
+export async function listWallets() {
+    try {
+        const response = await fetch(`${apiBaseUrl}/wallets`, {
+            method: 'GET',
+            mode: 'cors',
+            headers: {
+                Authorization: window.sessionStorage.getItem('authToken'),
+            },
+        });
+        const data = await evalResponse(response);
+        if (!data.success) { throw new Error((data.errorMessage || 'Unknown error')); }
+        return data.wallets || [];
+    } catch (err) {
+        console.error(err);
+        throw err;
+    }
+}
+
+/**
+ * Get the user for a wallet, with the ENS name looked up at login
+ * @param {string} walletId
+ * @returns {Promise<User>} user
+ */
+export async function getUser({ walletId }) {
+    try {
+        const response = await fetch(`${apiBaseUrl}/get-user/${walletId}`, {
+            method: 'GET',
+            mode: 'cors',
+            headers: {
+                Authorization: window.sessionStorage.getItem('authToken'),
+            },
+        });
+        const data = await evalResponse(response);
+        if (!data.success) { throw new Error((data.errorMessage || 'Unknown error')); }
+        return data;
+    } catch (err) {
+        console.error(err);
+        throw err;
+    }
+}
+
+/**
+ * User profile attributes. Every field is optional.
+ * @typedef {Object} Profile
+ * @property {string} [displayName]
+ * @property {string} [avatarUrl] - https URL
+ * @property {string} [bio]
+ * @property {{theme?: string, locale?: string, notifications?: boolean}} [preferences]
+ */
+
+/**
+ * Get the profile for the logged in user
+ * @returns {Promise<Profile>} profile
+ */
+export async function getProfile() {
+    try {
+        const response = await fetch(`${apiBaseUrl}/get-profile`, {
+            method: 'GET',
+            mode: 'cors',
+            headers: {
+                Authorization: window.sessionStorage.getItem('authToken'),
+            },
+        });
+        const data = await evalResponse(response);
+        if (!data.success) { throw new Error((data.errorMessage || 'Unknown error')); }
+        return data.profile || {};
+    } catch (err) {
+        console.error(err);
+        throw err;
+    }
+}
+
+/**
+ * Update the profile for the logged in user.
+ * The fields are merged into the current profile, and null or an empty string removes a field.
+ * @param {Profile} profile - the fields to change
+ * @returns {Promise<Profile>} the updated profile
+ */
+export async function updateProfile(profile) {
+    try {
+        const response = await fetch(`${apiBaseUrl}/update-profile`, {
+            method: 'POST',
+            mode: 'cors',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: window.sessionStorage.getItem('authToken'),
+            },
+            body: JSON.stringify({ profile }),
+        });
+        const data = await evalResponse(response);
+        if (!data.success) { throw new Error((data.errorMessage || 'Unknown error')); }
+        return data.profile || {};
+    } catch (err) {
+        console.error(err);
+        throw err;
+    }
+}
+
+/**
+ * Link another wallet to the logged in user.
+ * MetaMask asks the user to select the new account, then the link message is signed
+ * by the current wallet and the new wallet to prove control of both.
+ * @returns {Promise<string>} the linked walletId
+ */
+export async function linkWallet() {
+    try {
+        const sessionWalletId = window.sessionStorage.getItem('walletId');
+        if (!sessionWalletId) { throw new ValidationError('Wallet is not connected'); }
+
+        // Ask MetaMask to select the account to link. Selecting the account is not a wallet change for the session.
+        walletRequests += 1;
+        let walletId = '';
+        try {
+            await window.ethereum.request({
+                method: 'wallet_requestPermissions',
+                params: [{ eth_accounts: {} }],
+            });
+            [walletId] = await window.ethereum.request({ method: 'eth_requestAccounts' });
+            linkingWalletId = (walletId || '').toLowerCase();
+        } finally {
+            walletRequests -= 1;
+        }
+        if (!walletId || walletId.toLowerCase() === sessionWalletId.toLowerCase()) {
+            throw new ValidationError('Select a different account in MetaMask to link');
+        }
+
+        // Get the link message and sign with both wallets
+        const nonceResponse = await fetch(`${apiBaseUrl}/get-nonce/${sessionWalletId}?link=${walletId}`);
+        const { nonce: message, errorMessage = '' } = await evalResponse(nonceResponse);
+        if (!message) { throw new Error((errorMessage || 'Nonce API did not return a link message')); }
+        const walletSignature = await personalSign({ message, walletId });
+        const signature = await personalSign({ message, walletId: sessionWalletId });
+
+        const response = await fetch(`${apiBaseUrl}/link-wallet/${walletId}`, {
+            method: 'POST',
+            mode: 'cors',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: window.sessionStorage.getItem('authToken'),
+            },
+            body: JSON.stringify({
+                signature,
+                walletSignature,
+                sessionWalletId,
+            }),
+        });
+        const data = await evalResponse(response);
+        if (!data.success) { throw new Error((data.errorMessage || 'Unknown error')); }
+        return data.walletId;
+    } catch (err) {
+        console.error(err);
+        // Did user reject the message?
+        if (err.code === 4001) { throw new ValidationError('Approve the requests in MetaMask to continue'); }
+        throw err;
+    }
+}
+
+/**
+ * Unlink a wallet from the logged in user.
+ * The request is signed by the current wallet. The connected wallet cannot be unlinked.
+ * @param {string} walletId - the wallet to unlink
+ * @returns {Promise<string>} the primary walletId after unlinking
+ */
+export async function unlinkWallet({ walletId }) {
+    try {
+        const sessionWalletId = window.sessionStorage.getItem('walletId');
+        if (!sessionWalletId) { throw new ValidationError('Wallet is not connected'); }
+        if (walletId.toLowerCase() === sessionWalletId.toLowerCase()) {
+            throw new ValidationError('Login with another wallet to unlink the connected wallet');
+        }
+
+        const { signature } = await signMsg({ walletId: sessionWalletId });
+        const response = await fetch(`${apiBaseUrl}/unlink-wallet/${walletId}`, {
+            method: 'POST',
+            mode: 'cors',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: window.sessionStorage.getItem('authToken'),
+            },
+            body: JSON.stringify({
+                signature,
+                sessionWalletId,
+            }),
+        });
+        const data = await evalResponse(response);
+        if (!data.success) { throw new Error((data.errorMessage || 'Unknown error')); }
+        return data.primaryWalletId;
+    } catch (err) {
+        console.error(err);
+        if (err.code === 4001) { throw new ValidationError('Approve the signature request in MetaMask to continue'); }
         throw err;
     }
 }
@@ -214,17 +679,22 @@ function clearStorage() {
     window.sessionStorage.removeItem('authToken');
     window.sessionStorage.removeItem('userId');
     window.sessionStorage.removeItem('walletId');
+    window.sessionStorage.removeItem('chainId');
 }
 
 /**
- * Login using the currently connected wallet
+ * Login using the currently connected wallet.
+ * If the login challenge has expired or been used, a new one is signed once.
+ * @param {boolean} [retry = true] - retry with a new challenge
  * @returns {Promise<boolean>}
  */
-export async function login() {
+export async function login({
+    retry = true,
+} = {}) {
     try {
         clearStorage();
         const walletId = await connectWallet();
-        const sig = await signMsg({ isLogin: true });
+        const { signature, message } = await signMsg({ isLogin: true });
         const response = await fetch(`${apiBaseUrl}/login/${walletId}`, {
             method: 'POST',
             mode: 'cors',
@@ -233,7 +703,8 @@ export async function login() {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                signature: sig,
+                message,
+                signature,
             }),
         });
         const data = await evalResponse(response);
@@ -242,11 +713,13 @@ export async function login() {
         const userId = data.userId || '';
         if (!authToken || !userId) { throw new Error('Missing login data'); }
         window.sessionStorage.setItem('userId', userId);
+        window.sessionStorage.setItem('chainId', String(data.chainId || ''));
         setAuthToken(authToken);
         return true;
     } catch (err) {
         clearStorage();
         console.error(err);
+        if (retry && isChallengeError(err)) { return login({ retry: false }); }
         throw err;
     }
 }
@@ -270,6 +743,7 @@ export async function refreshToken({
             const data = await evalResponse(response);
             if (!data.success) { throw new Error((data.errorMessage || 'Unknown error')); }
             const authToken = data.authToken || 'Token missing';
+            window.sessionStorage.setItem('chainId', String(data.chainId || ''));
             setAuthToken(authToken);
             return true;
         } catch (err) {
@@ -289,21 +763,22 @@ export async function refreshToken({
 }
 
 /**
- * Logout the currently logged in user.
- * This sets invalid cookie locally and deletes user params from local storage.
+ * Revoke the current session and delete user params from local storage, staying on the page
+ * @param {boolean} [everywhere = false] - revoke every session for the user, on all devices
  * @returns {Promise<boolean>}
  */
-export async function logout() {
+async function revokeSession({
+    everywhere = false,
+} = {}) {
     try {
         // We need to be logged in to be able to logout
         const isLoggedIn = await refreshToken();
         if (!isLoggedIn) {
             clearStorage();
-            window.location.href = './index.html?from-logout=true';
             return true;
         }
-        // Logout
-        const response = await fetch(`${apiBaseUrl}/logout`, {
+        const url = (everywhere) ? `${apiBaseUrl}/logout?all=true` : `${apiBaseUrl}/logout`;
+        const response = await fetch(url, {
             method: 'GET',
             mode: 'cors',
             credentials: 'include',
@@ -311,6 +786,24 @@ export async function logout() {
         const data = await evalResponse(response);
         if (!data.success) { throw new Error((data.errorMessage || 'Unknown error')); }
         clearStorage();
+        return true;
+    } catch (err) {
+        console.error(err);
+        throw err;
+    }
+}
+
+/**
+ * Logout the currently logged in user.
+ * This revokes the session, sets invalid cookie locally and deletes user params from local storage.
+ * @param {boolean} [everywhere = false] - revoke every session for the user, on all devices
+ * @returns {Promise<boolean>}
+ */
+export async function logout({
+    everywhere = false,
+} = {}) {
+    try {
+        await revokeSession({ everywhere });
         window.location.href = './index.html?from-logout=true';
         return true;
     } catch (err) {
@@ -318,3 +811,192 @@ export async function logout() {
         throw err;
     }
 }
+
+/**
+ * Delete the logged in user's account.
+ * The userId is signed as an EIP-712 typed action by the current wallet. All sessions are revoked, so the
+ * user params are removed from storage.
+ * @returns {Promise<{receipt: object, receiptToken: string}>} the deletion receipt, and the receipt as a signed JWT
+ */
+export async function deleteAccount() {
+    try {
+        const walletId = window.sessionStorage.getItem('walletId');
+        const userId = window.sessionStorage.getItem('userId');
+        if (!walletId || !userId) { throw new ValidationError('Wallet is not connected'); }
+
+        const { signature, expiry, data } = await signTypedAction({ route: 'auth/delete-user', data: { userId }, walletId });
+        const response = await fetch(`${apiBaseUrl}/delete-user`, {
+            method: 'POST',
+            mode: 'cors',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: window.sessionStorage.getItem('authToken'),
+            },
+            body: JSON.stringify({
+                data,
+                expiry,
+                signature,
+                walletId,
+            }),
+        });
+        const result = await evalResponse(response);
+        if (!result.success) { throw new Error((result.errorMessage || 'Unknown error')); }
+        clearStorage();
+        return {
+            receipt: result.receipt,
+            receiptToken: result.receiptToken,
+        };
+    } catch (err) {
+        console.error(err);
+        throw err;
+    }
+}
+
+/**
+ * Set what to do when the user changes account or chain in MetaMask while logged in
+ * @param {'logout'|'relogin'|'switch'} policy
+ */
+export function setWalletChangePolicy(policy) {
+    if (!walletChangePolicies.includes(policy)) {
+        throw new ValidationError(`Wallet change policy must be one of: ${walletChangePolicies.join(', ')}`);
+    }
+    walletChangePolicy = policy;
+}
+
+/**
+ * Send a wallet or session event to the pages
+ * @param {string} type
+ * @param {object} detail
+ */
+function emitWalletEvent(type, detail) {
+    walletEvents.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+/**
+ * End the session after a wallet change and return to the login page
+ * @param {string} reason
+ * @returns {Promise<void>}
+ */
+async function endSession(reason) {
+    emitWalletEvent('sessionEnded', { reason });
+    await logout();
+}
+
+/**
+ * Replace the session with a new login for the current account and chain
+ * @param {string} reason
+ * @returns {Promise<void>}
+ */
+async function restartSession(reason) {
+    try {
+        await revokeSession();
+        await login();
+        emitWalletEvent('sessionChanged', {
+            walletId: window.sessionStorage.getItem('walletId'),
+            chainId: Number(window.sessionStorage.getItem('chainId')) || 0,
+            reason,
+        });
+    } catch (err) {
+        // Did not login with the new account, the session has already been revoked
+        console.error(err);
+        await endSession(err.message);
+    }
+}
+
+/**
+ * Apply the wallet change policy when the account or chain changes while logged in
+ * @param {string} walletId - the account selected in MetaMask
+ * @param {boolean} [isChainChange = false] - the chain changed, not the account
+ * @param {string} reason - shown to the user
+ * @returns {Promise<void>}
+ */
+async function applyWalletChangePolicy({ walletId, isChainChange = false, reason }) {
+    walletRequests += 1;
+    try {
+        if (walletChangePolicy === 'logout') {
+            await endSession(reason);
+            return;
+        }
+        if (walletChangePolicy === 'relogin') {
+            // eslint-disable-next-line no-alert
+            if (window.confirm(`${reason}. Login again with ${walletId}?`)) {
+                await restartSession(reason);
+            } else {
+                await endSession(reason);
+            }
+            return;
+        }
+        // Switch - a wallet linked to the user can sign for the same session, a new chain needs a new session
+        if (!await refreshToken()) {
+            await endSession(reason);
+            return;
+        }
+        const wallets = (isChainChange) ? [] : await listWallets();
+        if (wallets.some((wallet) => wallet.walletId === walletId.toLowerCase())) {
+            window.sessionStorage.setItem('walletId', walletId);
+            emitWalletEvent('sessionChanged', {
+                walletId,
+                chainId: Number(window.sessionStorage.getItem('chainId')) || 0,
+                reason,
+            });
+            return;
+        }
+        await restartSession(reason);
+    } finally {
+        walletRequests -= 1;
+    }
+}
+
+/**
+ * MetaMask account changed, eg. the user selected another account or locked MetaMask
+ * @param {string[]} accounts - the first is the selected account, empty if MetaMask is locked
+ */
+async function onAccountsChanged(accounts) {
+    try {
+        const [walletId = ''] = accounts;
+        emitWalletEvent('accountsChanged', { walletId });
+        const sessionWalletId = (window.sessionStorage.getItem('walletId') || '').toLowerCase();
+        const isLoggedIn = Boolean(window.sessionStorage.getItem('authToken'));
+        if (!isLoggedIn || walletRequests > 0) { return; }
+        if (walletId.toLowerCase() === sessionWalletId || walletId.toLowerCase() === linkingWalletId) { return; }
+        if (!walletId) {
+            await endSession('MetaMask is locked or disconnected from this site');
+            return;
+        }
+        await applyWalletChangePolicy({ walletId, reason: `Account changed to ${walletId}` });
+    } catch (err) {
+        console.error(err);
+    }
+}
+
+/**
+ * MetaMask chain changed. Sessions are bound to the chain they signed in on.
+ * @param {string} hexChainId - 0x prefixed Chain ID
+ */
+async function onChainChanged(hexChainId) {
+    try {
+        const chainId = Number(hexChainId);
+        emitWalletEvent('chainChanged', { chainId });
+        const sessionChainId = Number(window.sessionStorage.getItem('chainId')) || 0;
+        const isLoggedIn = Boolean(window.sessionStorage.getItem('authToken'));
+        if (!isLoggedIn || walletRequests > 0 || !sessionChainId || chainId === sessionChainId) { return; }
+        const walletId = window.sessionStorage.getItem('walletId') || '';
+        await applyWalletChangePolicy({ walletId, isChainChange: true, reason: `Chain changed to Chain ID ${chainId}` });
+    } catch (err) {
+        console.error(err);
+    }
+}
+
+/**
+ * MetaMask can no longer make requests to the chain. MetaMask reconnects by itself, so the session is kept.
+ * @param {{code: number, message: string}} error
+ */
+function onDisconnect(error) {
+    emitWalletEvent('disconnect', { message: (error && error.message) || 'MetaMask disconnected' });
+}
+
+if (haveMetaMask) {
+    window.ethereum.on('accountsChanged', onAccountsChanged);
+    window.ethereum.on('chainChanged', onChainChanged);
+    window.ethereum.on('disconnect', onDisconnect);
+}
@@ -23,3 +23,18 @@ export class ValidationError extends Error {
         this.message = message;
     }
 }
+
+/**
+ * Rate limit error object, for 429 responses.
+ * The wallet or IP address is locked out after failed sign ins, or has created too many users.
+ * @param {string} message
+ * @param {number} retryAfter - seconds until the request can be retried
+ */
+export class RateLimitError extends Error {
+    constructor(message, retryAfter, ...params) {
+        super(...params);
+        this.name = 'RateLimitError';
+        this.message = message;
+        this.retryAfter = retryAfter;
+    }
+}
@@ -1,18 +1,30 @@
 import {
-    logout, refreshToken, signMsg, evalResponse,
+    logout, refreshToken, signTypedAction, evalResponse, listWallets, linkWallet, unlinkWallet, deleteAccount,
+    getProfile, updateProfile, getUser, walletEvents,
 } from './auth';
 
 const apiDomain = process.env.API_DOMAIN;
-const apiBaseUrl = `https://${apiDomain}/test`;
+const apiUrl = process.env.API_URL || `https://${apiDomain}`;
+const apiBaseUrl = `${apiUrl}/test`;
 
 const params = new URLSearchParams(window.location.search);
 
 const showUserId = document.getElementById('showUserId');
 const showWalletId = document.getElementById('showWalletId');
+const showChainId = document.getElementById('showChainId');
+const ensBlock = document.getElementById('ensBlock');
+const showEnsName = document.getElementById('showEnsName');
+const showEnsAvatar = document.getElementById('showEnsAvatar');
 const logoutButton = document.getElementById('logoutButton');
+const logoutAllButton = document.getElementById('logoutAllButton');
+const walletList = document.getElementById('walletList');
+const linkWalletButton = document.getElementById('linkWalletButton');
+const profileForm = document.getElementById('profileForm');
+const showAvatar = document.getElementById('showAvatar');
 
 const readButton = document.getElementById('readButton');
 const writeButton = document.getElementById('writeButton');
+const deleteAccountButton = document.getElementById('deleteAccountButton');
 
 const errorBlock = document.getElementById('errorBlock');
 const showError = document.getElementById('showError');
@@ -20,6 +32,152 @@ const showError = document.getElementById('showError');
 const successBlock = document.getElementById('successBlock');
 const showSuccess = document.getElementById('showSuccess');
 
+/**
+ * Show the wallets for the user, with an unlink button for linked wallets
+ */
+async function showWallets() {
+    const sessionWalletId = window.sessionStorage.getItem('walletId') || '';
+    const wallets = await listWallets();
+    walletList.replaceChildren(...wallets.map(({ walletId, primary }) => {
+        const item = document.createElement('li');
+        item.textContent = (primary) ? `${walletId} (primary) ` : `${walletId} `;
+        if (walletId !== sessionWalletId.toLowerCase()) {
+            const unlinkButton = document.createElement('button');
+            unlinkButton.className = 'btn btn-sm btn-outline-secondary';
+            unlinkButton.textContent = 'Unlink';
+            unlinkButton.onclick = async () => {
+                try {
+                    errorBlock.style.display = 'none';
+                    successBlock.style.display = 'none';
+                    if (!await refreshToken({ tryLogin: true })) {
+                        await logout();
+                        return false;
+                    }
+                    await unlinkWallet({ walletId });
+                    await showWallets();
+                    successBlock.style.display = 'block';
+                    showSuccess.textContent = `Unlinked wallet ${walletId}`;
+                    return true;
+                } catch (err) {
+                    err.message = (err.message) || 'Internal error on unlink';
+                    errorBlock.style.display = 'block';
+                    showError.textContent = err.message;
+                    throw err;
+                }
+            };
+            item.appendChild(unlinkButton);
+        }
+        return item;
+    }));
+}
+
+/**
+ * Show the ENS name and avatar for the user, if the primary wallet has a verified name
+ * @param {string} walletId
+ */
+async function showEns(walletId) {
+    const { ensName = '', ensAvatar = '' } = await getUser({ walletId });
+    if (!ensName) { return; }
+    showEnsName.textContent = ensName;
+    showEnsAvatar.src = ensAvatar;
+    showEnsAvatar.style.display = (ensAvatar) ? 'inline' : 'none';
+    ensBlock.style.display = 'block';
+}
+
+/**
+ * Show the profile in the profile form
+ * @param {import('./auth').Profile} profile
+ */
+function showProfile(profile) {
+    const { elements } = profileForm;
+    elements.displayName.value = profile.displayName || '';
+    elements.avatarUrl.value = profile.avatarUrl || '';
+    elements.bio.value = profile.bio || '';
+    elements.theme.value = (profile.preferences && profile.preferences.theme) || '';
+    showAvatar.src = profile.avatarUrl || '';
+    showAvatar.style.display = (profile.avatarUrl) ? 'block' : 'none';
+}
+
+/**
+ * Show the user, wallet and chain for the session
+ */
+async function showSession() {
+    const walletId = window.sessionStorage.getItem('walletId');
+    const userId = window.sessionStorage.getItem('userId');
+    if (!walletId || !userId) { throw new Error('Cannot get userId or walletId, you will need to login again'); }
+    showWalletId.textContent = walletId;
+    showChainId.textContent = window.sessionStorage.getItem('chainId') || '';
+    showUserId.textContent = userId;
+    ensBlock.style.display = 'none';
+    await showWallets();
+    await showEns(walletId);
+    showProfile(await getProfile());
+}
+
+/**
+ * Save profile handler
+ */
+profileForm.onsubmit = async (event) => {
+    event.preventDefault();
+    try {
+        errorBlock.style.display = 'none';
+        successBlock.style.display = 'none';
+
+        // Check if we are logged in
+        const isLoggedIn = await refreshToken({ tryLogin: true });
+        if (!isLoggedIn) {
+            await logout();
+            return false;
+        }
+
+        // Empty fields are removed from the profile
+        const { elements } = profileForm;
+        const profile = await updateProfile({
+            displayName: elements.displayName.value,
+            avatarUrl: elements.avatarUrl.value,
+            bio: elements.bio.value,
+            preferences: { theme: elements.theme.value },
+        });
+        showProfile(profile);
+        successBlock.style.display = 'block';
+        showSuccess.textContent = 'Profile saved';
+        return true;
+    } catch (err) {
+        err.message = (err.message) || 'Internal error on profile update';
+        errorBlock.style.display = 'block';
+        showError.textContent = err.message;
+        throw err;
+    }
+};
+
+/**
+ * Link wallet button handler
+ */
+linkWalletButton.onclick = async () => {
+    try {
+        errorBlock.style.display = 'none';
+        successBlock.style.display = 'none';
+
+        // Check if we are logged in
+        const isLoggedIn = await refreshToken({ tryLogin: true });
+        if (!isLoggedIn) {
+            await logout();
+            return false;
+        }
+
+        const walletId = await linkWallet();
+        await showWallets();
+        successBlock.style.display = 'block';
+        showSuccess.textContent = `Linked wallet ${walletId}`;
+        return true;
+    } catch (err) {
+        err.message = (err.message) || 'Internal error on link';
+        errorBlock.style.display = 'block';
+        showError.textContent = err.message;
+        throw err;
+    }
+};
+
 /**
  * Logout button handler
  */
@@ -36,6 +194,22 @@ logoutButton.onclick = async () => {
     }
 };
 
+/**
+ * Logout everywhere button handler
+ */
+logoutAllButton.onclick = async () => {
+    try {
+        errorBlock.style.display = 'none';
+        await logout({ everywhere: true });
+        return true;
+    } catch (err) {
+        err.message = (err.message) || 'Internal error on logout';
+        errorBlock.style.display = 'block';
+        showError.textContent = err.message;
+        throw err;
+    }
+};
+
 /**
  * Read button handler
  */
@@ -89,9 +263,16 @@ writeButton.onclick = async () => {
             return false;
         }
 
-        // Get the current nonce and sign a message
+        // Sign the request data as an EIP-712 typed action
         const walletId = window.sessionStorage.getItem('walletId');
-        const signature = await signMsg({ walletId });
+        const { signature, expiry, data } = await signTypedAction({
+            route: 'test/write',
+            data: {
+                message: 'Hello from the Metamask Login Demo',
+                time: new Date().toISOString(),
+            },
+            walletId,
+        });
 
         // Get a response from the API
         const url = `${apiBaseUrl}/write`;
@@ -104,6 +285,8 @@ writeButton.onclick = async () => {
                 Authorization: window.sessionStorage.getItem('authToken'),
             },
             body: JSON.stringify({
+                data,
+                expiry,
                 signature,
                 walletId,
             }),
@@ -122,6 +305,70 @@ writeButton.onclick = async () => {
     }
 };
 
+/**
+ * Delete account button handler
+ */
+deleteAccountButton.onclick = async () => {
+    try {
+        errorBlock.style.display = 'none';
+        successBlock.style.display = 'none';
+        // eslint-disable-next-line no-alert
+        if (!window.confirm('Permanently delete your account and all of its wallets?')) { return false; }
+
+        // Check if we are logged in
+        const isLoggedIn = await refreshToken({ tryLogin: true });
+        if (!isLoggedIn) {
+            await logout();
+            return false;
+        }
+
+        // The sessions are revoked, so the page cannot be used after this
+        const { receipt, receiptToken } = await deleteAccount();
+        document.querySelectorAll('button').forEach((button) => button.setAttribute('disabled', ''));
+        successBlock.style.display = 'block';
+        showSuccess.textContent = `Account deleted at ${receipt.deletedTime}. Keep this signed receipt: ${receiptToken}`;
+
+        return true;
+    } catch (err) {
+        err.message = (err.message) || 'Internal error on delete';
+        errorBlock.style.display = 'block';
+        showError.textContent = err.message;
+        throw err;
+    }
+};
+
+/**
+ * Show the new wallet or chain after the session changes in MetaMask
+ */
+walletEvents.addEventListener('sessionChanged', async ({ detail: { reason } }) => {
+    try {
+        errorBlock.style.display = 'none';
+        await showSession();
+        successBlock.style.display = 'block';
+        showSuccess.textContent = reason;
+    } catch (err) {
+        errorBlock.style.display = 'block';
+        showError.textContent = err.message;
+    }
+});
+
+/**
+ * Show why the session is ending, logout returns to the login page
+ */
+walletEvents.addEventListener('sessionEnded', ({ detail: { reason } }) => {
+    document.querySelectorAll('button').forEach((button) => button.setAttribute('disabled', ''));
+    errorBlock.style.display = 'block';
+    showError.textContent = `${reason}, logging out`;
+});
+
+/**
+ * Show the MetaMask connection error
+ */
+walletEvents.addEventListener('disconnect', ({ detail: { message } }) => {
+    errorBlock.style.display = 'block';
+    showError.textContent = message;
+});
+
 /**
  * Setup page on load
  */
@@ -136,11 +383,7 @@ window.onload = async function loadPage() {
     }
     try {
         errorBlock.style.display = 'none';
-        const walletId = window.sessionStorage.getItem('walletId');
-        const userId = window.sessionStorage.getItem('userId');
-        if (!walletId || !userId) { throw new Error('Cannot get userId or walletId, you will need to login again'); }
-        showWalletId.textContent = walletId;
-        showUserId.textContent = userId;
+        await showSession();
         return true;
     } catch (err) {
         errorBlock.style.display = 'block';
@@ -1,7 +1,8 @@
 import {
     connectWallet, login, refreshToken, isMetaMaskInstalled, InstallMetaMask, getUserId, createUser, verifyUser,
+    walletEvents,
 } from './auth';
-import { ValidationError } from './errors';
+import { ValidationError, RateLimitError } from './errors';
 
 const params = new URLSearchParams(window.location.search);
 
@@ -16,6 +17,9 @@ const showError = document.getElementById('showError');
 const walletInfoBlock = document.getElementById('walletInfoBlock');
 const showConnectedAccount = document.getElementById('showConnectedAccount');
 const showUserId = document.getElementById('showUserId');
+const ensBlock = document.getElementById('ensBlock');
+const showEnsName = document.getElementById('showEnsName');
+const showEnsAvatar = document.getElementById('showEnsAvatar');
 
 const loginBlock = document.getElementById('loginBlock');
 const loginButton = document.getElementById('loginButton');
@@ -24,6 +28,32 @@ const createUserButton = document.getElementById('createUserButton');
 const verifyUserBlock = document.getElementById('verifyUserBlock');
 const verifyUserButton = document.getElementById('verifyUserButton');
 
+/* eslint-disable no-param-reassign */
+/**
+ * Disable a button until the retry time of a rate limit error, counting down on the button
+ * @param {HTMLButtonElement} button
+ * @param {RateLimitError} err
+ */
+function disableUntilRetry(button, err) {
+    const label = button.textContent;
+    let remaining = err.retryAfter;
+    const showRemaining = () => { button.textContent = `Try again in ${remaining}s`; };
+    button.disabled = true;
+    showRemaining();
+    const timer = setInterval(() => {
+        remaining -= 1;
+        if (remaining > 0) {
+            showRemaining();
+            return;
+        }
+        clearInterval(timer);
+        button.disabled = false;
+        button.textContent = label;
+        errorBlock.style.display = 'none';
+    }, 1000);
+}
+/* eslint-enable no-param-reassign */
+
 /**
  * Install MetaMask using MetaMask onboarding library
  */
@@ -57,11 +87,22 @@ reloadButton.onclick = () => {
     window.location.reload();
 };
 
+/**
+ * Hide the wallet and user blocks before showing the blocks for the connected wallet
+ */
+function hideDisplayBlocks() {
+    [metamaskConnectBlock, walletInfoBlock, ensBlock, loginBlock, createUserBlock, verifyUserBlock].forEach((block) => {
+        block.style.display = 'none'; // eslint-disable-line no-param-reassign
+    });
+}
+
 /**
  * Connect MetaMask Wallet and Display result
  */
 async function refreshDisplayBlocks() {
     try {
+        hideDisplayBlocks();
+
         // Check metamask install
         if (!isMetaMaskInstalled()) {
             metamaskInstallBlock.style.display = 'block';
@@ -83,8 +124,14 @@ async function refreshDisplayBlocks() {
 
         // Get the UserId from the API
         try {
-            const { userId, verified } = await getUserId({ walletId });
+            const {
+                userId, verified, ensName, ensAvatar,
+            } = await getUserId({ walletId });
             showUserId.textContent = (verified) ? userId : `${userId} (Verify to continue)`;
+            ensBlock.style.display = (ensName) ? 'block' : 'none';
+            showEnsName.textContent = ensName;
+            showEnsAvatar.src = ensAvatar;
+            showEnsAvatar.style.display = (ensAvatar) ? 'inline' : 'none';
             loginBlock.style.display = (verified) ? 'block' : 'none';
             verifyUserBlock.style.display = (verified) ? 'none' : 'block';
         } catch (err) {
@@ -100,6 +147,33 @@ async function refreshDisplayBlocks() {
     }
 }
 
+/**
+ * Show the blocks for the account selected in MetaMask
+ */
+walletEvents.addEventListener('accountsChanged', async ({ detail: { walletId } }) => {
+    try {
+        errorBlock.style.display = 'none';
+        if (!walletId) {
+            // MetaMask is locked or the site was disconnected, connect again to continue
+            hideDisplayBlocks();
+            metamaskConnectBlock.style.display = 'block';
+            return;
+        }
+        await refreshDisplayBlocks();
+    } catch (err) {
+        errorBlock.style.display = 'block';
+        showError.textContent = err.message;
+    }
+});
+
+/**
+ * Show the MetaMask connection error
+ */
+walletEvents.addEventListener('disconnect', ({ detail: { message } }) => {
+    errorBlock.style.display = 'block';
+    showError.textContent = message;
+});
+
 /**
  * Connect MetaMask wallet Button Handler
  */
@@ -129,6 +203,7 @@ loginButton.onclick = async () => {
         err.message = (err.message) || 'Internal error on login';
         errorBlock.style.display = 'block';
         showError.textContent = err.message;
+        if (err instanceof RateLimitError) { disableUntilRetry(loginButton, err); }
         throw err;
     }
 };
@@ -156,6 +231,7 @@ createUserButton.onclick = async () => {
         err.message = (err.message) || 'Internal error on create user';
         errorBlock.style.display = 'block';
         showError.textContent = err.message;
+        if (err instanceof RateLimitError) { disableUntilRetry(createUserButton, err); }
         throw err;
     }
 };
@@ -176,6 +252,7 @@ verifyUserButton.onclick = async () => {
         err.message = (err.message) || 'Internal error on create user';
         errorBlock.style.display = 'block';
         showError.textContent = err.message;
+        if (err instanceof RateLimitError) { disableUntilRetry(verifyUserButton, err); }
         throw err;
     }
 };
@@ -0,0 +1,166 @@
+/**
+ * Helpers for calling the Lambda functions like API Gateway does
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createWallet } = require('./wallets');
+
+const lambdaDir = path.join(__dirname, '../src/lambda');
+
+/**
+ * Get the handler for a Lambda function
+ * @param {string} name - function directory in src/lambda
+ * @returns {function} handler
+ */
+function getHandler(name) {
+    // eslint-disable-next-line import/no-dynamic-require, global-require
+    return require(path.join(lambdaDir, name)).handler;
+}
+
+/**
+ * Get the utils module used by the functions
+ * @returns {object} metamask-auth-utils
+ */
+function getUtils() {
+    // eslint-disable-next-line global-require
+    return require('../src/lambda/utils-module');
+}
+
+/**
+ * Request context from the API Gateway request templates.
+ * Each request has a random source IP so the per IP sign in limits do not carry over between tests.
+ * @param {object} [values] - authorizer values, eg. userId and isAdmin
+ * @returns {object} context
+ */
+function requestContext(values = {}) {
+    return {
+        requestId: `test-${crypto.randomBytes(4).toString('hex')}`,
+        sourceIp: `10.${[...crypto.randomBytes(3)].join('.')}`,
+        resourcePath: '/test',
+        ...values,
+    };
+}
+
+// Integration error responses from the stack, in order
+const stackSource = fs.readFileSync(path.join(__dirname, '../src/app-stack.ts'), 'utf8');
+const errorResponses = [...stackSource.matchAll(/selectionPattern: '([^']+)',\s*statusCode: '(\d+)'/g)]
+    .map(([, pattern, statusCode]) => ({
+        selectionPattern: new RegExp(`^${pattern.replace(/\\\\/g, '\\')}$`),
+        statusCode: Number(statusCode),
+    }));
+
+/**
+ * Get the status code API Gateway returns for a Lambda error, using the stack selection patterns
+ * @param {Error} err
+ * @returns {number} status code, 200 if no pattern matches
+ */
+function getStatusCode(err) {
+    const match = errorResponses.find(({ selectionPattern }) => selectionPattern.test(err.message));
+    return (match) ? match.statusCode : 200;
+}
+
+/**
+ * Check a handler call fails with an ApiError mapped to the status code
+ * @param {Promise} request - handler call
+ * @param {number} statusCode
+ * @param {string|RegExp} [message]
+ * @returns {Promise<object>} the error body
+ */
+async function expectApiError(request, statusCode, message) {
+    const err = await request.then(() => null, (error) => error);
+    expect(err).toBeInstanceOf(Error);
+    expect(err.name).toBe('ApiError');
+    expect(getStatusCode(err)).toBe(statusCode);
+    const body = JSON.parse(err.message);
+    if (message) { expect(body.message).toMatch(message); }
+    return body;
+}
+
+/**
+ * Create a user, and verify it unless verify is false
+ * @param {object} [params]
+ * @param {{wallet, walletId}} [params.account] - wallet from createWallet, a new wallet by default
+ * @param {boolean} [params.verify = true]
+ * @returns {Promise<{wallet, walletId: string, userId: string}>}
+ */
+async function createUser({ account = createWallet(), verify = true } = {}) {
+    const { wallet, walletId } = account;
+    const createUserFnc = getHandler('create-user');
+    const created = await createUserFnc({ params: { walletId, body: {} }, context: requestContext() });
+    if (verify) {
+        const signature = await wallet.signMessage(created.nonce);
+        await createUserFnc({ params: { walletId, body: { verify: true, signature, message: created.nonce } }, context: requestContext() });
+    }
+    return { wallet, walletId, userId: created.userId };
+}
+
+/**
+ * Get the Sign-In with Ethereum message for a wallet
+ * @param {string} walletId
+ * @param {string} [chainId] - the chain the wallet is on
+ * @returns {Promise<string>} message
+ */
+async function getLoginMessage(walletId, chainId = '') {
+    const { nonce } = await getHandler('get-nonce')({
+        params: {
+            walletId, login: 'true', origin: 'https://web.example.com', chainId,
+        },
+        context: requestContext(),
+    });
+    return nonce;
+}
+
+/**
+ * Login with a wallet
+ * @param {{wallet, walletId}} account
+ * @param {string} [chainId] - the chain the wallet is on
+ * @returns {Promise<{userId: string, authToken: string, cookie: string, chainId: number}>} login result
+ */
+async function login({ wallet, walletId }, chainId = '') {
+    const message = await getLoginMessage(walletId, chainId);
+    const signature = await wallet.signMessage(message);
+    return getHandler('login')({ params: { walletId, message, signature }, context: requestContext() });
+}
+
+/**
+ * Get the Cookie request header for a Set-Cookie value
+ * @param {string} setCookie
+ * @returns {string} cookie header
+ */
+function cookieHeader(setCookie) {
+    return setCookie.split(';')[0];
+}
+
+/**
+ * Sign a token with the test signing key, for tokens the API would not issue
+ * @param {object} payload
+ * @param {object} [header]
+ * @returns {Promise<string>} JWT
+ */
+async function signTestToken(payload, header = {}) {
+    const { tokenSigner } = getUtils();
+    const [{ key }] = JSON.parse(process.env.SIGNING_KEYS);
+    const signer = tokenSigner.createLocalSigner({ key, alg: 'PS256' });
+    const { jwk } = await signer.getPublicKey();
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode({
+        alg: 'PS256', typ: 'JWT', kid: jwk.kid, ...header,
+    })}.${encode(payload)}`;
+    const signature = await signer.sign(Buffer.from(unsigned));
+    return `${unsigned}.${signature.toString('base64url')}`;
+}
+
+module.exports = {
+    getHandler,
+    getUtils,
+    requestContext,
+    errorResponses,
+    getStatusCode,
+    expectApiError,
+    createUser,
+    getLoginMessage,
+    login,
+    cookieHeader,
+    signTestToken,
+};
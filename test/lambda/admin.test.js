@@ -0,0 +1,140 @@
+const { adminWallet, createWallet } = require('../wallets');
+const {
+    getHandler, requestContext, expectApiError, createUser, getLoginMessage, login, cookieHeader,
+} = require('../helpers');
+
+let admin;
+
+beforeAll(async () => {
+    admin = await createUser({ account: { wallet: adminWallet, walletId: adminWallet.address.toLowerCase() } });
+});
+
+const adminContext = () => requestContext({ userId: admin.userId, isAdmin: 'true' });
+
+describe('admin access', () => {
+    test('configured admin wallets get the admin claim at login', async () => {
+        const { authToken } = await login(admin);
+        const policy = await getHandler('authorizer')({ type: 'TOKEN', authorizationToken: authToken, methodArn: 'arn' });
+        expect(policy.context.isAdmin).toBe(true);
+    });
+
+    test.each([
+        'admin-list-users', 'admin-get-user', 'admin-set-role', 'admin-disable-user', 'admin-audit-events',
+    ])('%s rejects users without the admin claim with 403', async (name) => {
+        const { userId } = await createUser();
+        await expectApiError(getHandler(name)({
+            params: { userId, body: { role: 'admin', disabled: true } },
+            context: requestContext({ userId, isAdmin: 'false' }),
+        }), 403, /Admin access required/);
+    });
+
+    test('rejects an admin claim for a user without the admin role with 403', async () => {
+        const { userId } = await createUser();
+        await expectApiError(getHandler('admin-list-users')({ params: {}, context: requestContext({ userId, isAdmin: 'true' }) }), 403);
+    });
+});
+
+describe('admin-list-users', () => {
+    test('finds a user by wallet', async () => {
+        const { walletId, userId } = await createUser();
+        const { users } = await getHandler('admin-list-users')({ params: { query: walletId }, context: adminContext() });
+        expect(users).toEqual([expect.objectContaining({ userId, walletId, role: 'user' })]);
+        expect(users[0]).not.toHaveProperty('nonce');
+    });
+
+    test('pages through users', async () => {
+        await Promise.all([createUser(), createUser(), createUser()]);
+        const first = await getHandler('admin-list-users')({ params: { limit: '2' }, context: adminContext() });
+        expect(first.users).toHaveLength(2);
+        expect(first.nextToken).toBeTruthy();
+        const second = await getHandler('admin-list-users')({ params: { limit: '2', next: first.nextToken }, context: adminContext() });
+        expect(second.users.map(({ userId }) => userId)).not.toContain(first.users[0].userId);
+    });
+});
+
+describe('admin-get-user', () => {
+    test('returns the user and wallets', async () => {
+        const { walletId, userId } = await createUser();
+        const { user } = await getHandler('admin-get-user')({ params: { userId }, context: adminContext() });
+        expect(user).toMatchObject({ userId, walletId, wallets: [expect.objectContaining({ walletId, primary: true })] });
+    });
+
+    test('rejects an unknown user with 400', async () => {
+        await expectApiError(getHandler('admin-get-user')({ params: { userId: 'UNKNOWN' }, context: adminContext() }), 400);
+    });
+});
+
+describe('admin-set-role', () => {
+    test('the new role is in the next auth token', async () => {
+        const account = await createUser();
+        await getHandler('admin-set-role')({ params: { userId: account.userId, body: { role: 'admin' } }, context: adminContext() });
+        const { authToken } = await login(account);
+        const policy = await getHandler('authorizer')({ type: 'TOKEN', authorizationToken: authToken, methodArn: 'arn' });
+        expect(policy.context.isAdmin).toBe(true);
+    });
+
+    test('rejects an unknown role with 400', async () => {
+        const { userId } = await createUser();
+        await expectApiError(getHandler('admin-set-role')({ params: { userId, body: { role: 'owner' } }, context: adminContext() }), 400);
+    });
+
+    test('admins cannot change their own role', async () => {
+        await expectApiError(getHandler('admin-set-role')({
+            params: { userId: admin.userId, body: { role: 'user' } }, context: adminContext(),
+        }), 400);
+    });
+});
+
+describe('admin-disable-user', () => {
+    test('disabled users cannot refresh or login', async () => {
+        const account = await createUser();
+        const { cookie } = await login(account);
+        const { user } = await getHandler('admin-disable-user')({ params: { userId: account.userId, body: { disabled: true } }, context: adminContext() });
+        expect(user).toMatchObject({ disabled: true, revoked: 1 });
+        await expectApiError(getHandler('refresh-token')({ params: { cookie: cookieHeader(cookie) }, context: requestContext() }), 401);
+        await expectApiError(login(account), 403, /disabled/);
+    });
+
+    test('enabled users can login again', async () => {
+        const account = await createUser();
+        const disable = (disabled) => getHandler('admin-disable-user')({ params: { userId: account.userId, body: { disabled } }, context: adminContext() });
+        await disable(true);
+        await disable(false);
+        expect((await login(account)).success).toBe(true);
+    });
+
+    test('rejects a missing disabled value with 400', async () => {
+        const { userId } = await createUser();
+        await expectApiError(getHandler('admin-disable-user')({ params: { userId, body: {} }, context: adminContext() }), 400);
+    });
+});
+
+describe('admin-audit-events', () => {
+    const handler = getHandler('admin-audit-events');
+
+    test('returns the authentication events for a user, newest first', async () => {
+        const account = await createUser();
+        const { wallet: other } = createWallet();
+        const message = await getLoginMessage(account.walletId);
+        await expectApiError(getHandler('login')({
+            params: { walletId: account.walletId, message, signature: await other.signMessage(message) },
+            context: requestContext({ sourceIp: '10.0.0.9' }),
+        }), 401);
+        const { cookie } = await login(account);
+        await getHandler('logout')({ params: { cookie: cookieHeader(cookie) }, context: requestContext() });
+
+        const { events } = await handler({ params: { walletId: account.walletId, limit: '100', verify: 'true' }, context: adminContext() });
+        expect(events.map(({ type, result }) => `${type} ${result}`)).toEqual([
+            'login success', 'login failure', 'verify-user success', 'create-user success',
+        ]);
+        expect(events[1]).toMatchObject({ sourceIp: '10.0.0.9', reason: expect.stringContaining('Invalid signature') });
+        expect(events.every(({ integrity }) => integrity === 'valid')).toBe(true);
+
+        const { events: userEvents } = await handler({ params: { userId: account.userId, type: 'logout', limit: '100' }, context: adminContext() });
+        expect(userEvents).toEqual([expect.objectContaining({ type: 'logout', result: 'success', userId: account.userId })]);
+    });
+
+    test('rejects a query without a filter with 400', async () => {
+        await expectApiError(handler({ params: {}, context: adminContext() }), 400, /Filter by userId, walletId or type/);
+    });
+});
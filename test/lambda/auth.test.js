@@ -0,0 +1,598 @@
+const {
+    createWallet, adminWallet, createFakeProvider, createFakeTokenProvider, createFakeEnsProvider,
+} = require('../wallets');
+const {
+    getHandler, getUtils, requestContext, getStatusCode, expectApiError, createUser, getLoginMessage, login, cookieHeader,
+} = require('../helpers');
+
+const signPrefix = process.env.SIGN_PREFIX;
+const methodArn = (method, path) => `${process.env.API_STAGE_ARN}/${method}${path}`;
+
+describe('create-user', () => {
+    const handler = getHandler('create-user');
+
+    test('creates a user and returns the message to verify', async () => {
+        const { walletId } = createWallet();
+        const context = requestContext();
+        const result = await handler({ params: { walletId, body: {} }, context });
+        expect(result).toMatchObject({ success: true, walletId, requestId: context.requestId });
+        expect(result.nonce.startsWith(signPrefix)).toBe(true);
+    });
+
+    test('verifies the user with a signature', async () => {
+        const { wallet, walletId } = createWallet();
+        const { nonce } = await handler({ params: { walletId, body: {} }, context: requestContext() });
+        const signature = await wallet.signMessage(nonce);
+        const result = await handler({ params: { walletId, body: { verify: true, signature, message: nonce } }, context: requestContext() });
+        expect(result.success).toBe(true);
+        const user = await getHandler('get-user')({ params: { walletId }, context: requestContext() });
+        expect(user.verified).toBe(true);
+    });
+
+    test('rejects an invalid signature with 400', async () => {
+        const { walletId } = createWallet();
+        const { wallet: other } = createWallet();
+        const { nonce } = await handler({ params: { walletId, body: {} }, context: requestContext() });
+        const signature = await other.signMessage(nonce);
+        await expectApiError(handler({ params: { walletId, body: { verify: true, signature, message: nonce } }, context: requestContext() }), 400, /verification failed/);
+    });
+
+    test('verify requests without a checked signature do not count against the wallet', async () => {
+        const { wallet, walletId } = createWallet();
+        const { nonce } = await handler({ params: { walletId, body: {} }, context: requestContext() });
+        const bodies = [
+            { verify: true, signature: '0x1', message: 'not a verify message' },
+            { verify: true, signature: '0x1', message: `${signPrefix}unknown` },
+            { verify: true, message: nonce },
+        ];
+        for (let i = 0; i < 6; i += 1) {
+            // eslint-disable-next-line no-await-in-loop
+            await expectApiError(handler({ params: { walletId, body: bodies[i % bodies.length] }, context: requestContext() }), 400);
+        }
+        const signature = await wallet.signMessage(nonce);
+        expect(await handler({ params: { walletId, body: { verify: true, signature, message: nonce } }, context: requestContext() })).toMatchObject({ success: true });
+    });
+
+    test('invalid verify signatures lock the wallet out with 429', async () => {
+        const { wallet, walletId } = createWallet();
+        const { wallet: other } = createWallet();
+        const { nonce } = await handler({ params: { walletId, body: {} }, context: requestContext() });
+        const badSignature = await other.signMessage(nonce);
+        for (let i = 0; i < 5; i += 1) {
+            // eslint-disable-next-line no-await-in-loop
+            await expectApiError(handler({ params: { walletId, body: { verify: true, signature: badSignature, message: nonce } }, context: requestContext() }), 400);
+        }
+        const signature = await wallet.signMessage(nonce);
+        await expectApiError(handler({ params: { walletId, body: { verify: true, signature, message: nonce } }, context: requestContext() }), 429);
+    });
+
+    test('rejects a used verify challenge with 400 and an error code', async () => {
+        const { wallet, walletId } = createWallet();
+        const { nonce } = await handler({ params: { walletId, body: {} }, context: requestContext() });
+        const body = { verify: true, signature: await wallet.signMessage(nonce), message: nonce };
+        await handler({ params: { walletId, body }, context: requestContext() });
+        const error = await expectApiError(handler({ params: { walletId, body }, context: requestContext() }), 400, /already been used/);
+        expect(error.errorCode).toBe('CHALLENGE_USED');
+    });
+
+    test('rejects an existing wallet with 400', async () => {
+        const { walletId } = await createUser();
+        await expectApiError(handler({ params: { walletId, body: {} }, context: requestContext() }), 400, /existing user/);
+    });
+
+    test('limits new users from an IP address with 429', async () => {
+        const context = requestContext();
+        for (let i = 0; i < 10; i += 1) {
+            // eslint-disable-next-line no-await-in-loop
+            await handler({ params: { walletId: createWallet().walletId, body: {} }, context });
+        }
+        const error = await expectApiError(handler({ params: { walletId: createWallet().walletId, body: {} }, context }), 429, /Too many new users/);
+        expect(error).toMatchObject({ errorCode: 'USER_LIMIT', retryAfter: expect.stringMatching(/^\d+$/) });
+        // Verification is not limited
+        const { wallet, walletId } = createWallet();
+        const { nonce } = await handler({ params: { walletId, body: {} }, context: requestContext() });
+        const signature = await wallet.signMessage(nonce);
+        expect(await handler({ params: { walletId, body: { verify: true, signature, message: nonce } }, context })).toMatchObject({ success: true });
+    });
+
+    test('rejects a missing walletId with 400', async () => {
+        await expectApiError(handler({ params: { walletId: '', body: {} }, context: requestContext() }), 400, /Missing walletId/);
+    });
+
+    test('errors include the request Id', async () => {
+        const context = requestContext();
+        const body = await expectApiError(handler({ params: { walletId: '', body: {} }, context }), 400);
+        expect(body.requestId).toBe(context.requestId);
+    });
+});
+
+describe('get-user', () => {
+    const handler = getHandler('get-user');
+
+    test('returns the user for a wallet', async () => {
+        const { walletId, userId } = await createUser({ verify: false });
+        expect(await handler({ params: { walletId }, context: requestContext() })).toMatchObject({
+            success: true, walletId, userId, verified: false,
+        });
+    });
+
+    test('rejects an unknown wallet with 400', async () => {
+        const { walletId } = createWallet();
+        await expectApiError(handler({ params: { walletId }, context: requestContext() }), 400, /create a new user/);
+    });
+});
+
+describe('get-nonce', () => {
+    const handler = getHandler('get-nonce');
+
+    test('returns the sign prefix and nonce', async () => {
+        const { walletId, userId } = await createUser();
+        const result = await handler({ params: { walletId }, context: requestContext() });
+        expect(result).toMatchObject({
+            success: true, isLogin: false, userId, verified: true,
+        });
+        expect(result.nonce.startsWith(signPrefix)).toBe(true);
+    });
+
+    test('returns a Sign-In with Ethereum message for login', async () => {
+        const { walletId } = await createUser();
+        const result = await handler({ params: { walletId, login: 'true', origin: 'http://localhost:1234' }, context: requestContext() });
+        expect(result.isLogin).toBe(true);
+        expect(result.siwe).toMatchObject({ domain: 'localhost:1234', chainId: 1 });
+        expect(result.nonce).toBe(getUtils().web3Utils.createSiweMessage(result.siwe));
+    });
+
+    test('returns a login message for the wallet chain if it is supported', async () => {
+        const { walletId } = await createUser();
+        const result = await handler({ params: { walletId, login: 'true', chainId: '10' }, context: requestContext() });
+        expect(result).toMatchObject({ siwe: { chainId: 10 }, chainIds: [1, 10] });
+        const other = await handler({ params: { walletId, login: 'true', chainId: '5' }, context: requestContext() });
+        expect(other.siwe.chainId).toBe(1);
+    });
+
+    test('rejects typed data for an unsupported chain with 400', async () => {
+        const { walletId } = await createUser();
+        await expectApiError(handler({ params: { walletId, action: 'test/write', chainId: '5' }, context: requestContext() }), 400, /Chain ID 5 is not supported/);
+    });
+
+    test('returns typed data for signed actions', async () => {
+        const { walletId } = await createUser();
+        const { typedAction } = await handler({ params: { walletId, action: 'test/write' }, context: requestContext() });
+        expect(typedAction).toMatchObject({ primaryType: 'WriteRequest', message: { route: 'test/write', bodyHash: '' } });
+    });
+
+    test('returns a new verify challenge for each request', async () => {
+        const { walletId } = await createUser({ verify: false });
+        const first = await handler({ params: { walletId, verify: 'true' }, context: requestContext() });
+        const second = await handler({ params: { walletId, verify: 'true' }, context: requestContext() });
+        expect(first.nonce.startsWith(signPrefix)).toBe(true);
+        expect(first.nonce).not.toBe(second.nonce);
+        expect(Date.parse(first.expiresAt)).toBeGreaterThan(Date.now());
+    });
+
+    test('returns the link message to link a wallet', async () => {
+        const { walletId } = await createUser();
+        const { walletId: linkWalletId } = createWallet();
+        const { nonce } = await handler({ params: { walletId, link: linkWalletId }, context: requestContext() });
+        expect(nonce).toContain(linkWalletId);
+    });
+
+    test('rejects an unknown action with 400', async () => {
+        const { walletId } = await createUser();
+        await expectApiError(handler({ params: { walletId, action: 'test/delete' }, context: requestContext() }), 400, /No typed action schema/);
+    });
+});
+
+describe('login', () => {
+    const handler = getHandler('login');
+
+    test('returns an auth token and refresh cookie', async () => {
+        const account = await createUser();
+        const result = await login(account);
+        expect(result).toMatchObject({ success: true, userId: account.userId });
+        const { data } = await getUtils().jwtUtils.validateAuthToken({ token: result.authToken });
+        expect(data).toMatchObject({ sub: account.userId, admin: false });
+        expect(result.cookie).toMatch(/^token=.+; HttpOnly; Secure; SameSite=Strict$/);
+    });
+
+    test('adds the signing chain to the auth token', async () => {
+        const account = await createUser();
+        const result = await login(account, '10');
+        expect(result.chainId).toBe(10);
+        const { data } = await getUtils().jwtUtils.validateAuthToken({ token: result.authToken });
+        expect(data.chainId).toBe(10);
+    });
+
+    test('does not log the tokens', async () => {
+        const account = await createUser();
+        console.log.mockClear();
+        const result = await login(account);
+        const logs = console.log.mock.calls.map(([line]) => line).join('\n');
+        expect(logs).toContain(account.userId);
+        expect(logs).not.toContain(result.authToken);
+        expect(logs).not.toContain(result.cookie.split(';')[0].slice('token='.length));
+    });
+
+    test('rejects an invalid signature with 401', async () => {
+        const { walletId } = await createUser();
+        const { wallet: other } = createWallet();
+        const message = await getLoginMessage(walletId);
+        const signature = await other.signMessage(message);
+        await expectApiError(handler({ params: { walletId, message, signature }, context: requestContext() }), 401, /Invalid signature/);
+    });
+
+    test('rejects a replayed login with 401', async () => {
+        const { wallet, walletId } = await createUser();
+        const message = await getLoginMessage(walletId);
+        const signature = await wallet.signMessage(message);
+        await handler({ params: { walletId, message, signature }, context: requestContext() });
+        const error = await expectApiError(handler({ params: { walletId, message, signature }, context: requestContext() }), 401, /already been used/);
+        expect(error.errorCode).toBe('CHALLENGE_USED');
+    });
+
+    test('accepts any outstanding login challenge', async () => {
+        const { wallet, walletId, userId } = await createUser();
+        const first = await getLoginMessage(walletId);
+        const second = await getLoginMessage(walletId);
+        const login1 = await handler({ params: { walletId, message: first, signature: await wallet.signMessage(first) }, context: requestContext() });
+        const login2 = await handler({ params: { walletId, message: second, signature: await wallet.signMessage(second) }, context: requestContext() });
+        expect([login1.userId, login2.userId]).toEqual([userId, userId]);
+    });
+
+    test('rejects an expired login challenge with 401 and an error code', async () => {
+        const { wallet, walletId } = await createUser();
+        const message = await getLoginMessage(walletId);
+        const signature = await wallet.signMessage(message);
+        const dateNow = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + (6 * 60 * 1000));
+        const error = await expectApiError(handler({ params: { walletId, message, signature }, context: requestContext() }), 401, /expired/);
+        dateNow.mockRestore();
+        expect(error.errorCode).toBe('CHALLENGE_EXPIRED');
+    });
+
+    test('rejects a login challenge issued to another wallet with 401', async () => {
+        const { wallet, walletId } = await createUser();
+        const other = await createUser();
+        const message = await getLoginMessage(other.walletId);
+        const signature = await wallet.signMessage(message);
+        const error = await expectApiError(handler({ params: { walletId, message, signature }, context: requestContext() }), 401);
+        expect(error.errorCode).toBe('CHALLENGE_NOT_FOUND');
+    });
+
+    test('smart contract wallets login with ERC-1271 signatures', async () => {
+        const provider = createFakeProvider();
+        getUtils().web3Utils.setRpcProvider(provider);
+        const { owner, walletId } = provider.addWallet();
+        // The contract wallet owner signs for the wallet
+        const account = await createUser({ account: { wallet: owner, walletId } });
+        expect(await login(account)).toMatchObject({ success: true, userId: account.userId });
+        getUtils().web3Utils.setRpcProvider(null);
+    });
+
+    test('locks the wallet out with 429 after repeated failures', async () => {
+        const { wallet, walletId } = await createUser();
+        const { wallet: other } = createWallet();
+        const message = await getLoginMessage(walletId);
+        const badSignature = await other.signMessage(message);
+        for (let i = 0; i < 5; i += 1) {
+            // eslint-disable-next-line no-await-in-loop
+            await expectApiError(handler({ params: { walletId, message, signature: badSignature }, context: requestContext() }), 401, /Invalid signature/);
+        }
+        // The lockout applies from any IP address, even with a valid signature
+        const signature = await wallet.signMessage(message);
+        const error = await expectApiError(handler({ params: { walletId, message, signature }, context: requestContext() }), 429, /try again in 30 seconds/);
+        expect(error).toMatchObject({ errorCode: 'SIGN_IN_LOCKED', retryAfter: '30' });
+
+        // Login succeeds after the lockout, and clears the failures
+        const dateNow = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + (31 * 1000));
+        expect(await handler({ params: { walletId, message, signature }, context: requestContext() })).toMatchObject({ success: true });
+        dateNow.mockRestore();
+        await expectApiError(handler({ params: { walletId, message, signature: badSignature }, context: requestContext() }), 401);
+    });
+
+    test('malformed requests do not count against the wallet', async () => {
+        const { wallet, walletId } = await createUser();
+        const message = await getLoginMessage(walletId);
+        for (let i = 0; i < 6; i += 1) {
+            // eslint-disable-next-line no-await-in-loop
+            await expectApiError(handler({ params: { walletId, message: 'not a login message', signature: '0x1' }, context: requestContext() }), 401);
+        }
+        const signature = await wallet.signMessage(message);
+        expect(await handler({ params: { walletId, message, signature }, context: requestContext() })).toMatchObject({ success: true });
+    });
+
+    test('rejects unverified users with 401', async () => {
+        const account = await createUser({ verify: false });
+        await expectApiError(login(account), 401, /not verified/);
+    });
+
+    test('rejects a message for another domain with 401', async () => {
+        const { wallet, walletId } = await createUser();
+        const message = (await getLoginMessage(walletId)).replace(/web\.example\.com/g, 'evil.example.com');
+        const signature = await wallet.signMessage(message);
+        await expectApiError(handler({ params: { walletId, message, signature }, context: requestContext() }), 401, /domain is not allowed/);
+    });
+
+    test('rejects unknown wallets with 401', async () => {
+        const { wallet, walletId } = createWallet();
+        const message = 'web.example.com wants you to sign in with your Ethereum account:';
+        const signature = await wallet.signMessage(message);
+        await expectApiError(handler({ params: { walletId, message, signature }, context: requestContext() }), 401, /create a new user/);
+    });
+
+    test.each(['walletId', 'message', 'signature'])('rejects a missing %s with 401', async (name) => {
+        const params = {
+            walletId: '0x1', message: 'message', signature: '0x1', [name]: '',
+        };
+        await expectApiError(handler({ params, context: requestContext() }), 401, `Missing ${name}`);
+    });
+});
+
+describe('refresh-token', () => {
+    const handler = getHandler('refresh-token');
+
+    test('returns a new auth token and rotates the cookie', async () => {
+        const account = await createUser();
+        const { cookie } = await login(account);
+        const result = await handler({ params: { cookie: cookieHeader(cookie) }, context: requestContext() });
+        expect(result).toMatchObject({ success: true, userId: account.userId });
+        expect(result.cookie).not.toBe(cookie);
+        const { data } = await getUtils().jwtUtils.validateAuthToken({ token: result.authToken });
+        expect(data.sub).toBe(account.userId);
+    });
+
+    test('keeps the session chain', async () => {
+        const { cookie } = await login(await createUser(), '10');
+        const result = await handler({ params: { cookie: cookieHeader(cookie) }, context: requestContext() });
+        expect(result.chainId).toBe(10);
+        const { data } = await getUtils().jwtUtils.validateAuthToken({ token: result.authToken });
+        expect(data.chainId).toBe(10);
+    });
+
+    test('rejects a reused cookie with 401', async () => {
+        const { cookie } = await login(await createUser());
+        await handler({ params: { cookie: cookieHeader(cookie) }, context: requestContext() });
+        await expectApiError(handler({ params: { cookie: cookieHeader(cookie) }, context: requestContext() }), 401);
+    });
+
+    test('rejects an auth token with 401', async () => {
+        const { authToken } = await login(await createUser());
+        await expectApiError(handler({ params: { cookie: `token=${authToken}` }, context: requestContext() }), 401, /Invalid refresh token/);
+    });
+
+    test('rejects a missing cookie with 401', async () => {
+        await expectApiError(handler({ params: { cookie: '' }, context: requestContext() }), 401, /Missing cookie/);
+    });
+});
+
+describe('logout', () => {
+    const handler = getHandler('logout');
+
+    test('revokes the session and expires the cookie', async () => {
+        const { cookie } = await login(await createUser());
+        const result = await handler({ params: { cookie: cookieHeader(cookie) }, context: requestContext() });
+        expect(result).toMatchObject({ success: true, revoked: 1 });
+        expect(result.cookie).toMatch(/^token=logout; Max-Age=0;/);
+        await expectApiError(getHandler('refresh-token')({ params: { cookie: cookieHeader(cookie) }, context: requestContext() }), 401);
+    });
+
+    test('revokes every session for the user', async () => {
+        const account = await createUser();
+        const first = await login(account);
+        const second = await login(account);
+        const result = await handler({ params: { cookie: cookieHeader(second.cookie), all: 'true' }, context: requestContext() });
+        expect(result.revoked).toBe(2);
+        await expectApiError(getHandler('refresh-token')({ params: { cookie: cookieHeader(first.cookie) }, context: requestContext() }), 401);
+    });
+});
+
+describe('authorizer', () => {
+    const handler = getHandler('authorizer');
+    const authorize = (token) => handler({ type: 'TOKEN', authorizationToken: token, methodArn: methodArn('GET', '/test/read') });
+    const allows = (policy, method, path) => getUtils().authPolicy.isAllowedByPolicy(policy, methodArn(method, path));
+
+    test('allows a valid auth token', async () => {
+        const { userId, authToken } = await login(await createUser());
+        const policy = await authorize(authToken);
+        expect(policy).toMatchObject({ principalId: userId, context: { isAdmin: false, chainId: '1' } });
+        expect(policy.policyDocument.Statement[0].Effect).toBe('Allow');
+    });
+
+    test('adds the session chain to the context', async () => {
+        const { authToken } = await login(await createUser(), '10');
+        expect((await authorize(authToken)).context.chainId).toBe('10');
+    });
+
+    test('allows only the routes for the token scopes', async () => {
+        const { authToken } = await login(await createUser());
+        const policy = await authorize(authToken);
+        expect(allows(policy, 'GET', '/test/read')).toBe(true);
+        expect(allows(policy, 'POST', '/test/write')).toBe(true);
+        expect(allows(policy, 'GET', '/auth/get-user/0xabc')).toBe(true);
+        expect(allows(policy, 'GET', '/admin/users')).toBe(false);
+        expect(allows(policy, 'POST', '/admin/users/U1/role')).toBe(false);
+        expect(allows(policy, 'POST', '/test/read')).toBe(false);
+    });
+
+    test('allows the admin routes for admins', async () => {
+        const { authToken } = await login(await createUser({ account: { wallet: adminWallet, walletId: adminWallet.address.toLowerCase() } }));
+        const policy = await authorize(authToken);
+        expect(allows(policy, 'GET', '/admin/users')).toBe(true);
+        expect(allows(policy, 'POST', '/admin/users/U1/disable')).toBe(true);
+    });
+
+    test('the policy does not depend on the method ARN, so it can be cached', async () => {
+        const { authToken } = await login(await createUser());
+        const read = await handler({ type: 'TOKEN', authorizationToken: authToken, methodArn: methodArn('GET', '/test/read') });
+        const write = await handler({ type: 'TOKEN', authorizationToken: authToken, methodArn: methodArn('POST', '/test/write') });
+        expect(read).toEqual(write);
+    });
+
+    test('adds the scopes to the auth token', async () => {
+        const { authToken } = await login(await createUser());
+        const { data } = await getUtils().jwtUtils.validateAuthToken({ token: authToken });
+        expect(data.scope).toBe('read write');
+    });
+
+    test('denies a refresh token', async () => {
+        const { cookie } = await login(await createUser());
+        const policy = await authorize(getUtils().cookie.parse(cookie).token);
+        expect(policy.principalId).toBe('Unknown');
+        expect(policy.policyDocument.Statement[0].Effect).toBe('Deny');
+    });
+
+    test('denies an expired token', async () => {
+        const { authToken } = await login(await createUser());
+        const dateNow = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + (6 * 60 * 1000));
+        const policy = await authorize(authToken);
+        dateNow.mockRestore();
+        expect(policy.policyDocument.Statement[0].Effect).toBe('Deny');
+    });
+
+    test('denies an invalid token', async () => {
+        expect((await authorize('Bearer nonsense')).policyDocument.Statement[0].Effect).toBe('Deny');
+    });
+});
+
+describe('token gates', () => {
+    const authorize = async (token, method, path) => {
+        const policy = await getHandler('authorizer')({ type: 'TOKEN', authorizationToken: token, methodArn: methodArn(method, path) });
+        return (getUtils().authPolicy.isAllowedByPolicy(policy, methodArn(method, path))) ? 'Allow' : 'Deny';
+    };
+    let provider;
+    let token;
+
+    beforeEach(() => {
+        provider = createFakeTokenProvider();
+        token = provider.addToken('erc721');
+        getUtils().web3Utils.setRpcProvider(provider, 1);
+        getUtils().tokenGate.setTokenGates([{
+            name: 'members', routes: ['GET /test/read'], standard: 'erc721', contract: token.contract,
+        }]);
+    });
+
+    afterAll(() => {
+        getUtils().web3Utils.setRpcProvider(null, 1);
+        getUtils().tokenGate.setTokenGates([]);
+    });
+
+    test('adds the gates claim to the auth token at login', async () => {
+        const account = await createUser();
+        token.mint(account.walletId, '1');
+        const { authToken } = await login(account);
+        const { data } = await getUtils().jwtUtils.validateAuthToken({ token: authToken });
+        expect(data.gates).toEqual(['members']);
+    });
+
+    test('omits the gates claim if the user holds no tokens', async () => {
+        const { authToken } = await login(await createUser());
+        const { data } = await getUtils().jwtUtils.validateAuthToken({ token: authToken });
+        expect(data.gates).toBeUndefined();
+    });
+
+    test('the authorizer allows token holders on gated routes', async () => {
+        const account = await createUser();
+        token.mint(account.walletId, '1');
+        const { authToken } = await login(account);
+        expect(await authorize(authToken, 'GET', '/test/read')).toBe('Allow');
+    });
+
+    test('the authorizer denies gated routes without the token', async () => {
+        const { authToken } = await login(await createUser());
+        expect(await authorize(authToken, 'GET', '/test/read')).toBe('Deny');
+        expect(await authorize(authToken, 'POST', '/test/write')).toBe('Allow');
+    });
+
+    test('holdings are checked again on refresh', async () => {
+        const account = await createUser();
+        token.mint(account.walletId, '1');
+        const { cookie } = await login(account);
+        token.transfer(account.walletId, createWallet().walletId, '1');
+        // Clear the balance cache
+        getUtils().tokenGate.setTokenGates(getUtils().tokenGate.getTokenGates());
+        const { authToken } = await getHandler('refresh-token')({ params: { cookie: cookieHeader(cookie) }, context: requestContext() });
+        expect(await authorize(authToken, 'GET', '/test/read')).toBe('Deny');
+    });
+
+    test('login succeeds without gates if the provider fails', async () => {
+        const account = await createUser();
+        token.mint(account.walletId, '1');
+        provider.call = async () => { throw new Error('connection refused'); };
+        const { authToken } = await login(account);
+        expect(await authorize(authToken, 'GET', '/test/read')).toBe('Deny');
+    });
+});
+
+describe('ENS names', () => {
+    let provider;
+
+    beforeEach(() => {
+        provider = createFakeEnsProvider();
+        getUtils().ensLookup.setEnsProvider(provider);
+    });
+
+    afterAll(() => {
+        getUtils().ensLookup.setEnsProvider(null);
+    });
+
+    test('adds the verified name to the auth token at login', async () => {
+        const account = await createUser();
+        provider.setName(account.walletId, 'alice.eth', { avatar: 'https://example.com/alice.png' });
+        const { authToken } = await login(account);
+        const { data } = await getUtils().jwtUtils.validateAuthToken({ token: authToken });
+        expect(data.ens).toBe('alice.eth');
+    });
+
+    test('omits the claim if the name does not resolve to the wallet', async () => {
+        const account = await createUser();
+        provider.setName(account.walletId, 'vitalik.eth', { addr: createWallet().walletId });
+        const { authToken } = await login(account);
+        const { data } = await getUtils().jwtUtils.validateAuthToken({ token: authToken });
+        expect(data.ens).toBeUndefined();
+    });
+
+    test('get-user and get-nonce return the cached name and avatar', async () => {
+        const account = await createUser();
+        provider.setName(account.walletId, 'alice.eth', { avatar: 'https://example.com/alice.png' });
+        const { walletId } = account;
+        expect(await getHandler('get-user')({ params: { walletId }, context: requestContext() })).toMatchObject({ ensName: '', ensAvatar: '' });
+
+        await login(account);
+        const ens = { ensName: 'alice.eth', ensAvatar: 'https://example.com/alice.png' };
+        expect(await getHandler('get-user')({ params: { walletId }, context: requestContext() })).toMatchObject(ens);
+        expect(await getHandler('get-nonce')({ params: { walletId }, context: requestContext() })).toMatchObject(ens);
+    });
+
+    test('refresh uses the cached name without a lookup', async () => {
+        const account = await createUser();
+        provider.setName(account.walletId, 'alice.eth');
+        const { cookie } = await login(account);
+        const { calls } = provider;
+        const { authToken } = await getHandler('refresh-token')({ params: { cookie: cookieHeader(cookie) }, context: requestContext() });
+        const { data } = await getUtils().jwtUtils.validateAuthToken({ token: authToken });
+        expect(data.ens).toBe('alice.eth');
+        expect(provider.calls).toBe(calls);
+    });
+
+    test('login succeeds without the name if the provider fails', async () => {
+        const account = await createUser();
+        provider.call = async () => { throw new Error('connection refused'); };
+        const { authToken } = await login(account);
+        const { data } = await getUtils().jwtUtils.validateAuthToken({ token: authToken });
+        expect(data.ens).toBeUndefined();
+    });
+});
+
+describe('error responses', () => {
+    test('unexpected errors map to 500', async () => {
+        // A walletId that is not a string causes a TypeError in the utils module
+        const err = await getHandler('get-user')({ params: { walletId: {} }, context: requestContext() }).catch((error) => error);
+        expect(err.name).toBe('ApiError');
+        expect(getStatusCode(err)).toBe(500);
+    });
+
+    test('login validation errors map to 401, not 400', async () => {
+        const err = await getHandler('login')({ params: {}, context: requestContext() }).catch((error) => error);
+        expect(JSON.parse(err.message)).toMatchObject({ statusCode: 401, message: 'Validation Error: Missing walletId' });
+        expect(getStatusCode(err)).toBe(401);
+    });
+});
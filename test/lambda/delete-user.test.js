@@ -0,0 +1,143 @@
+const {
+    getHandler, getUtils, requestContext, expectApiError, createUser, login, cookieHeader,
+} = require('../helpers');
+
+/**
+ * Get the delete action from get-nonce and sign it for the userId, like the web client
+ */
+async function signDelete({ wallet, walletId }, data) {
+    const { typedAction } = await getHandler('get-nonce')({ params: { walletId, action: 'auth/delete-user' }, context: requestContext() });
+    const { EIP712Domain, ...types } = typedAction.types;
+    const message = { ...typedAction.message, bodyHash: getUtils().web3Utils.hashActionBody(data) };
+    const signature = await wallet._signTypedData(typedAction.domain, types, message); // eslint-disable-line no-underscore-dangle
+    return { signature, data, expiry: message.expiry };
+}
+
+describe('delete-user', () => {
+    const handler = getHandler('delete-user');
+    const { accountDeletion, auditLog, jwtUtils } = getUtils();
+
+    afterEach(() => {
+        accountDeletion.setDeletionPolicy({});
+    });
+
+    test('deletes the user, revokes the sessions and returns a signed receipt', async () => {
+        const account = await createUser();
+        const { cookie } = await login(account);
+        const body = await signDelete(account, { userId: account.userId });
+        const context = requestContext({ userId: account.userId });
+        const result = await handler({ params: { body }, context });
+
+        expect(result).toMatchObject({
+            success: true,
+            requestId: context.requestId,
+            receipt: {
+                userId: account.userId,
+                walletIds: [account.walletId.toLowerCase()],
+                sessionsRevoked: 1,
+                audit: { policy: 'anonymize', events: expect.any(Number) },
+            },
+        });
+        const { data } = await jwtUtils.verifyReceiptToken({ token: result.receiptToken });
+        expect(data).toMatchObject({ sub: account.userId, jti: result.receipt.receiptId, receipt: result.receipt });
+
+        // The user is gone and cannot refresh or login
+        await expectApiError(getHandler('get-user')({ params: { walletId: account.walletId }, context: requestContext() }), 400);
+        await expectApiError(getHandler('refresh-token')({ params: { cookie: cookieHeader(cookie) }, context: requestContext() }), 401);
+        await expectApiError(login(account), 400);
+    });
+
+    test('anonymizes the audit events of the user', async () => {
+        const account = await createUser();
+        await login(account);
+        const body = await signDelete(account, { userId: account.userId });
+        const { receipt } = await handler({ params: { body }, context: requestContext({ userId: account.userId }) });
+
+        expect(receipt.audit.events).toBeGreaterThanOrEqual(3);
+        expect((await auditLog.queryAuditEvents({ userId: account.userId })).events).toEqual([]);
+        expect((await auditLog.queryAuditEvents({ walletId: account.walletId })).events).toEqual([]);
+        const { events } = await auditLog.queryAuditEvents({ type: 'delete-user', verify: true });
+        const deleted = events.find(({ eventId }) => eventId === receipt.auditEventId);
+        expect(deleted).toMatchObject({ result: 'success', integrity: 'valid' });
+        expect(deleted.userId).toBeUndefined();
+    });
+
+    test('keeps the audit events with the keep policy', async () => {
+        accountDeletion.setDeletionPolicy({ audit: 'keep' });
+        const account = await createUser();
+        const body = await signDelete(account, { userId: account.userId });
+        const { receipt } = await handler({ params: { body }, context: requestContext({ userId: account.userId }) });
+
+        expect(receipt.audit).toEqual({ policy: 'keep', events: 0 });
+        const { events } = await auditLog.queryAuditEvents({ userId: account.userId });
+        expect(events.map(({ type }) => type)).toEqual(['delete-user', 'verify-user', 'create-user']);
+    });
+
+    test('the receipt is not accepted as an auth token', async () => {
+        const account = await createUser();
+        const body = await signDelete(account, { userId: account.userId });
+        const { receiptToken } = await handler({ params: { body }, context: requestContext({ userId: account.userId }) });
+        await expect(jwtUtils.validateAuthToken({ token: receiptToken })).rejects.toThrow('Invalid token type');
+    });
+
+    test('rejects a signature for another userId with 400', async () => {
+        const account = await createUser();
+        const other = await createUser();
+        const body = await signDelete(account, { userId: other.userId });
+        await expectApiError(handler({ params: { body }, context: requestContext({ userId: account.userId }) }), 400, /userId of the account/);
+    });
+
+    test('rejects a signature from another user with 400', async () => {
+        const account = await createUser();
+        const other = await createUser();
+        const body = await signDelete(other, { userId: account.userId });
+        await expectApiError(handler({ params: { body }, context: requestContext({ userId: account.userId }) }), 400);
+        expect((await getHandler('get-user')({ params: { walletId: account.walletId }, context: requestContext() })).userId).toBe(account.userId);
+    });
+
+    test('rejects a replayed signature with 400', async () => {
+        const account = await createUser();
+        const body = await signDelete(account, { userId: account.userId });
+        const context = requestContext({ userId: account.userId });
+        await handler({ params: { body }, context });
+        await expectApiError(handler({ params: { body }, context }), 400);
+    });
+
+    test('does not identify the user in a failure event unless the audit events are kept', async () => {
+        const account = await createUser();
+        const body = await signDelete(account, { userId: account.userId });
+        const context = requestContext({ userId: account.userId });
+        await handler({ params: { body }, context });
+        await expectApiError(handler({ params: { body: { ...body, walletId: account.walletId } }, context }), 400);
+
+        expect((await auditLog.queryAuditEvents({ userId: account.userId })).events).toEqual([]);
+        const { events } = await auditLog.queryAuditEvents({ type: 'delete-user' });
+        const failure = events.find(({ requestId, result }) => requestId === context.requestId && result === 'failure');
+        expect(failure).toBeDefined();
+        expect(failure.userId).toBeUndefined();
+        expect(failure.walletId).toBeUndefined();
+    });
+
+    test('rejects a write request signature with 400', async () => {
+        const account = await createUser();
+        const { typedAction } = await getHandler('get-nonce')({
+            params: { walletId: account.walletId, action: 'test/write' }, context: requestContext(),
+        });
+        const { EIP712Domain, ...types } = typedAction.types;
+        const data = { userId: account.userId };
+        const message = { ...typedAction.message, bodyHash: getUtils().web3Utils.hashActionBody(data) };
+        const signature = await account.wallet._signTypedData(typedAction.domain, types, message); // eslint-disable-line no-underscore-dangle
+        await expectApiError(handler({
+            params: { body: { signature, data, expiry: message.expiry } },
+            context: requestContext({ userId: account.userId }),
+        }), 400);
+    });
+
+    test.each(['signature', 'data', 'expiry'])('rejects a missing %s with 400', async (name) => {
+        const { userId } = await createUser();
+        const body = {
+            signature: '0x1', data: { userId }, expiry: 1, [name]: undefined,
+        };
+        await expectApiError(handler({ params: { body }, context: requestContext({ userId }) }), 400, `Missing ${name}`);
+    });
+});
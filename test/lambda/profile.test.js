@@ -0,0 +1,57 @@
+const {
+    getHandler, requestContext, expectApiError, createUser,
+} = require('../helpers');
+
+describe('get-profile', () => {
+    const handler = getHandler('get-profile');
+
+    test('returns an empty profile for a new user', async () => {
+        const { userId } = await createUser();
+        const context = requestContext({ userId });
+        expect(await handler({ context })).toEqual({
+            success: true, userId, profile: {}, updatedTime: '', requestId: context.requestId,
+        });
+    });
+
+    test('rejects requests without an authenticated user with 403', async () => {
+        await expectApiError(handler({ context: requestContext() }), 403);
+    });
+});
+
+describe('update-profile', () => {
+    const handler = getHandler('update-profile');
+
+    test('saves the profile and merges later updates', async () => {
+        const { userId } = await createUser();
+        const context = requestContext({ userId });
+        const profile = { displayName: 'Alice', avatarUrl: 'https://example.com/alice.png', preferences: { theme: 'dark' } };
+        const first = await handler({ params: { body: { profile } }, context });
+        expect(first).toMatchObject({ success: true, userId, profile });
+
+        const second = await handler({ params: { body: { profile: { avatarUrl: null, preferences: { locale: 'en-AU' } } } }, context });
+        expect(second.profile).toEqual({ displayName: 'Alice', preferences: { theme: 'dark', locale: 'en-AU' } });
+        expect(second.updatedTime >= first.updatedTime).toBe(true);
+        expect(await getHandler('get-profile')({ context })).toMatchObject({ profile: second.profile, updatedTime: second.updatedTime });
+    });
+
+    test('rejects invalid fields with 400', async () => {
+        const { userId } = await createUser();
+        await expectApiError(handler({
+            params: { body: { profile: { displayName: 'Alice', role: 'admin' } } },
+            context: requestContext({ userId }),
+        }), 400, /Unknown profile field role/);
+        await expectApiError(handler({
+            params: { body: { profile: { avatarUrl: 'http://example.com/alice.png' } } },
+            context: requestContext({ userId }),
+        }), 400, /https URL/);
+    });
+
+    test('rejects a missing profile with 400', async () => {
+        const { userId } = await createUser();
+        await expectApiError(handler({ params: { body: {} }, context: requestContext({ userId }) }), 400, /Missing profile/);
+    });
+
+    test('rejects requests without an authenticated user with 403', async () => {
+        await expectApiError(handler({ params: { body: { profile: {} } }, context: requestContext() }), 403);
+    });
+});
@@ -0,0 +1,102 @@
+const { createWallet } = require('../wallets');
+const {
+    getHandler, getUtils, requestContext, expectApiError, createUser,
+} = require('../helpers');
+
+/**
+ * Get the typed action from get-nonce and sign it for the request data, like the web client
+ */
+async function signWrite({ wallet, walletId }, data, chainId = '') {
+    const { typedAction } = await getHandler('get-nonce')({ params: { walletId, action: 'test/write', chainId }, context: requestContext() });
+    const { EIP712Domain, ...types } = typedAction.types;
+    const message = { ...typedAction.message, bodyHash: getUtils().web3Utils.hashActionBody(data) };
+    const signature = await wallet._signTypedData(typedAction.domain, types, message); // eslint-disable-line no-underscore-dangle
+    return { signature, data, expiry: message.expiry };
+}
+
+describe('test-api-read', () => {
+    test('returns the read message', async () => {
+        const context = requestContext({ userId: 'USER1' });
+        expect(await getHandler('test-api-read')({ context })).toEqual({
+            success: true, message: 'Succesful read request', requestId: context.requestId,
+        });
+    });
+});
+
+describe('test-api-write', () => {
+    const handler = getHandler('test-api-write');
+
+    test('accepts a typed data signature of the request', async () => {
+        const account = await createUser();
+        const body = await signWrite(account, { message: 'Hello' });
+        expect(await handler({ params: { body }, context: requestContext({ userId: account.userId }) })).toEqual({
+            success: true, message: 'Succesful write request',
+        });
+    });
+
+    test('accepts a signature on the session chain only', async () => {
+        const account = await createUser();
+        const body = await signWrite(account, { message: 'Hello' }, '10');
+        await expectApiError(handler({ params: { body }, context: requestContext({ userId: account.userId }) }), 400);
+        const signed = await signWrite(account, { message: 'Hello' }, '10');
+        expect(await handler({ params: { body: signed }, context: requestContext({ userId: account.userId, chainId: '10' }) })).toMatchObject({
+            success: true,
+        });
+    });
+
+    test('rejects a replayed signature with 400', async () => {
+        const account = await createUser();
+        const body = await signWrite(account, { message: 'Hello' });
+        const context = requestContext({ userId: account.userId });
+        await handler({ params: { body }, context });
+        await expectApiError(handler({ params: { body }, context }), 400);
+    });
+
+    test('rejects changed data with 400', async () => {
+        const account = await createUser();
+        const body = await signWrite(account, { message: 'Hello' });
+        await expectApiError(handler({
+            params: { body: { ...body, data: { message: 'Goodbye' } } },
+            context: requestContext({ userId: account.userId }),
+        }), 400, /does not match the submitted request/);
+    });
+
+    test('rejects a signature from another user with 400', async () => {
+        const account = await createUser();
+        const other = await createUser();
+        const body = await signWrite(other, { message: 'Hello' });
+        await expectApiError(handler({ params: { body }, context: requestContext({ userId: account.userId }) }), 400);
+    });
+
+    test('rejects a walletId of another user with 403', async () => {
+        const account = await createUser();
+        const other = await createUser();
+        const body = await signWrite(account, { message: 'Hello' });
+        await expectApiError(handler({
+            params: { body: { ...body, walletId: other.walletId } },
+            context: requestContext({ userId: account.userId }),
+        }), 403);
+    });
+
+    test('rejects unverified users with 403', async () => {
+        const account = await createUser({ verify: false });
+        const body = await signWrite(account, { message: 'Hello' });
+        await expectApiError(handler({ params: { body }, context: requestContext({ userId: account.userId }) }), 403, /not verified/);
+    });
+
+    test('rejects an expired signature with 400', async () => {
+        const account = await createUser();
+        const body = await signWrite(account, { message: 'Hello' });
+        const dateNow = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + (6 * 60 * 1000));
+        await expectApiError(handler({ params: { body }, context: requestContext({ userId: account.userId }) }), 400, /expired/);
+        dateNow.mockRestore();
+    });
+
+    test.each(['signature', 'data', 'expiry'])('rejects a missing %s with 400', async (name) => {
+        const { userId } = await createUser({ account: createWallet() });
+        const body = {
+            signature: '0x1', data: {}, expiry: 1, [name]: undefined,
+        };
+        await expectApiError(handler({ params: { body }, context: requestContext({ userId }) }), 400, `Missing ${name}`);
+    });
+});
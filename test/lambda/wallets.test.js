@@ -0,0 +1,108 @@
+const { createWallet } = require('../wallets');
+const {
+    getHandler, getUtils, requestContext, expectApiError, createUser, login,
+} = require('../helpers');
+
+const signPrefix = process.env.SIGN_PREFIX;
+
+/**
+ * Get the current nonce message for a user wallet
+ */
+async function getNonce(walletId, params = {}) {
+    const { nonce } = await getHandler('get-nonce')({ params: { walletId, ...params }, context: requestContext() });
+    return nonce;
+}
+
+/**
+ * Link a new wallet to a user with the link-wallet function
+ */
+async function linkWallet({ wallet, walletId, userId }) {
+    const account = createWallet();
+    const message = await getNonce(walletId, { link: account.walletId });
+    await getHandler('link-wallet')({
+        params: {
+            walletId: account.walletId,
+            body: { signature: await wallet.signMessage(message), walletSignature: await account.wallet.signMessage(message) },
+        },
+        context: requestContext({ userId }),
+    });
+    return account;
+}
+
+describe('list-wallets', () => {
+    test('lists the primary wallet', async () => {
+        const { walletId, userId } = await createUser();
+        const result = await getHandler('list-wallets')({ context: requestContext({ userId }) });
+        expect(result.wallets).toEqual([expect.objectContaining({ walletId, primary: true })]);
+    });
+
+    test('rejects requests without an authenticated user with 403', async () => {
+        await expectApiError(getHandler('list-wallets')({ context: requestContext() }), 403);
+    });
+});
+
+describe('link-wallet', () => {
+    test('a linked wallet can login to the same user', async () => {
+        const user = await createUser();
+        const linked = await linkWallet(user);
+        const { wallets } = await getHandler('list-wallets')({ context: requestContext({ userId: user.userId }) });
+        expect(wallets.map(({ walletId }) => walletId)).toEqual([user.walletId, linked.walletId]);
+        expect((await login(linked)).userId).toBe(user.userId);
+    });
+
+    test('rejects a link message signed by another user with 400', async () => {
+        const user = await createUser();
+        const other = await createUser();
+        const account = createWallet();
+        const message = await getNonce(user.walletId, { link: account.walletId });
+        await expectApiError(getHandler('link-wallet')({
+            params: {
+                walletId: account.walletId,
+                body: { signature: await other.wallet.signMessage(message), walletSignature: await account.wallet.signMessage(message) },
+            },
+            context: requestContext({ userId: user.userId }),
+        }), 400, /Invalid signature from the current wallet/);
+    });
+
+    test('rejects a missing signature with 400', async () => {
+        const { userId } = await createUser();
+        const { walletId } = createWallet();
+        await expectApiError(getHandler('link-wallet')({
+            params: { walletId, body: {} },
+            context: requestContext({ userId }),
+        }), 400, /Signatures from the current wallet and the new wallet are required/);
+    });
+});
+
+describe('unlink-wallet', () => {
+    test('unlinks a linked wallet', async () => {
+        const user = await createUser();
+        const linked = await linkWallet(user);
+        const signature = await user.wallet.signMessage(await getNonce(user.walletId));
+        const result = await getHandler('unlink-wallet')({
+            params: { walletId: linked.walletId, body: { signature } },
+            context: requestContext({ userId: user.userId }),
+        });
+        expect(result).toMatchObject({ success: true, walletId: linked.walletId, primaryWalletId: user.walletId });
+        expect(await getUtils().authUtils.userExistsByWalletId(linked.walletId)).toBe(false);
+    });
+
+    test('rejects the last wallet with 400', async () => {
+        const { wallet, walletId, userId } = await createUser();
+        const signature = await wallet.signMessage(await getNonce(walletId));
+        await expectApiError(getHandler('unlink-wallet')({
+            params: { walletId, body: { signature } },
+            context: requestContext({ userId }),
+        }), 400, /last wallet/);
+    });
+
+    test('rejects a wallet of another user with 403', async () => {
+        const user = await createUser();
+        const other = await createUser();
+        const signature = await user.wallet.signMessage(`${signPrefix}unused`);
+        await expectApiError(getHandler('unlink-wallet')({
+            params: { walletId: other.walletId, body: { signature } },
+            context: requestContext({ userId: user.userId }),
+        }), 403);
+    });
+});
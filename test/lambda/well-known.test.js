@@ -0,0 +1,22 @@
+const { getHandler, requestContext } = require('../helpers');
+
+describe('jwks', () => {
+    test('publishes the public signing key', async () => {
+        const { keys } = await getHandler('jwks')({ context: requestContext() });
+        expect(keys).toHaveLength(1);
+        expect(keys[0]).toMatchObject({ kty: 'RSA', use: 'sig', alg: 'PS256' });
+        expect(keys[0]).not.toHaveProperty('d');
+    });
+});
+
+describe('openid-configuration', () => {
+    test('lists the issuer, algorithms and JWKS URI', async () => {
+        expect(await getHandler('openid-configuration')({ context: requestContext() })).toMatchObject({
+            issuer: 'api.example.com',
+            jwks_uri: 'https://api.example.com/.well-known/jwks.json',
+            id_token_signing_alg_values_supported: ['PS256'],
+            scopes_supported: ['read', 'write', 'admin'],
+            claims_supported: expect.arrayContaining(['admin', 'scope', 'gates', 'ens', 'chainId', 'jti']),
+        });
+    });
+});
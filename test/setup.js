@@ -0,0 +1,70 @@
+/**
+ * Test environment, loaded before each test file.
+ * Sets the Lambda environment and replaces aws-sdk with the in-memory tables from the local server.
+ */
+const crypto = require('crypto');
+const { adminWallet } = require('./wallets');
+const { getRouteScopes } = require('../src/local-server/routes');
+
+// Token signing key, a new key for each test file
+const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+Object.assign(process.env, {
+    AWS_REGION: 'local',
+    INFURA_SECRET_ARN: 'test-infura-secret',
+    USER_TABLE: 'test-user-table',
+    WALLET_ID_IDX: 'walletIdx',
+    WALLET_TABLE: 'test-wallet-table',
+    USER_WALLET_IDX: 'userIdx',
+    SESSION_TABLE: 'test-session-table',
+    CHALLENGE_TABLE: 'test-challenge-table',
+    AUDIT_TABLE: 'test-audit-table',
+    AUDIT_USER_IDX: 'userIdx',
+    AUDIT_WALLET_IDX: 'walletIdx',
+    AUDIT_TYPE_IDX: 'typeIdx',
+    AUDIT_RETENTION_DAYS: '365',
+    AUDIT_CHAINS: '4',
+    THROTTLE_TABLE: 'test-throttle-table',
+    THROTTLE_LIMITS: '{}',
+    DELETION_POLICY: '{}',
+    ENS_CACHE_TIME: '3600',
+    ENS_CLAIM: 'true',
+    USER_SESSION_IDX: 'userIdx',
+    FAMILY_SESSION_IDX: 'familyIdx',
+    ISSUER: 'api.example.com',
+    SIGNING_KEYS: JSON.stringify([{
+        type: 'local', key: privateKey.export({ type: 'pkcs8', format: 'pem' }), alg: 'PS256', active: true,
+    }]),
+    REFRESH_TOKEN_TIME: '60',
+    AUTH_TOKEN_TIME: '5',
+    SIWE_DOMAINS: 'web.example.com,localhost:1234',
+    LOGIN_STATEMENT: 'Login to My Demo with your Ethereum wallet.',
+    LOGIN_MESSAGE_TIME: '5',
+    ACTION_MESSAGE_TIME: '5',
+    CHAIN_ID: '1',
+    CHAIN_IDS: '10',
+    SIGN_PREFIX: 'Sign the one-time key to continue: ',
+    LINK_PREFIX: 'Link this wallet to your account: ',
+    ADMIN_WALLETS: adminWallet.address.toLowerCase(),
+    EXPIRE_USERS_IN_DAYS: '7',
+    JWKS_URI: 'https://api.example.com/.well-known/jwks.json',
+    API_STAGE_ARN: 'arn:aws:execute-api:local:000000000000:test/v1',
+    ROUTE_SCOPES: JSON.stringify(getRouteScopes()),
+});
+
+jest.mock('aws-sdk', () => {
+    const { createFakeAws } = jest.requireActual('../src/local-server/fakeAws');
+    return createFakeAws({
+        tables: {
+            'test-user-table': 'UserId',
+            'test-wallet-table': 'WalletId',
+            'test-session-table': 'SessionId',
+            'test-challenge-table': 'ChallengeId',
+            'test-audit-table': 'EventId',
+            'test-throttle-table': 'ThrottleKey',
+        },
+    });
+});
+
+// The functions log every event and result
+jest.spyOn(console, 'log').mockImplementation(() => {});
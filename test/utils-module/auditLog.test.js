@@ -0,0 +1,275 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const { auditLog } = require('../../src/lambda/utils-module');
+const { createWallet } = require('../wallets');
+const { requestContext } = require('../helpers');
+
+const {
+    recordAuditEvent, queryAuditEvents, verifyAuditRecords, hashAuditRecord, hashAuditSubject, eraseAuditEvents,
+} = auditLog;
+
+const docClient = new AWS.DynamoDB.DocumentClient();
+const TableName = process.env.AUDIT_TABLE;
+
+const getRecord = async (EventId) => (await docClient.get({ TableName, Key: { EventId } }).promise()).Item;
+
+/**
+ * Get the EventId of another event in the same chain as a record
+ * @param {object} record
+ * @param {number} offset - eg. -1 for the previous event
+ * @returns {string} EventId
+ */
+const chainEventId = ({ EventId, Seq }, offset) => EventId.replace(/\d{12}$/, String(Seq + offset).padStart(12, '0'));
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+/**
+ * Query every page of audit events
+ * @param {object} params - queryAuditEvents params
+ * @returns {Promise<object[]>} events
+ */
+async function queryAll(params) {
+    const events = [];
+    let nextToken = '';
+    do {
+        // eslint-disable-next-line no-await-in-loop
+        const page = await queryAuditEvents({ ...params, limit: 100, nextToken });
+        events.push(...page.events);
+        ({ nextToken } = page);
+    } while (nextToken);
+    return events;
+}
+
+describe('recordAuditEvent', () => {
+    test('appends events to the hash chain', async () => {
+        jest.spyOn(crypto, 'randomInt').mockReturnValue(2);
+        const { walletId } = createWallet();
+        const context = requestContext({ sourceIp: '10.1.2.3' });
+        const first = await recordAuditEvent({
+            type: 'login', result: 'success', context, userId: 'U1', walletId,
+        });
+        const second = await recordAuditEvent({
+            type: 'login', result: 'failure', context, walletId, reason: 'Invalid signature, access denied',
+        });
+        expect(first).toMatchObject({
+            EventType: 'login', Result: 'success', UserId: 'U1', WalletId: walletId.toLowerCase(), SourceIp: '10.1.2.3', RequestId: context.requestId,
+        });
+        expect(first.Hash).toBe(hashAuditRecord(first));
+        expect(first.SubjectHash).toBe(hashAuditSubject(first));
+        expect(first).toMatchObject({ Chain: 2, EventId: expect.stringMatching(/^002#\d{12}$/) });
+        expect(second.Seq).toBe(first.Seq + 1);
+        expect(second.PrevHash).toBe(first.Hash);
+        expect(second.UserId).toBeUndefined();
+        expect(second.ExpiryTime).toBeGreaterThan(Date.now() / 1000 + (364 * 86400));
+    });
+
+    test('the first event in a chain links to the genesis hash', async () => {
+        jest.spyOn(crypto, 'randomInt').mockReturnValue(0);
+        const first = await recordAuditEvent({ type: 'login', result: 'success', userId: 'U1' });
+        expect(first).toMatchObject({ EventId: '000000000001', Seq: 1, PrevHash: '0'.repeat(64) });
+        expect(first).not.toHaveProperty('Chain');
+    });
+
+    test('concurrent events in a chain get consecutive sequence numbers', async () => {
+        jest.spyOn(crypto, 'randomInt').mockReturnValue(1);
+        const records = await Promise.all([1, 2, 3, 4, 5].map(() => recordAuditEvent({ type: 'refresh', result: 'success', userId: 'U2' })));
+        const seqs = records.map(({ Seq }) => Seq).sort((a, b) => a - b);
+        seqs.forEach((seq, i) => { if (i) { expect(seq).toBe(seqs[i - 1] + 1); } });
+        const integrity = await verifyAuditRecords(await Promise.all(records.map(({ EventId }) => getRecord(EventId))));
+        expect(integrity).toEqual(['valid', 'valid', 'valid', 'valid', 'valid']);
+    });
+
+    test('events are spread across the chains', async () => {
+        const records = await Promise.all([...Array(12).keys()].map(() => recordAuditEvent({ type: 'refresh', result: 'success', userId: 'U2' })));
+        expect(new Set(records.map(({ Chain = 0 }) => Chain)).size).toBeGreaterThan(1);
+        expect(new Set(await verifyAuditRecords(records))).toEqual(new Set(['valid']));
+    });
+
+    test('logs and does not throw on errors', async () => {
+        expect(await recordAuditEvent({ type: 'unknown', result: 'success' })).toBeNull();
+        expect(await recordAuditEvent({ type: 'login', result: 'maybe' })).toBeNull();
+    });
+
+    test('logs a dropped event when every append conflicts', async () => {
+        const conflict = Object.assign(new Error('Transaction cancelled'), { code: 'TransactionCanceledException' });
+        const transactWrite = jest.spyOn(docClient, 'transactWrite').mockReturnValue({ promise: () => Promise.reject(conflict) });
+        const context = requestContext();
+        expect(await recordAuditEvent({ type: 'login', result: 'success', context })).toBeNull();
+        expect(transactWrite).toHaveBeenCalledTimes(5);
+        const dropped = console.log.mock.calls.map(([line]) => JSON.parse(line)).find(({ message }) => message === 'Audit event dropped');
+        expect(dropped).toMatchObject({ level: 'error', data: { type: 'login', result: 'success', requestId: context.requestId } });
+    });
+});
+
+describe('queryAuditEvents', () => {
+    test('filters by user, wallet and type, newest first', async () => {
+        const { walletId } = createWallet();
+        const userId = 'U3';
+        await recordAuditEvent({
+            type: 'create-user', result: 'success', userId, walletId,
+        });
+        await recordAuditEvent({
+            type: 'login', result: 'success', userId, walletId,
+        });
+        await recordAuditEvent({ type: 'logout', result: 'success', userId });
+
+        expect((await queryAll({ userId })).map(({ type }) => type)).toEqual(['logout', 'login', 'create-user']);
+        expect((await queryAll({ walletId: walletId.toUpperCase().replace('0X', '0x') })).map(({ type }) => type)).toEqual(['login', 'create-user']);
+        expect((await queryAll({ userId, type: 'login' }))).toEqual([expect.objectContaining({ type: 'login', userId, walletId: walletId.toLowerCase() })]);
+        expect((await queryAll({ type: 'logout' })).map((event) => event.userId)).toContain(userId);
+    });
+
+    test('filters by time range', async () => {
+        const userId = 'U4';
+        const dateNow = jest.spyOn(Date, 'now').mockReturnValue(new Date('2020-01-01T00:00:00Z').getTime());
+        await recordAuditEvent({ type: 'login', result: 'success', userId });
+        dateNow.mockRestore();
+        await recordAuditEvent({ type: 'login', result: 'success', userId });
+
+        expect(await queryAll({ userId })).toHaveLength(2);
+        expect(await queryAll({ userId, to: '2020-06-01' })).toEqual([expect.objectContaining({ time: '2020-01-01T00:00:00.000Z' })]);
+        expect(await queryAll({ userId, from: '2020-06-01T00:00:00Z' })).toHaveLength(1);
+    });
+
+    test('rejects invalid filters', async () => {
+        await expect(queryAuditEvents({})).rejects.toThrow('Filter by userId, walletId or type');
+        await expect(queryAuditEvents({ type: 'unknown' })).rejects.toThrow('Invalid type');
+        await expect(queryAuditEvents({ userId: 'U1', from: 'yesterday' })).rejects.toThrow('Invalid from time');
+        await expect(queryAuditEvents({ userId: 'U1', from: '2021-01-01', to: '2020-01-01' })).rejects.toThrow('before the to time');
+        await expect(queryAuditEvents({ userId: 'U1', nextToken: 'abc' })).rejects.toThrow('Invalid nextToken');
+    });
+
+    test('verifies events against the chain', async () => {
+        jest.spyOn(crypto, 'randomInt').mockReturnValue(3);
+        const userId = 'U5';
+        const records = [];
+        for (let i = 0; i < 3; i += 1) {
+            // eslint-disable-next-line no-await-in-loop
+            records.push(await recordAuditEvent({ type: 'login', result: 'success', userId }));
+        }
+        expect((await queryAll({ userId, verify: true })).map(({ integrity }) => integrity)).toEqual(['valid', 'valid', 'valid']);
+
+        // Editing an event breaks its subject hash, and rehashing it breaks the link to the next event (newest first)
+        const [, middle] = records;
+        await docClient.put({ TableName, Item: { ...middle, SourceIp: '6.6.6.6' } }).promise();
+        expect((await queryAll({ userId, verify: true })).map(({ integrity }) => integrity)).toEqual(['valid', 'invalid', 'valid']);
+        const edited = { ...middle, SourceIp: '6.6.6.6' };
+        edited.SubjectHash = hashAuditSubject(edited);
+        await docClient.put({ TableName, Item: { ...edited, Hash: hashAuditRecord(edited) } }).promise();
+        expect((await queryAll({ userId, verify: true })).map(({ integrity }) => integrity)).toEqual(['invalid', 'invalid', 'valid']);
+    });
+
+    test('events after expired events are unlinked', async () => {
+        jest.spyOn(crypto, 'randomInt').mockReturnValue(3);
+        const userId = 'U6';
+        const dateNow = jest.spyOn(Date, 'now').mockReturnValue(new Date('2020-01-01T00:00:00Z').getTime());
+        const removed = await recordAuditEvent({ type: 'login', result: 'success', userId: 'U7' });
+        dateNow.mockRestore();
+        await recordAuditEvent({ type: 'login', result: 'success', userId });
+        await docClient.delete({ TableName, Key: { EventId: removed.EventId } }).promise();
+        expect((await queryAll({ userId, verify: true })).map(({ integrity }) => integrity)).toEqual(['unlinked']);
+    });
+
+    test('events next to an event removed from the middle of the chain are invalid', async () => {
+        jest.spyOn(crypto, 'randomInt').mockReturnValue(3);
+        const before = await recordAuditEvent({ type: 'login', result: 'success', userId: 'U11' });
+        const removed = await recordAuditEvent({ type: 'login', result: 'success', userId: 'U12' });
+        const after = await recordAuditEvent({ type: 'login', result: 'success', userId: 'U13' });
+        await docClient.delete({ TableName, Key: { EventId: removed.EventId } }).promise();
+        expect(await verifyAuditRecords([before, after])).toEqual(['invalid', 'invalid']);
+    });
+});
+
+describe('eraseAuditEvents', () => {
+    // Record a login for a user and another user's event after it, so the chain continues past the user
+    async function recordUserEvents(userId, walletId) {
+        jest.spyOn(crypto, 'randomInt').mockReturnValue(3);
+        const records = [
+            await recordAuditEvent({
+                type: 'create-user', result: 'success', context: requestContext(), userId, walletId,
+            }),
+            await recordAuditEvent({
+                type: 'login', result: 'failure', context: requestContext(), walletId, reason: 'Invalid signature, access denied',
+            }),
+        ];
+        const other = await recordAuditEvent({ type: 'login', result: 'success', userId: `${userId}-other` });
+        return { records, other };
+    }
+
+    test('anonymizes the events of a user and its wallets, keeping the chain', async () => {
+        const userId = 'U8';
+        const { walletId } = createWallet();
+        const { records, other } = await recordUserEvents(userId, walletId);
+        expect(await eraseAuditEvents({ userId, walletIds: [walletId] })).toBe(2);
+
+        expect(await queryAll({ userId })).toEqual([]);
+        expect(await queryAll({ walletId })).toEqual([]);
+        const [erasure] = await queryAll({ type: 'erase-events', verify: true });
+        expect(erasure).toMatchObject({ erasedIds: records.map(({ EventId }) => EventId).sort(), integrity: 'valid' });
+        expect(erasure.userId).toBeUndefined();
+        const anonymized = await Promise.all(records.map(({ EventId }) => getRecord(EventId)));
+        anonymized.forEach((record) => {
+            expect(record).toMatchObject({ ErasureId: erasure.eventId, SubjectHash: expect.any(String) });
+            expect(record).not.toHaveProperty('UserId');
+            expect(record).not.toHaveProperty('WalletId');
+            expect(record).not.toHaveProperty('SourceIp');
+            expect(record).not.toHaveProperty('SubjectSalt');
+        });
+        expect(await verifyAuditRecords([...anonymized, await getRecord(other.EventId)])).toEqual(['valid', 'valid', 'valid']);
+
+        // Personal fields cannot be added back to an anonymized event
+        expect(await verifyAuditRecords([{ ...anonymized[0], UserId: userId }])).toEqual(['invalid']);
+    });
+
+    test('events cannot be anonymized without an erase-events event that lists them', async () => {
+        const userId = 'U14';
+        const { walletId } = createWallet();
+        const { records } = await recordUserEvents(userId, walletId);
+        await recordAuditEvent({ type: 'login', result: 'success', userId: `${userId}-deleted` });
+        await eraseAuditEvents({ userId: `${userId}-deleted` });
+        const [erasure] = await queryAll({ type: 'erase-events' });
+
+        // Removing the personal fields breaks the subject hash, and the erase-events event must list the event
+        const stripped = {
+            ...records[0], UserId: undefined, WalletId: undefined, SourceIp: undefined,
+        };
+        expect(await verifyAuditRecords([stripped])).toEqual(['invalid']);
+        expect(await verifyAuditRecords([{ ...stripped, ErasureId: erasure.eventId }])).toEqual(['invalid']);
+        expect(await verifyAuditRecords([{ ...stripped, ErasureId: records[1].EventId }])).toEqual(['invalid']);
+    });
+
+    test('purges the events of a user, keeping the chain fields', async () => {
+        const userId = 'U9';
+        const { walletId } = createWallet();
+        const { records, other } = await recordUserEvents(userId, walletId);
+        const before = await getRecord(chainEventId(records[0], -1));
+        expect(await eraseAuditEvents({ userId, walletIds: [walletId], policy: 'purge' })).toBe(2);
+
+        expect(await queryAll({ userId })).toEqual([]);
+        expect(await queryAll({ walletId })).toEqual([]);
+        const purged = await Promise.all(records.map(({ EventId }) => getRecord(EventId)));
+        purged.forEach((record, i) => {
+            expect(Object.keys(record).sort()).toEqual(['Chain', 'ErasureId', 'EventId', 'ExpiryTime', 'Hash', 'PrevHash', 'Seq']);
+            expect(record.Hash).toBe(records[i].Hash);
+        });
+        expect(await verifyAuditRecords([before, await getRecord(other.EventId)])).toEqual(['valid', 'valid']);
+
+        // An event reduced to its chain fields without an erasure breaks its neighbours
+        await docClient.put({ TableName, Item: { ...purged[1], ErasureId: undefined } }).promise();
+        expect(await verifyAuditRecords([await getRecord(other.EventId)])).toEqual(['invalid']);
+    });
+
+    test('keeps the events of a user', async () => {
+        const userId = 'U10';
+        await recordAuditEvent({ type: 'login', result: 'success', userId });
+        expect(await eraseAuditEvents({ userId, policy: 'keep' })).toBe(0);
+        expect(await queryAll({ userId })).toHaveLength(1);
+    });
+
+    test('rejects an unknown policy', async () => {
+        await expect(eraseAuditEvents({ userId: 'U1', policy: 'shred' })).rejects.toThrow('Unknown audit erase policy');
+    });
+});
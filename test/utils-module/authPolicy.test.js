@@ -0,0 +1,102 @@
+const { authPolicy, tokenGate } = require('../../src/lambda/utils-module');
+const { createWallet } = require('../wallets');
+
+const {
+    setRouteScopes, getUserScopes, getTokenScopes, routeToMethodArn, getAllowedRoutes, createPolicy, isAllowedByPolicy,
+} = authPolicy;
+
+const stageArn = process.env.API_STAGE_ARN;
+const methodArn = (method, path) => `${stageArn}/${method}${path}`;
+
+beforeEach(() => {
+    setRouteScopes({
+        'GET /test/read': 'read',
+        'POST /test/write': 'write',
+        'GET /auth/get-user/*': 'read',
+        'GET /admin/users': 'admin',
+    });
+});
+
+afterAll(() => {
+    setRouteScopes(JSON.parse(process.env.ROUTE_SCOPES));
+    tokenGate.setTokenGates([]);
+});
+
+describe('scopes', () => {
+    test('users can read and write, admins also have the admin scope', () => {
+        expect(getUserScopes({ isAdmin: false })).toEqual(['read', 'write']);
+        expect(getUserScopes({ isAdmin: true })).toEqual(['read', 'write', 'admin']);
+    });
+
+    test('reads the scope claim', () => {
+        expect(getTokenScopes({ scope: 'read' })).toEqual(['read']);
+        expect(getTokenScopes({ scope: '' })).toEqual([]);
+    });
+
+    test('tokens without a scope claim have the scopes for the admin claim', () => {
+        expect(getTokenScopes({ admin: false })).toEqual(['read', 'write']);
+        expect(getTokenScopes({ admin: true })).toEqual(['read', 'write', 'admin']);
+    });
+
+    test('rejects a route with an unknown scope', () => {
+        expect(() => setRouteScopes({ 'GET /test/read': 'owner' })).toThrow('unknown scope');
+    });
+});
+
+describe('createPolicy', () => {
+    test('allows the method ARNs for the token scopes', () => {
+        const policy = createPolicy({ principalId: 'U1', scopes: ['read'], context: { isAdmin: false } });
+        expect(policy).toMatchObject({ principalId: 'U1', context: { isAdmin: false } });
+        expect(policy.policyDocument.Statement).toEqual([{
+            Action: 'execute-api:Invoke',
+            Effect: 'Allow',
+            Resource: [routeToMethodArn('GET /test/read'), routeToMethodArn('GET /auth/get-user/*')],
+        }]);
+        expect(isAllowedByPolicy(policy, methodArn('GET', '/auth/get-user/0xabc'))).toBe(true);
+        expect(isAllowedByPolicy(policy, methodArn('POST', '/test/write'))).toBe(false);
+        expect(isAllowedByPolicy(policy, methodArn('GET', '/admin/users'))).toBe(false);
+    });
+
+    test('denies every route without scopes', () => {
+        const policy = createPolicy({});
+        expect(policy.principalId).toBe('Unknown');
+        expect(policy.policyDocument.Statement[0]).toMatchObject({ Effect: 'Deny', Resource: `${stageArn}/*/*` });
+        expect(isAllowedByPolicy(policy, methodArn('GET', '/test/read'))).toBe(false);
+    });
+
+    test('routes not in the scope map are denied', () => {
+        const policy = createPolicy({ scopes: ['read', 'write', 'admin'] });
+        expect(isAllowedByPolicy(policy, methodArn('GET', '/auth/wallets'))).toBe(false);
+    });
+
+    test('gated routes need every gate for the route', () => {
+        tokenGate.setTokenGates([{
+            name: 'holders', routes: ['GET /test/*'], standard: 'erc20', contract: createWallet().walletId,
+        }]);
+        expect(getAllowedRoutes({ scopes: ['read', 'write'] })).toEqual(['POST /test/write', 'GET /auth/get-user/*']);
+        expect(getAllowedRoutes({ scopes: ['read', 'write'], gates: ['holders'] })).toEqual(['GET /test/read', 'POST /test/write', 'GET /auth/get-user/*']);
+        tokenGate.setTokenGates([]);
+    });
+});
+
+describe('isAllowedByPolicy', () => {
+    test('an explicit deny overrides an allow', () => {
+        const policy = {
+            principalId: 'U1',
+            policyDocument: {
+                Version: '2012-10-17',
+                Statement: [
+                    { Action: 'execute-api:Invoke', Effect: 'Allow', Resource: `${stageArn}/*` },
+                    { Action: 'execute-api:Invoke', Effect: 'Deny', Resource: `${stageArn}/POST/*` },
+                ],
+            },
+        };
+        expect(isAllowedByPolicy(policy, methodArn('GET', '/test/read'))).toBe(true);
+        expect(isAllowedByPolicy(policy, methodArn('POST', '/test/write'))).toBe(false);
+    });
+
+    test('does not match another stage', () => {
+        const policy = createPolicy({ scopes: ['read'] });
+        expect(isAllowedByPolicy(policy, methodArn('GET', '/test/read').replace('/v1/', '/v2/'))).toBe(false);
+    });
+});
@@ -0,0 +1,363 @@
+const {
+    authUtils, tokenGate, web3Utils, userStore: { createMemoryUserStore },
+} = require('../../src/lambda/utils-module');
+const { createWallet, adminWallet, createFakeTokenProvider } = require('../wallets');
+
+const signPrefix = 'Sign the one-time key to continue: ';
+
+let store;
+
+/**
+ * Add a user to the store
+ * @param {object} [values] - user record values
+ * @returns {Promise<{wallet, walletId: string, userId: string, nonce: string}>}
+ */
+async function addUser(values = {}) {
+    const { wallet, walletId } = createWallet();
+    const user = {
+        UserId: `U${walletId.slice(2, 15).toUpperCase()}`,
+        WalletId: walletId,
+        Verified: true,
+        Role: 'user',
+        Disabled: false,
+        Nonce: 'nonce-1',
+        CreatedTime: '2022-06-01T00:00:00.000Z',
+        LastLogin: '2022-06-01T00:00:00.000Z',
+        ExpiryTime: 4102444800,
+        ...values,
+    };
+    await store.putUser(user);
+    return {
+        wallet, walletId, userId: user.UserId, nonce: user.Nonce,
+    };
+}
+
+beforeEach(() => {
+    store = createMemoryUserStore();
+    authUtils.setUserStore(store);
+});
+
+describe('createUser', () => {
+    test('creates an unverified user with a verify challenge', async () => {
+        const { walletId } = createWallet();
+        const created = await authUtils.createUser({ walletId });
+        expect(created).toMatchObject({ success: true, walletId });
+        expect(created.userId).toMatch(/^[0-9A-F]{14}$/);
+        const user = await authUtils.getUserByUserId(created.userId);
+        expect(user).toMatchObject({ WalletId: walletId, Verified: false, Role: 'user' });
+        expect(await store.getChallenge(created.nonce)).toMatchObject({ WalletId: walletId, UserId: created.userId, Purpose: 'verify' });
+    });
+
+    test('rejects a wallet that belongs to a user', async () => {
+        const { walletId } = await addUser();
+        await expect(authUtils.createUser({ walletId })).rejects.toThrow('WalletId belongs to an existing user');
+    });
+
+    test('verifies a user with a signature of the challenge', async () => {
+        const { wallet, walletId } = createWallet();
+        const created = await authUtils.createUser({ walletId });
+        const message = `${signPrefix}${created.nonce}`;
+        const signature = await wallet.signMessage(message);
+        const verified = await authUtils.createUser({
+            walletId, verify: true, signature, message, signPrefix,
+        });
+        expect(verified).toMatchObject({ userId: created.userId, nonce: '' });
+        expect((await authUtils.getUserByWalletId(walletId)).Verified).toBe(true);
+        expect((await store.getChallenge(created.nonce)).UsedTime).toBeTruthy();
+    });
+
+    test('rejects a verify challenge that has been used', async () => {
+        const { wallet, walletId } = createWallet();
+        const created = await authUtils.createUser({ walletId });
+        const message = `${signPrefix}${created.nonce}`;
+        const params = {
+            walletId, verify: true, signature: await wallet.signMessage(message), message, signPrefix,
+        };
+        await authUtils.createUser(params);
+        await expect(authUtils.createUser(params)).rejects.toMatchObject({ name: 'ChallengeError', errorCode: 'CHALLENGE_USED', statusCode: 400 });
+    });
+
+    test('rejects an invalid verify signature', async () => {
+        const { walletId } = createWallet();
+        const { wallet: other } = createWallet();
+        const created = await authUtils.createUser({ walletId });
+        const message = `${signPrefix}${created.nonce}`;
+        const signature = await other.signMessage(message);
+        await expect(authUtils.createUser({
+            walletId, verify: true, signature, message, signPrefix,
+        })).rejects.toThrow('verification failed');
+        expect((await authUtils.getUserByWalletId(walletId)).Verified).toBe(false);
+        expect((await store.getChallenge(created.nonce)).UsedTime).toBeUndefined();
+    });
+
+    test('rejects a verify message without the sign prefix', async () => {
+        const { wallet, walletId } = createWallet();
+        const created = await authUtils.createUser({ walletId });
+        const signature = await wallet.signMessage(created.nonce);
+        await expect(authUtils.createUser({
+            walletId, verify: true, signature, message: created.nonce, signPrefix,
+        })).rejects.toThrow('Invalid verify message');
+    });
+
+    test('rejects verifying a wallet without a user', async () => {
+        const { wallet, walletId } = createWallet();
+        const message = `${signPrefix}nonce`;
+        const signature = await wallet.signMessage(message);
+        await expect(authUtils.createUser({
+            walletId, verify: true, signature, message, signPrefix,
+        })).rejects.toThrow('User does not exist to verify');
+    });
+
+    test('keeps the role, disabled status and profile when verifying', async () => {
+        const profile = { Profile: { displayName: 'Alice' }, ProfileTime: '2022-06-02T00:00:00.000Z' };
+        const { wallet, walletId, userId } = await addUser({
+            Role: 'admin', Disabled: true, Verified: false, ...profile,
+        });
+        const { nonce } = await authUtils.createChallenge({ walletId, userId, purpose: 'verify' });
+        const message = `${signPrefix}${nonce}`;
+        const signature = await wallet.signMessage(message);
+        await authUtils.createUser({
+            walletId, verify: true, signature, message, signPrefix,
+        });
+        expect(await authUtils.getUserByWalletId(walletId)).toMatchObject({
+            Role: 'admin', Disabled: true, Verified: true, ...profile,
+        });
+    });
+});
+
+describe('challenges', () => {
+    test('a wallet can have several outstanding challenges', async () => {
+        const { walletId, userId } = await addUser();
+        const first = await authUtils.createChallenge({ walletId, userId, purpose: 'login' });
+        const second = await authUtils.createChallenge({ walletId, userId, purpose: 'login' });
+        expect(first.nonce).not.toBe(second.nonce);
+        await authUtils.consumeChallenge((await authUtils.getChallenge({ nonce: first.nonce, walletId, purpose: 'login' })).ChallengeId);
+        expect(await authUtils.getChallenge({ nonce: second.nonce, walletId, purpose: 'login' })).toMatchObject({ UserId: userId });
+    });
+
+    test('challenges expire after the login message time', async () => {
+        const { walletId, userId } = await addUser();
+        const { nonce, issuedAt, expiresAt } = await authUtils.createChallenge({ walletId, userId, purpose: 'login' });
+        expect(Date.parse(expiresAt) - Date.parse(issuedAt)).toBe(5 * 60 * 1000);
+        const dateNow = jest.spyOn(Date, 'now').mockReturnValue(Date.parse(expiresAt) + 1000);
+        await expect(authUtils.getChallenge({ nonce, walletId, purpose: 'login' })).rejects.toMatchObject({ errorCode: 'CHALLENGE_EXPIRED' });
+        dateNow.mockRestore();
+    });
+
+    test('a challenge can only be used once', async () => {
+        const { walletId, userId } = await addUser();
+        const { nonce } = await authUtils.createChallenge({ walletId, userId, purpose: 'login' });
+        await authUtils.consumeChallenge(nonce);
+        await expect(authUtils.consumeChallenge(nonce)).rejects.toMatchObject({ errorCode: 'CHALLENGE_USED' });
+        await expect(authUtils.getChallenge({ nonce, walletId, purpose: 'login' })).rejects.toMatchObject({ errorCode: 'CHALLENGE_USED' });
+    });
+
+    test('challenges are bound to the wallet and purpose', async () => {
+        const { walletId, userId } = await addUser();
+        const other = await addUser();
+        const { nonce } = await authUtils.createChallenge({ walletId, userId, purpose: 'login' });
+        await expect(authUtils.getChallenge({ nonce, walletId: other.walletId, purpose: 'login' })).rejects.toMatchObject({ errorCode: 'CHALLENGE_NOT_FOUND' });
+        await expect(authUtils.getChallenge({ nonce, walletId, purpose: 'verify' })).rejects.toMatchObject({ errorCode: 'CHALLENGE_NOT_FOUND' });
+        await expect(authUtils.getChallenge({ nonce: 'unknown', walletId, purpose: 'login' })).rejects.toMatchObject({ errorCode: 'CHALLENGE_NOT_FOUND' });
+    });
+
+    test('rejects an unknown purpose', async () => {
+        const { walletId, userId } = await addUser();
+        await expect(authUtils.createChallenge({ walletId, userId, purpose: 'sign' })).rejects.toThrow('Invalid challenge purpose');
+    });
+});
+
+describe('getUserByWalletId', () => {
+    test('finds users with any case walletId', async () => {
+        const { walletId, userId } = await addUser();
+        expect((await authUtils.getUserByWalletId(walletId.toUpperCase().replace('0X', '0x'))).UserId).toBe(userId);
+    });
+
+    test('throws a ValidationError for unknown wallets', async () => {
+        const { walletId } = createWallet();
+        await expect(authUtils.getUserByWalletId(walletId)).rejects.toMatchObject({ name: 'ValidationError', statusCode: 400 });
+        expect(await authUtils.userExistsByWalletId(walletId)).toBe(false);
+    });
+});
+
+describe('updateLoginByWalletId', () => {
+    test('replaces the nonce after login', async () => {
+        const { walletId, userId, nonce } = await addUser();
+        const result = await authUtils.updateLoginByWalletId(walletId);
+        expect(result.nonce).not.toBe(nonce);
+        expect((await authUtils.getUserByUserId(userId)).Nonce).toBe(result.nonce);
+    });
+});
+
+describe('verifySignedAction', () => {
+    test('accepts a signature of the nonce and consumes it', async () => {
+        const {
+            wallet, walletId, userId, nonce,
+        } = await addUser();
+        const signature = await wallet.signMessage(`${signPrefix}${nonce}`);
+        expect(await authUtils.verifySignedAction({ userId, signature, signPrefix })).toEqual({ success: true, userId, walletId });
+        await expect(authUtils.verifySignedAction({ userId, signature, signPrefix })).rejects.toThrow('Invalid signature');
+    });
+
+    test('rejects a signature from another wallet', async () => {
+        const { userId, nonce } = await addUser();
+        const { wallet: other } = createWallet();
+        const signature = await other.signMessage(`${signPrefix}${nonce}`);
+        await expect(authUtils.verifySignedAction({ userId, signature, signPrefix })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('rejects a walletId that does not belong to the user', async () => {
+        const { wallet, userId, nonce } = await addUser();
+        const { walletId: otherWalletId } = await addUser();
+        const signature = await wallet.signMessage(`${signPrefix}${nonce}`);
+        await expect(authUtils.verifySignedAction({
+            userId, signature, signPrefix, walletId: otherWalletId,
+        })).rejects.toMatchObject({ name: 'ForbiddenError', statusCode: 403 });
+    });
+
+    test.each([
+        ['unverified', { Verified: false }, 'not verified'],
+        ['disabled', { Disabled: true }, 'disabled'],
+    ])('rejects %s users', async (name, values, error) => {
+        const { wallet, userId, nonce } = await addUser(values);
+        const signature = await wallet.signMessage(`${signPrefix}${nonce}`);
+        await expect(authUtils.verifySignedAction({ userId, signature, signPrefix })).rejects.toThrow(error);
+    });
+});
+
+describe('linked wallets', () => {
+    /**
+     * Link a new wallet to a user
+     */
+    async function link({ wallet, userId }) {
+        const account = createWallet();
+        const { Nonce: nonce } = await authUtils.getUserByUserId(userId);
+        const message = authUtils.createLinkMessage({ walletId: account.walletId, nonce });
+        await authUtils.linkWallet({
+            userId,
+            walletId: account.walletId,
+            signature: await wallet.signMessage(message),
+            walletSignature: await account.wallet.signMessage(message),
+        });
+        return account;
+    }
+
+    test('a linked wallet finds the user', async () => {
+        const user = await addUser();
+        const linked = await link(user);
+        expect(await authUtils.getUserIdByWalletId(linked.walletId)).toBe(user.userId);
+        expect((await authUtils.listWalletsByUserId(user.userId)).map(({ walletId, primary }) => [walletId, primary])).toEqual([
+            [user.walletId, true],
+            [linked.walletId, false],
+        ]);
+    });
+
+    test('token gates are passed with a linked wallet', async () => {
+        const provider = createFakeTokenProvider();
+        const token = provider.addToken('erc20');
+        web3Utils.setRpcProvider(provider, 1);
+        tokenGate.setTokenGates([{
+            name: 'holders', routes: ['GET /test/read'], standard: 'erc20', contract: token.contract,
+        }]);
+        const user = await addUser();
+        expect(await authUtils.getUserGateClaims(user.userId)).toEqual([]);
+        const linked = await link(user);
+        token.mint(linked.walletId, '1');
+        expect(await authUtils.getUserGateClaims(user.userId)).toEqual(['holders']);
+        web3Utils.setRpcProvider(null, 1);
+        tokenGate.setTokenGates([]);
+    });
+
+    test('linking requires a signature from the new wallet', async () => {
+        const { wallet, userId, nonce } = await addUser();
+        const { walletId } = createWallet();
+        const { wallet: other } = createWallet();
+        const message = authUtils.createLinkMessage({ walletId, nonce });
+        await expect(authUtils.linkWallet({
+            userId, walletId, signature: await wallet.signMessage(message), walletSignature: await other.signMessage(message),
+        })).rejects.toThrow('Invalid signature from the new wallet');
+    });
+
+    test('a wallet that belongs to a user cannot be linked', async () => {
+        const { wallet, userId, nonce } = await addUser();
+        const other = await addUser();
+        const message = authUtils.createLinkMessage({ walletId: other.walletId, nonce });
+        await expect(authUtils.linkWallet({
+            userId,
+            walletId: other.walletId,
+            signature: await wallet.signMessage(message),
+            walletSignature: await other.wallet.signMessage(message),
+        })).rejects.toThrow('WalletId belongs to an existing user');
+    });
+
+    test('unlinking the primary wallet promotes a linked wallet', async () => {
+        const user = await addUser();
+        const linked = await link(user);
+        const { Nonce: nonce } = await authUtils.getUserByUserId(user.userId);
+        const result = await authUtils.unlinkWallet({
+            userId: user.userId,
+            walletId: user.walletId,
+            signature: await user.wallet.signMessage(`${signPrefix}${nonce}`),
+            signPrefix,
+        });
+        expect(result.primaryWalletId).toBe(linked.walletId);
+        expect((await authUtils.getUserByUserId(user.userId)).WalletId).toBe(linked.walletId);
+        expect(await authUtils.userExistsByWalletId(user.walletId)).toBe(false);
+    });
+
+    test('the last wallet cannot be unlinked', async () => {
+        const {
+            wallet, walletId, userId, nonce,
+        } = await addUser();
+        await expect(authUtils.unlinkWallet({
+            userId, walletId, signature: await wallet.signMessage(`${signPrefix}${nonce}`), signPrefix,
+        })).rejects.toThrow('The last wallet for a user cannot be unlinked');
+    });
+
+    test('deleting a user removes its linked wallets', async () => {
+        const user = await addUser();
+        const linked = await link(user);
+        expect(await authUtils.deleteUser(user.userId)).toEqual({ userId: user.userId, walletIds: [user.walletId, linked.walletId] });
+        expect(await authUtils.userExistsByWalletId(user.walletId)).toBe(false);
+        expect(await authUtils.userExistsByWalletId(linked.walletId)).toBe(false);
+        expect(await store.getWalletLink(linked.walletId)).toBeUndefined();
+    });
+
+    test('deleting a user fails if its wallets change', async () => {
+        const user = await addUser();
+        const linked = await link(user);
+        // The wallet is unlinked after the wallets are listed
+        const { listWalletLinks } = store;
+        jest.spyOn(store, 'listWalletLinks').mockImplementationOnce(async (userId) => {
+            const links = await listWalletLinks(userId);
+            await store.deleteWalletLink(linked.walletId, userId);
+            return links;
+        });
+        await expect(authUtils.deleteUser(user.userId)).rejects.toThrow('Wallets have changed');
+        expect(await authUtils.userExistsByWalletId(user.walletId)).toBe(true);
+    });
+});
+
+describe('user claims', () => {
+    test('users have the user role by default', async () => {
+        const { userId } = await addUser();
+        expect(authUtils.getUserClaims(await authUtils.getUserByUserId(userId))).toEqual({ userId, isAdmin: false, scopes: ['read', 'write'] });
+    });
+
+    test('users with the admin role are admins', async () => {
+        const { userId } = await addUser({ Role: 'admin' });
+        expect(authUtils.getUserClaims(await authUtils.getUserByUserId(userId))).toMatchObject({ isAdmin: true, scopes: ['read', 'write', 'admin'] });
+    });
+
+    test('configured admin wallets are always admins', () => {
+        const user = { UserId: 'ADMIN', WalletId: adminWallet.address.toLowerCase(), Role: 'user' };
+        expect(authUtils.isAdminUser(user)).toBe(true);
+        expect(authUtils.isConfiguredAdmin(user)).toBe(true);
+    });
+
+    test('disabled users have no claims', async () => {
+        const { userId } = await addUser({ Disabled: true });
+        const user = await authUtils.getUserByUserId(userId);
+        expect(() => authUtils.getUserClaims(user)).toThrow(expect.objectContaining({ statusCode: 403 }));
+    });
+});
@@ -0,0 +1,123 @@
+const { authUtils, ensLookup, userStore: { createMemoryUserStore } } = require('../../src/lambda/utils-module');
+const { createWallet, createFakeEnsProvider } = require('../wallets');
+
+const {
+    setEnsProvider, lookupEnsName, getCachedEns, resolveUserEns, getEnsClaim,
+} = ensLookup;
+
+let provider;
+let store;
+
+beforeEach(() => {
+    provider = createFakeEnsProvider();
+    setEnsProvider(provider);
+    store = createMemoryUserStore();
+    authUtils.setUserStore(store);
+});
+
+afterAll(() => {
+    setEnsProvider(null);
+});
+
+/**
+ * Add a user to the memory store
+ * @param {object} [values] - user record values
+ * @returns {Promise<object>} user
+ */
+async function addUser(values = {}) {
+    const user = {
+        UserId: `USER-${Math.random()}`, WalletId: createWallet().walletId, Verified: true, ...values,
+    };
+    await store.putUser(user);
+    return user;
+}
+
+describe('lookupEnsName', () => {
+    test('returns the verified primary name and avatar', async () => {
+        const { walletId } = createWallet();
+        provider.setName(walletId, 'alice.eth', { avatar: 'https://example.com/alice.png' });
+        expect(await lookupEnsName(walletId)).toEqual({ name: 'alice.eth', avatar: 'https://example.com/alice.png' });
+    });
+
+    test('returns nothing for a wallet without a reverse record', async () => {
+        expect(await lookupEnsName(createWallet().walletId)).toEqual({ name: '', avatar: '' });
+    });
+
+    test('rejects a name that does not resolve back to the wallet', async () => {
+        const { walletId } = createWallet();
+        provider.setName(walletId, 'vitalik.eth', { addr: createWallet().walletId });
+        expect(await lookupEnsName(walletId)).toEqual({ name: '', avatar: '' });
+
+        const other = createWallet().walletId;
+        provider.setName(other, 'nobody.eth', { addr: null });
+        expect(await lookupEnsName(other)).toEqual({ name: '', avatar: '' });
+    });
+
+    test('only returns https avatars', async () => {
+        const { walletId } = createWallet();
+        provider.setName(walletId, 'bob.eth', { avatar: 'ipfs://QmExample' });
+        expect(await lookupEnsName(walletId)).toEqual({ name: 'bob.eth', avatar: '' });
+    });
+
+    test('rejects names with invalid characters', async () => {
+        const { walletId } = createWallet();
+        provider.setName(walletId, 'bad\nname.eth', { addr: null });
+        expect(await lookupEnsName(walletId)).toEqual({ name: '', avatar: '' });
+        const other = createWallet().walletId;
+        provider.setName(other, 'bad..eth', { addr: null });
+        expect(await lookupEnsName(other)).toEqual({ name: '', avatar: '' });
+    });
+
+    test('uses the configured registry', async () => {
+        const { walletId } = createWallet();
+        const local = createFakeEnsProvider(createWallet().walletId);
+        local.setName(walletId, 'alice.eth');
+        setEnsProvider(local);
+        expect(await lookupEnsName(walletId)).toEqual({ name: '', avatar: '' });
+    });
+});
+
+describe('resolveUserEns', () => {
+    test('looks up the name and caches it on the user record', async () => {
+        const user = await addUser();
+        provider.setName(user.WalletId, 'alice.eth');
+        expect(await resolveUserEns(user)).toEqual({ name: 'alice.eth', avatar: '' });
+        const saved = await store.getUserById(user.UserId);
+        expect(saved.Ens).toEqual({ walletId: user.WalletId, name: 'alice.eth', avatar: '' });
+        expect(saved.EnsExpiry).toBeGreaterThan(Date.now() / 1000 + 3500);
+
+        // The cached name is used until it expires
+        const { calls } = provider;
+        expect(await resolveUserEns(saved)).toEqual({ name: 'alice.eth', avatar: '' });
+        expect(provider.calls).toBe(calls);
+    });
+
+    test('looks up the name again when the cache has expired', async () => {
+        const user = await addUser();
+        provider.setName(user.WalletId, 'bob.eth');
+        const expired = await addUser({
+            ...user, Ens: { walletId: user.WalletId, name: 'alice.eth', avatar: '' }, EnsExpiry: 1,
+        });
+        expect(await resolveUserEns(expired)).toEqual({ name: 'bob.eth', avatar: '' });
+    });
+
+    test('ignores a cached name for another wallet', async () => {
+        const user = await addUser({ Ens: { walletId: createWallet().walletId, name: 'alice.eth', avatar: '' }, EnsExpiry: 4102444800 });
+        expect(getCachedEns(user)).toEqual({ name: '', avatar: '' });
+        expect(await resolveUserEns(user)).toEqual({ name: '', avatar: '' });
+        expect(provider.calls).toBeGreaterThan(0);
+    });
+
+    test('returns the cached name if the lookup fails', async () => {
+        const user = await addUser();
+        const cached = await addUser({ ...user, Ens: { walletId: user.WalletId, name: 'alice.eth', avatar: '' }, EnsExpiry: 1 });
+        jest.spyOn(provider, 'call').mockRejectedValue(new Error('network error'));
+        expect(await resolveUserEns(cached)).toEqual({ name: 'alice.eth', avatar: '' });
+    });
+});
+
+describe('getEnsClaim', () => {
+    test('returns the name when the claim is enabled', () => {
+        expect(getEnsClaim({ name: 'alice.eth', avatar: '' })).toBe('alice.eth');
+    });
+});
@@ -0,0 +1,83 @@
+const {
+    errors: {
+        ApiError, ValidationError, ForbiddenError, TooManyRequestsError, getErrorProps,
+    },
+} = require('../../src/lambda/utils-module');
+const { errorResponses, getStatusCode } = require('../helpers');
+
+describe('errors', () => {
+    test('ValidationError has a 400 status', () => {
+        const err = new ValidationError('Missing walletId');
+        expect(err).toBeInstanceOf(Error);
+        expect(err.name).toBe('ValidationError');
+        expect(err.message).toBe('Validation Error: Missing walletId');
+        expect(err.statusCode).toBe(400);
+    });
+
+    test('ForbiddenError has a 403 status', () => {
+        const err = new ForbiddenError('Admin access required');
+        expect(err.name).toBe('ForbiddenError');
+        expect(err.message).toBe('Forbidden: Admin access required');
+        expect(err.statusCode).toBe(403);
+    });
+
+    test('TooManyRequestsError has a 429 status and the retry time', () => {
+        const err = new TooManyRequestsError('Too many failed attempts', 30, 'SIGN_IN_LOCKED');
+        expect(err.name).toBe('TooManyRequestsError');
+        expect(err.message).toBe('Too Many Requests: Too many failed attempts');
+        expect(err).toMatchObject({ statusCode: 429, retryAfter: 30, errorCode: 'SIGN_IN_LOCKED' });
+        expect(getErrorProps(err)).toEqual({ errorCode: 'SIGN_IN_LOCKED', retryAfter: '30' });
+        expect(getErrorProps(new ValidationError('Missing walletId'))).toEqual({});
+    });
+
+    test('ApiError message is the JSON response body', () => {
+        const err = new ApiError('Validation Error: Missing walletId', 400, 'request-1', { extra: true });
+        expect(err.name).toBe('ApiError');
+        expect(JSON.parse(err.message)).toEqual({
+            success: false,
+            statusCode: 400,
+            message: 'Validation Error: Missing walletId',
+            requestId: 'request-1',
+            extra: true,
+        });
+    });
+
+    test('ApiError defaults to a 500 status', () => {
+        expect(JSON.parse(new ApiError('Something broke').message)).toMatchObject({ statusCode: 500, requestId: 'Error' });
+    });
+});
+
+describe('selection patterns', () => {
+    test('the stack has an error response for each status code', () => {
+        expect(errorResponses.map(({ statusCode }) => statusCode).sort()).toEqual([400, 401, 403, 429, 500]);
+    });
+
+    test.each([400, 401, 403, 429, 500, 502])('ApiError %i matches one pattern', (code) => {
+        const err = new ApiError('Validation Error: Invalid token', code, 'request-1');
+        const matches = errorResponses.filter(({ selectionPattern }) => selectionPattern.test(err.message));
+        expect(matches).toHaveLength(1);
+        expect(getStatusCode(err)).toBe((code >= 500) ? 500 : code);
+    });
+
+    test.each([
+        [new ValidationError('Invalid signature'), 400],
+        [new ForbiddenError('Admin access required'), 403],
+        [new TooManyRequestsError('Too many new users', 60, 'USER_LIMIT'), 429],
+        [new Error('Internal error'), 500],
+    ])('handler errors map to the status code (%s)', (err, statusCode) => {
+        const { message, statusCode: code = 500 } = err;
+        expect(getStatusCode(new ApiError(message, code, 'request-1'))).toBe(statusCode);
+    });
+
+    test('the retry time does not match another status code', () => {
+        const err = new TooManyRequestsError('Too many failed attempts', 400, 'SIGN_IN_LOCKED');
+        const apiError = new ApiError(err.message, err.statusCode, 'request-1', getErrorProps(err));
+        expect(errorResponses.filter(({ selectionPattern }) => selectionPattern.test(apiError.message))).toHaveLength(1);
+        expect(getStatusCode(apiError)).toBe(429);
+    });
+
+    test('errors that are not ApiErrors do not match any pattern', () => {
+        expect(getStatusCode(new ValidationError('Missing walletId'))).toBe(200);
+        expect(getStatusCode(new Error('Internal error'))).toBe(200);
+    });
+});
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const { jwtUtils, tokenSigner, cookie } = require('../../src/lambda/utils-module');
+const { signTestToken } = require('../helpers');
+
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Get the token from a refresh cookie
+ */
+const cookieToken = (setCookie) => cookie.parse(setCookie).token;
+
+/**
+ * Create a local signer with a new key
+ */
+function createSigner(alg = 'PS256') {
+    const { privateKey } = (alg === 'ES256')
+        ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+        : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return tokenSigner.createLocalSigner({ key: privateKey.export({ type: 'pkcs8', format: 'pem' }), alg });
+}
+
+const [{ key: testKey }] = JSON.parse(process.env.SIGNING_KEYS);
+const testSigner = tokenSigner.createLocalSigner({ key: testKey, alg: 'PS256' });
+
+afterEach(() => {
+    jwtUtils.setTokenSigners({ active: testSigner });
+});
+
+describe('auth tokens', () => {
+    test('validateAuthToken returns the token claims', async () => {
+        const token = await jwtUtils.createAuthToken({ userId: 'USER1', isAdmin: true });
+        const { data } = await jwtUtils.validateAuthToken({ token });
+        expect(data).toMatchObject({
+            iss: 'api.example.com', sub: 'USER1', admin: true, refresh: false, aud: ['nrg'],
+        });
+        expect(data.exp - data.iat).toBe(5 * 60);
+    });
+
+    test('tokens have the kid of the signing key', async () => {
+        const token = await jwtUtils.createAuthToken({ userId: 'USER1' });
+        const header = JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString());
+        const { keys: [jwk] } = await jwtUtils.getJwks();
+        expect(header).toEqual({ alg: 'PS256', typ: 'JWT', kid: jwk.kid });
+    });
+
+    test('expired tokens are rejected', async () => {
+        const token = await jwtUtils.createAuthToken({ userId: 'USER1' });
+        const dateNow = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + (6 * 60 * 1000));
+        await expect(jwtUtils.validateAuthToken({ token })).rejects.toMatchObject({
+            name: 'TokenExpiredError', statusCode: 400, message: 'Authentication token has expired',
+        });
+        dateNow.mockRestore();
+    });
+
+    test('refresh tokens cannot be used as auth tokens', async () => {
+        const setCookie = await jwtUtils.createRefreshCookie({ userId: 'USER1' });
+        await expect(jwtUtils.validateAuthToken({ token: cookieToken(setCookie) })).rejects.toThrow('Invalid Auth token');
+    });
+
+    test('tokens with a changed payload are rejected', async () => {
+        const token = await jwtUtils.createAuthToken({ userId: 'USER1' });
+        const [header, payload, signature] = token.split('.');
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        const changed = Buffer.from(JSON.stringify({ ...claims, admin: true })).toString('base64url');
+        await expect(jwtUtils.validateAuthToken({ token: `${header}.${changed}.${signature}` })).rejects.toMatchObject({
+            name: 'ValidationError', statusCode: 400,
+        });
+    });
+
+    test('tokens from another key with the same kid are rejected', async () => {
+        const token = await jwtUtils.createAuthToken({ userId: 'USER1' });
+        jwtUtils.setTokenSigners({ active: createSigner() });
+        const otherToken = await jwtUtils.createAuthToken({ userId: 'USER1' });
+        jwtUtils.setTokenSigners({ active: testSigner });
+        const [header] = token.split('.');
+        const [, payload, signature] = otherToken.split('.');
+        await expect(jwtUtils.validateAuthToken({ token: `${header}.${payload}.${signature}` })).rejects.toThrow('invalid signature');
+    });
+
+    test('tokens with an unknown kid are rejected', async () => {
+        const token = await signTestToken({ sub: 'USER1', refresh: false, exp: now() + 60 }, { kid: 'unknown' });
+        await expect(jwtUtils.validateAuthToken({ token })).rejects.toThrow('Token signing key is not recognised');
+    });
+
+    test('tokens without a kid are verified with the active key', async () => {
+        const token = await signTestToken({ sub: 'USER1', refresh: false, exp: now() + 60 }, { kid: undefined });
+        expect((await jwtUtils.validateAuthToken({ token })).data.sub).toBe('USER1');
+    });
+
+    test('unsigned tokens are rejected', async () => {
+        const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const token = `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: 'USER1', refresh: false, exp: now() + 60 })}.`;
+        await expect(jwtUtils.validateAuthToken({ token })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('tokens signed with another algorithm for the key are rejected', async () => {
+        const token = await signTestToken({ sub: 'USER1', refresh: false, exp: now() + 60 }, { alg: 'RS256' });
+        await expect(jwtUtils.validateAuthToken({ token })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('invalid tokens are rejected', async () => {
+        await expect(jwtUtils.validateAuthToken({ token: 'not-a-token' })).rejects.toThrow('Invalid token');
+    });
+});
+
+describe('receipt tokens', () => {
+    test('receipts are signed with the receipt type and no expiry', async () => {
+        const receipt = { receiptId: 'R1', userId: 'USER1', walletIds: [] };
+        const token = await jwtUtils.createReceiptToken({ userId: 'USER1', receiptId: 'R1', receipt });
+        const header = JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString());
+        expect(header.typ).toBe('receipt+jwt');
+        const { data } = await jwtUtils.verifyReceiptToken({ token });
+        expect(data).toEqual({
+            iss: 'api.example.com', sub: 'USER1', jti: 'R1', iat: expect.any(Number), receipt,
+        });
+    });
+
+    test('receipts and auth tokens cannot be used as each other', async () => {
+        const receiptToken = await jwtUtils.createReceiptToken({ userId: 'USER1', receiptId: 'R1', receipt: {} });
+        await expect(jwtUtils.validateAuthToken({ token: receiptToken })).rejects.toThrow('Invalid token type');
+        await expect(jwtUtils.validateRefreshCookie(`token=${receiptToken}`)).rejects.toThrow('Invalid token type');
+        const authToken = await jwtUtils.createAuthToken({ userId: 'USER1' });
+        await expect(jwtUtils.verifyReceiptToken({ token: authToken })).rejects.toThrow('Invalid token type');
+    });
+});
+
+describe('refresh cookies', () => {
+    test('the cookie is a secure http only cookie for the API domain', async () => {
+        const setCookie = await jwtUtils.createRefreshCookie({ userId: 'USER1' });
+        expect(setCookie).toMatch(/^token=[\w-]+\.[\w-]+\.[\w-]+; Max-Age=3600; Domain=api\.example\.com; Path=\/; HttpOnly; Secure; SameSite=Strict$/);
+    });
+
+    test('auth tokens cannot be used as refresh tokens', async () => {
+        const token = await jwtUtils.createAuthToken({ userId: 'USER1' });
+        await expect(jwtUtils.validateRefreshCookie(`token=${token}`)).rejects.toThrow('Invalid refresh token');
+    });
+
+    test('cookies without a token are rejected', async () => {
+        await expect(jwtUtils.validateRefreshCookie('other=value')).rejects.toThrow('Not our cookie');
+    });
+
+    test('rotating a cookie returns a new cookie in the same family', async () => {
+        const setCookie = await jwtUtils.createRefreshCookie({ userId: 'USER1' });
+        const { familyId } = await jwtUtils.validateRefreshCookie(setCookie);
+        const rotated = await jwtUtils.rotateRefreshCookie(setCookie);
+        expect(rotated.userId).toBe('USER1');
+        expect((await jwtUtils.validateRefreshCookie(rotated.cookie)).familyId).toBe(familyId);
+    });
+
+    test('reusing a rotated cookie revokes the family', async () => {
+        const setCookie = await jwtUtils.createRefreshCookie({ userId: 'USER1' });
+        const rotated = await jwtUtils.rotateRefreshCookie(setCookie);
+        await expect(jwtUtils.rotateRefreshCookie(setCookie)).rejects.toMatchObject({ statusCode: 400 });
+        await expect(jwtUtils.validateRefreshCookie(rotated.cookie)).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('the logout cookie expires the token', async () => {
+        expect(await jwtUtils.createLogoutCookie()).toMatch(/^token=logout; Max-Age=0;/);
+    });
+});
+
+describe('signing keys', () => {
+    test('tokens from a previous key are accepted after rotation', async () => {
+        const token = await jwtUtils.createAuthToken({ userId: 'USER1' });
+        jwtUtils.setTokenSigners({ active: createSigner(), verify: [testSigner] });
+        expect((await jwtUtils.validateAuthToken({ token })).data.sub).toBe('USER1');
+        expect((await jwtUtils.getJwks()).keys).toHaveLength(2);
+    });
+
+    test('tokens from a removed key are rejected', async () => {
+        const token = await jwtUtils.createAuthToken({ userId: 'USER1' });
+        jwtUtils.setTokenSigners({ active: createSigner() });
+        await expect(jwtUtils.validateAuthToken({ token })).rejects.toThrow('Token signing key is not recognised');
+    });
+
+    test.each(['RS256', 'ES256'])('tokens can be signed with %s', async (alg) => {
+        const signer = createSigner(alg);
+        jwtUtils.setTokenSigners({ active: signer });
+        const token = await jwtUtils.createAuthToken({ userId: 'USER1' });
+        expect(JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString()).alg).toBe(alg);
+        expect((await jwtUtils.validateAuthToken({ token })).data.sub).toBe('USER1');
+        const { keys: [jwk] } = await jwtUtils.getJwks();
+        expect(jwk).toMatchObject({ alg, kty: (alg === 'ES256') ? 'EC' : 'RSA', use: 'sig' });
+    });
+
+    test('KMS ES256 signatures are converted from DER', async () => {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        const kms = {
+            getPublicKey: () => ({ promise: async () => ({ PublicKey: publicKey.export({ type: 'spki', format: 'der' }) }) }),
+            sign: ({ Message, SigningAlgorithm }) => ({
+                promise: async () => {
+                    expect(SigningAlgorithm).toBe('ECDSA_SHA_256');
+                    return { Signature: crypto.sign('sha256', Message, privateKey) };
+                },
+            }),
+        };
+        jwtUtils.setTokenSigners({ active: tokenSigner.createKmsSigner({ kms, keyId: 'test-key', alg: 'ES256' }) });
+        const tokens = await Promise.all([...Array(10)].map(() => jwtUtils.createAuthToken({ userId: 'USER1' })));
+        await Promise.all(tokens.map(async (token) => {
+            expect(Buffer.from(token.split('.')[2], 'base64url')).toHaveLength(64);
+            expect((await jwtUtils.validateAuthToken({ token })).data.sub).toBe('USER1');
+        }));
+    });
+
+    test('configured algorithms are listed for discovery', () => {
+        expect(jwtUtils.getSigningAlgorithms()).toEqual(['PS256']);
+    });
+
+    test('public keys cannot sign tokens', async () => {
+        const { jwk } = await testSigner.getPublicKey();
+        const publicSigner = tokenSigner.createLocalSigner({ key: jwk, alg: 'PS256' });
+        await expect(publicSigner.sign(Buffer.from('message'))).rejects.toThrow('can only verify tokens');
+    });
+
+    test('keys must match the algorithm', () => {
+        expect(() => tokenSigner.createLocalSigner({ key: testKey, alg: 'ES256' })).toThrow('Key type does not match');
+    });
+});
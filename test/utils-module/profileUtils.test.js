@@ -0,0 +1,94 @@
+const { authUtils, profileUtils, userStore: { createMemoryUserStore } } = require('../../src/lambda/utils-module');
+
+const { mergeProfile, getProfile, updateProfile } = profileUtils;
+
+let store;
+
+beforeEach(async () => {
+    store = createMemoryUserStore({
+        users: [{
+            UserId: 'USER1', WalletId: '0x1', Verified: true, Role: 'user', Disabled: false,
+        }],
+    });
+    authUtils.setUserStore(store);
+});
+
+describe('mergeProfile', () => {
+    test('merges updates into the current profile', () => {
+        const current = { displayName: 'Alice', preferences: { theme: 'dark', notifications: true } };
+        expect(mergeProfile({ bio: 'Builder', preferences: { theme: 'light' } }, current)).toEqual({
+            displayName: 'Alice', bio: 'Builder', preferences: { theme: 'light', notifications: true },
+        });
+    });
+
+    test('null or an empty string removes a field', () => {
+        const current = { displayName: 'Alice', bio: 'Builder', preferences: { theme: 'dark' } };
+        expect(mergeProfile({ displayName: null, bio: '  ', preferences: { theme: null } }, current)).toEqual({});
+    });
+
+    test('trims strings and accepts line breaks in the bio only', () => {
+        expect(mergeProfile({ displayName: '  Alice ', bio: 'Line one\nLine two' })).toEqual({ displayName: 'Alice', bio: 'Line one\nLine two' });
+        expect(() => mergeProfile({ displayName: 'Alice\nBob' })).toThrow('displayName contains invalid characters');
+        expect(() => mergeProfile({ bio: 'Bell\u0007' })).toThrow('bio contains invalid characters');
+    });
+
+    test.each([
+        [{ nickname: 'Al' }, 'Unknown profile field nickname'],
+        [{ preferences: { colour: 'red' } }, 'Unknown profile field preferences.colour'],
+        [{ displayName: 42 }, 'displayName must be a string'],
+        [{ displayName: 'A'.repeat(51) }, 'displayName must be 50 characters or less'],
+        [{ avatarUrl: 'http://example.com/a.png' }, 'avatarUrl must be an https URL'],
+        [{ avatarUrl: 'data:image/png;base64,AAAA' }, 'avatarUrl must be an https URL'],
+        [{ avatarUrl: 'not a url' }, 'avatarUrl must be an https URL'],
+        [{ preferences: { theme: 'blue' } }, 'preferences.theme must be one of: system, light, dark'],
+        [{ preferences: { locale: 'en_AU' } }, 'preferences.locale is not valid'],
+        [{ preferences: { notifications: 'yes' } }, 'preferences.notifications must be true or false'],
+        [{ preferences: ['dark'] }, 'preferences must be an object'],
+    ])('rejects invalid fields (%j)', (updates, message) => {
+        expect(() => mergeProfile(updates)).toThrow(message);
+    });
+
+    test('rejects a profile that is not an object', () => {
+        expect(() => mergeProfile('Alice')).toThrow('Profile must be an object');
+        expect(() => mergeProfile([])).toThrow('Profile must be an object');
+    });
+
+    test('limits the profile size in bytes', () => {
+        const current = { displayName: 'A'.repeat(50), avatarUrl: `https://example.com/${'a'.repeat(480)}` };
+        expect(() => mergeProfile({ bio: 'b'.repeat(280), preferences: { theme: 'system', locale: 'en-AU', notifications: true } }, current)).not.toThrow();
+        expect(() => mergeProfile({ bio: '😀'.repeat(140) }, current)).toThrow('Profile must be 1024 bytes or less');
+    });
+});
+
+describe('profiles', () => {
+    test('new users have an empty profile', async () => {
+        expect(await getProfile('USER1')).toEqual({ userId: 'USER1', profile: {}, updatedTime: '' });
+    });
+
+    test('updates are saved on the user record', async () => {
+        const { updatedTime } = await updateProfile({ userId: 'USER1', profile: { displayName: 'Alice' } });
+        expect(await getProfile('USER1')).toEqual({ userId: 'USER1', profile: { displayName: 'Alice' }, updatedTime });
+        expect(await store.getUserById('USER1')).toMatchObject({ Profile: { displayName: 'Alice' }, ProfileTime: updatedTime });
+    });
+
+    test('rejects an update if the profile changed after it was read', async () => {
+        await updateProfile({ userId: 'USER1', profile: { displayName: 'Alice' } });
+        const { updateProfile: storeUpdate } = store;
+        jest.spyOn(store, 'updateProfile').mockImplementationOnce(async (userId, values) => {
+            await storeUpdate(userId, { ...values, profile: { displayName: 'Bob' } });
+            return storeUpdate(userId, values);
+        });
+        await expect(updateProfile({ userId: 'USER1', profile: { bio: 'Builder' } })).rejects.toThrow('Profile has changed');
+        expect((await getProfile('USER1')).profile).toEqual({ displayName: 'Bob' });
+    });
+
+    test('disabled users cannot update their profile', async () => {
+        await store.putUser({ ...await store.getUserById('USER1'), Disabled: true });
+        await expect(updateProfile({ userId: 'USER1', profile: { displayName: 'Alice' } })).rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    test('rejects unknown users', async () => {
+        await expect(getProfile('USER2')).rejects.toThrow('UserId not found');
+        await expect(updateProfile({ userId: 'USER2', profile: {} })).rejects.toThrow('UserId not found');
+    });
+});
@@ -0,0 +1,114 @@
+const AWS = require('aws-sdk');
+const { throttle } = require('../../src/lambda/utils-module');
+const { createWallet } = require('../wallets');
+
+const {
+    setThrottleLimits, assertNotLocked, recordFailure, clearFailures, consumeNewUser,
+} = throttle;
+
+const docClient = new AWS.DynamoDB.DocumentClient();
+
+let ipCount = 0;
+const newIp = () => { ipCount += 1; return `192.0.2.${ipCount}`; };
+
+// Mocks restored after each test (restoreAllMocks would also restore the console mock)
+let mocks = [];
+
+// Move the clock forward
+const advance = (seconds) => {
+    const now = Date.now() + (seconds * 1000);
+    mocks.push(jest.spyOn(Date, 'now').mockReturnValue(now));
+};
+
+beforeEach(() => {
+    setThrottleLimits({
+        walletFailures: 2, ipFailures: 4, lockoutTime: 30, maxLockoutTime: 100, failureWindow: 600, ipUsers: 2, userWindow: 600,
+    });
+});
+
+afterEach(() => {
+    mocks.forEach((mock) => mock.mockRestore());
+    mocks = [];
+});
+
+afterAll(() => {
+    setThrottleLimits({});
+});
+
+describe('sign in lockout', () => {
+    test('locks a wallet out for longer after each failure', async () => {
+        const { walletId } = createWallet();
+        expect(await recordFailure({ walletId })).toBe(0);
+        expect(await recordFailure({ walletId })).toBe(30);
+        await expect(assertNotLocked({ walletId })).rejects.toMatchObject({
+            name: 'TooManyRequestsError', statusCode: 429, retryAfter: 30, errorCode: 'SIGN_IN_LOCKED',
+        });
+        expect(await recordFailure({ walletId })).toBe(60);
+        expect(await recordFailure({ walletId })).toBe(100);
+        await expect(assertNotLocked({ walletId: walletId.toLowerCase() })).rejects.toThrow('try again in 100 seconds');
+
+        advance(101);
+        await expect(assertNotLocked({ walletId })).resolves.toBeUndefined();
+    });
+
+    test('locks an IP address out across wallets', async () => {
+        const sourceIp = newIp();
+        for (let i = 0; i < 4; i += 1) {
+            // eslint-disable-next-line no-await-in-loop
+            await recordFailure({ walletId: createWallet().walletId, sourceIp });
+        }
+        await expect(assertNotLocked({ walletId: createWallet().walletId, sourceIp })).rejects.toThrow('Too many failed attempts');
+        await expect(assertNotLocked({ walletId: createWallet().walletId, sourceIp: newIp() })).resolves.toBeUndefined();
+    });
+
+    test('a successful sign in clears the wallet failures only', async () => {
+        const { walletId } = createWallet();
+        const sourceIp = newIp();
+        await recordFailure({ walletId, sourceIp });
+        await recordFailure({ walletId, sourceIp });
+        await clearFailures({ walletId });
+        await expect(assertNotLocked({ walletId })).resolves.toBeUndefined();
+        await recordFailure({ walletId, sourceIp });
+        await recordFailure({ walletId, sourceIp });
+        await expect(assertNotLocked({ sourceIp })).rejects.toThrow('Too many failed attempts');
+    });
+
+    test('failures are forgotten after the failure window', async () => {
+        const { walletId } = createWallet();
+        await recordFailure({ walletId });
+        advance(601);
+        expect(await recordFailure({ walletId })).toBe(0);
+    });
+});
+
+describe('new user limit', () => {
+    test('limits new users per IP address in the user window', async () => {
+        const sourceIp = newIp();
+        await consumeNewUser({ sourceIp });
+        await consumeNewUser({ sourceIp });
+        const err = await consumeNewUser({ sourceIp }).catch((error) => error);
+        expect(err).toMatchObject({ statusCode: 429, errorCode: 'USER_LIMIT' });
+        expect(err.retryAfter).toBeGreaterThan(590);
+        await expect(consumeNewUser({ sourceIp: newIp() })).resolves.toBeUndefined();
+
+        advance(601);
+        await expect(consumeNewUser({ sourceIp })).resolves.toBeUndefined();
+    });
+
+    test('requests without a source IP are not limited', async () => {
+        for (let i = 0; i < 3; i += 1) {
+            // eslint-disable-next-line no-await-in-loop
+            await expect(consumeNewUser({})).resolves.toBeUndefined();
+        }
+    });
+});
+
+test('allows requests if the throttle table fails', async () => {
+    const failed = { promise: () => Promise.reject(new Error('Service unavailable')) };
+    mocks.push(jest.spyOn(docClient, 'get').mockReturnValue(failed), jest.spyOn(docClient, 'update').mockReturnValue(failed));
+    const { walletId } = createWallet();
+    const sourceIp = newIp();
+    await expect(assertNotLocked({ walletId, sourceIp })).resolves.toBeUndefined();
+    expect(await recordFailure({ walletId, sourceIp })).toBe(0);
+    await expect(consumeNewUser({ sourceIp })).resolves.toBeUndefined();
+});
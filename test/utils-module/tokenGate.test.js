@@ -0,0 +1,198 @@
+const { tokenGate, web3Utils } = require('../../src/lambda/utils-module');
+const { createWallet, createFakeTokenProvider } = require('../wallets');
+
+const {
+    parseTokenGate, setTokenGates, getGateClaims, getGatesForRoute,
+} = tokenGate;
+
+let provider;
+
+beforeEach(() => {
+    provider = createFakeTokenProvider();
+    web3Utils.setRpcProvider(provider, 1);
+    setTokenGates([]);
+});
+
+afterAll(() => {
+    web3Utils.setRpcProvider(null, 1);
+    setTokenGates([]);
+});
+
+describe('parseTokenGate', () => {
+    const contract = createWallet().walletId;
+
+    test('sets the defaults', () => {
+        expect(parseTokenGate({
+            name: 'holders', routes: ['GET /test/read'], standard: 'erc20', contract,
+        })).toMatchObject({
+            chainId: 1, minBalance: '1', tokenId: undefined,
+        });
+    });
+
+    test('rejects invalid gates', () => {
+        expect(() => parseTokenGate({ routes: ['GET /test/read'], standard: 'erc20', contract })).toThrow('name is required');
+        expect(() => parseTokenGate({
+            name: 'a', routes: [], standard: 'erc20', contract,
+        })).toThrow('has no routes');
+        expect(() => parseTokenGate({
+            name: 'a', routes: ['GET /test/read'], standard: 'erc777', contract,
+        })).toThrow('unsupported standard');
+        expect(() => parseTokenGate({
+            name: 'a', routes: ['GET /test/read'], standard: 'erc20', contract: '0x1234',
+        })).toThrow('invalid contract');
+        expect(() => parseTokenGate({
+            name: 'a', routes: ['GET /test/read'], standard: 'erc1155', contract,
+        })).toThrow('requires a tokenId');
+    });
+});
+
+describe('getGatesForRoute', () => {
+    test('matches routes with wildcards', () => {
+        const contract = createWallet().walletId;
+        setTokenGates([
+            {
+                name: 'read', routes: ['GET /test/read'], standard: 'erc20', contract,
+            },
+            {
+                name: 'test', routes: ['* /test/*'], standard: 'erc20', contract,
+            },
+            {
+                name: 'user', routes: ['GET /auth/get-user/*'], standard: 'erc20', contract,
+            },
+        ]);
+        const names = (route) => getGatesForRoute(route).map((gate) => gate.name);
+        expect(names('GET /test/read')).toEqual(['read', 'test']);
+        expect(names('POST /test/write')).toEqual(['test']);
+        expect(names('GET /auth/get-user/*')).toEqual(['user']);
+        expect(names('GET /auth/wallets')).toEqual([]);
+    });
+
+    test('a gate on part of a wildcard route applies to the whole route', () => {
+        setTokenGates([{
+            name: 'one', routes: ['GET /admin/users/U1'], standard: 'erc20', contract: createWallet().walletId,
+        }]);
+        expect(getGatesForRoute('GET /admin/users/*').map((gate) => gate.name)).toEqual(['one']);
+        expect(getGatesForRoute('POST /admin/users/*/role')).toEqual([]);
+    });
+});
+
+describe('getGateClaims', () => {
+    test('checks the ERC-20 minimum balance', async () => {
+        const token = provider.addToken('erc20');
+        setTokenGates([{
+            name: 'whale', routes: ['GET /test/read'], standard: 'erc20', contract: token.contract, minBalance: '1000',
+        }]);
+        const holder = createWallet().walletId;
+        const small = createWallet().walletId;
+        token.mint(holder, '1000');
+        token.mint(small, '999');
+        expect(await getGateClaims([holder])).toEqual(['whale']);
+        expect(await getGateClaims([small])).toEqual([]);
+    });
+
+    test('checks any ERC-721 token or a token Id', async () => {
+        const token = provider.addToken('erc721');
+        setTokenGates([
+            {
+                name: 'member', routes: ['GET /test/read'], standard: 'erc721', contract: token.contract,
+            },
+            {
+                name: 'founder', routes: ['GET /test/read'], standard: 'erc721', contract: token.contract, tokenId: '1',
+            },
+        ]);
+        const founder = createWallet().walletId;
+        const member = createWallet().walletId;
+        token.mint(founder, '1');
+        token.mint(member, '2');
+        expect(await getGateClaims([founder])).toEqual(['member', 'founder']);
+        expect(await getGateClaims([member])).toEqual(['member']);
+        expect(await getGateClaims([createWallet().walletId])).toEqual([]);
+    });
+
+    test('treats an ERC-721 token that does not exist as not owned', async () => {
+        const token = provider.addToken('erc721');
+        setTokenGates([{
+            name: 'founder', routes: ['GET /test/read'], standard: 'erc721', contract: token.contract, tokenId: '99',
+        }]);
+        expect(await getGateClaims([createWallet().walletId])).toEqual([]);
+    });
+
+    test('checks the ERC-1155 token Id balance', async () => {
+        const token = provider.addToken('erc1155');
+        setTokenGates([{
+            name: 'pass', routes: ['GET /test/read'], standard: 'erc1155', contract: token.contract, tokenId: '7', minBalance: '2',
+        }]);
+        const holder = createWallet().walletId;
+        const other = createWallet().walletId;
+        token.mint(holder, '2', '7');
+        token.mint(other, '5', '8');
+        expect(await getGateClaims([holder])).toEqual(['pass']);
+        expect(await getGateClaims([other])).toEqual([]);
+    });
+
+    test('passes if any wallet holds the token', async () => {
+        const token = provider.addToken('erc20');
+        setTokenGates([{
+            name: 'holders', routes: ['GET /test/read'], standard: 'erc20', contract: token.contract,
+        }]);
+        const linked = createWallet().walletId;
+        token.mint(linked, '1');
+        expect(await getGateClaims([createWallet().walletId, linked])).toEqual(['holders']);
+    });
+
+    test('gates with the same name are alternatives', async () => {
+        const first = provider.addToken('erc20');
+        const second = provider.addToken('erc721');
+        setTokenGates([
+            {
+                name: 'holders', routes: ['GET /test/read'], standard: 'erc20', contract: first.contract,
+            },
+            {
+                name: 'holders', routes: ['GET /test/read'], standard: 'erc721', contract: second.contract,
+            },
+        ]);
+        const { walletId } = createWallet();
+        second.mint(walletId, '1');
+        expect(await getGateClaims([walletId])).toEqual(['holders']);
+    });
+
+    test('caches balance lookups', async () => {
+        const token = provider.addToken('erc20');
+        setTokenGates([{
+            name: 'holders', routes: ['GET /test/read'], standard: 'erc20', contract: token.contract,
+        }]);
+        const { walletId } = createWallet();
+        token.mint(walletId, '1');
+        await getGateClaims([walletId]);
+        await getGateClaims([walletId]);
+        expect(provider.calls).toBe(1);
+
+        // Holdings are read again when the cache expires
+        token.transfer(walletId, createWallet().walletId, '1');
+        const dateNow = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + (61 * 1000));
+        expect(await getGateClaims([walletId])).toEqual([]);
+        dateNow.mockRestore();
+        expect(provider.calls).toBe(2);
+    });
+
+    test('lookup errors fail the gate and are not cached', async () => {
+        const token = provider.addToken('erc20');
+        setTokenGates([{
+            name: 'holders', routes: ['GET /test/read'], standard: 'erc20', contract: token.contract,
+        }]);
+        const { walletId } = createWallet();
+        token.mint(walletId, '1');
+        const { call } = provider;
+        provider.call = async () => { throw new Error('connection refused'); };
+        expect(await getGateClaims([walletId])).toEqual([]);
+        provider.call = call;
+        expect(await getGateClaims([walletId])).toEqual(['holders']);
+    });
+
+    test('fails gates on a chain without an RPC URL', async () => {
+        setTokenGates([{
+            name: 'polygon', routes: ['GET /test/read'], standard: 'erc20', contract: createWallet().walletId, chainId: 137,
+        }]);
+        expect(await getGateClaims([createWallet().walletId])).toEqual([]);
+    });
+});
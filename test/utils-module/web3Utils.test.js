@@ -0,0 +1,288 @@
+const { web3Utils, moment } = require('../../src/lambda/utils-module');
+const { createWallet, createFakeProvider, wrapErc6492Signature } = require('../wallets');
+
+const {
+    isValidEthAddress, setRpcProvider, isValidEthSignature, createSiweMessage, parseSiweMessage, validateSiweMessage,
+    createSiweLogin, hashActionBody, createTypedAction, isValidTypedActionSignature, getSupportedChainIds,
+} = web3Utils;
+
+/**
+ * Sign typed data like eth_signTypedData_v4
+ */
+const signTypedData = (wallet, { domain, types, message }) => {
+    const { EIP712Domain, ...structTypes } = types;
+    return wallet._signTypedData(domain, structTypes, message); // eslint-disable-line no-underscore-dangle
+};
+
+describe('isValidEthAddress', () => {
+    test('skips validation when there is no Infura key', async () => {
+        expect(await isValidEthAddress('not-an-address')).toBe(true);
+    });
+});
+
+describe('getSupportedChainIds', () => {
+    test('includes the login chain and the other supported chains', () => {
+        expect(getSupportedChainIds()).toEqual([1, 10]);
+    });
+});
+
+describe('isValidEthSignature', () => {
+    test('accepts a signature from the wallet', async () => {
+        const { wallet, walletId } = createWallet();
+        const message = 'Sign the one-time key to continue: 1234';
+        const signature = await wallet.signMessage(message);
+        expect(await isValidEthSignature({ walletId, message, signature })).toBe(true);
+    });
+
+    test('rejects a signature from another wallet', async () => {
+        const { walletId } = createWallet();
+        const { wallet: other } = createWallet();
+        const message = 'Sign the one-time key to continue: 1234';
+        const signature = await other.signMessage(message);
+        expect(await isValidEthSignature({ walletId, message, signature })).toBe(false);
+    });
+
+    test('rejects a signature of another message', async () => {
+        const { wallet, walletId } = createWallet();
+        const signature = await wallet.signMessage('Sign the one-time key to continue: 1234');
+        expect(await isValidEthSignature({ walletId, message: 'Sign the one-time key to continue: 5678', signature })).toBe(false);
+    });
+});
+
+describe('contract wallet signatures', () => {
+    const message = 'Sign the one-time key to continue: 1234';
+    const nonce = 'abcdef0123456789';
+    const data = { message: 'Hello' };
+    let provider;
+
+    beforeEach(() => {
+        provider = createFakeProvider();
+        setRpcProvider(provider);
+    });
+
+    afterAll(() => setRpcProvider(null));
+
+    test('accepts an ERC-1271 signature from a deployed wallet', async () => {
+        const { owner, walletId } = provider.addWallet();
+        const signature = await owner.signMessage(message);
+        expect(await isValidEthSignature({ walletId, message, signature })).toBe(true);
+    });
+
+    test('rejects an ERC-1271 signature the wallet does not accept', async () => {
+        const { walletId } = provider.addWallet();
+        const { wallet: other } = createWallet();
+        expect(await isValidEthSignature({ walletId, message, signature: await other.signMessage(message) })).toBe(false);
+    });
+
+    test('accepts an EIP-6492 signature from a counterfactual wallet', async () => {
+        const { owner, walletId } = provider.addWallet({ deploy: false });
+        const signature = await owner.signMessage(message);
+        expect(await isValidEthSignature({ walletId, message, signature })).toBe(false);
+        expect(await isValidEthSignature({ walletId, message, signature: wrapErc6492Signature(signature) })).toBe(true);
+    });
+
+    test('checks signatures that are not 65 bytes with the wallet contract', async () => {
+        const { walletId } = provider.addWallet();
+        expect(await isValidEthSignature({ walletId, message, signature: '0x1234' })).toBe(false);
+        expect(provider.calls).toBe(1);
+    });
+
+    test('does not call the provider for wallet key signatures', async () => {
+        const { wallet, walletId } = createWallet();
+        expect(await isValidEthSignature({ walletId, message, signature: await wallet.signMessage(message) })).toBe(true);
+        expect(provider.calls).toBe(0);
+    });
+
+    test('accepts an ERC-1271 typed action signature', async () => {
+        const { owner, walletId } = provider.addWallet();
+        const typedAction = createTypedAction({ route: 'test/write', nonce, bodyHash: hashActionBody(data) });
+        const signature = await signTypedData(owner, typedAction);
+        const params = {
+            walletId, route: 'test/write', nonce, expiry: typedAction.message.expiry, signature,
+        };
+        expect(await isValidTypedActionSignature({ ...params, data })).toBe(true);
+        expect(await isValidTypedActionSignature({ ...params, data: { message: 'Goodbye' } })).toBe(false);
+    });
+
+    test('rejects contract wallet signatures without an RPC provider', async () => {
+        const { owner, walletId } = provider.addWallet();
+        setRpcProvider(null);
+        expect(await isValidEthSignature({ walletId, message, signature: await owner.signMessage(message) })).toBe(false);
+    });
+
+    test('provider errors are not treated as invalid signatures', async () => {
+        const { owner, walletId } = provider.addWallet();
+        provider.getCode = async () => { throw new Error('connection refused'); };
+        await expect(isValidEthSignature({ walletId, message, signature: await owner.signMessage(message) })).rejects.toThrow('connection refused');
+    });
+});
+
+describe('Sign-In with Ethereum messages', () => {
+    const nonce = 'abcdef0123456789';
+
+    test('createSiweLogin uses an allowed origin', () => {
+        const { walletId } = createWallet();
+        const fields = createSiweLogin({ walletId, nonce, origin: 'http://localhost:1234' });
+        expect(fields).toMatchObject({
+            domain: 'localhost:1234', uri: 'http://localhost:1234', chainId: 1, nonce,
+        });
+        expect(fields.address).not.toBe(walletId); // EIP-55 checksum address
+        expect(fields.address.toLowerCase()).toBe(walletId);
+    });
+
+    test('createSiweLogin uses the wallet chain if it is supported', () => {
+        const { walletId } = createWallet();
+        expect(createSiweLogin({ walletId, nonce, chainId: '10' }).chainId).toBe(10);
+        expect(createSiweLogin({ walletId, nonce, chainId: '5' }).chainId).toBe(1);
+        expect(createSiweLogin({ walletId, nonce, chainId: '' }).chainId).toBe(1);
+    });
+
+    test('validateSiweMessage accepts a message for another supported chain', () => {
+        const { walletId } = createWallet();
+        const message = createSiweMessage(createSiweLogin({ walletId, nonce, chainId: 10 }));
+        expect(validateSiweMessage({ message, walletId, nonce }).chainId).toBe(10);
+    });
+
+    test('createSiweLogin uses the first domain for other origins', () => {
+        const { walletId } = createWallet();
+        const fields = createSiweLogin({ walletId, nonce, origin: 'https://evil.example.com' });
+        expect(fields).toMatchObject({ domain: 'web.example.com', uri: 'https://web.example.com' });
+    });
+
+    test('messages can be parsed back to the fields', () => {
+        const { walletId } = createWallet();
+        const fields = createSiweLogin({ walletId, nonce });
+        const parsed = parseSiweMessage(createSiweMessage({ ...fields, resources: ['https://web.example.com/terms'] }));
+        expect(parsed).toEqual({ ...fields, resources: ['https://web.example.com/terms'] });
+    });
+
+    test.each([
+        ['no header', (message) => message.replace(' wants you to sign in', ' would like you to sign in'), /header/],
+        ['extra content', (message) => `${message}\nExtra: line`, /Unexpected content/],
+        ['a missing nonce', (message) => message.replace(/\nNonce: .*/, ''), /missing Nonce/],
+    ])('parseSiweMessage rejects a message with %s', (name, change, error) => {
+        const { walletId } = createWallet();
+        const message = createSiweMessage(createSiweLogin({ walletId, nonce }));
+        expect(() => parseSiweMessage(change(message))).toThrow(error);
+    });
+
+    test('validateSiweMessage accepts a current message', () => {
+        const { walletId } = createWallet();
+        const message = createSiweMessage(createSiweLogin({ walletId, nonce }));
+        expect(validateSiweMessage({ message, walletId, nonce }).nonce).toBe(nonce);
+    });
+
+    test.each([
+        ['another domain', { domain: 'evil.example.com', uri: 'https://evil.example.com' }, /domain is not allowed/],
+        ['a mismatched URI', { uri: 'https://evil.example.com' }, /URI does not match/],
+        ['another chain', { chainId: 5 }, /Chain ID is not supported/],
+        ['another nonce', { nonce: 'used-nonce' }, /nonce is not valid/],
+        ['an expiry time in the past', { expirationTime: moment().subtract(1, 'm').toISOString() }, /has expired/],
+        ['no expiry time', { expirationTime: '' }, /missing Expiration Time/],
+        ['a future not before time', { notBefore: moment().add(5, 'm').toISOString() }, /not valid yet/],
+        ['a future issue time', { issuedAt: moment().add(5, 'm').toISOString() }, /issue time/],
+    ])('validateSiweMessage rejects %s', (name, change, error) => {
+        const { walletId } = createWallet();
+        const message = createSiweMessage({ ...createSiweLogin({ walletId, nonce }), ...change });
+        expect(() => validateSiweMessage({ message, walletId, nonce })).toThrow(error);
+    });
+
+    test('validateSiweMessage rejects a message for another wallet', () => {
+        const { walletId } = createWallet();
+        const { walletId: otherWalletId } = createWallet();
+        const message = createSiweMessage(createSiweLogin({ walletId: otherWalletId, nonce }));
+        expect(() => validateSiweMessage({ message, walletId, nonce })).toThrow(/does not match the walletId/);
+    });
+
+    test('validateSiweMessage rejects an address that is not EIP-55 encoded', () => {
+        const { walletId } = createWallet();
+        const message = createSiweMessage({ ...createSiweLogin({ walletId, nonce }), address: walletId });
+        expect(() => validateSiweMessage({ message, walletId, nonce })).toThrow(/EIP-55/);
+    });
+});
+
+describe('typed actions', () => {
+    const nonce = 'abcdef0123456789';
+    const data = { message: 'Hello' };
+
+    test('createTypedAction rejects routes without a schema', () => {
+        expect(() => createTypedAction({ route: 'test/delete', nonce })).toThrow(/No typed action schema/);
+    });
+
+    test('createTypedAction uses the session chain', () => {
+        expect(createTypedAction({ route: 'test/write', nonce }).domain.chainId).toBe(1);
+        expect(createTypedAction({ route: 'test/write', nonce, chainId: '10' }).domain.chainId).toBe(10);
+        expect(() => createTypedAction({ route: 'test/write', nonce, chainId: '5' })).toThrow(/Chain ID 5 is not supported/);
+    });
+
+    test('rejects a signature for another chain', async () => {
+        const { wallet, walletId } = createWallet();
+        const typedAction = createTypedAction({
+            route: 'test/write', nonce, bodyHash: hashActionBody(data), chainId: 10,
+        });
+        const signature = await signTypedData(wallet, typedAction);
+        const action = {
+            walletId, route: 'test/write', data, nonce, expiry: typedAction.message.expiry, signature,
+        };
+        expect(await isValidTypedActionSignature({ ...action, chainId: '10' })).toBe(true);
+        expect(await isValidTypedActionSignature(action)).toBe(false);
+    });
+
+    test('accepts a signature of the submitted data', async () => {
+        const { wallet, walletId } = createWallet();
+        const typedAction = createTypedAction({ route: 'test/write', nonce, bodyHash: hashActionBody(data) });
+        const signature = await signTypedData(wallet, typedAction);
+        expect(await isValidTypedActionSignature({
+            walletId, route: 'test/write', data, nonce, expiry: typedAction.message.expiry, signature,
+        })).toBe(true);
+    });
+
+    test('accepts the submitted data with the keys in a different order', async () => {
+        const { wallet, walletId } = createWallet();
+        const signed = { message: 'Hello', meta: { count: 2, tags: ['a', { y: 1, x: true }] } };
+        const submitted = { meta: { tags: ['a', { x: true, y: 1 }], count: 2 }, message: 'Hello' };
+        expect(hashActionBody(submitted)).toBe(hashActionBody(signed));
+        const typedAction = createTypedAction({ route: 'test/write', nonce, bodyHash: hashActionBody(signed) });
+        const signature = await signTypedData(wallet, typedAction);
+        expect(await isValidTypedActionSignature({
+            walletId, route: 'test/write', data: submitted, nonce, expiry: typedAction.message.expiry, signature,
+        })).toBe(true);
+    });
+
+    test('hashActionBody rejects numbers that are not integers', () => {
+        expect(() => hashActionBody({ amount: 1.5 })).toThrow(/must be integers/);
+    });
+
+    test('rejects a signature when the submitted data has changed', async () => {
+        const { wallet, walletId } = createWallet();
+        const typedAction = createTypedAction({ route: 'test/write', nonce, bodyHash: hashActionBody(data) });
+        const signature = await signTypedData(wallet, typedAction);
+        expect(await isValidTypedActionSignature({
+            walletId, route: 'test/write', data: { message: 'Goodbye' }, nonce, expiry: typedAction.message.expiry, signature,
+        })).toBe(false);
+    });
+
+    test('rejects an expired action', async () => {
+        const { wallet, walletId } = createWallet();
+        const expiry = Number(moment().subtract(1, 'm').format('X'));
+        const typedAction = createTypedAction({
+            route: 'test/write', nonce, bodyHash: hashActionBody(data), expiry,
+        });
+        const signature = await signTypedData(wallet, typedAction);
+        await expect(isValidTypedActionSignature({
+            walletId, route: 'test/write', data, nonce, expiry, signature,
+        })).rejects.toThrow(/has expired/);
+    });
+
+    test('rejects an expiry too far in the future', async () => {
+        const { wallet, walletId } = createWallet();
+        const expiry = Number(moment().add(1, 'd').format('X'));
+        const typedAction = createTypedAction({
+            route: 'test/write', nonce, bodyHash: hashActionBody(data), expiry,
+        });
+        const signature = await signTypedData(wallet, typedAction);
+        await expect(isValidTypedActionSignature({
+            walletId, route: 'test/write', data, nonce, expiry, signature,
+        })).rejects.toThrow(/too far in the future/);
+    });
+});
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+/**
+ * Create a random test wallet.
+ * Wallet Ids are lower case, as submitted by the web client.
+ * @returns {{wallet: ethers.Wallet, walletId: string}}
+ */
+function createWallet() {
+    const wallet = new ethers.Wallet(crypto.randomBytes(32));
+    return { wallet, walletId: wallet.address.toLowerCase() };
+}
+
+// Admin wallet, configured in ADMIN_WALLETS
+const adminWallet = new ethers.Wallet(`0x${'a1'.repeat(32)}`);
+
+const erc1271Interface = new ethers.utils.Interface([
+    'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)',
+]);
+const erc6492Suffix = `0x${'6492'.repeat(16)}`;
+
+/**
+ * Create a fake JSON-RPC provider with smart contract wallets.
+ * Each contract wallet accepts signatures of the hash from its owner wallet, like a 1 of 1 Safe.
+ * Counterfactual wallets have no code, and accept EIP-6492 signatures with a factory call.
+ * @returns {object} provider, with addWallet to create a contract wallet and calls to count eth_call requests
+ */
+function createFakeProvider() {
+    const { universalValidatorBytecode } = require('../src/lambda/utils-module').contractWallet; // eslint-disable-line global-require
+    const owners = new Map();
+    const deployed = new Set();
+    const isOwnerSignature = (walletId, hash, signature) => {
+        try {
+            return ethers.utils.recoverAddress(hash, signature) === owners.get(walletId.toLowerCase());
+        } catch (err) {
+            return false;
+        }
+    };
+
+    const provider = {
+        calls: 0,
+
+        addWallet({ deploy = true } = {}) {
+            const { wallet: owner } = createWallet();
+            const { walletId } = createWallet();
+            owners.set(walletId, owner.address);
+            if (deploy) { deployed.add(walletId); }
+            return { owner, walletId };
+        },
+
+        async getCode(address) {
+            return (deployed.has(address.toLowerCase())) ? '0x6080604052' : '0x';
+        },
+
+        async call({ to, data }) {
+            provider.calls += 1;
+            if (to) {
+                if (!deployed.has(to.toLowerCase())) { return '0x'; }
+                const [hash, signature] = erc1271Interface.decodeFunctionData('isValidSignature', data);
+                const result = (isOwnerSignature(to, hash, signature)) ? '0x1626ba7e' : '0xffffffff';
+                return erc1271Interface.encodeFunctionResult('isValidSignature', [result]);
+            }
+            // EIP-6492 validator, with the constructor args after the bytecode
+            const args = ethers.utils.hexDataSlice(data, ethers.utils.hexDataLength(universalValidatorBytecode));
+            const [walletId, hash, wrapped] = ethers.utils.defaultAbiCoder.decode(['address', 'bytes32', 'bytes'], args);
+            let signature = wrapped;
+            if (wrapped.endsWith(erc6492Suffix.slice(2))) {
+                [, , signature] = ethers.utils.defaultAbiCoder.decode(['address', 'bytes', 'bytes'], ethers.utils.hexDataSlice(wrapped, 0, ethers.utils.hexDataLength(wrapped) - 32));
+            }
+            return (isOwnerSignature(walletId, hash, signature)) ? '0x01' : '0x00';
+        },
+    };
+    return provider;
+}
+
+const tokenInterface = new ethers.utils.Interface([
+    'function balanceOf(address owner) view returns (uint256)',
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function balanceOf(address account, uint256 id) view returns (uint256)',
+]);
+
+/**
+ * Create a fake JSON-RPC provider with ERC-20, ERC-721 and ERC-1155 token contracts.
+ * @returns {object} provider, with addToken to create a token contract and calls to count eth_call requests
+ */
+function createFakeTokenProvider() {
+    const tokens = new Map();
+
+    const provider = {
+        calls: 0,
+
+        /**
+         * Add a token contract
+         * @param {string} standard - 'erc20', 'erc721' or 'erc1155'
+         * @returns {{contract: string, mint: function(string, string=, string=): void, transfer: function(string, string, string=, string=): void}}
+         */
+        addToken(standard) {
+            const contract = createWallet().wallet.address;
+            const balances = new Map();
+            const owners = new Map();
+            const balanceKey = (walletId, tokenId = '') => `${walletId.toLowerCase()}:${tokenId}`;
+            const add = (walletId, amount, tokenId) => {
+                const key = balanceKey(walletId, (standard === 'erc1155') ? tokenId : '');
+                balances.set(key, (balances.get(key) || ethers.constants.Zero).add(amount));
+            };
+            const token = {
+                contract,
+                // ERC-20 and ERC-1155 mint an amount, ERC-721 mints the tokenId
+                mint(walletId, amount = '1', tokenId = '1') {
+                    if (standard === 'erc721') {
+                        owners.set(amount, walletId.toLowerCase());
+                        add(walletId, 1);
+                        return;
+                    }
+                    add(walletId, amount, tokenId);
+                },
+                transfer(from, to, amount = '1', tokenId = '1') {
+                    if (standard === 'erc721') {
+                        owners.set(amount, to.toLowerCase());
+                        add(from, -1);
+                        add(to, 1);
+                        return;
+                    }
+                    add(from, ethers.BigNumber.from(amount).mul(-1), tokenId);
+                    add(to, amount, tokenId);
+                },
+            };
+            tokens.set(contract.toLowerCase(), {
+                standard, balances, owners, balanceKey,
+            });
+            return token;
+        },
+
+        async call({ to, data }) {
+            provider.calls += 1;
+            const token = tokens.get(to.toLowerCase());
+            if (!token) { return '0x'; }
+            const { name, args } = tokenInterface.parseTransaction({ data });
+            if (name === 'ownerOf') {
+                const owner = token.owners.get(args[0].toString());
+                if (!owner) { throw Object.assign(new Error('call revert exception'), { code: ethers.errors.CALL_EXCEPTION }); }
+                return tokenInterface.encodeFunctionResult('ownerOf', [owner]);
+            }
+            const tokenId = (args.length > 1) ? args[1].toString() : '';
+            const balance = token.balances.get(token.balanceKey(args[0], tokenId)) || ethers.constants.Zero;
+            return ethers.utils.defaultAbiCoder.encode(['uint256'], [balance]);
+        },
+    };
+    return provider;
+}
+
+const ensInterface = new ethers.utils.Interface([
+    'function resolver(bytes32 node) view returns (address)',
+    'function name(bytes32 node) view returns (string)',
+    'function addr(bytes32 node) view returns (address)',
+    'function text(bytes32 node, string key) view returns (string)',
+]);
+
+/**
+ * Create a fake JSON-RPC provider with an ENS registry and a public resolver.
+ * The registry is at the default ENS registry address unless another is supplied.
+ * @param {string} [registry] - registry address
+ * @returns {object} provider, with setName to set the reverse and forward records and calls to count eth_call requests
+ */
+function createFakeEnsProvider(registry = '0x00000000000C2E074eC69A0dFb2997BA6C7d2e1e') {
+    const resolver = createWallet().wallet.address;
+    const resolvers = new Map();
+    const names = new Map();
+    const addrs = new Map();
+    const texts = new Map();
+
+    const provider = {
+        calls: 0,
+
+        /**
+         * Set the primary name of a wallet
+         * @param {string} walletId
+         * @param {string} name
+         * @param {object} [options]
+         * @param {string} [options.avatar] - avatar text record
+         * @param {string|null} [options.addr] - forward address of the name, the wallet by default, null for no forward record
+         */
+        setName(walletId, name, { avatar = '', addr = walletId } = {}) {
+            const reverseNode = ethers.utils.namehash(`${walletId.toLowerCase().slice(2)}.addr.reverse`);
+            resolvers.set(reverseNode, resolver);
+            names.set(reverseNode, name);
+            if (!addr) { return; }
+            const node = ethers.utils.namehash(name);
+            resolvers.set(node, resolver);
+            addrs.set(node, ethers.utils.getAddress(addr));
+            if (avatar) { texts.set(`${node}:avatar`, avatar); }
+        },
+
+        async call({ to, data }) {
+            provider.calls += 1;
+            const { name, args } = ensInterface.parseTransaction({ data });
+            if (to.toLowerCase() === registry.toLowerCase() && name === 'resolver') {
+                return ensInterface.encodeFunctionResult(name, [resolvers.get(args[0]) || ethers.constants.AddressZero]);
+            }
+            if (to !== resolver) { return '0x'; }
+            if (name === 'name') { return ensInterface.encodeFunctionResult(name, [names.get(args[0]) || '']); }
+            if (name === 'addr') { return ensInterface.encodeFunctionResult(name, [addrs.get(args[0]) || ethers.constants.AddressZero]); }
+            if (name === 'text') { return ensInterface.encodeFunctionResult(name, [texts.get(`${args[0]}:${args[1]}`) || '']); }
+            return '0x';
+        },
+    };
+    return provider;
+}
+
+/**
+ * Wrap a contract wallet signature for a counterfactual wallet (EIP-6492)
+ * @param {string} signature
+ * @returns {string} wrapped signature
+ */
+function wrapErc6492Signature(signature) {
+    const factory = createWallet().wallet.address;
+    return ethers.utils.hexConcat([
+        ethers.utils.defaultAbiCoder.encode(['address', 'bytes', 'bytes'], [factory, '0x12345678', signature]),
+        erc6492Suffix,
+    ]);
+}
+
+module.exports = {
+    createWallet,
+    adminWallet,
+    createFakeProvider,
+    createFakeTokenProvider,
+    createFakeEnsProvider,
+    wrapErc6492Signature,
+};
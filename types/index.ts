@@ -31,6 +31,137 @@ export type DnsOptionProps = {
     allowLocalhost: boolean,
 };
 
+/**
+ * KMS Key for signing tokens
+ */
+export type SigningKeyProps = {
+    /**
+     * Unique name for the key, used as the construct Id.
+     * A new name creates a new KMS Key. 'authKey' is the original key.
+     */
+    name: string,
+    /**
+     * Sign new tokens with this key. Exactly one key must be active.
+     * Inactive keys are published in the JWKS and only used to verify tokens.
+     */
+    active?: boolean,
+    /**
+     * JWT signing algorithm for the key, PS256 by default.
+     * ES256 uses an ECC_NIST_P256 key and creates smaller tokens.
+     * Changing the algorithm creates a new KMS Key, so rotate to a new key instead.
+     */
+    alg?: 'PS256' | 'RS256' | 'ES256',
+};
+
+/**
+ * Token gate - restricts API routes to holders of a token.
+ * Holdings are checked at login and refresh and added to the auth token as the gates claim.
+ */
+export type TokenGateProps = {
+    /**
+     * Name added to the gates claim when the user holds the token.
+     * Gates with the same name are alternatives - holding any of the tokens passes the gate.
+     */
+    name: string,
+    /**
+     * Routes the gate applies to, as 'METHOD /path', eg. 'GET /test/read'.
+     * '*' matches any method or one part of the path, eg. 'POST /test/*'.
+     */
+    routes: string[],
+    standard: 'erc20' | 'erc721' | 'erc1155',
+    /**
+     * Token contract address
+     */
+    contract: string,
+    /**
+     * Chain the contract is on, the login chainId by default.
+     * Other chains need a JSON-RPC URL in rpcUrls.
+     */
+    chainId?: number,
+    /**
+     * Minimum balance in the smallest unit of the token (eg. wei for an 18 decimal ERC-20), '1' by default
+     */
+    minBalance?: string,
+    /**
+     * ERC-721 token the user must own, or the ERC-1155 token Id (required for ERC-1155)
+     */
+    tokenId?: string,
+};
+
+/**
+ * Sign in lockout and new user limits.
+ * Failed logins and verifications are counted by wallet and by IP address, and each failure after the
+ * free attempts locks the wallet or IP address out for twice as long.
+ */
+export type ThrottleLimitProps = {
+    /**
+     * Failed sign ins for a wallet before it is locked out, 5 by default
+     */
+    walletFailures?: number,
+    /**
+     * Failed sign ins from an IP address before it is locked out, 20 by default
+     */
+    ipFailures?: number,
+    /**
+     * First lockout in seconds, doubled for each further failure. 30 by default.
+     */
+    lockoutTime?: number,
+    /**
+     * Longest lockout in seconds, 900 by default
+     */
+    maxLockoutTime?: number,
+    /**
+     * Seconds without a failed sign in before the failure count is reset, 3600 by default
+     */
+    failureWindow?: number,
+    /**
+     * Unverified users that can be created from an IP address in the user window, 10 by default
+     */
+    ipUsers?: number,
+    /**
+     * New user window in seconds, 3600 by default
+     */
+    userWindow?: number,
+};
+
+/**
+ * What happens to the related data when a user deletes their account.
+ * The user record and linked wallets are always removed.
+ */
+export type DeletionPolicyProps = {
+    /**
+     * Audit trail events of the user, 'anonymize' by default.
+     * - anonymize: remove the user, wallet and IP address from the events. The chain can still be verified.
+     * - purge: remove every field except the chain fields. The events are no longer found, but the chain can still be verified.
+     * - keep: keep the events until the audit retention period ends.
+     */
+    audit?: 'anonymize' | 'purge' | 'keep',
+};
+
+/**
+ * ENS names for user wallets.
+ * The primary name of the user's wallet is looked up at login and only used if it resolves back to the wallet.
+ */
+export type EnsProps = {
+    /**
+     * JSON-RPC URL for the chain with the ENS registry.
+     * Defaults to rpcUrl if the Chain ID is 1. Lookups are disabled if there is no URL.
+     */
+    rpcUrl?: string,
+    /**
+     * ENS registry address, the Ethereum Mainnet registry by default. Set for a local chain with ENS deployed.
+     */
+    registry?: string,
+    /**
+     * Seconds to cache the name on the user record, 86400 by default
+     */
+    cacheTime?: number,
+    /**
+     * Add the name to auth tokens as the ens claim, false by default
+     */
+    claim?: boolean,
+};
+
 export type AuthOptionProps = {
     /**
      * Refresh cookie timeout in mins
@@ -41,13 +172,94 @@ export type AuthOptionProps = {
      */
     authTokenTime: number,
     /**
-     * Login prefix displayed in MetaMask
+     * Statement included in the Sign-In with Ethereum (EIP-4361) login message displayed in MetaMask.
+     * Must be a single line.
+     */
+    loginStatement: string,
+    /**
+     * Login message timeout in mins
+     */
+    loginMessageTime: number,
+    /**
+     * Typed data (EIP-712) signed action timeout in mins
+     */
+    actionMessageTime: number,
+    /**
+     * EIP-155 Chain ID included in the login message and typed data domain (1 = Ethereum Mainnet).
+     * The default chain, used when the wallet is on a chain that is not supported.
+     */
+    chainId: number,
+    /**
+     * Other Chain IDs users can sign in on, eg. [10, 8453, 11155111] for Optimism, Base and Sepolia.
+     * The chain is recorded on the session and added to the auth token as the chainId claim.
+     */
+    chainIds?: number[],
+    /**
+     * JSON-RPC URL on the same Chain ID, used to verify smart contract wallet signatures (ERC-1271 and EIP-6492).
+     * eg. an Infura or Alchemy endpoint. Contract wallets cannot login if this is empty.
+     */
+    rpcUrl?: string,
+    /**
+     * JSON-RPC URLs for token gates and contract wallet signatures on other chains, by Chain ID. eg. { 137: 'https://polygon-rpc.com' }
+     */
+    rpcUrls?: Record<number, string>,
+    /**
+     * Routes restricted to token holders. See TokenGateProps.
+     */
+    tokenGates?: TokenGateProps[],
+    /**
+     * Seconds to cache token balance lookups for the token gates, 60 by default
      */
-    loginPrefix: string,
+    tokenGateCacheTime?: number,
+    /**
+     * Seconds to cache the authorizer policy for an auth token, 300 by default.
+     * Limited to the auth token time. Zero disables the cache.
+     */
+    authorizerCacheTime?: number,
+    /**
+     * Minimum level for the Lambda function logs, 'info' by default.
+     * Use 'debug' to log token payloads while troubleshooting.
+     */
+    logLevel?: 'debug' | 'info' | 'warn' | 'error',
+    /**
+     * Days to keep audit trail events, 365 by default. Zero keeps events forever.
+     */
+    auditRetentionDays?: number,
+    /**
+     * Number of hash chains the audit trail is spread across, 16 by default.
+     * More chains mean fewer conflicts between concurrent events. Do not reduce it once events are recorded.
+     */
+    auditChains?: number,
+    /**
+     * Sign in lockout and new user limits. See ThrottleLimitProps.
+     */
+    throttleLimits?: ThrottleLimitProps,
+    /**
+     * Related data erased when a user deletes their account. See DeletionPolicyProps.
+     */
+    deletionPolicy?: DeletionPolicyProps,
+    /**
+     * ENS name and avatar lookups. See EnsProps.
+     */
+    ens?: EnsProps,
     /**
      * Sign prefix displayed in MetaMask
      */
     signPrefix: string,
+    /**
+     * Link prefix displayed in MetaMask when linking another wallet to a user
+     */
+    linkPrefix: string,
+    /**
+     * Wallets that always have the admin role. Use to bootstrap the first admin users,
+     * other admins can then be added with the admin API.
+     */
+    adminWallets: string[],
+    /**
+     * KMS Keys for signing tokens. See the key rotation procedure in app-stack.ts.
+     * Defaults to a single active key named 'authKey'.
+     */
+    signingKeys?: SigningKeyProps[],
     /**
      * Days before expiring users from the user table.
      * Set to zero to disable.
@@ -74,8 +286,21 @@ export type ApiLimitProps = {
     rateLimit?: number,
 };
 
+/**
+ * Web client options, written to the env file for the web build by the setup script
+ */
+export type WebOptionProps = {
+    /**
+     * What to do when the user changes account or chain in MetaMask while logged in.
+     * logout ends the session, relogin asks the user to login again (the default), and switch keeps the
+     * session for a wallet linked to the user and logs in again otherwise.
+     */
+    walletChangePolicy?: 'logout' | 'relogin' | 'switch',
+};
+
 export type ConfigProps = {
     dnsOptions: DnsOptionProps,
     authOptions: AuthOptionProps,
     apiLimits?: ApiLimitProps,
+    webOptions?: WebOptionProps,
 };